@@ -0,0 +1,79 @@
+// Backtest the app's Best Bet, Upset Alert and featured-game heuristics over
+// historical scoreboards (see server/backtest.js).
+//
+//   node backtest.js                      every league with a fixture file, from server/fixtures/
+//   node backtest.js --leagues=nba,epl    just those leagues
+//   node backtest.js --sessions           recorded sessions in sessions/ instead
+//   node backtest.js --sessions=path/to   …from another directory
+//   node backtest.js --vig=4.5            book margin the hypothetical ROI pays (percent)
+//   node backtest.js --json               the full report as JSON
+
+import { readdir } from "node:fs/promises";
+import { fixtureBoards, sessionBoards, runBacktest } from "./server/backtest.js";
+import { createWinProbabilityModel } from "./server/winProbability.js";
+import { allLeagues, getLeague } from "./server/leagues.js";
+
+function flag(name) {
+  const arg = process.argv.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+  if (!arg) return null;
+  return arg.includes("=") ? arg.slice(arg.indexOf("=") + 1) : true;
+}
+
+async function fixtureLeagues() {
+  const files = new Set(await readdir(new URL("./server/fixtures/", import.meta.url)));
+  return allLeagues().map(l => l.slug).filter(slug => files.has(`${slug}.json`));
+}
+
+const pct = n => (n == null ? "—" : `${n.toFixed(1)}%`);
+const signed = n => (n == null ? "—" : `${n > 0 ? "+" : ""}${n.toFixed(1)}%`);
+
+function printReport(report, source) {
+  const header = ["League", "Season", "Best Bet", "hit", "pred", "ROI", "Upset", "hit", "pred", "ROI", "Featured", "close", "others"];
+  const line = (label, season, r) => [
+    label, season,
+    r.bestBet.picks, pct(r.bestBet.hitRate), pct(r.bestBet.predicted), signed(r.bestBet.roi),
+    r.upsetAlert.picks, pct(r.upsetAlert.hitRate), pct(r.upsetAlert.predicted), signed(r.upsetAlert.roi),
+    r.notable.featured, pct(r.notable.closeRate), pct(r.notable.otherCloseRate),
+  ].map(String);
+  const rows = [header, ...report.rows.map(r => line(getLeague(r.league).label, r.season, r)), line("All", "", report.overall)];
+  const widths = header.map((_, i) => Math.max(...rows.map(r => r[i].length)));
+  const format = row => row.map((cell, i) => (i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join("  ");
+
+  console.log(`Backtest over ${report.boards} daily boards from ${source}; ROI at fair odds less ${report.vig}% vig\n`);
+  rows.forEach((row, i) => {
+    console.log(format(row));
+    if (i === 0 || i === rows.length - 2) console.log(widths.map(w => "─".repeat(w)).join("  "));
+  });
+  console.log("\nBest Bet backs the favorite; Upset Alert backs the underdog. Featured games are");
+  console.log("each day's 🔥 coming-up list across these leagues, and \"close\" when they finish");
+  console.log("within the league's tense margin; others are the games the list left out.");
+
+  if (report.calibration.length > 0) {
+    console.log("\nFavorites' calibration (every game with a probability):");
+    for (const b of report.calibration) {
+      console.log(`  ${b.from}–${b.to}%  ${String(b.picks).padStart(4)} games  predicted ${pct(b.predicted)}  won ${pct(b.hitRate)}`);
+    }
+  }
+}
+
+const requested = typeof flag("leagues") === "string" ? flag("leagues").split(",") : await fixtureLeagues();
+const unknown = requested.filter(slug => !getLeague(slug));
+if (unknown.length > 0) {
+  console.error(`Unknown league${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}`);
+  process.exit(1);
+}
+const sessions = flag("sessions");
+const vig = flag("vig") == null ? undefined : Number(flag("vig"));
+if (vig !== undefined && !(vig >= 0)) {
+  console.error("--vig must be a percentage, e.g. --vig=4.5");
+  process.exit(1);
+}
+
+const model = createWinProbabilityModel();
+const boards = sessions
+  ? await sessionBoards(requested, model, typeof sessions === "string" ? { dir: sessions } : {})
+  : (await Promise.all(requested.map(slug => fixtureBoards(slug, model)))).flat();
+
+const report = runBacktest(boards, { vig });
+if (flag("json")) console.log(JSON.stringify(report, null, 2));
+else printReport(report, sessions ? "recorded sessions" : "fixtures");
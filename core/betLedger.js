@@ -0,0 +1,104 @@
+// ─── Bet ledger ───────────────────────────────────────────────────────────────
+// Grading, P&L and export for the bet ledger's Bets (documented with the
+// ledger itself, in src/lib/betLedger.js). Scores are a Game's score
+// ({ [abbr]: n }, see core/game.js).
+
+// Profit on a winning bet of `stake` at an American price
+export function winProfit(stake, price) {
+  return price > 0 ? stake * (price / 100) : stake * (100 / -price);
+}
+
+// ─── Settlement ───────────────────────────────────────────────────────────────
+
+// "won" | "lost" | "push" for a bet against a final score
+export function gradeBet(bet, score) {
+  const { home, away, type, side, line } = bet;
+  if (type === "total") {
+    const total = score[home] + score[away];
+    if (total === line) return "push";
+    return (total > line) === (side === "over") ? "won" : "lost";
+  }
+  if (type === "spread") {
+    const other = side === home ? away : home;
+    const margin = score[side] - score[other] + line;
+    return margin === 0 ? "push" : margin > 0 ? "won" : "lost";
+  }
+  const winner = score[home] === score[away] ? "draw" : score[home] > score[away] ? home : away;
+  return side === winner ? "won" : "lost";
+}
+
+// The bet settled against its game's final score
+export function settleBet(bet, score) {
+  const status = gradeBet(bet, score);
+  const profit = status === "won" ? winProfit(bet.stake, bet.price) : status === "lost" ? -bet.stake : 0;
+  return {
+    ...bet, status,
+    profit: Math.round(profit * 100) / 100,
+    final: { [bet.home]: score[bet.home], [bet.away]: score[bet.away] },
+    settledAt: new Date().toISOString(),
+  };
+}
+
+// ─── Analytics ────────────────────────────────────────────────────────────────
+
+function totals(group) {
+  const settled = group.filter(b => b.status !== "pending");
+  const staked = settled.reduce((sum, b) => sum + b.stake, 0);
+  const profit = settled.reduce((sum, b) => sum + b.profit, 0);
+  return {
+    bets: group.length,
+    pending: group.length - settled.length,
+    won: settled.filter(b => b.status === "won").length,
+    lost: settled.filter(b => b.status === "lost").length,
+    push: settled.filter(b => b.status === "push").length,
+    staked,
+    profit: Math.round(profit * 100) / 100,
+    roi: staked > 0 ? (profit / staked) * 100 : null,
+  };
+}
+
+function breakdown(list, keyOf) {
+  const groups = new Map();
+  for (const bet of list) {
+    const key = keyOf(bet);
+    groups.set(key, [...(groups.get(key) ?? []), bet]);
+  }
+  return [...groups].map(([key, group]) => ({ key, ...totals(group) }));
+}
+
+// P&L and ROI overall and broken down, plus the running profit after each
+// settled bet in the order their games were played:
+//   { overall, byLeague: [{ key, …totals }], byType, byBestBet, running: [{ t, profit }] }
+// ROI is profit over stakes on settled bets, in percent.
+export function ledgerSummary(list) {
+  let running = 0;
+  return {
+    overall: totals(list),
+    byLeague: breakdown(list, b => b.league),
+    byType: breakdown(list, b => b.type),
+    byBestBet: breakdown(list, b => (b.bestBet ? "Best Bet" : "Other")),
+    running: list
+      .filter(b => b.status !== "pending")
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+      .map(b => ({ t: b.start_time, profit: Math.round((running += b.profit) * 100) / 100 })),
+  };
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = [
+  "placedAt", "league", "gameId", "start_time", "away", "home", "type", "side", "line",
+  "price", "stake", "bestBet", "status", "profit", "final", "settledAt",
+];
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function ledgerCsv(list) {
+  const rows = list.map(bet => CSV_COLUMNS.map(col => csvCell(
+    col === "final" && bet.final ? `${bet.away} ${bet.final[bet.away]}-${bet.final[bet.home]} ${bet.home}` : bet[col],
+  )).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
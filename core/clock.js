@@ -0,0 +1,187 @@
+// ─── Game clock ───────────────────────────────────────────────────────────────
+// Where a game stands, read from its clock text the way its league keeps time
+// (League.periods.clock, see core/game.js):
+//   countdown  "5:32 - 4th", "45.2 - 2nd", "End of 3rd", "Halftime",
+//              "1st Intermission", "2:10 - OT", "3:00 - 2OT", "SO"
+//   innings    "Top 7th", "Bot 8th", "Mid 3rd", "End 9th", "Top 10th"
+//   running    "74'", "45'+2'", "90+3'", "HT", "105'", "Pens"
+// plus finished games: "Final", "Final/OT", "Final/2OT", "Final/SO",
+// "Final/10", "FT", "AET", "FT-Pens".
+//
+// Phase:
+//   { period        regulation periods count from 1 and extra ones carry on
+//                   (NBA "OT" is period 5, NHL "SO" 5, MLB "Top 10th" 10)
+//     periodType    "regulation" | "overtime" | "shootout"
+//     remaining     seconds left in the period, 0 in stoppage time; null
+//                   without a clock to read (innings, shootouts)
+//     elapsed       share of regulation played, 0–1 — 1 from the end of
+//                   regulation on. A period with no time shown counts as
+//                   half played
+//     break         between periods (halftime, "End of 3rd", "Mid 7th")
+//     final }
+// gamePhase is null before the game starts and when a live clock can't be read.
+
+const HALF_INNINGS = { top: 0.5, bot: 1.5, bottom: 1.5, mid: 1, middle: 1, end: 2 };
+
+function toPhase(fields) {
+  return { period: null, periodType: "regulation", remaining: null, elapsed: null, break: false, final: false, ...fields };
+}
+
+// The period a shootout is played in: after the last named extra period
+// before it (NHL: Overtime then Shootout; soccer: two halves of extra time)
+function shootoutPeriod({ regulation, overtime }) {
+  return regulation + (Array.isArray(overtime) ? overtime.length : 1);
+}
+
+// "1st", "4th", "10th" → 1, 4, 10
+function ordinalIn(text) {
+  const match = text.match(/\b(\d+)(?:st|nd|rd|th)\b/);
+  return match ? Number(match[1]) : null;
+}
+
+// Share of regulation played `intoPeriod` seconds into regulation period `period`
+function regulationShare(periods, period, intoPeriod) {
+  const length = periods.minutes * 60;
+  return Math.min(((period - 1) * length + intoPeriod) / (periods.regulation * length), 1);
+}
+
+// ─── Countdown clocks ─────────────────────────────────────────────────────────
+
+function readCountdown(text, periods) {
+  const { regulation, minutes } = periods;
+  const final = text.startsWith("final");
+
+  if (/\bso\b|shootout/.test(text)) {
+    return toPhase({ period: shootoutPeriod(periods), periodType: "shootout", elapsed: 1, final });
+  }
+
+  // "OT", "2OT", "OT2", "Final/OT", "Overtime"
+  const overtime = text.match(/\b(\d*)ot(\d*)\b/) ?? (/overtime/.test(text) ? [] : null);
+  const period = overtime ? regulation + Number(overtime[1] || overtime[2] || 1) : ordinalIn(text);
+  if (final) {
+    return toPhase({ period: period ?? regulation, periodType: overtime ? "overtime" : "regulation", remaining: 0, elapsed: 1, final });
+  }
+  if (!period && /half/.test(text)) {
+    return toPhase({ period: regulation / 2, remaining: 0, elapsed: 0.5, break: true });
+  }
+  if (!period) return null;
+
+  const isBreak = /\bend\b|intermission|\bint\b/.test(text);
+  // "5:32 - 4th", or seconds alone in a period's last minute ("45.2 - 4th")
+  const minutesLeft = text.match(/(\d+):(\d+(?:\.\d+)?)/);
+  const secondsLeft = text.match(/^(\d+(?:\.\d+)?)\s*-/);
+  const remaining = isBreak ? 0
+    : minutesLeft ? Number(minutesLeft[1]) * 60 + Number(minutesLeft[2])
+    : secondsLeft ? Number(secondsLeft[1]) : null;
+
+  if (period > regulation) {
+    return toPhase({ period, periodType: "overtime", remaining, elapsed: 1, break: isBreak });
+  }
+  // Without a time, count the period as half played
+  const intoPeriod = minutes * 60 - (remaining ?? minutes * 30);
+  return toPhase({ period, remaining, elapsed: regulationShare(periods, period, intoPeriod), break: isBreak });
+}
+
+// ─── Innings ──────────────────────────────────────────────────────────────────
+
+function readInnings(text, periods) {
+  const { regulation } = periods;
+  if (text.startsWith("final")) {
+    const innings = text.match(/final\/(\d+)/);
+    const period = innings ? Number(innings[1]) : regulation;
+    return toPhase({ period, periodType: period > regulation ? "overtime" : "regulation", elapsed: 1, final: true });
+  }
+
+  const period = ordinalIn(text);
+  if (!period) return null;
+  const half = text.match(/\b(top|bot|bottom|mid|middle|end)\b/)?.[1];
+  const isBreak = half === "mid" || half === "middle" || half === "end";
+  if (period > regulation) return toPhase({ period, periodType: "overtime", elapsed: 1, break: isBreak });
+  // Half-innings done, counting the one being played as half done
+  const done = 2 * (period - 1) + (HALF_INNINGS[half] ?? 0.5);
+  return toPhase({ period, elapsed: Math.min(done / (2 * regulation), 1), break: isBreak });
+}
+
+// ─── Running match clocks ─────────────────────────────────────────────────────
+
+function readRunning(text, periods) {
+  const { regulation, minutes, overtimeMinutes } = periods;
+  const regulationMinutes = regulation * minutes;
+  const final = /^(ft|final|full|aet)/.test(text);
+
+  if (/\bpen/.test(text)) {
+    return toPhase({ period: shootoutPeriod(periods), periodType: "shootout", elapsed: 1, final });
+  }
+  if (final) {
+    const extra = /aet|\bet\b|extra/.test(text);
+    return toPhase({ period: regulation + (extra ? 2 : 0), periodType: extra ? "overtime" : "regulation", remaining: 0, elapsed: 1, final });
+  }
+  if (/^ht\b|half/.test(text)) {
+    return toPhase({ period: regulation / 2, remaining: 0, elapsed: 0.5, break: true });
+  }
+
+  // "74'", "90'+3'", "45+2" — the minute being played, plus any stoppage time
+  const clock = text.match(/(\d+)'?\s*(?:\+\s*(\d+))?/);
+  if (!clock) return null;
+  const minute = Number(clock[1]);
+  const stoppage = clock[2] != null;
+
+  if (minute > regulationMinutes) {
+    const extra = Math.max(1, Math.min(Math.ceil((minute - regulationMinutes) / overtimeMinutes), 2));
+    const end = regulationMinutes + extra * overtimeMinutes;
+    return toPhase({ period: regulation + extra, periodType: "overtime", remaining: stoppage ? 0 : Math.max(end - minute, 0) * 60, elapsed: 1 });
+  }
+  const period = Math.min(Math.max(Math.ceil(minute / minutes), 1), regulation);
+  const remaining = stoppage ? 0 : Math.max(period * minutes - minute, 0) * 60;
+  return toPhase({ period, remaining, elapsed: Math.min(minute / regulationMinutes, 1) });
+}
+
+const READERS = { countdown: readCountdown, innings: readInnings, running: readRunning };
+
+// ─── Phase ────────────────────────────────────────────────────────────────────
+
+// The game's Phase; `league` is its League description
+export function gamePhase(game, league) {
+  if (game.status === "scheduled" || !league?.periods) return null;
+  const read = READERS[league.periods.clock];
+  const text = (game.clock ?? "").trim().toLowerCase();
+  const current = text && read ? read(text, league.periods) : null;
+  if (game.status !== "final") return current;
+  // A final whose clock didn't say how it ended went the distance in regulation
+  return toPhase({
+    period: league.periods.regulation, remaining: 0, elapsed: 1,
+    ...current, break: false, final: true,
+  });
+}
+
+// How far into the game a phase is, on one scale from kick-off on: `elapsed`
+// through regulation, then on past 1 through the extra periods, each sized by
+// its share of regulation (an NBA overtime adds 5/48). An extra inning counts
+// as half played; a shootout sits where the last extra period ended. Null
+// without a phase or an elapsed share.
+export function gameProgress(phase, league) {
+  if (phase?.elapsed == null) return null;
+  if (!isExtraPeriod(phase)) return phase.elapsed;
+  const { regulation, minutes, overtimeMinutes } = league.periods;
+  const extra = phase.period - regulation;
+  if (!minutes) return 1 + (extra - 0.5) / regulation;
+  const length = (overtimeMinutes ?? minutes) * 60;
+  const played = phase.periodType === "shootout" ? 0 : length - (phase.remaining ?? length / 2);
+  return 1 + ((extra - 1) * length + played) / (regulation * minutes * 60);
+}
+
+// Whether the game went past regulation (overtime, extra innings, extra time, a shootout)
+export function isExtraPeriod(phase) {
+  return phase != null && phase.periodType !== "regulation";
+}
+
+// Whether a live game has reached the part of it where a close score counts
+// as tense: the league's latePeriod, lateMinute of regulation, or any overtime
+export function isLate(phase, league) {
+  if (!phase) return false;
+  if (isExtraPeriod(phase)) return true;
+  const { latePeriod, lateMinute } = league?.tense ?? {};
+  if (latePeriod && phase.period >= latePeriod) return true;
+  const { regulation, minutes } = league?.periods ?? {};
+  return Boolean(lateMinute && minutes && phase.elapsed != null && phase.elapsed * regulation * minutes >= lateMinute);
+}
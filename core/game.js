@@ -0,0 +1,47 @@
+// ─── Game schema ──────────────────────────────────────────────────────────────
+// The shapes everything in core/ reads. core/ is plain JavaScript with no
+// framework or browser/Node APIs, so the client (through Vite) and the server
+// (directly) run the same implementation.
+//
+// Game — one entry of a scoreboard, as the server's adapters normalize it
+// (server/adapters/index.js) and the API serves it:
+//   { id, sport: league slug, status: "scheduled" | "in_progress" | "final",
+//     start_time: ISO string, clock: string | null,
+//     home, away: team abbreviations, keys into teams/score/win_probability,
+//     teams: { [abbr]: { id, name, logo, color } },
+//     score: { [abbr]: number } | null,                    null before kick-off
+//     win_probability: { [abbr]: pct, draw?: pct } | null, pct 0–100
+//     win_probability_source: "upstream" | "model" | null,
+//     spread: { favorite: "PHX -3.5", overUnder } | null,
+//     events: [{ type, player, playerId, clock, isHome }],  soccer goals and cards
+//     homeStats, awayStats: { [statKey]: { label, value } } | null, broadcasts: string[] }
+// Clocks are the provider's text ("5:32 - 4th", "Bot 8th", "90'+3'", "Final/OT");
+// core/clock.js reads them into a Phase.
+//
+// AllGames — every loaded scoreboard: { [slug]: Game[] }
+//
+// ScoreHistory — each live game's score as it changed, oldest first:
+//   { [gameId]: [{ [homeAbbr]: n, [awayAbbr]: n, clock }] }
+//
+// League — a league's description, as /api/leagues serves it (describeLeague
+// in server/leagues.js):
+//   { slug, label, sport,
+//     periods: { regulation, name, overtime, clock: "countdown" | "innings" | "running",
+//                minutes, overtimeMinutes },
+//     tense: { margin, latePeriod?, lateMinute? }, statKeys, seasonStatKeys }
+//
+// Ratings — a league's Elo table, as /api/ratings/:slug serves it (server/elo.js):
+//   { league, base, homeAdvantage,
+//     teams: [{ rank, team: { abbr, id, name, logo, color }, rating, change, games }] }
+
+// Points between the teams in a score ({ [abbr]: n }); missing scores count as 0
+export function scoreMargin(score, home, away) {
+  return Math.abs((score?.[home] ?? 0) - (score?.[away] ?? 0));
+}
+
+// The side ahead in a score, or null when level
+export function leader(score, home, away) {
+  const h = score?.[home] ?? 0;
+  const a = score?.[away] ?? 0;
+  return h > a ? home : a > h ? away : null;
+}
@@ -0,0 +1,243 @@
+import { scoreMargin, leader } from "./game.js";
+import { isSoccer, tenseMargin } from "./leagues.js";
+import { gamePhase, isExtraPeriod, isLate } from "./clock.js";
+import { ratingWinChance } from "./ratings.js";
+
+// ─── Game heuristics ──────────────────────────────────────────────────────────
+// Every call the app makes about games: the Best Bet, Upset Alerts, featured
+// upcoming games, momentum, tension, the best live game, entertainment
+// ratings and recaps. They only read what they're given (shapes in
+// core/game.js), so the cards, notifications and the backtest CLI all run
+// this one implementation — and test/ pins it down for every sport.
+
+// How strong a favorite's lean is, by its win chance (0–100), strongest first
+export const EDGE_TIERS = [
+  { label: "Strong Lean",   min: 75 },
+  { label: "Moderate Lean", min: 62 },
+  { label: "Slight Lean",   min: 52 },
+  { label: "Toss-Up",       min: 0 },
+];
+
+export function edgeLabel(pct) {
+  return EDGE_TIERS.find(t => pct >= t.min).label;
+}
+
+// ─── Best Bet ─────────────────────────────────────────────────────────────────
+// Looks at ALL games across ALL leagues and finds the single most compelling
+// upcoming game based on win probability skew.
+//
+// First tries win_probability data; falls back to spread size if none available.
+// `leagueIds` orders the last-resort pick; it defaults to allGames' own order.
+export function findBestBet(allGames, leagueIds = Object.keys(allGames)) {
+  let best = null;
+  let bestSkew = 0;
+
+  // First pass: prefer games with win_probability data
+  for (const [league, games] of Object.entries(allGames)) {
+    for (const game of games) {
+      if (game.status !== "scheduled" || !game.win_probability) continue;
+
+      const { home, away, win_probability } = game;
+      const homePct = win_probability[home] ?? 50;
+      const awayPct = win_probability[away] ?? 50;
+      const skew = Math.abs(homePct - awayPct);
+
+      if (skew > bestSkew) {
+        bestSkew = skew;
+        best = { game, league, favPct: Math.max(homePct, awayPct) };
+      }
+    }
+  }
+
+  // Second pass: if no win_probability data, fall back to spread size
+  if (!best) {
+    let bestSpreadVal = 0;
+    for (const [league, games] of Object.entries(allGames)) {
+      for (const game of games) {
+        if (game.status !== "scheduled" || !game.spread?.favorite) continue;
+        const match = game.spread.favorite.match(/-?\d+\.?\d*/);
+        const spreadVal = match ? Math.abs(parseFloat(match[0])) : 0;
+        if (spreadVal > bestSpreadVal) {
+          bestSpreadVal = spreadVal;
+          best = { game, league, favPct: null };
+        }
+      }
+    }
+  }
+
+  // Third pass: no odds at all — just surface any upcoming game so the card isn't empty
+  if (!best) {
+    for (const slug of leagueIds) {
+      const next = (allGames[slug] ?? []).find(g => g.status === "scheduled");
+      if (next) { best = { game: next, league: slug, favPct: null }; break; }
+    }
+  }
+
+  return best;
+}
+
+// ─── Upset Alert ──────────────────────────────────────────────────────────────
+// An upset alert means: the underdog is close enough to the favorite that
+// betting on them could pay off. We flag any scheduled game where the
+// probability gap is ≤ 15% (i.e. neither team is a heavy favorite).
+// Upstream odds decide when there are any. Without them the league's Elo
+// ratings do, and the server's model estimate only when the teams are unrated.
+export function isUpsetAlert(game, ratings) {
+  const { win_probability, home, away, teams } = game;
+  const ratedChance = ratingWinChance(ratings, { id: teams[home]?.id, abbr: home }, { id: teams[away]?.id, abbr: away });
+  if (win_probability && (game.win_probability_source !== "model" || ratedChance == null)) {
+    const homePct = win_probability[home] ?? 50;
+    const awayPct = win_probability[away] ?? 50;
+    return Math.abs(homePct - awayPct) <= 15;
+  }
+  return ratedChance != null && Math.abs(2 * ratedChance - 100) <= 15;
+}
+
+// ─── Upcoming notable games ───────────────────────────────────────────────────
+// The 🔥 tab's "coming up" list: scheduled games in `leagues` ranked by matchup
+// quality — close probability gap (toss-up) → clear favourite → any with a
+// spread → earliest tip-off.
+export function findUpcomingNotable(allGames, leagues) {
+  return leagues
+    .flatMap(slug => (allGames[slug] ?? []).filter(g => g.status === "scheduled"))
+    .map(g => {
+      let score = 0;
+      if (g.win_probability) {
+        const home = g.win_probability[g.home] ?? 50;
+        const away = g.win_probability[g.away] ?? 50;
+        const gap = Math.abs(home - away);
+        // Closest matchups score highest; clear favourites still beat "no data"
+        score += gap <= 10 ? 5 : gap <= 20 ? 4 : gap <= 35 ? 3 : gap <= 55 ? 2 : 1;
+      }
+      if (g.spread?.favorite) score += 1;
+      return { g, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || new Date(a.g.start_time) - new Date(b.g.start_time))
+    .slice(0, 6)
+    .map(({ g }) => g);
+}
+
+// ─── Momentum ─────────────────────────────────────────────────────────────────
+// If one team scored between the last two score snapshots and the other
+// didn't, we call that "on a run". Returns that team's abbreviation or null.
+export function getMomentum(scoreHistory, gameId, homeAbbr, awayAbbr) {
+  const history = scoreHistory[gameId];
+  if (!history || history.length < 2) return null;
+
+  const prev = history[history.length - 2];
+  const curr = history[history.length - 1];
+
+  const homeScored = curr[homeAbbr] > prev[homeAbbr];
+  const awayScored = curr[awayAbbr] > prev[awayAbbr];
+
+  if (homeScored && !awayScored) return homeAbbr;
+  if (awayScored && !homeScored) return awayAbbr;
+  return null; // both scored or neither scored
+}
+
+// Score delta between the last two snapshots — who's scoring right now
+export function getScoreDelta(history, homeAbbr, awayAbbr) {
+  if (!history || history.length < 2) return null;
+  const prev = history[history.length - 2];
+  const curr = history[history.length - 1];
+  const hd = (curr[homeAbbr] ?? 0) - (prev[homeAbbr] ?? 0);
+  const ad = (curr[awayAbbr] ?? 0) - (prev[awayAbbr] ?? 0);
+  return (hd === 0 && ad === 0) ? null : { [homeAbbr]: hd, [awayAbbr]: ad };
+}
+
+// ─── Live games ───────────────────────────────────────────────────────────────
+
+// Is this live game currently tense? (close score, late in game — see isLate)
+// `league` is the game's League description.
+export function isTenseMoment(game, league) {
+  if (game.status !== "in_progress" || !game.score) return false;
+  return scoreMargin(game.score, game.home, game.away) <= tenseMargin(league) && isLate(gamePhase(game, league), league);
+}
+
+// How many games in `games` are tense right now. The list may mix leagues
+// (the Following tab); `leagueOf` maps each game's slug to its League description.
+export function countTenseGames(games, leagueOf) {
+  return games.filter(game => isTenseMoment(game, leagueOf(game.sport))).length;
+}
+
+// The single most exciting live game across all leagues, as { game, league: slug }.
+// `leagueOf` maps a slug to its League description.
+export function findBestLiveGame(allGames, scoreHistory, leagueOf) {
+  let best = null, bestScore = -1;
+  for (const [league, games] of Object.entries(allGames)) {
+    for (const game of games) {
+      if (game.status !== "in_progress") continue;
+      const margin = scoreMargin(game.score, game.home, game.away);
+      let excitement = Math.max(0, 15 - margin * 1.5);
+      if (isTenseMoment(game, leagueOf(league))) excitement += 8;
+      excitement += Math.min((scoreHistory?.[game.id] ?? []).length, 5);
+      if (excitement > bestScore) { bestScore = excitement; best = { game, league }; }
+    }
+  }
+  return best;
+}
+
+// ─── Finished games ───────────────────────────────────────────────────────────
+
+// Entertainment rating (1–10) for finished games.
+// Based on margin of victory, lead changes (from score history), and going
+// past regulation.
+export function calcEntertainmentRating(game, scoreHistory, league) {
+  if (game.status !== "final") return null;
+  const margin = scoreMargin(game.score, game.home, game.away);
+  let rating = 5;
+  if (margin === 0)       rating += 2;
+  else if (margin <= 2)   rating += 2.5;
+  else if (margin <= 5)   rating += 1.5;
+  else if (margin <= 10)  rating += 0.5;
+  else if (margin > 20)   rating -= 1.5;
+  const history = scoreHistory?.[game.id] ?? [];
+  if (history.length >= 2) {
+    let changes = 0, prevLead = null;
+    for (const snap of history) {
+      const lead = leader(snap, game.home, game.away);
+      if (prevLead && lead && lead !== prevLead) changes++;
+      if (lead) prevLead = lead;
+    }
+    rating += Math.min(changes * 0.8, 2);
+  }
+  if (isExtraPeriod(gamePhase(game, league))) rating += 1.5;
+  return Math.max(1, Math.min(10, +rating.toFixed(1)));
+}
+
+// The winner's last goal in a soccer game decided by two or fewer — the
+// recap's "sealed it" line
+export function sealingGoal(game, league) {
+  const { home, away, score, events } = game;
+  if (!events?.length || !isSoccer(league)) return null;
+  const winner = (score?.[home] ?? 0) >= (score?.[away] ?? 0) ? home : away;
+  const margin = scoreMargin(score, home, away);
+  const goals = events.filter(e => e.type?.toLowerCase().includes("goal") && !e.type?.toLowerCase().includes("own"));
+  const winGoals = goals.filter(e => (e.isHome && winner === home) || (!e.isHome && winner === away));
+  const last = winGoals[winGoals.length - 1];
+  return last?.player && margin <= 2 ? last : null;
+}
+
+// One-sentence recap for a finished game, or null
+export function generateRecap(game, league) {
+  const { home, away, teams, score } = game;
+  if (game.status !== "final") return null;
+  const homeScore = score?.[home] ?? 0;
+  const awayScore = score?.[away] ?? 0;
+  if (homeScore === 0 && awayScore === 0) return null;
+  const winner = homeScore >= awayScore ? home : away;
+  const loser  = winner === home ? away : home;
+  const winScore  = score[winner];
+  const loseScore = score[loser];
+  const margin = winScore - loseScore;
+  const winName  = teams[winner]?.name ?? winner;
+  const loseName = teams[loser]?.name  ?? loser;
+  let line = `${winName} `;
+  if (margin === 0) line += `drew ${winScore}–${loseScore} with ${loseName}`;
+  else line += `${margin <= 2 ? "edged" : margin <= 6 ? "beat" : "defeated"} ${loseName} ${winScore}–${loseScore}`;
+  if (isExtraPeriod(gamePhase(game, league))) line += " in extra time";
+  const sealer = sealingGoal(game, league);
+  if (sealer) line += ` — ${sealer.player} sealed it${sealer.clock ? ` (${sealer.clock}')` : ""}`;
+  return line + ".";
+}
@@ -0,0 +1,29 @@
+// ─── Sport logic ──────────────────────────────────────────────────────────────
+// Answers that depend on how a league is played, read from its description
+// (League in core/game.js). Nothing here names a league or sport itself.
+
+export function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? "th" : ({ 1: "st", 2: "nd", 3: "rd" }[n % 10] ?? "th");
+  return `${n}${suffix}`;
+}
+
+export function isSoccer(league) {
+  return league?.sport === "soccer";
+}
+
+// "3rd Quarter", "OT2", "Extra Time", "11th Inning" — from the league's period structure
+export function periodName(league, period) {
+  if (period == null) return "Game";
+  const periods = league?.periods;
+  if (!periods) return `Period ${period}`;
+  const { regulation, name, overtime } = periods;
+  if (period <= regulation || overtime == null) return `${ordinal(period)} ${name}`;
+  const extra = period - regulation;
+  if (Array.isArray(overtime)) return overtime[Math.min(extra, overtime.length) - 1];
+  return extra > 1 ? `${overtime}${extra}` : overtime;
+}
+
+// Largest margin that still counts as a close game
+export function tenseMargin(league) {
+  return league?.tense?.margin ?? 5;
+}
@@ -0,0 +1,17 @@
+// ─── Ratings lookups ──────────────────────────────────────────────────────────
+// Reads a league's Elo table (Ratings in core/game.js).
+
+// A team's row — matched by id where both sides have one, else by abbreviation
+export function teamRating(ratings, { id, abbr }) {
+  if (!ratings) return null;
+  return ratings.teams.find(r => (id != null && r.team.id != null ? r.team.id === String(id) : r.team.abbr === abbr)) ?? null;
+}
+
+// Home side's chance (0–100) by the Elo gap plus home advantage, or null if
+// either team is unrated. Draws count half, as in the ratings themselves.
+export function ratingWinChance(ratings, home, away) {
+  const h = teamRating(ratings, home), a = teamRating(ratings, away);
+  if (!h || !a) return null;
+  const diff = h.rating - a.rating + ratings.homeAdvantage;
+  return 100 / (1 + 10 ** (-diff / 400));
+}
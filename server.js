@@ -0,0 +1,31 @@
+// ChalkBoard API server.
+//
+//   node server.js                      live data from ESPN
+//   node server.js --source=fixtures    offline, from server/fixtures/*.json (odds from server/fixtures/odds/)
+//   node server.js --record             also record every scoreboard to sessions/
+//
+// The source can also be set with CHALKBOARD_SOURCE, and the port with PORT.
+
+import { createChalkboardServer } from "./server/app.js";
+import { createAdapter } from "./server/adapters/index.js";
+import { createOddsAdapter } from "./server/odds/index.js";
+import { createRecorder, newSessionPath } from "./server/sessions.js";
+
+const PORT = Number(process.env.PORT) || 3001;
+
+const sourceFlag = process.argv.find(arg => arg.startsWith("--source="));
+const source = sourceFlag?.split("=")[1] ?? process.env.CHALKBOARD_SOURCE ?? "espn";
+
+const adapter = createAdapter(source);
+// Odds follow the data source: live lines with ESPN, recorded ones offline
+const odds = createOddsAdapter(source, { adapter });
+let recorder = null;
+if (process.argv.includes("--record")) {
+  const sessionPath = newSessionPath();
+  recorder = createRecorder(sessionPath);
+  console.log(`Recording scoreboards to ${sessionPath}`);
+}
+
+createChalkboardServer({ adapter, odds, recorder }).listen(PORT, () => {
+  console.log(`ChalkBoard server (${adapter.name}) listening on http://localhost:${PORT}/api`);
+});
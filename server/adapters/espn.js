@@ -0,0 +1,537 @@
+// ─── ESPN adapter ─────────────────────────────────────────────────────────────
+// Live data from ESPN's public site API. Everything ESPN-specific (URL layout,
+// status codes, stat names) stays in this file; the rest of the server only
+// sees normalized games and teams.
+
+import { HttpError } from "../http.js";
+import { createCache } from "../cache.js";
+import { summarizeResults, teamSchedule, headToHead } from "../teamSummary.js";
+import { tallyRecords, buildStandings } from "../standings.js";
+import { allLeagues } from "../leagues.js";
+
+export const ESPN_BASE = "https://site.api.espn.com/apis/site/v2/sports";
+// Standings live under a different API version than everything else
+const ESPN_STANDINGS_BASE = "https://site.api.espn.com/apis/v2/sports";
+// …and athletes (profile, stats, game log) and search under the web API
+const ESPN_ATHLETE_BASE = "https://site.web.api.espn.com/apis/common/v3/sports";
+const ESPN_SEARCH_URL = "https://site.web.api.espn.com/apis/common/v3/search";
+const SEARCH_LIMIT = 20;
+const ROSTER_LIMIT = 15;
+// Seasons of schedules searched for head-to-head meetings, this one included
+const H2H_SEASONS = 3;
+// How far back to look for soccer form guides (5 matches, with room for breaks)
+const FORM_WINDOW_DAYS = 60;
+// How long one scoreboard download serves both scores and odds (server/odds/espn.js)
+const SCOREBOARD_REUSE_MS = 15_000;
+
+// ESPN soccer stat names → the keys the client's STAT_DISPLAY uses
+const STAT_ALIASES = {
+  totalShots:     "shots",
+  wonCorners:     "corners",
+  foulsCommitted: "fouls",
+};
+
+const STATUS_BY_STATE = { pre: "scheduled", in: "in_progress", post: "final" };
+
+export async function fetchJson(url, { timeoutMs = 8000 } = {}) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+  if (response.status === 404) throw new HttpError(404, `ESPN has no data at ${url}`);
+  if (!response.ok) throw new Error(`ESPN responded ${response.status} for ${url}`);
+  return response.json();
+}
+
+function normalizeStats(statistics) {
+  if (!statistics?.length) return null;
+  const stats = {};
+  for (const s of statistics) {
+    const key = STAT_ALIASES[s.name] ?? s.name;
+    if (!key || s.displayValue == null || stats[key]) continue;
+    stats[key] = { label: s.label ?? s.shortDisplayName ?? s.abbreviation ?? key, value: s.displayValue };
+  }
+  return Object.keys(stats).length > 0 ? stats : null;
+}
+
+function normalizeTeam(team) {
+  return {
+    id: team?.id ?? null,
+    name: team?.displayName ?? team?.abbreviation ?? null,
+    logo: team?.logo ?? team?.logos?.[0]?.href ?? null,
+    color: team?.color ?? null,
+  };
+}
+
+function normalizeWinProbability(probability, home, away) {
+  if (!probability || probability.homeWinPercentage == null) return null;
+  const pct = v => +(v * 100).toFixed(1);
+  const wp = { [home]: pct(probability.homeWinPercentage), [away]: pct(probability.awayWinPercentage) };
+  if (probability.tiePercentage > 0) wp.draw = pct(probability.tiePercentage);
+  return wp;
+}
+
+function normalizeEvent(event, slug) {
+  const comp = event.competitions?.[0];
+  const homeC = comp?.competitors?.find(c => c.homeAway === "home");
+  const awayC = comp?.competitors?.find(c => c.homeAway === "away");
+  if (!homeC || !awayC) return null;
+
+  const home = homeC.team.abbreviation;
+  const away = awayC.team.abbreviation;
+  const statusType = comp.status?.type ?? event.status?.type ?? {};
+  const status = STATUS_BY_STATE[statusType.state] ?? "scheduled";
+  const odds = comp.odds?.[0];
+  // Scoreboards send the score as a string, team schedules as { value, displayValue }
+  const scoreOf = c => Number(c.score?.value ?? c.score ?? 0);
+
+  return {
+    id: event.id,
+    sport: slug,
+    status,
+    start_time: event.date,
+    clock: status === "scheduled" ? null : (statusType.shortDetail ?? null),
+    home,
+    away,
+    teams: { [home]: normalizeTeam(homeC.team), [away]: normalizeTeam(awayC.team) },
+    score: status === "scheduled" ? null : { [home]: scoreOf(homeC), [away]: scoreOf(awayC) },
+    win_probability: normalizeWinProbability(comp.situation?.lastPlay?.probability, home, away),
+    spread: odds?.details ? { favorite: odds.details, overUnder: odds.overUnder ?? null } : null,
+    events: (comp.details ?? []).map(d => ({
+      type: d.type?.text ?? null,
+      player: d.athletesInvolved?.[0]?.displayName ?? null,
+      playerId: d.athletesInvolved?.[0]?.id ?? null,
+      clock: d.clock?.displayValue?.replace(/'$/, "") ?? null,
+      isHome: d.team?.id === homeC.team.id,
+    })),
+    homeStats: normalizeStats(homeC.statistics),
+    awayStats: normalizeStats(awayC.statistics),
+    broadcasts: (comp.broadcasts ?? []).flatMap(b => b.names ?? []),
+  };
+}
+
+// Completed games from a team schedule, in the shape summarizeResults expects
+function scheduleResults(schedule, teamId) {
+  const results = [];
+  for (const event of schedule?.events ?? []) {
+    const comp = event.competitions?.[0];
+    if (!comp?.status?.type?.completed) continue;
+    const us = comp.competitors?.find(c => c.team?.id === teamId || c.id === teamId);
+    const them = comp.competitors?.find(c => c !== us);
+    if (!us || !them) continue;
+    results.push({
+      date: event.date,
+      opponent: them.team?.displayName ?? them.team?.abbreviation,
+      isHome: us.homeAway === "home",
+      teamScore: us.score?.value ?? (us.score != null ? Number(us.score) : null),
+      oppScore: them.score?.value ?? (them.score != null ? Number(them.score) : null),
+    });
+  }
+  return results;
+}
+
+function seasonStats(statistics) {
+  const categories = statistics?.results?.stats?.categories ?? statistics?.splits?.categories ?? [];
+  const stats = {};
+  for (const category of categories) {
+    for (const s of category.stats ?? []) {
+      if (stats[s.name] || s.displayValue == null) continue;
+      stats[s.name] = { label: s.displayName ?? s.shortDisplayName ?? s.name, value: s.displayValue };
+    }
+  }
+  return Object.keys(stats).length > 0 ? stats : null;
+}
+
+function rosterPlayers(roster) {
+  // Some sports return a flat athlete list, others group athletes by position
+  const athletes = (roster?.athletes ?? []).flatMap(a => a.items ?? [a]);
+  return athletes.map(a => ({
+    id: a.id,
+    name: a.displayName ?? a.fullName,
+    position: a.position?.abbreviation ?? null,
+    jersey: a.jersey ?? null,
+    headshot: a.headshot?.href ?? null,
+  }));
+}
+
+function playerRef(athlete, extra = {}) {
+  return {
+    id: athlete?.id ?? null,
+    name: athlete?.displayName ?? athlete?.fullName ?? null,
+    position: extra.position?.abbreviation ?? athlete?.position?.abbreviation ?? null,
+    jersey: extra.jersey ?? athlete?.jersey ?? null,
+  };
+}
+
+// Most sports list plays flat; football nests them in drives, and soccer has
+// a commentary feed (every touch worth mentioning) with keyEvents as fallback.
+function rawPlays(summary) {
+  if (summary.plays?.length) return summary.plays;
+  if (summary.drives) {
+    const drives = [...(summary.drives.previous ?? []), summary.drives.current].filter(Boolean);
+    const seen = new Set();
+    return drives.flatMap(d => d.plays ?? []).filter(p => !seen.has(p.id) && seen.add(p.id));
+  }
+  if (summary.commentary?.length) {
+    return summary.commentary.map(c => ({ ...c.play, id: c.play?.id ?? c.sequence, text: c.text, clock: c.time }));
+  }
+  return summary.keyEvents ?? [];
+}
+
+function normalizePlays(summary, home, away, abbrByTeam) {
+  return rawPlays(summary).map((p, i) => ({
+    id: String(p.id ?? p.sequenceNumber ?? i),
+    period: p.period?.number ?? null,
+    clock: p.clock?.displayValue ?? null,
+    type: p.type?.text ?? null,
+    text: p.text ?? p.shortText ?? "",
+    team: abbrByTeam[p.team?.id] ?? abbrByTeam[p.team?.displayName] ?? null,
+    scoring: Boolean(p.scoringPlay),
+    score: p.homeScore != null && p.awayScore != null ? { [home]: p.homeScore, [away]: p.awayScore } : null,
+  }));
+}
+
+function normalizeBoxScore(boxscore, abbrByTeam) {
+  if (!boxscore?.players?.length) return null;
+  const result = {};
+  for (const entry of boxscore.players) {
+    const abbr = entry.team?.abbreviation ?? abbrByTeam[entry.team?.id];
+    result[abbr] = (entry.statistics ?? []).map(group => {
+      const keys = group.keys ?? group.names ?? group.labels ?? [];
+      const columns = keys.map((key, i) => ({ key, label: group.labels?.[i] ?? key }));
+      const row = values => Object.fromEntries(columns.map((c, i) => [c.key, values?.[i] ?? null]));
+      return {
+        // Football splits passing/rushing/…, baseball batting/pitching; basketball has one unnamed group
+        name: group.name ? group.name[0].toUpperCase() + group.name.slice(1) : null,
+        columns,
+        totals: group.totals?.length ? row(group.totals) : null,
+        players: (group.athletes ?? []).filter(a => !a.didNotPlay).map(a => ({
+          ...playerRef(a.athlete, a),
+          starter: Boolean(a.starter),
+          stats: row(a.stats),
+        })),
+      };
+    });
+  }
+  return result;
+}
+
+// Soccer publishes lineups with formations; elsewhere the box score's starter
+// flags are the best we have (and some sports don't set them at all).
+function normalizeLineups(summary, boxScore) {
+  const lineups = {};
+  if (summary.rosters?.length) {
+    for (const r of summary.rosters) {
+      const players = (r.roster ?? []).map(p => ({ ...playerRef(p.athlete, p), starter: Boolean(p.starter) }));
+      lineups[r.team?.abbreviation] = {
+        formation: r.formation ?? null,
+        starters: players.filter(p => p.starter).map(({ starter, ...p }) => p),
+        bench: players.filter(p => !p.starter).map(({ starter, ...p }) => p),
+      };
+    }
+  } else {
+    for (const [abbr, groups] of Object.entries(boxScore ?? {})) {
+      const players = new Map();
+      for (const p of groups.flatMap(g => g.players)) if (!players.has(p.id)) players.set(p.id, p);
+      const all = Array.from(players.values()).map(({ stats, ...p }) => p);
+      if (!all.some(p => p.starter)) continue;
+      lineups[abbr] = {
+        formation: null,
+        starters: all.filter(p => p.starter).map(({ starter, ...p }) => p),
+        bench: all.filter(p => !p.starter).map(({ starter, ...p }) => p),
+      };
+    }
+  }
+  return Object.keys(lineups).length > 0 ? lineups : null;
+}
+
+function normalizeVenue(gameInfo) {
+  const venue = gameInfo?.venue;
+  if (!venue) return null;
+  const { city, state } = venue.address ?? {};
+  return { name: venue.fullName ?? null, city: [city, state].filter(Boolean).join(", ") || null, capacity: venue.capacity ?? null };
+}
+
+function normalizeSummary(summary, slug) {
+  const comp = summary.header?.competitions?.[0];
+  const game = comp && normalizeEvent({ id: summary.header.id, date: comp.date, competitions: [comp] }, slug);
+  if (!game) throw new Error(`ESPN summary for ${slug} game ${summary.header?.id} has no competitors`);
+  const { home, away } = game;
+
+  // Plays and box scores refer to teams by id (or, in soccer commentary, by name)
+  const abbrByTeam = {};
+  for (const c of comp.competitors) {
+    abbrByTeam[c.team.id] = c.team.abbreviation;
+    abbrByTeam[c.team.displayName] = c.team.abbreviation;
+  }
+  const teamStats = Object.fromEntries((summary.boxscore?.teams ?? [])
+    .map(t => [t.team?.abbreviation ?? abbrByTeam[t.team?.id], normalizeStats(t.statistics)]));
+  const boxScore = normalizeBoxScore(summary.boxscore, abbrByTeam);
+  const odds = summary.pickcenter?.[0];
+
+  return {
+    ...game,
+    win_probability: normalizeWinProbability(summary.winprobability?.at(-1), home, away) ?? game.win_probability,
+    spread: game.spread ?? (odds?.details ? { favorite: odds.details, overUnder: odds.overUnder ?? null } : null),
+    homeStats: teamStats[home] ?? game.homeStats,
+    awayStats: teamStats[away] ?? game.awayStats,
+    venue: normalizeVenue(summary.gameInfo),
+    attendance: summary.gameInfo?.attendance || null,
+    plays: normalizePlays(summary, home, away, abbrByTeam),
+    boxScore,
+    lineups: normalizeLineups(summary, boxScore),
+  };
+}
+
+// Standings entries → { team, conference, division, record } for buildStandings.
+// ?level=3 nests conferences → divisions; a single-table league has one child.
+function standingsEntries(data) {
+  const conferences = data.children ?? [data];
+  const entries = [];
+  const stat = (entry, name) => entry.stats?.find(s => s.name === name);
+  const count = (entry, name) => Number(stat(entry, name)?.value ?? 0);
+
+  const collect = (node, conference, division) => {
+    for (const entry of node.standings?.entries ?? []) {
+      const streak = /^([WLTD])(\d+)$/.exec(stat(entry, "streak")?.displayValue ?? "");
+      entries.push({
+        team: { abbr: entry.team?.abbreviation, ...normalizeTeam(entry.team) },
+        conference,
+        division,
+        record: {
+          wins: count(entry, "wins"),
+          losses: count(entry, "losses"),
+          ties: count(entry, "ties"),
+          otLosses: count(entry, "otLosses"),
+          pointsFor: count(entry, "pointsFor"),
+          pointsAgainst: count(entry, "pointsAgainst"),
+          streak: streak ? { type: streak[1] === "T" ? "D" : streak[1], count: +streak[2] } : null,
+          form: null,
+        },
+      });
+    }
+    for (const child of node.children ?? []) collect(child, conference, child.name);
+  };
+
+  for (const conf of conferences) collect(conf, conferences.length > 1 ? conf.name : null, null);
+  return entries;
+}
+
+// ─── Players ──────────────────────────────────────────────────────────────────
+
+const BIO_FIELDS = [
+  ["displayHeight", "Height"],
+  ["displayWeight", "Weight"],
+  ["age", "Age"],
+  ["displayBirthPlace", "Born"],
+  ["displayExperience", "Experience"],
+];
+
+function playerTeam(team) {
+  return team ? { abbr: team.abbreviation ?? null, ...normalizeTeam(team) } : null;
+}
+
+function playerBio(athlete) {
+  return BIO_FIELDS
+    .filter(([field]) => athlete[field] != null && athlete[field] !== "")
+    .map(([field, label]) => ({ label, value: String(athlete[field]) }));
+}
+
+// The overview's statistics block: one split per season type, first is current
+function playerSeasonStats(overview) {
+  const block = overview?.statistics;
+  const split = block?.splits?.[0];
+  if (!split?.stats?.length) return [];
+  const stats = {};
+  (block.names ?? block.labels ?? []).forEach((name, i) => {
+    if (split.stats[i] == null) return;
+    stats[name] = { label: block.labels?.[i] ?? name, value: String(split.stats[i]) };
+  });
+  return [{ name: null, stats }];
+}
+
+// "112-104" is winner first, so the result says which side is ours
+function gameLogScores(event) {
+  const [a, b] = (event.score ?? "").split("-").map(Number);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return { teamScore: null, oppScore: null };
+  const high = Math.max(a, b), low = Math.min(a, b);
+  return event.gameResult === "L" ? { teamScore: low, oppScore: high } : { teamScore: high, oppScore: low };
+}
+
+// The game log lists stats per event under month-by-month categories; it
+// becomes one log, newest first
+function playerGameLog(gamelog) {
+  const names = gamelog?.names ?? [];
+  if (!names.length) return [];
+  const columns = names.map((key, i) => ({ key, label: gamelog.labels?.[i] ?? key }));
+  const lines = (gamelog.seasonTypes?.[0]?.categories ?? []).flatMap(c => c.events ?? []);
+  const games = lines.map(({ eventId, stats }) => {
+    const event = gamelog.events?.[eventId] ?? {};
+    const opponent = event.opponent ?? {};
+    return {
+      id: eventId,
+      date: event.gameDate ?? null,
+      status: "final",
+      clock: null,
+      isHome: event.atVs !== "@",
+      opponent: { abbr: opponent.abbreviation ?? null, id: opponent.id ?? null, name: opponent.displayName ?? opponent.abbreviation ?? null, logo: opponent.logo ?? null },
+      ...gameLogScores(event),
+      result: event.gameResult === "T" ? "D" : event.gameResult ?? null,
+      stats: Object.fromEntries(columns.map((c, i) => [c.key, stats?.[i] ?? null])),
+    };
+  }).sort((a, b) => new Date(b.date) - new Date(a.date));
+  return games.length ? [{ name: null, columns, games }] : [];
+}
+
+// ESPN's search spans every sport; keep the players from leagues we carry
+function searchResults(data, leagues) {
+  const bySegment = new Map(leagues.map(l => [l.espnPath.split("/").pop(), l.slug]));
+  return (data.items ?? [])
+    .filter(item => item.type === "player" && bySegment.has(item.league))
+    .map(item => {
+      const team = item.teamRelationships?.[0]?.core;
+      return {
+        id: item.id,
+        name: item.displayName,
+        league: bySegment.get(item.league),
+        position: item.position?.abbreviation ?? null,
+        jersey: item.jersey ?? null,
+        headshot: item.headshot?.href ?? null,
+        team: team ? { abbr: team.abbreviation ?? null, id: team.id ?? null, name: team.displayName ?? null, logo: team.logos?.[0]?.href ?? null } : null,
+      };
+    });
+}
+
+const ymd = date => date.toISOString().slice(0, 10).replace(/-/g, "");
+
+export function createEspnAdapter({
+  baseUrl = ESPN_BASE,
+  standingsBaseUrl = ESPN_STANDINGS_BASE,
+  athleteBaseUrl = ESPN_ATHLETE_BASE,
+  searchUrl = ESPN_SEARCH_URL,
+} = {}) {
+  const cached = createCache();
+
+  // The raw ESPN scoreboard response. Not part of the adapter interface: the
+  // ESPN odds adapter reads its lines from it, so scores and odds share a download.
+  function fetchScoreboard(league) {
+    return cached(league.espnPath, SCOREBOARD_REUSE_MS, () => fetchJson(`${baseUrl}/${league.espnPath}/scoreboard`));
+  }
+
+  async function getScoreboard(league) {
+    const data = await fetchScoreboard(league);
+    return (data.events ?? []).map(e => normalizeEvent(e, league.slug)).filter(Boolean);
+  }
+
+  async function getTeam(league, teamId) {
+    const teamUrl = `${baseUrl}/${league.espnPath}/teams/${encodeURIComponent(teamId)}`;
+    // The team itself is required; schedule, stats and roster are best-effort
+    const [teamData, schedule, statistics, roster] = await Promise.allSettled([
+      fetchJson(teamUrl),
+      fetchJson(`${teamUrl}/schedule`),
+      fetchJson(`${teamUrl}/statistics`),
+      fetchJson(`${teamUrl}/roster`),
+    ]);
+    if (teamData.status === "rejected") throw teamData.reason;
+    const value = r => (r.status === "fulfilled" ? r.value : null);
+
+    const team = teamData.value.team;
+    const summary = summarizeResults(scheduleResults(value(schedule), team.id));
+    const players = rosterPlayers(value(roster));
+    const games = (value(schedule)?.events ?? []).map(e => normalizeEvent(e, league.slug)).filter(Boolean);
+    const upstreamRecord = team.record?.items?.[0]?.summary;
+
+    return {
+      ...normalizeTeam(team),
+      abbr: team.abbreviation,
+      seasonStats: seasonStats(value(statistics)),
+      topPlayers: players.slice(0, ROSTER_LIMIT),
+      roster: players,
+      schedule: teamSchedule(games, team.id),
+      ...summary,
+      record: upstreamRecord ? { summary: upstreamRecord } : summary.record,
+    };
+  }
+
+  // This season's schedule says which season it is; earlier ones are best-effort
+  async function getHeadToHead(league, teamId, opponentId) {
+    const scheduleUrl = `${baseUrl}/${league.espnPath}/teams/${encodeURIComponent(teamId)}/schedule`;
+    const current = await fetchJson(scheduleUrl);
+    const year = current.season?.year ?? new Date().getFullYear();
+    const earlier = await Promise.allSettled(
+      Array.from({ length: H2H_SEASONS - 1 }, (_, i) => fetchJson(`${scheduleUrl}?season=${year - i - 1}`))
+    );
+    const schedules = [current, ...earlier.filter(r => r.status === "fulfilled").map(r => r.value)];
+    const games = schedules.flatMap(s => (s.events ?? []).map(e => normalizeEvent(e, league.slug))).filter(Boolean);
+    return headToHead(games, teamId, opponentId);
+  }
+
+  async function getGame(league, gameId) {
+    const summary = await fetchJson(`${baseUrl}/${league.espnPath}/summary?event=${encodeURIComponent(gameId)}`);
+    return normalizeSummary(summary, league.slug);
+  }
+
+  // The scoreboard takes whole (UTC) days, so ask for every day the range
+  // touches and trim to the exact bounds
+  async function getSchedule(league, from, to) {
+    const lastDay = new Date(to.getTime() - 1);
+    const data = await fetchJson(`${baseUrl}/${league.espnPath}/scoreboard?dates=${ymd(from)}-${ymd(lastDay)}&limit=1000`);
+    return (data.events ?? [])
+      .map(e => normalizeEvent(e, league.slug))
+      .filter(g => g && Date.parse(g.start_time) >= from.getTime() && Date.parse(g.start_time) < to.getTime())
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+  }
+
+  // Recent results for soccer form guides
+  async function recentResults(league) {
+    const to = new Date();
+    const from = new Date(to.getTime() - FORM_WINDOW_DAYS * 86_400_000);
+    return (await getSchedule(league, from, to))
+      .filter(g => g.status === "final")
+      .map(g => ({ date: g.start_time, home: g.home, away: g.away, score: g.score }));
+  }
+
+  async function getStandings(league) {
+    const [data, results] = await Promise.all([
+      fetchJson(`${standingsBaseUrl}/${league.espnPath}/standings?level=3`),
+      // Form guides are a nice-to-have; the table stands without them
+      league.sport === "soccer" ? recentResults(league).catch(() => []) : [],
+    ]);
+    const form = tallyRecords(results, league.sport);
+    const entries = standingsEntries(data).map(e => ({
+      ...e,
+      record: { ...e.record, form: form.get(e.team.abbr)?.form ?? null },
+    }));
+    return buildStandings(league, entries);
+  }
+
+  async function getPlayer(league, playerId) {
+    const athleteUrl = `${athleteBaseUrl}/${league.espnPath}/athletes/${encodeURIComponent(playerId)}`;
+    // The profile is required; stats and the game log are best-effort
+    const [profile, overview, gamelog] = await Promise.allSettled([
+      fetchJson(athleteUrl),
+      fetchJson(`${athleteUrl}/overview`),
+      fetchJson(`${athleteUrl}/gamelog`),
+    ]);
+    if (profile.status === "rejected") throw profile.reason;
+    const value = r => (r.status === "fulfilled" ? r.value : null);
+
+    const athlete = profile.value.athlete ?? profile.value;
+    return {
+      id: athlete.id,
+      name: athlete.displayName ?? athlete.fullName,
+      league: league.slug,
+      position: athlete.position?.abbreviation ?? null,
+      jersey: athlete.jersey ?? null,
+      headshot: athlete.headshot?.href ?? null,
+      team: playerTeam(athlete.team),
+      bio: playerBio(athlete),
+      seasonStats: playerSeasonStats(value(overview)),
+      gameLog: playerGameLog(value(gamelog)),
+    };
+  }
+
+  async function searchPlayers(query, leagues = allLeagues()) {
+    const data = await fetchJson(`${searchUrl}?query=${encodeURIComponent(query)}&type=player&limit=${SEARCH_LIMIT * 2}`);
+    return searchResults(data, leagues).slice(0, SEARCH_LIMIT);
+  }
+
+  return { name: "espn", fetchScoreboard, getScoreboard, getSchedule, getTeam, getHeadToHead, getGame, getStandings, getPlayer, searchPlayers };
+}
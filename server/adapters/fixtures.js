@@ -0,0 +1,267 @@
+// ─── Fixture adapter ──────────────────────────────────────────────────────────
+// Serves recorded scoreboards from server/fixtures/<slug>.json so the app runs
+// with no network. Fixture dates are shifted forward by whole days so that a
+// file captured last month still shows its games as "Today".
+//
+// Fixture file shape:
+//   { captured_at, teams: { [abbr]: { id, name, conference?, division?, color, logo, venue, seasonStats, topPlayers, roster } },
+//     games: [Game without sport/teams], results: [{ id, date, home, away, score, overtime? }],
+//     upcoming: [{ id, date, home, away }],
+//     details: { [gameId]: { homeStats, awayStats, attendance, plays, boxScore, lineups } } }
+// `details` only covers games that have started; the venue is the home team's.
+// Players are the teams' rosters; events find their player there by name.
+// Standings are tallied from `results` plus the finished games. The schedule is
+// `results`, then the scoreboard's games, then `upcoming`.
+
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { HttpError } from "../http.js";
+import { summarizeResults, teamSchedule, headToHead } from "../teamSummary.js";
+import { tallyRecords, buildStandings } from "../standings.js";
+import { totalStats, rankPlayers } from "../playerSummary.js";
+import { allLeagues, describeLeague } from "../leagues.js";
+import { gamePhase, isExtraPeriod } from "../../core/clock.js";
+
+const DEFAULT_DIR = fileURLToPath(new URL("../fixtures/", import.meta.url));
+const DAY_MS = 86_400_000;
+
+// load(slug) → the parsed <slug>.json in `fixtureDir`, read once; `empty` when
+// there is no such file. The fixture odds adapter reads its files the same way.
+export function fixtureFiles(fixtureDir, empty) {
+  const files = new Map();
+
+  return async function load(slug) {
+    if (!files.has(slug)) {
+      const promise = readFile(path.join(fixtureDir, `${slug}.json`), "utf8")
+        .then(text => JSON.parse(text))
+        .catch(err => {
+          if (err.code === "ENOENT") return empty;
+          throw err;
+        });
+      files.set(slug, promise);
+    }
+    return files.get(slug);
+  };
+}
+
+export function createFixtureAdapter({ fixtureDir = DEFAULT_DIR, now = () => Date.now() } = {}) {
+  // Leagues without a fixture file simply have no games
+  const load = fixtureFiles(fixtureDir, { captured_at: null, teams: {}, games: [], results: [], upcoming: [] });
+
+  function dayShift(fixture) {
+    if (!fixture.captured_at) return 0;
+    return Math.round((now() - Date.parse(fixture.captured_at)) / DAY_MS) * DAY_MS;
+  }
+
+  const shiftDate = (iso, shift) => new Date(Date.parse(iso) + shift).toISOString();
+
+  // Every completed game in the file, as { date, home, away, score, overtime? };
+  // scoreboard finals went to overtime when their clock says so ("Final/OT", "Final/SO")
+  function finishedGames(fixture, league) {
+    const described = describeLeague(league);
+    return [
+      ...fixture.results,
+      ...fixture.games
+        .filter(g => g.status === "final")
+        .map(g => ({
+          date: g.start_time, home: g.home, away: g.away, score: g.score,
+          overtime: isExtraPeriod(gamePhase(g, described)),
+        })),
+    ];
+  }
+
+  function teamRef(fixture, abbr) {
+    const t = fixture.teams[abbr];
+    return { id: t?.id ?? null, name: t?.name ?? abbr, logo: t?.logo ?? null, color: t?.color ?? null };
+  }
+
+  function rosterOf(team) {
+    return team?.roster ?? team?.topPlayers ?? [];
+  }
+
+  // Events name players; the team's roster says who they are
+  function withPlayerIds(fixture, game) {
+    if (!game.events?.length) return game.events;
+    return game.events.map(e => {
+      const team = fixture.teams[e.isHome ? game.home : game.away];
+      const player = e.player && rosterOf(team).find(p => p.name === e.player);
+      return { ...e, playerId: player?.id ?? null };
+    });
+  }
+
+  function toGame(fixture, league, game) {
+    return {
+      events: [],
+      homeStats: null,
+      awayStats: null,
+      win_probability: null,
+      spread: null,
+      broadcasts: [],
+      clock: null,
+      score: null,
+      ...game,
+      events: withPlayerIds(fixture, game) ?? [],
+      sport: league.slug,
+      start_time: shiftDate(game.start_time, dayShift(fixture)),
+      teams: { [game.home]: teamRef(fixture, game.home), [game.away]: teamRef(fixture, game.away) },
+    };
+  }
+
+  async function getScoreboard(league) {
+    const fixture = await load(league.slug);
+    return fixture.games.map(game => toGame(fixture, league, game));
+  }
+
+  // Every game in the file, oldest first
+  async function allGames(league) {
+    const fixture = await load(league.slug);
+    const finalClock = overtime => (league.sport === "soccer" ? "FT" : overtime ? "Final/OT" : "Final");
+    const played = fixture.results.map(({ date, overtime, ...r }) =>
+      ({ ...r, start_time: date, status: "final", clock: finalClock(overtime) }));
+    const upcoming = (fixture.upcoming ?? []).map(({ date, ...u }) =>
+      ({ ...u, start_time: date, status: "scheduled" }));
+    return [...played, ...fixture.games, ...upcoming].map(game => toGame(fixture, league, game));
+  }
+
+  async function getSchedule(league, from, to) {
+    return (await allGames(league)).filter(g => {
+      const start = Date.parse(g.start_time);
+      return start >= from.getTime() && start < to.getTime();
+    });
+  }
+
+  function findTeam(fixture, league, teamId) {
+    const abbr = Object.keys(fixture.teams).find(a => fixture.teams[a].id === teamId);
+    if (!abbr) throw new HttpError(404, `No team ${teamId} in ${league.slug}`);
+    return abbr;
+  }
+
+  async function getTeam(league, teamId) {
+    const fixture = await load(league.slug);
+    const abbr = findTeam(fixture, league, teamId);
+    const team = fixture.teams[abbr];
+    const shift = dayShift(fixture);
+
+    const results = finishedGames(fixture, league)
+      .filter(g => g.home === abbr || g.away === abbr)
+      .map(g => {
+        const isHome = g.home === abbr;
+        const opp = isHome ? g.away : g.home;
+        return {
+          date: shiftDate(g.date, shift),
+          opponent: fixture.teams[opp]?.name ?? opp,
+          isHome,
+          teamScore: g.score?.[abbr] ?? null,
+          oppScore: g.score?.[opp] ?? null,
+        };
+      });
+
+    return {
+      id: team.id,
+      name: team.name,
+      abbr,
+      logo: team.logo ?? null,
+      color: team.color ?? null,
+      seasonStats: team.seasonStats ?? null,
+      topPlayers: team.topPlayers ?? [],
+      roster: team.roster ?? team.topPlayers ?? [],
+      schedule: teamSchedule(await allGames(league), team.id),
+      ...summarizeResults(results),
+    };
+  }
+
+  async function getHeadToHead(league, teamId, opponentId) {
+    findTeam(await load(league.slug), league, teamId);
+    return headToHead(await allGames(league), teamId, opponentId);
+  }
+
+  async function getGame(league, gameId) {
+    const fixture = await load(league.slug);
+    const game = (await allGames(league)).find(g => g.id === gameId);
+    if (!game) throw new HttpError(404, `No game ${gameId} in ${league.slug}`);
+    const detail = fixture.details?.[gameId] ?? {};
+    return {
+      ...game,
+      homeStats: detail.homeStats ?? game.homeStats,
+      awayStats: detail.awayStats ?? game.awayStats,
+      venue: fixture.teams[game.home]?.venue ?? null,
+      attendance: detail.attendance ?? null,
+      plays: detail.plays ?? [],
+      boxScore: detail.boxScore ?? null,
+      lineups: detail.lineups ?? null,
+    };
+  }
+
+  // Season totals and game logs come from the box scores in `details`, so they
+  // only cover the handful of games the file has details for
+  async function getPlayer(league, playerId) {
+    const fixture = await load(league.slug);
+    const abbr = Object.keys(fixture.teams).find(a => rosterOf(fixture.teams[a]).some(p => p.id === playerId));
+    if (!abbr) throw new HttpError(404, `No player ${playerId} in ${league.slug}`);
+    const team = fixture.teams[abbr];
+    const player = rosterOf(team).find(p => p.id === playerId);
+
+    // One game log per box-score group the player shows up in (a quarterback
+    // passes and rushes), newest game first
+    const logs = new Map();
+    const schedule = teamSchedule(await allGames(league), team.id).reverse();
+    for (const entry of schedule) {
+      for (const group of fixture.details?.[entry.id]?.boxScore?.[abbr] ?? []) {
+        const line = group.players.find(p => p.id === playerId);
+        if (!line) continue;
+        if (!logs.has(group.name)) logs.set(group.name, { name: group.name, columns: group.columns, games: [] });
+        logs.get(group.name).games.push({ ...entry, stats: line.stats });
+      }
+    }
+    const gameLog = [...logs.values()];
+
+    return {
+      id: player.id,
+      name: player.name,
+      league: league.slug,
+      position: player.position ?? null,
+      jersey: player.jersey ?? null,
+      headshot: player.headshot ?? null,
+      team: { abbr, ...teamRef(fixture, abbr) },
+      bio: [],
+      seasonStats: gameLog.map(log => ({ name: log.name, stats: totalStats(log.columns, log.games.map(g => g.stats)) })),
+      gameLog,
+    };
+  }
+
+  async function searchPlayers(query, leagues = allLeagues()) {
+    const players = [];
+    for (const league of leagues) {
+      const fixture = await load(league.slug);
+      for (const [abbr, team] of Object.entries(fixture.teams)) {
+        for (const p of rosterOf(team)) {
+          players.push({
+            id: p.id,
+            name: p.name,
+            league: league.slug,
+            position: p.position ?? null,
+            jersey: p.jersey ?? null,
+            headshot: p.headshot ?? null,
+            team: { abbr, id: team.id, name: team.name, logo: team.logo ?? null },
+          });
+        }
+      }
+    }
+    return rankPlayers(players, query);
+  }
+
+  async function getStandings(league) {
+    const fixture = await load(league.slug);
+    const records = tallyRecords(finishedGames(fixture, league), league.sport);
+    const entries = Object.entries(fixture.teams).map(([abbr, team]) => ({
+      team: { abbr, ...teamRef(fixture, abbr) },
+      conference: team.conference ?? null,
+      division: team.division ?? null,
+      record: records.get(abbr) ?? null,
+    }));
+    return buildStandings(league, entries);
+  }
+
+  return { name: "fixtures", getScoreboard, getSchedule, getTeam, getHeadToHead, getGame, getStandings, getPlayer, searchPlayers };
+}
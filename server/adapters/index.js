@@ -0,0 +1,77 @@
+// ─── Data-source adapters ─────────────────────────────────────────────────────
+// The HTTP layer never talks to an upstream provider directly; it goes through
+// an adapter chosen at startup. Every adapter implements the same interface and
+// returns data already normalized to the shapes the client reads.
+//
+// Adapter interface:
+//   name                                 short identifier, shown in /api/health
+//   getScoreboard(league) → Game[]       current scoreboard for one league
+//   getSchedule(league, from, to) → Game[] games starting in [from, to) (Dates), oldest first
+//   getTeam(league, teamId) → TeamDetail season summary for one team
+//   getHeadToHead(league, teamId, opponentId) → HeadToHead   meetings between two teams
+//   getGame(league, gameId) → GameDetail everything known about one game
+//   getStandings(league) → Standings     ranked tables, built by server/standings.js
+//   getPlayer(league, playerId) → PlayerDetail   profile, season stats and game log
+//   searchPlayers(query, leagues) → PlayerMatch[] players in those leagues whose names match, best first
+//
+// `league` is an entry from server/leagues.js ({ slug, sport, espnPath }).
+// Adapters throw HttpError(404) for unknown teams, games and players; any other error is treated
+// as an upstream failure.
+//
+// Game: the shape documented in core/game.js, which the client and the shared
+// heuristics read. Adapters pass upstream win probabilities through untouched
+// (null when there are none); the API fills the gaps from
+// server/winProbability.js and adds win_probability_source.
+//
+// GameDetail: a Game whose homeStats/awayStats hold every team stat available
+// (not just the scoreboard's handful), plus
+//   venue: { name, city, capacity } | null, attendance: number | null,
+//   plays: [{ id, period, clock, type, text, team: abbr | null, scoring, score: { [abbr]: n } | null }],
+//   boxScore: { [abbr]: [{ name, columns: [{ key, label }], totals: { [key]: value } | null,
+//                          players: [{ id, name, position, jersey, starter, stats: { [key]: value } }] }] } | null,
+//   lineups: { [abbr]: { formation, starters: Player[], bench: Player[] } } | null
+// where Player is { id, name, position, jersey }. Plays are in game order.
+//
+// Standings:
+//   { league, columns: [{ key, label }], zones: [{ id, label, color }],
+//     groups: [{ name: conference | null, rows: Row[], divisions: [{ name, rows: Row[] }] }] }
+//   Row: { rank, team: { id, abbr, name, logo, color }, stats: { [key]: display string },
+//          form: ("W" | "D" | "L")[] | null, zone: zoneId | null }
+// Soccer leagues without conferences have one group named null; form is soccer-only.
+//
+// TeamDetail:
+//   { id, name, abbr, logo, color, record: { summary }, streak: { type, count },
+//     seasonStats: { [statKey]: { label, value } }, recentGames, bestGame,
+//     worstGame, topPlayers: Player[], roster: Player[], schedule: ScheduleEntry[] }
+// where Player here is { id, name, position, jersey, headshot } and the schedule
+// is the whole season, oldest first:
+//   ScheduleEntry: { id, date, status, clock, isHome, opponent: { abbr, id, name, logo },
+//                    teamScore, oppScore, result: "W" | "L" | "D" | null }
+//
+// HeadToHead: { opponent, record: { wins, losses, draws }, games: ScheduleEntry[] }
+// with games newest first, from the first team's side.
+//
+// PlayerDetail:
+//   { id, name, league, position, jersey, headshot, team: { id, abbr, name, logo, color } | null,
+//     bio: [{ label, value }], seasonStats: [{ name, stats: { [key]: { label, value } } }],
+//     gameLog: [{ name, columns: [{ key, label }], games: (ScheduleEntry & { stats: { [key]: value } })[] }] }
+// seasonStats and gameLog have a group per box-score group (football's
+// Passing, Rushing, …; name null where the sport has one); games newest first.
+//
+// PlayerMatch: { id, name, league, position, jersey, headshot, team: { id, abbr, name, logo } | null }
+
+import { createEspnAdapter } from "./espn.js";
+import { createFixtureAdapter } from "./fixtures.js";
+
+const ADAPTERS = {
+  espn: createEspnAdapter,
+  fixtures: createFixtureAdapter,
+};
+
+export function createAdapter(name, options = {}) {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown data source "${name}" (expected one of: ${Object.keys(ADAPTERS).join(", ")})`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,258 @@
+// ─── ChalkBoard API ───────────────────────────────────────────────────────────
+// Route table for the HTTP API the React client talks to. All data comes from
+// the adapter passed in, so the same routes serve live ESPN data or fixtures.
+
+import http from "node:http";
+import { createRouter, HttpError, readJson, sendJson } from "./http.js";
+import { createCache } from "./cache.js";
+import { getLeague, allLeagues, leagueRegistry } from "./leagues.js";
+import { listSessions, loadSession, DEFAULT_SESSIONS_DIR } from "./sessions.js";
+import { createLiveFeed } from "./liveFeed.js";
+import { playElo, ratingsTable } from "./elo.js";
+import { createWinProbabilityModel, withModelProbability } from "./winProbability.js";
+import { calibrationReport } from "./calibration.js";
+import { createLineTracker, summarizeOdds } from "./oddsSummary.js";
+import { createPickem, DEFAULT_PICKEM_FILE } from "./pickem.js";
+
+const SCORES_TTL = 15_000;
+const SCHEDULE_TTL = 60_000;
+const MAX_RANGE_DAYS = 62;
+const TEAM_TTL = 5 * 60_000;
+const STANDINGS_TTL = 5 * 60_000;
+const PLAYER_TTL = 5 * 60_000;
+const SEARCH_TTL = 10 * 60_000;
+const MIN_QUERY_LENGTH = 2;
+const RATINGS_TTL = 60 * 60_000;
+const RATINGS_RETRY = 5 * 60_000;
+const RESULTS_WINDOW_DAYS = 120;
+const RESULTS_CHUNK_DAYS = 30;
+const ODDS_TTL = 60_000;
+const STREAM_HEARTBEAT = 15_000;
+const STREAM_RETRY = 5_000;
+
+function requireLeague(slug) {
+  const league = getLeague(slug);
+  if (!league) throw new HttpError(404, `Unknown league "${slug}"`);
+  return league;
+}
+
+// ?from=&to= as ISO dates or timestamps, covering games that start in [from, to).
+// Returns null when neither is given.
+function parseRange(query) {
+  const from = query.get("from"), to = query.get("to");
+  if (from == null && to == null) return null;
+  if (from == null || to == null) throw new HttpError(400, "Pass both from and to");
+  const range = { from: new Date(from), to: new Date(to) };
+  if (isNaN(range.from) || isNaN(range.to)) throw new HttpError(400, "from and to must be ISO dates");
+  if (range.to <= range.from) throw new HttpError(400, "to must be after from");
+  if (range.to - range.from > MAX_RANGE_DAYS * 86_400_000) {
+    throw new HttpError(400, `Ranges are limited to ${MAX_RANGE_DAYS} days`);
+  }
+  return range;
+}
+
+// Finished games from the last RESULTS_WINDOW_DAYS as { id, date, home, away, score, teams },
+// fetched a month at a time so no single upstream request gets too big
+async function recentResults(adapter, league) {
+  const end = Date.now();
+  const ranges = [];
+  for (let from = end - RESULTS_WINDOW_DAYS * 86_400_000; from < end; from += RESULTS_CHUNK_DAYS * 86_400_000) {
+    ranges.push([new Date(from), new Date(Math.min(from + RESULTS_CHUNK_DAYS * 86_400_000, end))]);
+  }
+  const chunks = await Promise.all(ranges.map(([from, to]) => adapter.getSchedule(league, from, to)));
+  return chunks.flat()
+    .filter(g => g.status === "final" && g.score)
+    .map(g => ({ id: g.id, date: g.start_time, home: g.home, away: g.away, score: g.score, teams: g.teams }));
+}
+
+export function createApp({
+  adapter, odds = null, sessionsDir = DEFAULT_SESSIONS_DIR, pickemFile = DEFAULT_PICKEM_FILE,
+  model = createWinProbabilityModel(), recorder = null,
+}) {
+  const router = createRouter();
+  const cached = createCache();
+  const lineTracker = createLineTracker();
+
+  router.get("/api/health", () => ({ ok: true, source: adapter.name, odds: odds?.name ?? null, model: model.name }));
+
+  // Every league with its sport, label, colors, stat keys, period names and
+  // tense thresholds — the client builds its navigation and sport logic from this
+  router.get("/api/leagues", () => leagueRegistry());
+
+  const loadResults = league => cached(`results:${league.slug}`, RATINGS_TTL, () => recentResults(adapter, league));
+  const loadElo = league => cached(`elo:${league.slug}`, RATINGS_TTL,
+    async () => playElo(await loadResults(league), league));
+  const loadRatings = async league => (await loadElo(league)).ratings;
+
+  // Ratings take months of results to build, so scoreboards never wait for
+  // them: each call serves the last ratings built (none at first) and keeps a
+  // load going in the background. A failed load is retried after RATINGS_RETRY.
+  const builtRatings = new Map(); // slug → ratings
+  const ratingsFailedAt = new Map(); // slug → ms
+  function currentRatings(league) {
+    const failedAt = ratingsFailedAt.get(league.slug);
+    if (failedAt == null || Date.now() - failedAt > RATINGS_RETRY) {
+      loadRatings(league).then(
+        ratings => { builtRatings.set(league.slug, ratings); ratingsFailedAt.delete(league.slug); },
+        () => ratingsFailedAt.set(league.slug, Date.now()),
+      );
+    }
+    return builtRatings.get(league.slug) ?? null;
+  }
+
+  // Upstream win probabilities stand; the model fills the gaps. Ratings are
+  // best-effort — the model still has the spread and the clock without them.
+  function withProbabilities(league, games) {
+    return withModelProbability(games, model, { league, ratings: currentRatings(league) });
+  }
+
+  // Each scoreboard as served goes to the session recorder (createRecorder in
+  // server/sessions.js) when there is one; a failed write never breaks the response
+  const loadScores = league => cached(`scores:${league.slug}`, SCORES_TTL, async () => {
+    const games = withProbabilities(league, await adapter.getScoreboard(league));
+    recorder?.(league.slug, games).catch(err => console.error("Session recording failed:", err));
+    return games;
+  });
+  const liveFeed = createLiveFeed({ loadScores });
+  // Cached like the scoreboard, since a live game changes just as often
+  const loadGame = (league, id) => cached(`game:${league.slug}:${id}`, SCORES_TTL,
+    async () => withProbabilities(league, [await adapter.getGame(league, id)])[0]);
+  const pickem = createPickem({ loadGame, getLeague, file: pickemFile });
+
+  // Scoreboard for one league — read by fetchLeague in the client. With
+  // ?from=&to= it is the schedule for that range instead (the league calendar).
+  router.get("/api/scores/:slug", async ({ params, query }) => {
+    const league = requireLeague(params.slug);
+    const range = parseRange(query);
+    if (!range) return { league: league.slug, games: await loadScores(league) };
+    const { from, to } = range;
+    const games = await cached(`schedule:${league.slug}:${from.toISOString()}:${to.toISOString()}`, SCHEDULE_TTL,
+      async () => withProbabilities(league, await adapter.getSchedule(league, from, to)));
+    return { league: league.slug, from: from.toISOString(), to: to.toISOString(), games };
+  });
+
+  // Server-sent events: a "snapshot" per subscribed league, then "diff" events
+  // as games change. ?leagues=nba,epl picks the leagues; unknown slugs are ignored.
+  router.get("/api/stream", ({ req, res, query }) => {
+    const leagues = (query.get("leagues") ?? "").split(",").map(getLeague).filter(Boolean);
+    if (leagues.length === 0) throw new HttpError(400, "Subscribe to at least one league with ?leagues=");
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(`retry: ${STREAM_RETRY}\n\n`);
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const unsubscribe = liveFeed.subscribe(leagues, send);
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), STREAM_HEARTBEAT);
+    req.on("close", () => { clearInterval(heartbeat); unsubscribe(); });
+  });
+
+  // Team season summary — read by TeamStatsPanel. `sport` is the league slug.
+  router.get("/api/team/:sport/:id", async ({ params }) => {
+    const league = requireLeague(params.sport);
+    return cached(`team:${league.slug}:${params.id}`, TEAM_TTL, () => adapter.getTeam(league, params.id));
+  });
+
+  // League tables — read by the Standings view of a league tab
+  router.get("/api/standings/:slug", async ({ params }) => {
+    const league = requireLeague(params.slug);
+    return cached(`standings:${league.slug}`, STANDINGS_TTL, () => adapter.getStandings(league));
+  });
+
+  // Meetings between two teams — the head-to-head section of TeamStatsPanel
+  router.get("/api/team/:sport/:id/h2h/:opponentId", async ({ params }) => {
+    const league = requireLeague(params.sport);
+    const { id, opponentId } = params;
+    return cached(`h2h:${league.slug}:${id}:${opponentId}`, TEAM_TTL, () => adapter.getHeadToHead(league, id, opponentId));
+  });
+
+  // Player profile: bio, season stats and game log — read by PlayerPanel
+  router.get("/api/player/:sport/:id", async ({ params }) => {
+    const league = requireLeague(params.sport);
+    return cached(`player:${league.slug}:${params.id}`, PLAYER_TTL, () => adapter.getPlayer(league, params.id));
+  });
+
+  // Player search for the header search box. ?league= narrows it to one league.
+  router.get("/api/search", async ({ query }) => {
+    const q = (query.get("q") ?? "").trim();
+    if (q.length < MIN_QUERY_LENGTH) throw new HttpError(400, `Search for at least ${MIN_QUERY_LENGTH} characters with ?q=`);
+    const slug = query.get("league");
+    const leagues = slug ? [requireLeague(slug)] : allLeagues();
+    const players = await cached(`search:${slug ?? "all"}:${q.toLowerCase()}`, SEARCH_TTL,
+      () => adapter.searchPlayers(q, leagues));
+    return { query: q, players };
+  });
+
+  // Full game page: play-by-play, box score, every team stat, lineups, venue
+  router.get("/api/game/:sport/:id", ({ params }) => loadGame(requireLeague(params.sport), params.id));
+
+  // Elo power ratings from the league's recent results — TeamStatsPanel,
+  // GameCard and upset alerts for games without odds
+  router.get("/api/ratings/:slug", async ({ params }) => {
+    const league = requireLeague(params.slug);
+    return ratingsTable(await loadElo(league), league);
+  });
+
+  // Lines from every book the odds source carries, with the best price on each
+  // side, the market's implied probability and line movement — GameCard and
+  // OddsComparison. Without an odds source every league simply has none.
+  router.get("/api/odds/:slug", async ({ params }) => {
+    const league = requireLeague(params.slug);
+    if (!odds) return { league: league.slug, games: [] };
+    const games = await cached(`odds:${league.slug}`, ODDS_TTL, async () => {
+      const summaries = (await odds.getOdds(league)).map(game => summarizeOdds(game, lineTracker));
+      // Stop tracking lines for games that have finished; odds still load without a scoreboard
+      const scores = await loadScores(league).catch(() => []);
+      lineTracker.forget(scores.filter(g => g.status === "final").map(g => g.id));
+      return summaries;
+    });
+    return { league: league.slug, games };
+  });
+
+  // How the model's pre-game probabilities held up over the league's recent
+  // finished games: Brier score and reliability by band and edgeLabel tier
+  router.get("/api/calibration/:slug", async ({ params }) => {
+    const league = requireLeague(params.slug);
+    return cached(`calibration:${league.slug}`, RATINGS_TTL,
+      async () => calibrationReport(await loadResults(league), model, league));
+  });
+
+  // Pick'em: make or change a pick before the game starts. Body:
+  //   { player: { id, name }, league, gameId, winner, score? }
+  router.post("/api/pickem/picks", async ({ req }) => pickem.makePick(await readJson(req)));
+
+  // One player's picks and the house's, graded where the game is final.
+  // ?league= narrows it to one league.
+  router.get("/api/pickem/picks", async ({ query }) => {
+    const player = query.get("player");
+    if (!player) throw new HttpError(400, "Say whose picks with ?player=");
+    const slug = query.get("league");
+    return pickem.picksFor(player, slug ? requireLeague(slug).slug : null);
+  });
+
+  // Pick'em standings, the house included — one league with ?league=, else overall
+  router.get("/api/pickem/leaderboard", async ({ query }) => {
+    const slug = query.get("league");
+    return pickem.leaderboard(slug ? requireLeague(slug).slug : null);
+  });
+
+  // Recorded sessions for the client's replay mode
+  router.get("/api/sessions", async () => ({ sessions: await listSessions(sessionsDir) }));
+  router.get("/api/sessions/:id", ({ params }) => loadSession(params.id, sessionsDir));
+
+  return router;
+}
+
+export function createChalkboardServer(options) {
+  const app = createApp(options);
+  return http.createServer((req, res) => {
+    // handle() answers its own errors; this is the backstop for anything that slips past
+    app.handle(req, res).catch(err => {
+      console.error(`${req.method} ${req.url} failed:`, err);
+      if (!res.headersSent) sendJson(res, 500, { error: "Internal server error" });
+      else res.end();
+    });
+  });
+}
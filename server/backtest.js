@@ -0,0 +1,262 @@
+// ─── Backtest ─────────────────────────────────────────────────────────────────
+// Replays historical scoreboards through the app's pick heuristics
+// (core/heuristics.js) and scores every call against what actually happened.
+//
+// A board is one league's scheduled games on one day, as the client would
+// have seen them that morning:
+//   { league, day, games: Game[], ratings: ratings table | null, finals: Map id → score }
+// Boards come from one of two places:
+//   fixtureBoards   results in server/fixtures/<slug>.json. Each game gets the
+//                   win probability the server would have served: the model's,
+//                   from Elo ratings built on the results before that day
+//   sessionBoards   recorded sessions (server/sessions.js): each game as last
+//                   seen before it started, graded by its recorded final score.
+//                   Games without an upstream probability get the model's, from
+//                   Elo ratings built on the recorded finals before that day
+//
+// Best Bet and featured games are picked the way the app picks them: once a
+// day across every league with a board that day. Featured games are compared
+// against that day's games that didn't make the list.
+//
+// Every call is also priced as a flat one-unit bet at the probability the app
+// showed, less `vig` (in percent) — the return a book pricing exactly like the
+// app would have paid. A heuristic worth following beats −vig.
+
+import { readFile, readdir } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { playElo, ratingsTable } from "./elo.js";
+import { withModelProbability } from "./winProbability.js";
+import { getLeague, allLeagues, describeLeague, seasonLabel } from "./leagues.js";
+import { DEFAULT_SESSIONS_DIR } from "./sessions.js";
+import { findBestBet, isUpsetAlert, findUpcomingNotable } from "../core/heuristics.js";
+
+const FIXTURE_DIR = fileURLToPath(new URL("./fixtures/", import.meta.url));
+const BUCKET_WIDTH = 10;
+
+const dayOf = iso => iso.slice(0, 10);
+const round = (n, places) => (n == null ? null : +n.toFixed(places));
+
+// ─── Boards ───────────────────────────────────────────────────────────────────
+
+export async function fixtureBoards(slug, model, { fixtureDir = FIXTURE_DIR } = {}) {
+  const league = getLeague(slug);
+  let fixture;
+  try {
+    fixture = JSON.parse(await readFile(path.join(fixtureDir, `${slug}.json`), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const teamsFor = (home, away) => Object.fromEntries([home, away].map(abbr => [abbr, { abbr, ...fixture.teams[abbr] }]));
+  const results = [
+    ...fixture.results,
+    ...fixture.games.filter(g => g.status === "final").map(g => ({ id: g.id, date: g.start_time, home: g.home, away: g.away, score: g.score })),
+  ].map(r => ({ ...r, teams: teamsFor(r.home, r.away) }));
+
+  const byDay = new Map();
+  for (const result of results) {
+    const day = dayOf(result.date);
+    byDay.set(day, [...(byDay.get(day) ?? []), result]);
+  }
+
+  return [...byDay.keys()].sort().map(day => {
+    const elo = playElo(results.filter(r => dayOf(r.date) < day), league);
+    const games = byDay.get(day).map(r => ({
+      id: r.id, sport: slug, status: "scheduled", start_time: r.date, home: r.home, away: r.away,
+      teams: r.teams, score: null, clock: null, spread: null, win_probability: null,
+    }));
+    return {
+      league, day,
+      games: withModelProbability(games, model, { league, ratings: elo.ratings }),
+      ratings: elo.games.length > 0 ? ratingsTable(elo, league) : null,
+      finals: new Map(byDay.get(day).map(r => [r.id, r.score])),
+    };
+  });
+}
+
+export async function sessionBoards(slugs, model, { dir = DEFAULT_SESSIONS_DIR } = {}) {
+  let names;
+  try {
+    names = (await readdir(dir)).filter(n => n.endsWith(".jsonl")).sort();
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const pregame = new Map(); // slug:id → game as last seen scheduled
+  const finals = new Map();  // slug:id → game as last seen final
+  for (const name of names) {
+    const lines = (await readFile(path.join(dir, name), "utf8")).split("\n").filter(l => l.trim());
+    for (const { slug, games } of lines.map(l => JSON.parse(l))) {
+      if (!slugs.includes(slug)) continue;
+      for (const game of games) {
+        const key = `${slug}:${game.id}`;
+        if (game.status === "scheduled") pregame.set(key, { ...game, sport: slug });
+        else if (game.status === "final" && game.score) finals.set(key, { ...game, sport: slug });
+      }
+    }
+  }
+
+  // Every recorded final, as playElo's results, so each board can be rated on
+  // the games finished before its day — as /api/scores would have
+  const results = new Map(); // slug → results
+  for (const game of finals.values()) {
+    const { id, start_time: date, home, away, score, teams } = game;
+    results.set(game.sport, [...(results.get(game.sport) ?? []), { id, date, home, away, score, teams }]);
+  }
+
+  const boards = new Map();
+  for (const [key, game] of pregame) {
+    if (!finals.has(key)) continue;
+    const boardKey = `${game.sport}:${dayOf(game.start_time)}`;
+    if (!boards.has(boardKey)) {
+      boards.set(boardKey, { league: getLeague(game.sport), day: dayOf(game.start_time), games: [], ratings: null, finals: new Map() });
+    }
+    const board = boards.get(boardKey);
+    board.games.push(game);
+    board.finals.set(game.id, finals.get(key).score);
+  }
+
+  return [...boards.values()]
+    .sort((a, b) => a.day.localeCompare(b.day))
+    .map(board => {
+      const { league, day } = board;
+      const elo = playElo((results.get(league.slug) ?? []).filter(r => dayOf(r.date) < day), league);
+      return {
+        ...board,
+        // Upstream probabilities stand; the model fills the gaps
+        games: withModelProbability(board.games, model, { league, ratings: elo.ratings }),
+        ratings: elo.games.length > 0 ? ratingsTable(elo, league) : null,
+      };
+    });
+}
+
+// ─── Scoring ──────────────────────────────────────────────────────────────────
+
+// Profit on one unit at the fair price for `pct`, shaded by `vig` percent
+function unitProfit(pct, won, vig) {
+  const decimal = 100 / (pct * (1 + vig / 100));
+  return won ? decimal - 1 : -1;
+}
+
+function emptyTally() {
+  return { bestBet: [], upsetAlert: [], scheduled: [], all: [] };
+}
+
+// { picks, hitRate, predicted, roi } for a list of { pct, won, profit }
+function summarize(calls) {
+  if (calls.length === 0) return { picks: 0, hitRate: null, predicted: null, roi: null };
+  const mean = f => calls.reduce((sum, c) => sum + f(c), 0) / calls.length;
+  return {
+    picks: calls.length,
+    hitRate: round(mean(c => c.won) * 100, 1),
+    predicted: round(mean(c => c.pct), 1),
+    roi: round(mean(c => c.profit) * 100, 1),
+  };
+}
+
+function calibration(calls) {
+  const buckets = [];
+  for (let from = 50; from < 100; from += BUCKET_WIDTH) {
+    const to = from + BUCKET_WIDTH;
+    const inBucket = calls.filter(c => c.pct >= from && (c.pct < to || to === 100));
+    if (inBucket.length > 0) buckets.push({ from, to, ...summarize(inBucket) });
+  }
+  return buckets;
+}
+
+// Each day's boards taken together, the way the app sees every league at
+// once: an allGames ({ [slug]: Game[] }, default league order) per day
+function dailyGames(boards) {
+  const order = allLeagues().map(l => l.slug);
+  const days = new Map();
+  for (const { league, day, games } of boards) {
+    if (!days.has(day)) days.set(day, new Map());
+    const byLeague = days.get(day);
+    byLeague.set(league.slug, [...(byLeague.get(league.slug) ?? []), ...games]);
+  }
+  return [...days.values()].map(byLeague =>
+    Object.fromEntries(order.filter(slug => byLeague.has(slug)).map(slug => [slug, byLeague.get(slug)])));
+}
+
+// slug:id of each day's single Best Bet across every league, and of every
+// game the 🔥 tab would have featured that day
+function dailyPicks(boards) {
+  const bestBets = new Set();
+  const featured = new Set();
+  for (const allGames of dailyGames(boards)) {
+    const best = findBestBet(allGames);
+    if (best?.favPct != null) bestBets.add(`${best.game.sport}:${best.game.id}`);
+    for (const game of findUpcomingNotable(allGames, Object.keys(allGames))) featured.add(`${game.sport}:${game.id}`);
+  }
+  return { bestBets, featured };
+}
+
+// Returns { boards, vig, rows: [{ league, season, bestBet, upsetAlert, notable }], overall, calibration }
+// where notable is { featured, closeRate, otherCloseRate }
+export function runBacktest(boards, { vig = 4.5 } = {}) {
+  const groups = new Map(); // league:season → tally
+  const { bestBets, featured } = dailyPicks(boards);
+
+  for (const board of boards) {
+    const { league, games, ratings, finals } = board;
+    const season = seasonLabel(league, board.day);
+    const key = `${league.slug}:${season}`;
+    if (!groups.has(key)) groups.set(key, { league: league.slug, season, ...emptyTally() });
+    const tally = groups.get(key);
+    const { margin } = describeLeague(league).tense;
+
+    // A side's call, from the probability the card showed for it
+    const call = (game, side) => {
+      const score = finals.get(game.id);
+      const other = side === game.home ? game.away : game.home;
+      const pct = game.win_probability[side] ?? 50;
+      const won = score[side] > score[other] ? 1 : 0;
+      return { pct, won, profit: unitProfit(pct, won, vig) };
+    };
+    const favorite = g => ((g.win_probability[g.home] ?? 50) >= (g.win_probability[g.away] ?? 50) ? g.home : g.away);
+    const isClose = g => {
+      const score = finals.get(g.id);
+      return Math.abs(score[g.home] - score[g.away]) <= margin;
+    };
+
+    const rated = games.filter(g => g.win_probability);
+    rated.forEach(g => tally.all.push({ ...call(g, favorite(g)), close: isClose(g) }));
+
+    for (const game of games.filter(g => bestBets.has(`${league.slug}:${g.id}`))) {
+      tally.bestBet.push(call(game, favorite(game)));
+    }
+
+    for (const game of rated.filter(g => isUpsetAlert(g, ratings))) {
+      const underdog = favorite(game) === game.home ? game.away : game.home;
+      tally.upsetAlert.push(call(game, underdog));
+    }
+
+    for (const game of games) {
+      tally.scheduled.push({ featured: featured.has(`${league.slug}:${game.id}`), close: isClose(game) });
+    }
+  }
+
+  const closeRate = list => (list.length ? round((list.filter(c => c.close).length / list.length) * 100, 1) : null);
+  const report = tally => ({
+    bestBet: summarize(tally.bestBet),
+    upsetAlert: summarize(tally.upsetAlert),
+    notable: {
+      featured: tally.scheduled.filter(g => g.featured).length,
+      closeRate: closeRate(tally.scheduled.filter(g => g.featured)),
+      otherCloseRate: closeRate(tally.scheduled.filter(g => !g.featured)),
+    },
+  });
+
+  const tallies = [...groups.values()];
+  const overall = emptyTally();
+  for (const tally of tallies) for (const k of Object.keys(overall)) overall[k].push(...tally[k]);
+
+  return {
+    boards: boards.length,
+    vig,
+    rows: tallies.map(t => ({ league: t.league, season: t.season, ...report(t) })),
+    overall: report(overall),
+    calibration: calibration(overall.all),
+  };
+}
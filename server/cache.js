@@ -0,0 +1,23 @@
+// ─── TTL cache ────────────────────────────────────────────────────────────────
+// Several browser tabs refreshing at once should cost one upstream request,
+// so adapter calls are memoized for a short time. In-flight promises are
+// cached too, which collapses concurrent identical requests into one.
+
+export function createCache() {
+  const entries = new Map();
+
+  return function cached(key, ttlMs, load) {
+    const now = Date.now();
+    const hit = entries.get(key);
+    if (hit && hit.expires > now) return hit.value;
+    // Keys are open-ended (schedule date ranges), so drop expired entries on each miss
+    for (const [k, entry] of entries) {
+      if (entry.expires <= now) entries.delete(k);
+    }
+    const value = Promise.resolve().then(load);
+    entries.set(key, { value, expires: now + ttlMs });
+    // Never keep a failure around — the next request should retry
+    value.catch(() => entries.delete(key));
+    return value;
+  };
+}
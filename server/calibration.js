@@ -0,0 +1,66 @@
+// ─── Calibration report ───────────────────────────────────────────────────────
+// How well a win-probability model's pre-game numbers held up over finished
+// games. Each game is predicted with only the Elo ratings its teams had going
+// in, then scored against the result from the favorite's side:
+//   brier          mean of (favorite's win chance − won)², lower is better
+//   baselineBrier  the same for always quoting the favorites' overall win
+//                  rate — a model worth using beats it
+//   buckets        predicted vs actual win rate per 10-point band
+//   edgeLabels     the same per edgeLabel tier, so "Strong Lean" can be checked
+// A draw counts as a favorite that didn't win.
+
+import { playElo } from "./elo.js";
+import { EDGE_TIERS } from "../core/heuristics.js";
+
+const BUCKET_WIDTH = 10;
+
+const round = (n, places) => +n.toFixed(places);
+
+// { games, predicted, actual } for a set of scored predictions, as percentages
+function summarize(scored) {
+  const mean = f => scored.reduce((sum, s) => sum + f(s), 0) / scored.length;
+  return {
+    games: scored.length,
+    predicted: round(mean(s => s.pct), 1),
+    actual: round(mean(s => s.won) * 100, 1),
+  };
+}
+
+// results: [{ date, home, away, score }] — every finished game the ratings are built from
+export function calibrationReport(results, model, league) {
+  const scored = [];
+  for (const game of playElo(results, league).games) {
+    const { home, away, score, before } = game;
+    const wp = model.predict(
+      { id: game.id, status: "scheduled", home, away, score: null, clock: null, spread: null },
+      { league, ratings: new Map(Object.entries(before)) }
+    );
+    if (!wp) continue;
+    const favorite = (wp[home] ?? 0) >= (wp[away] ?? 0) ? home : away;
+    const other = favorite === home ? away : home;
+    scored.push({ pct: wp[favorite], won: score[favorite] > score[other] ? 1 : 0 });
+  }
+
+  const report = {
+    league: league.slug, model: model.name, games: scored.length,
+    brier: null, baselineBrier: null, buckets: [], edgeLabels: [],
+  };
+  if (scored.length === 0) return report;
+
+  const winRate = scored.reduce((sum, s) => sum + s.won, 0) / scored.length;
+  report.brier = round(scored.reduce((sum, s) => sum + (s.pct / 100 - s.won) ** 2, 0) / scored.length, 4);
+  report.baselineBrier = round(winRate * (1 - winRate), 4);
+
+  for (let from = 0; from < 100; from += BUCKET_WIDTH) {
+    const to = from + BUCKET_WIDTH;
+    const inBucket = scored.filter(s => s.pct >= from && (s.pct < to || to === 100));
+    if (inBucket.length > 0) report.buckets.push({ from, to, ...summarize(inBucket) });
+  }
+  // Tiers run strongest first, so each one ends where the one before it starts
+  EDGE_TIERS.forEach(({ label, min }, i) => {
+    const max = EDGE_TIERS[i - 1]?.min ?? Infinity;
+    const inTier = scored.filter(s => s.pct >= min && s.pct < max);
+    if (inTier.length > 0) report.edgeLabels.push({ label, ...summarize(inTier) });
+  });
+  return report;
+}
@@ -0,0 +1,87 @@
+// ─── Elo ratings ──────────────────────────────────────────────────────────────
+// Team strength from results alone: every team starts at ELO_BASE and each
+// game moves the winner up and the loser down by how surprising the result
+// was. The win-probability model reads these when a game has no upstream odds,
+// and /api/ratings serves them as a power-ratings table.
+
+export const ELO_BASE = 1500;
+
+// Per sport: k is how far one game moves a rating (low where single results
+// are noisy, like baseball); homeAdvantage is in rating points
+const ELO_PARAMS = {
+  basketball: { k: 20, homeAdvantage: 100 },
+  football:   { k: 20, homeAdvantage: 48 },
+  hockey:     { k: 6,  homeAdvantage: 50 },
+  baseball:   { k: 4,  homeAdvantage: 24 },
+  soccer:     { k: 20, homeAdvantage: 65 },
+};
+
+export function eloParams(league) {
+  return ELO_PARAMS[league.sport] ?? ELO_PARAMS.basketball;
+}
+
+// Chance the side `diff` rating points stronger wins (a draw counts half)
+export function eloExpectation(diff) {
+  return 1 / (1 + 10 ** (-diff / 400));
+}
+
+// Home rating edge over away, home advantage included
+export function eloDiff(ratings, home, away, league) {
+  const rating = abbr => ratings.get(abbr) ?? ELO_BASE;
+  return rating(home) - rating(away) + eloParams(league).homeAdvantage;
+}
+
+// results: [{ date, home, away, score, teams? }] in any order. Returns the
+// ratings after the last game, plus every game with the ratings both teams
+// took into it (what a model could have known beforehand) and the points the
+// home side gained from it.
+export function playElo(results, league) {
+  const { k } = eloParams(league);
+  const ratings = new Map();
+  const games = [];
+  const played = results
+    .filter(r => r.score?.[r.home] != null && r.score?.[r.away] != null)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  for (const result of played) {
+    const { home, away, score } = result;
+    const before = { [home]: ratings.get(home) ?? ELO_BASE, [away]: ratings.get(away) ?? ELO_BASE };
+    const expected = eloExpectation(eloDiff(ratings, home, away, league));
+    const actual = score[home] > score[away] ? 1 : score[home] < score[away] ? 0 : 0.5;
+    const shift = k * (actual - expected);
+    ratings.set(home, before[home] + shift);
+    ratings.set(away, before[away] - shift);
+    games.push({ ...result, before, shift });
+  }
+  return { ratings, games };
+}
+
+// The power-ratings table served at /api/ratings/:slug, strongest first:
+//   { league, base, homeAdvantage,
+//     teams: [{ rank, team: { abbr, id, name, logo, color }, rating, change, games }] }
+// change is what the team's last game did to its rating.
+export function ratingsTable({ ratings, games }, league) {
+  const teams = new Map();
+  for (const game of games) {
+    for (const [abbr, sign] of [[game.home, 1], [game.away, -1]]) {
+      teams.set(abbr, {
+        games: (teams.get(abbr)?.games ?? 0) + 1,
+        change: sign * game.shift,
+        ref: game.teams?.[abbr] ?? teams.get(abbr)?.ref ?? null,
+      });
+    }
+  }
+  const rows = [...ratings]
+    .sort((a, b) => b[1] - a[1])
+    .map(([abbr, rating], i) => {
+      const { games: played, change, ref } = teams.get(abbr);
+      return {
+        rank: i + 1,
+        team: { abbr, id: ref?.id ?? null, name: ref?.name ?? abbr, logo: ref?.logo ?? null, color: ref?.color ?? null },
+        rating: Math.round(rating),
+        change: +change.toFixed(1),
+        games: played,
+      };
+    });
+  return { league: league.slug, base: ELO_BASE, homeAdvantage: eloParams(league).homeAdvantage, teams: rows };
+}
@@ -0,0 +1,88 @@
+// ─── HTTP plumbing ────────────────────────────────────────────────────────────
+// A tiny path router on top of node:http so the server has no framework
+// dependency. Handlers return a JSON-serializable body (or throw HttpError).
+
+// Largest request body readJson accepts
+const MAX_BODY_BYTES = 16 * 1024;
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Compiles "/api/team/:sport/:id" into a regex plus the ordered param names
+function compile(pattern) {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_, name) => { names.push(name); return "([^/]+)"; });
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+// A path segment with its %-escapes decoded; malformed escapes are the client's mistake
+function decodeParam(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    if (err instanceof URIError) throw new HttpError(400, `Malformed URL segment "${segment}"`);
+    throw err;
+  }
+}
+
+export function createRouter() {
+  const routes = [];
+
+  function add(method, pattern, handler) {
+    routes.push({ method, handler, ...compile(pattern) });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    if (req.method === "OPTIONS") { res.writeHead(204); res.end(); return; }
+
+    for (const route of routes) {
+      if (route.method !== req.method) continue;
+      const match = route.regex.exec(url.pathname);
+      if (!match) continue;
+      try {
+        const params = Object.fromEntries(route.names.map((n, i) => [n, decodeParam(match[i + 1])]));
+        const body = await route.handler({ req, res, params, query: url.searchParams });
+        // Streaming handlers write the response themselves and return undefined
+        if (body !== undefined) sendJson(res, 200, body);
+      } catch (err) {
+        const status = err instanceof HttpError ? err.status : 502;
+        if (!(err instanceof HttpError)) console.error(`${req.method} ${url.pathname} failed:`, err);
+        if (!res.headersSent) sendJson(res, status, { error: err.message });
+        else res.end();
+      }
+      return;
+    }
+    sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+  }
+
+  return { get: (p, h) => add("GET", p, h), post: (p, h) => add("POST", p, h), handle };
+}
+
+export function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+// The request body parsed as JSON — for POST handlers
+export async function readJson(req, { limit = MAX_BODY_BYTES } = {}) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, `Request body is over ${limit} bytes`);
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new HttpError(400, "Request body must be JSON");
+  }
+}
@@ -0,0 +1,140 @@
+// ─── League registry ──────────────────────────────────────────────────────────
+// Every league slug the client can ask for, mapped to the upstream ESPN path,
+// plus what the client needs to present it: label, sport, colors, the stats to
+// surface, how periods are named and when a close game counts as tense. The
+// client builds its navigation and sport logic from /api/leagues, so adding a
+// league here (or a sport to SPORTS) needs no client change.
+
+// Per-sport defaults, in navigation order. A league can override any of
+// periods, tense, statKeys, seasonStatKeys and seasonStart.
+//   colors:  hex { accent, text, tint, soft } for tabs and headers
+//   periods: { regulation, name, overtime, clock, minutes, overtimeMinutes }
+//            — overtime is a label numbered from the second extra period on
+//            ("OT", "OT2"), a list of names by extra period (the last
+//            repeats), or null to keep counting regulation periods (extra
+//            innings). clock is how the game keeps time, which decides how
+//            core/clock.js reads it: "countdown" per period, "innings", or a
+//            "running" match clock; minutes and overtimeMinutes are one
+//            regulation and one extra period (null for innings)
+//   tense:   { margin, latePeriod?, lateMinute? } — a live game within
+//            `margin` is tense once it reaches `latePeriod`, `lateMinute` of
+//            regulation, or any overtime
+//   statKeys / seasonStatKeys: ESPN stat names for the game card and the team drawer
+//   seasonStart: for seasons that run past New Year, the month (1–12) a new
+//            one is counted from — any month of the offseason; null when
+//            every season fits in one calendar year
+const SPORTS = {
+  basketball: {
+    label: "🏀 Basketball",
+    colors: { accent: "#f97316", text: "#ea580c", tint: "#fff7ed", soft: "#ffedd5" },
+    periods: { regulation: 4, name: "Quarter", overtime: "OT", clock: "countdown", minutes: 12, overtimeMinutes: 5 },
+    tense: { margin: 5, latePeriod: 4 },
+    statKeys: ["fieldGoalPct", "threePointPct", "freeThrowPct", "rebounds", "assists", "turnovers"],
+    seasonStatKeys: ["points", "assists", "rebounds", "steals", "blocks", "fieldGoalPct", "threePointPct", "turnovers"],
+    seasonStart: 7,
+  },
+  football: {
+    label: "🏈 Football",
+    colors: { accent: "#16a34a", text: "#15803d", tint: "#f0fdf4", soft: "#dcfce7" },
+    periods: { regulation: 4, name: "Quarter", overtime: "OT", clock: "countdown", minutes: 15, overtimeMinutes: 10 },
+    tense: { margin: 8, latePeriod: 4 },
+    statKeys: ["totalYards", "passingYards", "rushingYards", "firstDowns", "turnovers", "sacks"],
+    seasonStatKeys: ["pointsPerGame", "totalYards", "passingYards", "rushingYards", "sacks", "interceptions", "turnovers"],
+    seasonStart: 3,
+  },
+  hockey: {
+    label: "🏒 Hockey",
+    colors: { accent: "#0ea5e9", text: "#0284c7", tint: "#f0f9ff", soft: "#e0f2fe" },
+    periods: { regulation: 3, name: "Period", overtime: ["Overtime", "Shootout"], clock: "countdown", minutes: 20, overtimeMinutes: 5 },
+    tense: { margin: 1, latePeriod: 3 },
+    statKeys: ["shots", "hits", "blocks", "faceoffWinPct", "powerPlayGoals", "pims"],
+    seasonStatKeys: ["goals", "assists", "points", "plusMinus", "savePct", "goalsAgainstAverage", "powerPlayPct"],
+    seasonStart: 7,
+  },
+  baseball: {
+    label: "⚾ Baseball",
+    colors: { accent: "#f43f5e", text: "#e11d48", tint: "#fff1f2", soft: "#ffe4e6" },
+    periods: { regulation: 9, name: "Inning", overtime: null, clock: "innings", minutes: null, overtimeMinutes: null },
+    tense: { margin: 2, latePeriod: 7 },
+    statKeys: ["hits", "runs", "errors", "strikeouts", "walks", "homeRuns"],
+    seasonStatKeys: ["battingAvg", "homeRuns", "rbi", "ops", "era", "strikeouts", "wins"],
+    seasonStart: null,
+  },
+  soccer: {
+    label: "⚽ Soccer",
+    colors: { accent: "#059669", text: "#047857", tint: "#ecfdf5", soft: "#d1fae5" },
+    periods: { regulation: 2, name: "Half", overtime: ["Extra Time", "Extra Time", "Penalties"], clock: "running", minutes: 45, overtimeMinutes: 15 },
+    tense: { margin: 1, lateMinute: 70 },
+    statKeys: ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
+    seasonStatKeys: ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
+    seasonStart: 7,
+  },
+};
+
+// Navigation order within each sport follows this list
+const LEAGUES = [
+  { slug: "nba",        sport: "basketball", label: "NBA",              espnPath: "basketball/nba" },
+  { slug: "wnba",       sport: "basketball", label: "WNBA",             espnPath: "basketball/wnba", seasonStart: null, periods: { minutes: 10 } },
+  { slug: "nfl",        sport: "football",   label: "NFL",              espnPath: "football/nfl" },
+  { slug: "ncaaf",      sport: "football",   label: "College",          espnPath: "football/college-football", tense: { margin: 10 } },
+  { slug: "nhl",        sport: "hockey",     label: "NHL",              espnPath: "hockey/nhl" },
+  { slug: "mlb",        sport: "baseball",   label: "MLB",              espnPath: "baseball/mlb" },
+  { slug: "mls",        sport: "soccer",     label: "MLS",              espnPath: "soccer/usa.1", seasonStart: null },
+  { slug: "nwsl",       sport: "soccer",     label: "NWSL",             espnPath: "soccer/usa.nwsl", seasonStart: null },
+  { slug: "ucl",        sport: "soccer",     label: "Champions League", espnPath: "soccer/uefa.champions" },
+  { slug: "uel",        sport: "soccer",     label: "Europa League",    espnPath: "soccer/uefa.europa" },
+  { slug: "epl",        sport: "soccer",     label: "Premier League",   espnPath: "soccer/eng.1" },
+  { slug: "laliga",     sport: "soccer",     label: "La Liga",          espnPath: "soccer/esp.1" },
+  { slug: "bundesliga", sport: "soccer",     label: "Bundesliga",       espnPath: "soccer/ger.1" },
+  { slug: "seriea",     sport: "soccer",     label: "Serie A",          espnPath: "soccer/ita.1" },
+  { slug: "ligue1",     sport: "soccer",     label: "Ligue 1",          espnPath: "soccer/fra.1" },
+  { slug: "ligamx",     sport: "soccer",     label: "Liga MX",          espnPath: "soccer/mex.1" },
+];
+
+const BY_SLUG = new Map(LEAGUES.map(l => [l.slug, l]));
+
+export function getLeague(slug) {
+  return BY_SLUG.get(slug) ?? null;
+}
+
+export function allLeagues() {
+  return LEAGUES;
+}
+
+// What the client gets for one league: its sport's defaults with the league's
+// overrides applied (periods and tense merge key by key; the rest replace)
+export function describeLeague(league) {
+  const sport = SPORTS[league.sport];
+  return {
+    slug: league.slug,
+    label: league.label,
+    sport: league.sport,
+    periods: { ...sport.periods, ...league.periods },
+    tense: { ...sport.tense, ...league.tense },
+    statKeys: league.statKeys ?? sport.statKeys,
+    seasonStatKeys: league.seasonStatKeys ?? sport.seasonStatKeys,
+  };
+}
+
+// The season a game on `date` belongs to: "2026" where seasons fit in a
+// calendar year, "2026–27" where they are counted from seasonStart and run on
+export function seasonLabel(league, date) {
+  const start = "seasonStart" in league ? league.seasonStart : SPORTS[league.sport].seasonStart;
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+  if (start == null) return String(year);
+  const from = d.getUTCMonth() + 1 >= start ? year : year - 1;
+  return `${from}–${String(from + 1).slice(2)}`;
+}
+
+// The whole registry as served at /api/leagues: sport groups in navigation
+// order, each with its leagues. Sports with no leagues are left out.
+export function leagueRegistry() {
+  const groups = Object.entries(SPORTS).map(([id, sport]) => ({
+    id,
+    label: sport.label,
+    colors: sport.colors,
+    leagues: LEAGUES.filter(l => l.sport === id).map(describeLeague),
+  }));
+  return { groups: groups.filter(g => g.leagues.length > 0) };
+}
@@ -0,0 +1,92 @@
+// ─── Live score feed ──────────────────────────────────────────────────────────
+// Server side of /api/stream. Polls the adapter only for leagues that at least
+// one client is subscribed to, and pushes per-game diffs instead of whole
+// scoreboards. A new subscriber first gets a full snapshot of each league —
+// from the next successful poll, when loading it straight away fails.
+
+const POLL_INTERVAL = 10_000;
+
+// Compares two scoreboards for the same league. `updated` entries carry the
+// game id plus only the top-level fields that changed (null if a field went away).
+export function diffGames(prev, next) {
+  const prevById = new Map(prev.map(g => [g.id, g]));
+  const added = [];
+  const updated = [];
+  for (const game of next) {
+    const old = prevById.get(game.id);
+    if (!old) { added.push(game); continue; }
+    const changes = {};
+    for (const key of new Set([...Object.keys(old), ...Object.keys(game)])) {
+      if (JSON.stringify(old[key]) !== JSON.stringify(game[key])) changes[key] = game[key] ?? null;
+    }
+    if (Object.keys(changes).length > 0) updated.push({ id: game.id, ...changes });
+  }
+  const nextIds = new Set(next.map(g => g.id));
+  const removed = prev.filter(g => !nextIds.has(g.id)).map(g => g.id);
+  return { added, updated, removed };
+}
+
+const isEmptyDiff = d => d.added.length === 0 && d.updated.length === 0 && d.removed.length === 0;
+
+// loadScores(league) → Game[] (normally the cached adapter call from app.js)
+export function createLiveFeed({ loadScores, intervalMs = POLL_INTERVAL }) {
+  const subscribers = new Set();
+  const lastGames = new Map(); // slug → last scoreboard sent to subscribers
+  let timer = null;
+
+  function watchedLeagues() {
+    const leagues = new Map();
+    for (const sub of subscribers) for (const league of sub.leagues) leagues.set(league.slug, league);
+    return [...leagues.values()];
+  }
+
+  function broadcast(slug, event, data) {
+    for (const sub of subscribers) {
+      if (sub.leagues.some(l => l.slug === slug)) sub.send(event, data);
+    }
+  }
+
+  async function poll() {
+    for (const league of watchedLeagues()) {
+      try {
+        const games = await loadScores(league);
+        const prev = lastGames.get(league.slug);
+        lastGames.set(league.slug, games);
+        // No snapshot went out yet (the subscriber's first load failed): send one now
+        if (!prev) { broadcast(league.slug, "snapshot", { slug: league.slug, games }); continue; }
+        const diff = diffGames(prev, games);
+        if (!isEmptyDiff(diff)) broadcast(league.slug, "diff", { slug: league.slug, ...diff });
+      } catch (err) {
+        console.error(`Live feed poll failed for ${league.slug}:`, err.message);
+      }
+    }
+  }
+
+  // Subscribes `send(event, data)` to the given leagues; returns an unsubscribe function
+  function subscribe(leagues, send) {
+    const sub = { leagues, send };
+    subscribers.add(sub);
+    timer ??= setInterval(poll, intervalMs);
+
+    for (const league of leagues) {
+      const known = lastGames.get(league.slug);
+      const ready = known ? Promise.resolve(known) : loadScores(league).then(games => {
+        if (!lastGames.has(league.slug)) lastGames.set(league.slug, games);
+        return lastGames.get(league.slug);
+      });
+      ready
+        .then(games => { if (subscribers.has(sub)) send("snapshot", { slug: league.slug, games }); })
+        .catch(err => console.error(`Live feed snapshot failed for ${league.slug}:`, err.message));
+    }
+
+    return () => {
+      subscribers.delete(sub);
+      // Forget leagues nobody watches so a later subscriber doesn't get a stale diff
+      const watched = new Set(watchedLeagues().map(l => l.slug));
+      for (const slug of lastGames.keys()) if (!watched.has(slug)) lastGames.delete(slug);
+      if (subscribers.size === 0) { clearInterval(timer); timer = null; }
+    };
+  }
+
+  return { subscribe };
+}
@@ -0,0 +1,49 @@
+// ─── ESPN odds adapter ────────────────────────────────────────────────────────
+// Lines from the `odds` list ESPN attaches to each scoreboard game — one entry
+// per sportsbook it carries. ESPN reports current lines only, so history is
+// left to the API to track. The scoreboard comes from the ESPN data adapter,
+// so a poll of scores and one of odds cost a single download.
+
+import { createEspnAdapter } from "../adapters/espn.js";
+
+// What a book charges when ESPN leaves a spread or total price out
+const STANDARD_PRICE = -110;
+
+function normalizeBook(odds, home, away) {
+  const homeMl = odds.homeTeamOdds?.moneyLine, awayMl = odds.awayTeamOdds?.moneyLine;
+  const moneyline = homeMl != null && awayMl != null ? { [home]: homeMl, [away]: awayMl } : null;
+  if (moneyline && odds.drawOdds?.moneyLine != null) moneyline.draw = odds.drawOdds.moneyLine;
+  // ESPN's spread is the home side's line
+  const spread = odds.spread != null
+    ? {
+        [home]: { line: odds.spread, price: odds.homeTeamOdds?.spreadOdds ?? STANDARD_PRICE },
+        [away]: { line: -odds.spread, price: odds.awayTeamOdds?.spreadOdds ?? STANDARD_PRICE },
+      }
+    : null;
+  const total = odds.overUnder != null
+    ? { line: odds.overUnder, over: odds.overOdds ?? STANDARD_PRICE, under: odds.underOdds ?? STANDARD_PRICE }
+    : null;
+  const name = odds.provider?.name ?? "Sportsbook";
+  return { book: { id: String(odds.provider?.id ?? name), name }, moneyline, spread, total };
+}
+
+// `adapter` is the ESPN data adapter the server already uses for scores
+export function createEspnOddsAdapter({ adapter = createEspnAdapter() } = {}) {
+  async function getOdds(league) {
+    const data = await adapter.fetchScoreboard(league);
+    const games = [];
+    for (const event of data.events ?? []) {
+      const comp = event.competitions?.[0];
+      const home = comp?.competitors?.find(c => c.homeAway === "home")?.team?.abbreviation;
+      const away = comp?.competitors?.find(c => c.homeAway === "away")?.team?.abbreviation;
+      if (!home || !away || !comp.odds?.length) continue;
+      const books = comp.odds
+        .map(odds => normalizeBook(odds, home, away))
+        .filter(b => b.moneyline || b.spread || b.total);
+      if (books.length > 0) games.push({ gameId: event.id, home, away, books, history: null });
+    }
+    return games;
+  }
+
+  return { name: "espn", getOdds };
+}
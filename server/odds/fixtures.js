@@ -0,0 +1,28 @@
+// ─── Fixture odds adapter ─────────────────────────────────────────────────────
+// Recorded lines from server/fixtures/odds/<slug>.json, for offline use with
+// the fixture data adapter. The recording is treated as taken just now, so line
+// history is shifted to end at the current lines.
+//
+// Fixture file shape:
+//   { captured_at, games: [GameOdds] }   (see ./index.js), history included
+
+import { fileURLToPath } from "node:url";
+import { fixtureFiles } from "../adapters/fixtures.js";
+
+const DEFAULT_DIR = fileURLToPath(new URL("../fixtures/odds/", import.meta.url));
+
+export function createFixtureOddsAdapter({ fixtureDir = DEFAULT_DIR, now = () => Date.now() } = {}) {
+  // Leagues without an odds file simply have no lines
+  const load = fixtureFiles(fixtureDir, { captured_at: null, games: [] });
+
+  async function getOdds(league) {
+    const fixture = await load(league.slug);
+    const shift = fixture.captured_at ? now() - Date.parse(fixture.captured_at) : 0;
+    return fixture.games.map(game => ({
+      ...game,
+      history: game.history?.map(point => ({ ...point, t: new Date(Date.parse(point.t) + shift).toISOString() })) ?? null,
+    }));
+  }
+
+  return { name: "fixtures", getOdds };
+}
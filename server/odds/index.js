@@ -0,0 +1,41 @@
+// ─── Odds adapters ────────────────────────────────────────────────────────────
+// Sportsbook lines come through their own adapter, chosen at startup alongside
+// the data adapter, so odds can come from a different provider than scores.
+// The data adapter is passed in as `adapter`; the ESPN odds adapter reads its
+// lines from that adapter's scoreboard download rather than fetching its own.
+// Every odds adapter returns lines already normalized to the shapes below;
+// best lines, market probability and line history are added by the API
+// (server/oddsSummary.js).
+//
+// Odds adapter interface:
+//   name                               short identifier, shown in /api/health
+//   getOdds(league) → GameOdds[]       current lines for the league's games that have any
+//
+// GameOdds:
+//   { gameId, home, away,
+//     books: [{ book: { id, name },
+//               moneyline: { [abbr]: american, draw? } | null,
+//               spread: { [abbr]: { line, price } } | null,
+//               total: { line, over, under } | null }],
+//     history: LinePoint[] | null }
+// Prices are American odds (−150, +130); spread lines are from each side's
+// point of view, so the favorite's is negative. history is oldest first, or
+// null when the source keeps none (the API then tracks movement itself):
+//   LinePoint: { t, spread: home line | null, total: line | null,
+//                moneyline: { [abbr]: american, draw? } | null }
+
+import { createEspnOddsAdapter } from "./espn.js";
+import { createFixtureOddsAdapter } from "./fixtures.js";
+
+const ODDS_ADAPTERS = {
+  espn: createEspnOddsAdapter,
+  fixtures: createFixtureOddsAdapter,
+};
+
+export function createOddsAdapter(name, options = {}) {
+  const factory = ODDS_ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown odds source "${name}" (expected one of: ${Object.keys(ODDS_ADAPTERS).join(", ")})`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,143 @@
+// ─── Odds summary ─────────────────────────────────────────────────────────────
+// Turns the raw book-by-book lines from an odds adapter (server/odds/) into
+// what the client shows: the best price on every side, the market's implied
+// win probability, and how the consensus line has moved.
+
+// Line-movement points kept per game when the source has no history of its own
+const MAX_HISTORY = 48;
+// …and how long a game's points are kept once its odds stop being fetched
+const TRACK_MAX_AGE_MS = 24 * 60 * 60_000;
+
+// Break-even chance (0–1) of an American price, vig included
+export function impliedProbability(american) {
+  return american < 0 ? -american / (100 - american) : 100 / (american + 100);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// The best offer among `offers` ({ bookId, line?, price }) by `better`, plus
+// every book that matches it — the client highlights all of them
+function pickBest(offers, better) {
+  if (offers.length === 0) return null;
+  const best = offers.reduce((a, b) => (better(b, a) ? b : a));
+  const same = offers.filter(o => o.line === best.line && o.price === best.price);
+  return { ...(best.line != null && { line: best.line }), price: best.price, books: same.map(o => o.bookId) };
+}
+
+const higherPrice = (a, b) => a.price > b.price;
+// More points is better for either side of a spread; the price breaks ties
+const higherLine = (a, b) => a.line > b.line || (a.line === b.line && a.price > b.price);
+const lowerLine = (a, b) => a.line < b.line || (a.line === b.line && a.price > b.price);
+
+function outcomes(game) {
+  const hasDraw = game.books.some(b => b.moneyline?.draw != null);
+  return hasDraw ? [game.home, game.away, "draw"] : [game.home, game.away];
+}
+
+// Best available price on each side of each market:
+//   { moneyline: { [abbr]: { price, books }, draw? } | null,
+//     spread: { [abbr]: { line, price, books } } | null,
+//     total: { over: { line, price, books }, under: { … } } | null }
+export function bestLines(game) {
+  const { books, home, away } = game;
+  const offers = (market, pick) => books
+    .filter(b => b[market])
+    .map(b => ({ bookId: b.book.id, ...pick(b[market]) }))
+    .filter(o => o.price != null);
+
+  const moneyline = {};
+  for (const side of outcomes(game)) {
+    const best = pickBest(offers("moneyline", m => ({ price: m[side] })), higherPrice);
+    if (best) moneyline[side] = best;
+  }
+  const spread = {};
+  for (const side of [home, away]) {
+    const best = pickBest(offers("spread", s => ({ line: s[side]?.line, price: s[side]?.price })), higherLine);
+    if (best) spread[side] = best;
+  }
+  const over = pickBest(offers("total", t => ({ line: t.line, price: t.over })), lowerLine);
+  const under = pickBest(offers("total", t => ({ line: t.line, price: t.under })), higherLine);
+
+  return {
+    moneyline: Object.keys(moneyline).length ? moneyline : null,
+    spread: Object.keys(spread).length ? spread : null,
+    total: over && under ? { over, under } : null,
+  };
+}
+
+// The market's win probability ({ [abbr]: pct, draw? }, like win_probability):
+// each book's moneyline with its vig removed, averaged over the books
+export function marketProbability(game) {
+  const sides = outcomes(game);
+  const perBook = game.books
+    .filter(b => b.moneyline && sides.every(s => b.moneyline[s] != null))
+    .map(b => {
+      const raw = sides.map(s => impliedProbability(b.moneyline[s]));
+      const overround = raw.reduce((sum, p) => sum + p, 0);
+      return raw.map(p => p / overround);
+    });
+  if (perBook.length === 0) return null;
+  return Object.fromEntries(sides.map((side, i) => {
+    const mean = perBook.reduce((sum, probs) => sum + probs[i], 0) / perBook.length;
+    return [side, Math.round(mean * 1000) / 10];
+  }));
+}
+
+// The median line across books, as a line-history point
+export function consensusLine(game, t = new Date().toISOString()) {
+  const { books, home } = game;
+  const spread = median(books.map(b => b.spread?.[home]?.line).filter(v => v != null));
+  const total = median(books.map(b => b.total?.line).filter(v => v != null));
+  const moneyline = {};
+  for (const side of outcomes(game)) {
+    const price = median(books.map(b => b.moneyline?.[side]).filter(v => v != null));
+    if (price != null) moneyline[side] = Math.round(price);
+  }
+  return { t, spread, total, moneyline: Object.keys(moneyline).length ? moneyline : null };
+}
+
+// For sources that report current lines only: remembers the consensus each
+// time odds are fetched and keeps a point whenever it moves. Games are dropped
+// once they are over (forget) or haven't been fetched for TRACK_MAX_AGE_MS.
+export function createLineTracker({ now = () => Date.now() } = {}) {
+  const byGame = new Map(); // gameId → { history: LinePoint[], seenAt }
+
+  function record(game) {
+    prune();
+    const point = consensusLine(game, new Date(now()).toISOString());
+    const history = byGame.get(game.gameId)?.history ?? [];
+    const last = history.at(-1);
+    const moved = !last || last.spread !== point.spread || last.total !== point.total
+      || JSON.stringify(last.moneyline) !== JSON.stringify(point.moneyline);
+    if (moved) history.push(point);
+    if (history.length > MAX_HISTORY) history.shift();
+    byGame.set(game.gameId, { history, seenAt: now() });
+    return history;
+  }
+
+  function prune() {
+    const cutoff = now() - TRACK_MAX_AGE_MS;
+    for (const [gameId, entry] of byGame) if (entry.seenAt < cutoff) byGame.delete(gameId);
+  }
+
+  // Finished games' lines won't move again
+  function forget(gameIds) {
+    for (const gameId of gameIds) byGame.delete(gameId);
+  }
+
+  return { record, forget };
+}
+
+// One game's odds as served at /api/odds/:slug — the adapter's GameOdds plus
+// { best, implied, history }. history always ends at the current consensus.
+export function summarizeOdds(game, tracker) {
+  const history = game.history?.length
+    ? [...game.history, consensusLine(game)]
+    : tracker.record(game);
+  return { ...game, best: bestLines(game), implied: marketProbability(game), history };
+}
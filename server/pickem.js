@@ -0,0 +1,229 @@
+// ─── Pick'em ──────────────────────────────────────────────────────────────────
+// A prediction game among friends: each player picks the winner of scheduled
+// games, and optionally the score, until the game's start_time locks it. Picks
+// are graded the first time a leaderboard or pick list is asked for after the
+// game goes final. "The House" plays along, always taking the side edgeLabel
+// leans to — the favorite by win probability when the last pick went in.
+//
+// Everything lives in one JSON file:
+//   { players: { [id]: { id, name } },
+//     picks: [{ player, league, gameId, start_time, winner, score, madeAt, result }],
+//     house: [{ league, gameId, start_time, winner, pct, label, result }] }
+// winner is a team abbreviation, or "draw" in soccer; score is
+// { [abbr]: goals } | null. result is null until graded, then
+// { winner, score, correct, exact, points }.
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { HttpError } from "./http.js";
+import { edgeLabel } from "../core/heuristics.js";
+
+export const DEFAULT_PICKEM_FILE = fileURLToPath(new URL("../data/pickem.json", import.meta.url));
+
+export const HOUSE = { id: "house", name: "The House" };
+
+// Right winner, then a bonus for calling the exact score or, failing that, the margin
+const POINTS = { winner: 10, exactScore: 5, margin: 2 };
+
+const PLAYER_ID = /^[\w-]{1,64}$/;
+const MAX_NAME_LENGTH = 32;
+
+// Keeps the state in memory and writes the whole file after every change,
+// through a temp file so a crash never leaves half of it. Changes go through
+// update() one at a time: each sees the state the one before it left and is
+// saved before the next begins, so overlapping requests can't undo each other.
+function createPickStore(file) {
+  let state = null;
+  let queue = Promise.resolve();
+
+  // A file that can't be read or parsed fails this request only; the next one tries again
+  async function load() {
+    state ??= readFile(file, "utf8")
+      .then(text => JSON.parse(text))
+      .catch(err => {
+        if (err.code === "ENOENT") return { players: {}, picks: [], house: [] };
+        state = null;
+        throw err;
+      });
+    return state;
+  }
+
+  async function write(data) {
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(data, null, 2));
+    await rename(`${file}.tmp`, file);
+  }
+
+  // Applies change(data) in turn and saves; resolves to what change returns.
+  // The change is made to a copy, which only becomes the state once it's on
+  // disk — a failed save rejects and leaves memory matching the file.
+  function update(change) {
+    const run = queue.then(async () => {
+      const data = structuredClone(await load());
+      const result = change(data);
+      await write(data);
+      state = Promise.resolve(data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { load, update };
+}
+
+function parsePlayer(player) {
+  const id = typeof player?.id === "string" ? player.id : "";
+  const name = typeof player?.name === "string" ? player.name.trim() : "";
+  if (!PLAYER_ID.test(id) || id === HOUSE.id) throw new HttpError(400, "player.id must be 1–64 letters, digits, - or _");
+  if (!name || name.length > MAX_NAME_LENGTH) throw new HttpError(400, `player.name must be 1–${MAX_NAME_LENGTH} characters`);
+  return { id, name };
+}
+
+function parseScore(score, game) {
+  if (score == null) return null;
+  const { home, away } = game;
+  const valid = n => Number.isInteger(n) && n >= 0;
+  if (!valid(score[home]) || !valid(score[away])) {
+    throw new HttpError(400, `score must give whole numbers for ${home} and ${away}`);
+  }
+  return { [home]: score[home], [away]: score[away] };
+}
+
+function winnerOf(score, home, away) {
+  if (score[home] === score[away]) return "draw";
+  return score[home] > score[away] ? home : away;
+}
+
+function gradePick(pick, game) {
+  const { home, away, score } = game;
+  const winner = winnerOf(score, home, away);
+  const correct = pick.winner === winner;
+  const exact = !!pick.score && pick.score[home] === score[home] && pick.score[away] === score[away];
+  const sameMargin = !!pick.score && pick.score[home] - pick.score[away] === score[home] - score[away];
+  const points = (correct ? POINTS.winner : 0)
+    + (exact ? POINTS.exactScore : correct && sameMargin ? POINTS.margin : 0);
+  return { winner, score: { [home]: score[home], [away]: score[away] }, correct, exact, points };
+}
+
+// The side edgeLabel leans to, or null when the game has no win probability
+function houseLean(game) {
+  const wp = game.win_probability;
+  if (wp?.[game.home] == null || wp?.[game.away] == null) return null;
+  const winner = wp[game.home] >= wp[game.away] ? game.home : game.away;
+  return { winner, pct: wp[winner], label: edgeLabel(wp[winner]) };
+}
+
+function standing(player) {
+  return { player, points: 0, picks: 0, graded: 0, correct: 0, exact: 0 };
+}
+
+function tally(row, entry) {
+  row.picks += 1;
+  if (!entry.result) return;
+  row.graded += 1;
+  row.points += entry.result.points;
+  if (entry.result.correct) row.correct += 1;
+  if (entry.result.exact) row.exact += 1;
+}
+
+// loadGame(league, id) → Game, as served at /api/game; getLeague(slug) → league | null
+export function createPickem({ loadGame, getLeague, file = DEFAULT_PICKEM_FILE, now = () => Date.now() }) {
+  const store = createPickStore(file);
+
+  // Saves or replaces a player's pick for a game that hasn't started
+  async function makePick(body) {
+    const player = parsePlayer(body?.player);
+    const league = getLeague(body?.league);
+    if (!league) throw new HttpError(400, `Unknown league "${body?.league}"`);
+    if (typeof body.gameId !== "string") throw new HttpError(400, "Pick a game with gameId");
+
+    const game = await loadGame(league, body.gameId);
+    if (game.status !== "scheduled" || now() >= new Date(game.start_time).getTime()) {
+      throw new HttpError(409, "Picks for this game locked when it started");
+    }
+    const sides = league.sport === "soccer" ? [game.home, game.away, "draw"] : [game.home, game.away];
+    if (!sides.includes(body.winner)) throw new HttpError(400, `winner must be one of ${sides.join(", ")}`);
+    const score = parseScore(body.score, game);
+    if (score && winnerOf(score, game.home, game.away) !== body.winner) {
+      throw new HttpError(400, "The score doesn't match the winner picked");
+    }
+
+    // The house takes the lean as it stands at the latest pick before lock
+    const lean = houseLean(game);
+    return store.update(data => {
+      // A player's name is the one they joined with; a later pick can't rename them
+      data.players[player.id] ??= player;
+      const pick = {
+        player: player.id, league: league.slug, gameId: game.id, start_time: game.start_time,
+        winner: body.winner, score, madeAt: new Date(now()).toISOString(), result: null,
+      };
+      const same = p => p.player === player.id && p.league === league.slug && p.gameId === game.id;
+      data.picks = [...data.picks.filter(p => !same(p)), pick];
+      if (lean) {
+        const isGame = h => h.league === league.slug && h.gameId === game.id;
+        data.house = [...data.house.filter(h => !isGame(h)),
+          { league: league.slug, gameId: game.id, start_time: game.start_time, ...lean, result: null }];
+      }
+      return pick;
+    });
+  }
+
+  // Grades every pick whose game has started and since gone final. A game that
+  // fails to load stays ungraded until the next try.
+  async function grade() {
+    const pendingIn = data => [...data.picks, ...data.house]
+      .filter(entry => !entry.result && new Date(entry.start_time).getTime() <= now());
+    const games = new Map(pendingIn(await store.load()).map(e => [`${e.league}:${e.gameId}`, e]));
+    const finals = new Map();
+    await Promise.all([...games].map(async ([key, { league: slug, gameId }]) => {
+      const league = getLeague(slug);
+      if (!league) return;
+      const game = await loadGame(league, gameId).catch(() => null);
+      if (game?.status === "final" && game.score) finals.set(key, game);
+    }));
+    if (finals.size === 0) return store.load();
+    // Picks may have changed while the games loaded, so grade what's pending now
+    return store.update(data => {
+      for (const entry of pendingIn(data)) {
+        const game = finals.get(`${entry.league}:${entry.gameId}`);
+        if (game) entry.result = gradePick(entry, game);
+      }
+      return data;
+    });
+  }
+
+  // One player's picks, plus the house's, newest game first
+  async function picksFor(playerId, leagueSlug) {
+    const data = await grade();
+    const inLeague = e => !leagueSlug || e.league === leagueSlug;
+    const byStart = (a, b) => new Date(b.start_time) - new Date(a.start_time);
+    return {
+      player: data.players[playerId] ?? null,
+      picks: data.picks.filter(p => p.player === playerId && inLeague(p)).sort(byStart),
+      house: data.house.filter(inLeague).sort(byStart),
+    };
+  }
+
+  // Standings for one league, or every league when leagueSlug is null:
+  //   { league, entries: [{ rank, player, house, points, picks, graded, correct, exact }] }
+  async function leaderboard(leagueSlug) {
+    const data = await grade();
+    const inLeague = e => !leagueSlug || e.league === leagueSlug;
+    const rows = new Map();
+    for (const pick of data.picks.filter(inLeague)) {
+      if (!rows.has(pick.player)) rows.set(pick.player, standing(data.players[pick.player]));
+      tally(rows.get(pick.player), pick);
+    }
+    const house = standing(HOUSE);
+    data.house.filter(inLeague).forEach(h => tally(house, h));
+
+    const entries = [...rows.values(), ...(house.picks ? [house] : [])]
+      .sort((a, b) => b.points - a.points || b.correct - a.correct || a.graded - b.graded)
+      .map((row, i) => ({ rank: i + 1, ...row, house: row.player === HOUSE }));
+    return { league: leagueSlug ?? null, entries };
+  }
+
+  return { makePick, picksFor, leaderboard };
+}
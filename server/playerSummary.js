@@ -0,0 +1,51 @@
+// ─── Player summary ───────────────────────────────────────────────────────────
+// Helpers behind the player panel and player search: season totals added up
+// from box-score lines, and ranking players against a search query. Adapters
+// that get these ready-made from upstream skip them.
+
+const SEARCH_LIMIT = 20;
+
+// "13-16" or "20/31" (made-attempted), or a plain count
+const MADE_ATTEMPTED = /^(\d+)([-/])(\d+)$/;
+const COUNT = /^-?\d+$/;
+
+// columns: [{ key, label }]; lines: [{ [key]: display value }], one per game.
+// Counts are summed and made-attempted columns summed part by part; anything
+// else (averages, times on ice) doesn't add up, so it is left out.
+export function totalStats(columns, lines) {
+  if (lines.length === 0) return null;
+  const stats = { gamesPlayed: { label: "GP", value: String(lines.length) } };
+  for (const { key, label } of columns) {
+    const values = lines.map(line => String(line[key] ?? ""));
+    if (values.every(v => COUNT.test(v))) {
+      stats[key] = { label, value: String(values.reduce((sum, v) => sum + Number(v), 0)) };
+    } else if (values.every(v => MADE_ATTEMPTED.test(v))) {
+      const matches = values.map(v => MADE_ATTEMPTED.exec(v));
+      const made = matches.reduce((sum, m) => sum + Number(m[1]), 0);
+      const attempted = matches.reduce((sum, m) => sum + Number(m[3]), 0);
+      stats[key] = { label, value: `${made}${matches[0][2]}${attempted}` };
+    }
+  }
+  return stats;
+}
+
+// 0 for no match; otherwise higher is better: whole name, then the name or
+// any part of it starting with the query, then the query anywhere in it
+function matchScore(name, query) {
+  const n = name.toLowerCase();
+  if (n === query) return 4;
+  if (n.startsWith(query)) return 3;
+  if (n.split(/[\s'-]+/).some(part => part.startsWith(query))) return 2;
+  return n.includes(query) ? 1 : 0;
+}
+
+// players: [{ name, … }] → the best matches for `query`, best first
+export function rankPlayers(players, query, limit = SEARCH_LIMIT) {
+  const q = query.trim().toLowerCase();
+  return players
+    .map(player => ({ player, score: matchScore(player.name ?? "", q) }))
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score || a.player.name.localeCompare(b.player.name))
+    .slice(0, limit)
+    .map(m => m.player);
+}
@@ -0,0 +1,86 @@
+// ─── Recorded sessions ────────────────────────────────────────────────────────
+// A session is a JSONL file with one scoreboard snapshot per line:
+//   { "t": ISO timestamp, "slug": league slug, "games": Game[] }
+// The recorder appends to it while the server runs with --record; the
+// /api/sessions routes read it back for the client's replay mode.
+
+import { appendFile, mkdir, readdir, readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { HttpError } from "./http.js";
+
+export const DEFAULT_SESSIONS_DIR = fileURLToPath(new URL("../sessions/", import.meta.url));
+
+const SESSION_ID = /^[\w.-]+$/;
+
+// A recorder for `filePath`: record(slug, games) appends a scoreboard as
+// /api/scores served it, model probabilities and all, so a replay shows what
+// was seen live. Snapshots identical to the previous one for the same league
+// are skipped, which keeps a long session of final/scheduled games small.
+export function createRecorder(filePath) {
+  const lastWritten = new Map();
+  let ready = null;
+
+  return async function record(slug, games) {
+    const body = JSON.stringify(games);
+    if (lastWritten.get(slug) === body) return;
+    lastWritten.set(slug, body);
+    ready ??= mkdir(path.dirname(filePath), { recursive: true });
+    await ready;
+    await appendFile(filePath, `{"t":"${new Date().toISOString()}","slug":${JSON.stringify(slug)},"games":${body}}\n`);
+  };
+}
+
+// "2026-10-19T20-05-11" — sortable and safe as a file name on every OS
+export function newSessionPath(dir = DEFAULT_SESSIONS_DIR) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+  return path.join(dir, `${stamp}.jsonl`);
+}
+
+function parseSession(text) {
+  return text
+    .split("\n")
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+export async function listSessions(dir = DEFAULT_SESSIONS_DIR) {
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+  const sessions = [];
+  for (const name of names.filter(n => n.endsWith(".jsonl")).sort().reverse()) {
+    const snapshots = parseSession(await readFile(path.join(dir, name), "utf8"));
+    if (snapshots.length === 0) continue;
+    sessions.push({
+      id: name.replace(/\.jsonl$/, ""),
+      started_at: snapshots[0].t,
+      ended_at: snapshots[snapshots.length - 1].t,
+      leagues: [...new Set(snapshots.map(s => s.slug))],
+      snapshots: snapshots.length,
+    });
+  }
+  return sessions;
+}
+
+export async function loadSession(id, dir = DEFAULT_SESSIONS_DIR) {
+  if (!SESSION_ID.test(id)) throw new HttpError(400, `Invalid session id "${id}"`);
+  let text;
+  try {
+    text = await readFile(path.join(dir, `${id}.jsonl`), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") throw new HttpError(404, `No recorded session "${id}"`);
+    throw err;
+  }
+  const snapshots = parseSession(text);
+  return {
+    id,
+    started_at: snapshots[0]?.t ?? null,
+    ended_at: snapshots[snapshots.length - 1]?.t ?? null,
+    snapshots,
+  };
+}
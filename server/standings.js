@@ -0,0 +1,201 @@
+// ─── Standings ────────────────────────────────────────────────────────────────
+// Turns each team's record into the Standings shape the client's Standings view
+// reads: ranked tables per conference (and division), with the columns that
+// matter for the sport and, for soccer, form guides and qualification zones.
+// Adapters supply the records — tallied from results, or read from upstream —
+// and this module does the ranking, so every source orders teams the same way.
+
+const FORM_LENGTH = 5;
+const NO_GAMES = { wins: 0, losses: 0, ties: 0, otLosses: 0, pointsFor: 0, pointsAgainst: 0, streak: null, form: [] };
+
+// Columns per sport, in display order
+const COLUMNS = {
+  basketball: [["wins", "W"], ["losses", "L"], ["winPct", "PCT"], ["gamesBack", "GB"], ["differential", "DIFF"], ["streak", "STRK"]],
+  football:   [["wins", "W"], ["losses", "L"], ["ties", "T"], ["winPct", "PCT"], ["pointsFor", "PF"], ["pointsAgainst", "PA"], ["differential", "DIFF"], ["streak", "STRK"]],
+  hockey:     [["gamesPlayed", "GP"], ["wins", "W"], ["losses", "L"], ["otLosses", "OTL"], ["points", "PTS"], ["differential", "DIFF"], ["streak", "STRK"]],
+  baseball:   [["wins", "W"], ["losses", "L"], ["winPct", "PCT"], ["gamesBack", "GB"], ["differential", "DIFF"], ["streak", "STRK"]],
+  soccer:     [["gamesPlayed", "GP"], ["wins", "W"], ["ties", "D"], ["losses", "L"], ["pointsFor", "GF"], ["pointsAgainst", "GA"], ["differential", "GD"], ["points", "PTS"]],
+};
+
+const ZONE_TYPES = {
+  ucl:        { label: "Champions League",            color: "#2563eb" },
+  uclQual:    { label: "Champions League qualifying", color: "#60a5fa" },
+  uel:        { label: "Europa League",               color: "#f97316" },
+  uecl:       { label: "Conference League",           color: "#16a34a" },
+  knockout:   { label: "Round of 16",                 color: "#2563eb" },
+  playoff:    { label: "Knockout playoff",            color: "#60a5fa" },
+  postseason: { label: "Playoffs",                    color: "#2563eb" },
+  wildcard:   { label: "Wild card",                   color: "#60a5fa" },
+  playIn:     { label: "Play-in",                     color: "#60a5fa" },
+  relegationPlayoff: { label: "Relegation playoff",   color: "#fb923c" },
+  relegation: { label: "Relegation",                  color: "#dc2626" },
+};
+
+// [zone, first place, last place], counted within the table (per conference
+// where the league splits into conferences). A short table simply never
+// reaches the lower zones.
+const ZONES = {
+  epl:        [["ucl", 1, 4], ["uel", 5, 5], ["uecl", 6, 6], ["relegation", 18, 20]],
+  laliga:     [["ucl", 1, 4], ["uel", 5, 6], ["uecl", 7, 7], ["relegation", 18, 20]],
+  bundesliga: [["ucl", 1, 4], ["uel", 5, 5], ["uecl", 6, 6], ["relegationPlayoff", 16, 16], ["relegation", 17, 18]],
+  seriea:     [["ucl", 1, 4], ["uel", 5, 5], ["uecl", 6, 6], ["relegation", 18, 20]],
+  ligue1:     [["ucl", 1, 3], ["uclQual", 4, 4], ["uel", 5, 5], ["uecl", 6, 6], ["relegationPlayoff", 16, 16], ["relegation", 17, 18]],
+  ucl:        [["knockout", 1, 8], ["playoff", 9, 24]],
+  uel:        [["knockout", 1, 8], ["playoff", 9, 24]],
+  mls:        [["postseason", 1, 7], ["wildcard", 8, 9]],
+  nwsl:       [["postseason", 1, 8]],
+  ligamx:     [["postseason", 1, 6], ["playIn", 7, 10]],
+};
+
+function zonesFor(slug) {
+  return (ZONES[slug] ?? []).map(([id, from, to]) => ({ id, ...ZONE_TYPES[id], from, to }));
+}
+
+// results: [{ date, home, away, score: { [abbr]: n }, overtime? }] in any order.
+// Returns Map<abbr, record> with the record shape buildStandings takes.
+export function tallyRecords(results, sport) {
+  const records = new Map();
+  const recordFor = abbr => {
+    if (!records.has(abbr)) {
+      records.set(abbr, { wins: 0, losses: 0, ties: 0, otLosses: 0, pointsFor: 0, pointsAgainst: 0, played: [] });
+    }
+    return records.get(abbr);
+  };
+
+  const finished = results
+    .filter(r => r.score?.[r.home] != null && r.score?.[r.away] != null)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  for (const r of finished) {
+    for (const [abbr, opp] of [[r.home, r.away], [r.away, r.home]]) {
+      const record = recordFor(abbr);
+      const scored = r.score[abbr], conceded = r.score[opp];
+      record.pointsFor += scored;
+      record.pointsAgainst += conceded;
+      const result = scored > conceded ? "W" : scored < conceded ? "L" : "D";
+      if (result === "W") record.wins++;
+      else if (result === "D") record.ties++;
+      // Hockey keeps overtime losses apart: they are still worth a point
+      else if (sport === "hockey" && r.overtime) record.otLosses++;
+      else record.losses++;
+      record.played.push(result);
+    }
+  }
+
+  for (const record of records.values()) {
+    const { played } = record;
+    delete record.played;
+    record.form = played.slice(0, FORM_LENGTH);
+    record.streak = null;
+    for (const result of played) {
+      if (!record.streak) record.streak = { type: result, count: 1 };
+      else if (result === record.streak.type) record.streak.count++;
+      else break;
+    }
+  }
+  return records;
+}
+
+function points(record, sport) {
+  if (sport === "soccer") return record.wins * 3 + record.ties;
+  if (sport === "hockey") return record.wins * 2 + record.otLosses;
+  return null;
+}
+
+function winPct(record) {
+  const played = record.wins + record.losses + record.ties + record.otLosses;
+  return played > 0 ? (record.wins + record.ties / 2) / played : 0;
+}
+
+// Best first. Soccer and hockey rank on points, the rest on win percentage;
+// ties then go to wins and the scoring differential.
+function compareRecords(sport) {
+  const primary = sport === "soccer" || sport === "hockey"
+    ? r => points(r, sport)
+    : winPct;
+  return (a, b) =>
+    primary(b.record) - primary(a.record)
+    || b.record.wins - a.record.wins
+    || (b.record.pointsFor - b.record.pointsAgainst) - (a.record.pointsFor - a.record.pointsAgainst)
+    || b.record.pointsFor - a.record.pointsFor
+    || a.team.name.localeCompare(b.team.name);
+}
+
+const signed = n => (n > 0 ? `+${n}` : String(n));
+
+// ".625", or "1.000" for an unbeaten team
+const formatPct = pct => pct.toFixed(3).replace(/^0/, "");
+
+// Drawn games are "ties" outside soccer
+const streakLetter = (type, sport) => (type === "D" && sport !== "soccer" ? "T" : type);
+
+function formatGamesBack(gb) {
+  return gb === 0 ? "—" : String(gb);
+}
+
+// Ranks one table and formats the sport's columns; zones apply to this table's places
+function rankTable(entries, sport, columns, zones) {
+  const sorted = entries
+    .map(entry => ({ ...entry, record: entry.record ?? NO_GAMES }))
+    .sort(compareRecords(sport));
+  const leader = sorted[0]?.record;
+  return sorted.map(({ team, record }, i) => {
+    const rank = i + 1;
+    const gamesBack = leader ? ((leader.wins - record.wins) + (record.losses - leader.losses)) / 2 : 0;
+    const all = {
+      gamesPlayed: String(record.wins + record.losses + record.ties + record.otLosses),
+      wins: String(record.wins),
+      losses: String(record.losses),
+      ties: String(record.ties),
+      otLosses: String(record.otLosses),
+      points: String(points(record, sport) ?? ""),
+      winPct: formatPct(winPct(record)),
+      gamesBack: formatGamesBack(gamesBack),
+      pointsFor: String(record.pointsFor),
+      pointsAgainst: String(record.pointsAgainst),
+      differential: signed(record.pointsFor - record.pointsAgainst),
+      streak: record.streak ? `${streakLetter(record.streak.type, sport)}${record.streak.count}` : "—",
+    };
+    return {
+      rank,
+      team,
+      stats: Object.fromEntries(columns.map(c => [c.key, all[c.key]])),
+      form: sport === "soccer" ? record.form ?? null : null,
+      zone: zones.find(z => rank >= z.from && rank <= z.to)?.id ?? null,
+    };
+  });
+}
+
+function groupBy(entries, key) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const name = entry[key] ?? null;
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(entry);
+  }
+  return [...groups.entries()].sort(([a], [b]) => String(a).localeCompare(String(b)));
+}
+
+// entries: [{ team: { id, abbr, name, logo, color }, conference?, division?,
+//             record: { wins, losses, ties, otLosses, pointsFor, pointsAgainst,
+//                       streak: { type, count } | null, form: string[] | null } | null }]
+// A null record is a team that hasn't played yet.
+export function buildStandings(league, entries) {
+  const zones = zonesFor(league.slug);
+  const columns = (COLUMNS[league.sport] ?? COLUMNS.basketball).map(([key, label]) => ({ key, label }));
+  const groups = groupBy(entries, "conference").map(([name, members]) => ({
+    name,
+    rows: rankTable(members, league.sport, columns, zones),
+    divisions: members.some(m => m.division)
+      ? groupBy(members, "division").map(([division, teams]) => ({ name: division, rows: rankTable(teams, league.sport, columns, []) }))
+      : [],
+  }));
+
+  const used = new Set(groups.flatMap(g => g.rows.map(r => r.zone)));
+  return {
+    league: league.slug,
+    columns,
+    zones: zones.filter(z => used.has(z.id)).map(({ id, label, color }) => ({ id, label, color })),
+    groups,
+  };
+}
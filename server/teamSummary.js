@@ -0,0 +1,89 @@
+// ─── Team summary ─────────────────────────────────────────────────────────────
+// Turns a team's games into the derived fields TeamStatsPanel reads: streak,
+// recentGames, bestGame and worstGame, the season schedule, and head-to-head
+// history. Shared by every adapter so the numbers mean the same thing
+// regardless of where the results came from.
+
+const RECENT_GAMES = 5;
+
+// results: [{ date, opponent, isHome, teamScore, oppScore }] in any order
+export function summarizeResults(results) {
+  const played = results
+    .filter(r => r.teamScore != null && r.oppScore != null)
+    .map(r => ({ ...r, result: r.teamScore > r.oppScore ? "W" : r.teamScore < r.oppScore ? "L" : "D" }))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  let streak = null;
+  for (const game of played) {
+    if (!streak) streak = { type: game.result, count: 1 };
+    else if (game.result === streak.type) streak.count++;
+    else break;
+  }
+
+  let bestGame = null, worstGame = null;
+  for (const game of played) {
+    const margin = game.teamScore - game.oppScore;
+    if (!bestGame || margin > bestGame.margin) bestGame = { ...game, margin };
+    if (!worstGame || margin < worstGame.margin) worstGame = { ...game, margin };
+  }
+
+  return {
+    record: played.length > 0 ? { summary: formatRecord(played) } : null,
+    streak,
+    recentGames: played.slice(0, RECENT_GAMES),
+    bestGame,
+    worstGame,
+  };
+}
+
+// "12-4", or "8-3-2" (W-D-L) once any game has been drawn
+function formatRecord(played) {
+  const count = type => played.filter(g => g.result === type).length;
+  const draws = count("D");
+  return draws > 0 ? `${count("W")}-${draws}-${count("L")}` : `${count("W")}-${count("L")}`;
+}
+
+// ─── Schedule and head-to-head ────────────────────────────────────────────────
+// Both read normalized Games (see adapters/index.js) and describe each one from
+// the team's side, so the client never has to work out which side it is on.
+
+function scheduleEntry(game, teamId) {
+  const us = [game.home, game.away].find(abbr => String(game.teams?.[abbr]?.id) === String(teamId));
+  if (!us) return null;
+  const them = us === game.home ? game.away : game.home;
+  const teamScore = game.score?.[us] ?? null;
+  const oppScore = game.score?.[them] ?? null;
+  const played = game.status === "final" && teamScore != null && oppScore != null;
+  return {
+    id: game.id,
+    date: game.start_time,
+    status: game.status,
+    clock: game.clock ?? null,
+    isHome: us === game.home,
+    opponent: { abbr: them, id: game.teams?.[them]?.id ?? null, name: game.teams?.[them]?.name ?? them, logo: game.teams?.[them]?.logo ?? null },
+    teamScore,
+    oppScore,
+    result: played ? (teamScore > oppScore ? "W" : teamScore < oppScore ? "L" : "D") : null,
+  };
+}
+
+// Every game the team plays in, oldest first
+export function teamSchedule(games, teamId) {
+  return games
+    .map(game => scheduleEntry(game, teamId))
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// Meetings between two teams, newest first, with the team's record in them
+export function headToHead(games, teamId, opponentId) {
+  const meetings = teamSchedule(games, teamId)
+    .filter(g => String(g.opponent.id) === String(opponentId))
+    .reverse();
+  const count = type => meetings.filter(g => g.result === type).length;
+  return {
+    opponent: meetings[0]?.opponent ?? null,
+    record: { wins: count("W"), losses: count("L"), draws: count("D") },
+    games: meetings,
+  };
+}
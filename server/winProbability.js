@@ -0,0 +1,170 @@
+// ─── Win-probability model ────────────────────────────────────────────────────
+// Upstream win probabilities are used as-is; this fills them in for games that
+// have none, from the score, the clock, the spread and Elo ratings
+// (server/elo.js). Models are pluggable — createApp takes any object with
+//   name
+//   predict(game, { league, ratings }) → { [abbr]: pct, draw? } | null
+// where ratings is a Map of abbr → Elo rating, or null when they couldn't be
+// loaded. predict returns null when it has nothing to go on.
+
+import { eloDiff, eloExpectation } from "./elo.js";
+import { describeLeague } from "./leagues.js";
+import { gamePhase, isExtraPeriod } from "../core/clock.js";
+
+const DEFAULT_MODEL = "elo-clock";
+
+// Per sport: sigma is the spread of final margins around the expected one
+// (points, goals or runs). Soccer is modelled as goals arriving at
+// goalsPerTeam per 90 minutes instead.
+const SPORT_PARAMS = {
+  basketball: { sigma: 12 },
+  football:   { sigma: 13.5 },
+  hockey:     { sigma: 2.4 },
+  baseball:   { sigma: 4.2 },
+  soccer:     { goalsPerTeam: 1.35 },
+};
+
+const LEAGUE_PARAMS = {
+  ncaaf: { sigma: 16 },
+};
+
+// Rating points per goal of expected supremacy in soccer
+const ELO_PER_GOAL = 200;
+// Share of the game left once regulation is over (overtime, extra innings, stoppage)
+const OVERTIME_SHARE = 0.05;
+// Never treat a game as quite over while it is still live
+const MIN_REMAINING = 0.005;
+// Goals per team beyond the current score worth summing over
+const MAX_GOALS = 10;
+
+function paramsFor(league) {
+  return { ...SPORT_PARAMS[league.sport], ...LEAGUE_PARAMS[league.slug] };
+}
+
+// ─── Math ─────────────────────────────────────────────────────────────────────
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse of normalCdf, by bisection — only ever called once per game
+function normalQuantile(p) {
+  let lo = -8, hi = 8;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (normalCdf(mid) < p) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function poissonPmf(lambda, maxGoals) {
+  const pmf = [Math.exp(-lambda)];
+  for (let n = 1; n <= maxGoals; n++) pmf.push((pmf[n - 1] * lambda) / n);
+  return pmf;
+}
+
+const pct = p => +(p * 100).toFixed(1);
+
+// ─── Game state ───────────────────────────────────────────────────────────────
+
+// "PHX -3.5" → the home side's expected margin (−3.5 if PHX is away); null if unreadable
+function spreadMargin(game) {
+  const favorite = game.spread?.favorite;
+  if (!favorite) return null;
+  if (/^even|^pk/i.test(favorite.trim())) return 0;
+  const match = favorite.match(/^(\S+)\s+(-?\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  const points = Math.abs(Number(match[2]));
+  if (match[1] === game.home) return points;
+  if (match[1] === game.away) return -points;
+  return null;
+}
+
+// Share of regulation still to play, 1 before kickoff down to 0 at the end
+// (core/clock.js); null when the clock can't be read. Soccer always has
+// stoppage time to come, so it never drops below what overtime leaves.
+function remainingShare(game, league) {
+  if (game.status === "scheduled") return 1;
+  const phase = gamePhase(game, describeLeague(league));
+  if (!phase || phase.elapsed == null) return null;
+  if (isExtraPeriod(phase)) return OVERTIME_SHARE;
+  return Math.max(1 - phase.elapsed, league.sport === "soccer" ? OVERTIME_SHARE : MIN_REMAINING);
+}
+
+// ─── Elo + clock model ────────────────────────────────────────────────────────
+// Before the game, the spread (or, without one, the Elo gap) sets an expected
+// home margin. During it, the margin still to come shrinks with the clock and
+// so does its uncertainty, so a lead counts for more the less time is left.
+// Soccer plays out the remaining minutes as two Poisson goal counts, which is
+// also where its draw probability comes from.
+
+function createEloClockModel() {
+  // Expected home margin over a full game, or null with no spread and no ratings
+  function expectedMargin(game, league, ratings, sigma) {
+    const spread = spreadMargin(game);
+    if (spread != null) return spread;
+    if (!ratings) return null;
+    return sigma * normalQuantile(eloExpectation(eloDiff(ratings, game.home, game.away, league)));
+  }
+
+  function predictSoccer(game, league, ratings, remaining) {
+    const { goalsPerTeam } = paramsFor(league);
+    const spread = spreadMargin(game);
+    const supremacy = spread ?? (ratings ? eloDiff(ratings, game.home, game.away, league) / ELO_PER_GOAL : null);
+    if (supremacy == null && game.status === "scheduled") return null;
+    const rate = share => Math.max(goalsPerTeam + share, 0.2) * remaining;
+    const homeGoals = poissonPmf(rate((supremacy ?? 0) / 2), MAX_GOALS);
+    const awayGoals = poissonPmf(rate(-(supremacy ?? 0) / 2), MAX_GOALS);
+    const lead = (game.score?.[game.home] ?? 0) - (game.score?.[game.away] ?? 0);
+
+    let home = 0, away = 0, draw = 0;
+    homeGoals.forEach((ph, h) => awayGoals.forEach((pa, a) => {
+      const final = lead + h - a;
+      if (final > 0) home += ph * pa; else if (final < 0) away += ph * pa; else draw += ph * pa;
+    }));
+    const total = home + away + draw;
+    return { [game.home]: pct(home / total), [game.away]: pct(away / total), draw: pct(draw / total) };
+  }
+
+  function predict(game, { league, ratings }) {
+    if (game.status === "final") return null;
+    const remaining = remainingShare(game, league);
+    if (remaining == null) return null;
+    if (league.sport === "soccer") return predictSoccer(game, league, ratings, remaining);
+
+    const { sigma } = paramsFor(league);
+    const margin = expectedMargin(game, league, ratings, sigma);
+    if (margin == null && game.status === "scheduled") return null;
+    const lead = (game.score?.[game.home] ?? 0) - (game.score?.[game.away] ?? 0);
+    const home = normalCdf((lead + (margin ?? 0) * remaining) / (sigma * Math.sqrt(remaining)));
+    return { [game.home]: pct(home), [game.away]: pct(1 - home) };
+  }
+
+  return { name: DEFAULT_MODEL, predict };
+}
+
+const MODELS = {
+  [DEFAULT_MODEL]: createEloClockModel,
+};
+
+export function createWinProbabilityModel(name = DEFAULT_MODEL) {
+  const factory = MODELS[name];
+  if (!factory) {
+    throw new Error(`Unknown win-probability model "${name}" (expected one of: ${Object.keys(MODELS).join(", ")})`);
+  }
+  return factory();
+}
+
+// Fills in win_probability where upstream left it empty, and records where
+// each game's came from in win_probability_source ("upstream" | "model" | null)
+export function withModelProbability(games, model, context) {
+  return games.map(game => {
+    if (game.win_probability) return { ...game, win_probability_source: "upstream" };
+    const predicted = model.predict(game, context);
+    return { ...game, win_probability: predicted, win_probability_source: predicted ? "model" : null };
+  });
+}
@@ -1,115 +1,66 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import { API_BASE } from "./lib/api";
+import { createReplaySource, useReplayClock } from "./lib/replay";
+import { openScoreStream, applyGameDiff } from "./lib/liveStream";
+import { useRefreshScheduler } from "./lib/refreshScheduler";
+import { loadHistory, saveHistory } from "./lib/historyStore";
+import { teamKey, teamRef, isFollowingGame, loadFollowedTeams, saveFollowedTeams, loadLegacyAbbrs, saveLegacyAbbrs, loadLeagueTeams, findTeamsByAbbr } from "./lib/myTeams";
+import { useRoute, dayKey, pageUrl, followLink } from "./lib/router";
+import { useLeagueRatings } from "./lib/ratings";
+import { teamRating } from "../core/ratings.js";
+import { edgeLabel, findBestBet, isUpsetAlert, findUpcomingNotable, getMomentum, getScoreDelta, isTenseMoment, countTenseGames, findBestLiveGame, calcEntertainmentRating, sealingGoal, generateRecap } from "../core/heuristics.js";
+import { useLeagueOdds, gameOdds } from "./lib/odds";
+import { useLeagueRegistry, allSportGroups, allLeagueIds, getLeagueInfo, leagueLabel, isSoccer } from "./lib/leagues";
+import { loadNotificationSettings, saveNotificationSettings, collectNotifications, showNotification } from "./lib/notifications";
+import { ReplayControls } from "./components/ReplayControls";
+import { LeagueFreshness } from "./components/LeagueFreshness";
+import { WinProbChart } from "./components/WinProbChart";
+import { OddsLine, OddsComparison } from "./components/OddsComparison";
+import { BetSlip, BetLedger } from "./components/BetLedger";
+import { settleBets } from "./lib/betLedger";
+import { TeamMigrationPrompt } from "./components/TeamMigrationPrompt";
+import { NotificationSettings } from "./components/NotificationSettings";
+import { GameDetailPage } from "./components/GameDetailPage";
+import { TeamSchedule, TeamRoster, HeadToHead } from "./components/TeamSections";
+import { PlayerLink } from "./components/PlayerLink";
+import { PlayerPanel } from "./components/PlayerPanel";
+import { PlayerSearch } from "./components/PlayerSearch";
+import { CommandPalette } from "./components/CommandPalette";
+import { LeagueSettings } from "./components/LeagueSettings";
+import { loadLeagueSettings, saveLeagueSettings, arrangeGroups } from "./lib/leagueSettings";
+import { StandingsView } from "./components/StandingsView";
+import { PickemView } from "./components/PickemView";
+import { ScheduleCalendar } from "./components/ScheduleCalendar";
+import { useSchedule, weekRange, dateFromKey } from "./lib/schedule";
 
 // ─── Config ───────────────────────────────────────────────────────────────────
 
-const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:3001/api";
-const REFRESH_INTERVAL = 30_000;
-
-// Per-sport Tailwind color tokens (fully written-out class strings for JIT safety)
-const SPORT_COLORS = {
-  basketball: {
-    activeBorder:  "border-orange-400",
-    activeText:    "text-orange-600",
-    subBg:         "bg-orange-50",
-    subBorder:     "border-orange-100",
-    activePill:    "bg-orange-500 text-white",
-    hoverPill:     "hover:bg-orange-100 hover:text-orange-700",
-    headerBg:      "bg-orange-50",
-    headerText:    "text-orange-500",
-  },
-  football: {
-    activeBorder:  "border-green-500",
-    activeText:    "text-green-700",
-    subBg:         "bg-green-50",
-    subBorder:     "border-green-100",
-    activePill:    "bg-green-600 text-white",
-    hoverPill:     "hover:bg-green-100 hover:text-green-700",
-    headerBg:      "bg-green-50",
-    headerText:    "text-green-600",
-  },
-  hockey: {
-    activeBorder:  "border-sky-400",
-    activeText:    "text-sky-600",
-    subBg:         "bg-sky-50",
-    subBorder:     "border-sky-100",
-    activePill:    "bg-sky-500 text-white",
-    hoverPill:     "hover:bg-sky-100 hover:text-sky-700",
-    headerBg:      "bg-sky-50",
-    headerText:    "text-sky-500",
-  },
-  baseball: {
-    activeBorder:  "border-rose-400",
-    activeText:    "text-rose-600",
-    subBg:         "bg-rose-50",
-    subBorder:     "border-rose-100",
-    activePill:    "bg-rose-500 text-white",
-    hoverPill:     "hover:bg-rose-100 hover:text-rose-700",
-    headerBg:      "bg-rose-50",
-    headerText:    "text-rose-500",
-  },
-  soccer: {
-    activeBorder:  "border-emerald-500",
-    activeText:    "text-emerald-700",
-    subBg:         "bg-emerald-50",
-    subBorder:     "border-emerald-100",
-    activePill:    "bg-emerald-600 text-white",
-    hoverPill:     "hover:bg-emerald-100 hover:text-emerald-700",
-    headerBg:      "bg-emerald-50",
-    headerText:    "text-emerald-600",
-  },
+const SERVER_DOWN_MESSAGE = "Could not reach the ChalkBoard server. Is it running? (node server.js)";
+// Wait before asking leagues that didn't answer for their teams again (doubling, up to the max)
+const LEGACY_RETRY_MS = 30_000;
+const LEGACY_RETRY_MAX_MS = 10 * 60_000;
+
+// Sport colors arrive from the league registry as hex, so these class strings
+// read them from CSS variables (set with sportColorVars) — written out in full
+// for JIT safety
+const SPORT_THEME = {
+  activeBorder:  "border-[color:var(--sport-accent)]",
+  activeText:    "text-[color:var(--sport-text)]",
+  subBg:         "bg-[color:var(--sport-tint)]",
+  subBorder:     "border-[color:var(--sport-soft)]",
+  activePill:    "bg-[color:var(--sport-accent)] text-white",
+  hoverPill:     "hover:bg-[color:var(--sport-soft)] hover:text-[color:var(--sport-text)]",
+  headerBg:      "bg-[color:var(--sport-tint)]",
+  headerText:    "text-[color:var(--sport-accent)]",
 };
 
-// Sport groups define the two-level navigation hierarchy.
-// Each group has a sport label and an ordered list of league slugs with display names.
-const SPORT_GROUPS = [
-  { id: "basketball", label: "🏀 Basketball", leagues: [
-    { slug: "nba",   label: "NBA" },
-    { slug: "wnba",  label: "WNBA" },
-  ]},
-  { id: "football", label: "🏈 Football", leagues: [
-    { slug: "nfl",   label: "NFL" },
-    { slug: "ncaaf", label: "College" },
-  ]},
-  { id: "hockey", label: "🏒 Hockey", leagues: [
-    { slug: "nhl",   label: "NHL" },
-  ]},
-  { id: "baseball", label: "⚾ Baseball", leagues: [
-    { slug: "mlb",   label: "MLB" },
-  ]},
-  { id: "soccer", label: "⚽ Soccer", leagues: [
-    { slug: "mls",        label: "MLS" },
-    { slug: "nwsl",       label: "NWSL" },
-    { slug: "ucl",        label: "Champions League" },
-    { slug: "uel",        label: "Europa League" },
-    { slug: "epl",        label: "Premier League" },
-    { slug: "laliga",     label: "La Liga" },
-    { slug: "bundesliga", label: "Bundesliga" },
-    { slug: "seriea",     label: "Serie A" },
-    { slug: "ligue1",     label: "Ligue 1" },
-    { slug: "ligamx",     label: "Liga MX" },
-  ]},
-];
-
-// Flat ordered list of all league slugs, used for fetching and iteration
-const ALL_LEAGUE_IDS = SPORT_GROUPS.flatMap(g => g.leagues.map(l => l.slug));
-
-// Set of soccer slugs for fast sport-type checks
-const SOCCER_SLUGS = new Set(
-  SPORT_GROUPS.find(g => g.id === "soccer")?.leagues.map(l => l.slug) ?? []
-);
-
-// Human-readable display name for a slug (e.g. "nba" → "NBA", "mls" → "MLS")
-function leagueDisplayName(slug) {
-  for (const group of SPORT_GROUPS) {
-    const found = group.leagues.find(l => l.slug === slug);
-    if (found) return found.label;
-  }
-  return slug.toUpperCase();
-}
-
-// Returns the SPORT_GROUPS entry that contains the given league slug, or null
-function getSportGroup(slug) {
-  return SPORT_GROUPS.find(g => g.leagues.some(l => l.slug === slug)) ?? null;
+function sportColorVars(colors) {
+  return {
+    "--sport-accent": colors.accent,
+    "--sport-text":   colors.text,
+    "--sport-tint":   colors.tint,
+    "--sport-soft":   colors.soft,
+  };
 }
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -133,217 +84,115 @@ function probBgClass(pct) {
   if (pct >= 30) return "bg-orange-400";
   return "bg-red-500";
 }
-function edgeLabel(pct) {
-  if (pct >= 75) return "Strong Lean";
-  if (pct >= 62) return "Moderate Lean";
-  if (pct >= 52) return "Slight Lean";
-  return "Toss-Up";
-}
-
-// ─── FEATURE 1: Best Bet logic ────────────────────────────────────────────────
-// Looks at ALL games across ALL leagues and finds the single most compelling
-// upcoming game based on win probability skew.
-//
-// First tries win_probability data; falls back to spread size if none available.
-function findBestBet(allGames) {
-  let best = null;
-  let bestSkew = 0;
-
-  // First pass: prefer games with win_probability data
-  for (const [league, games] of Object.entries(allGames)) {
-    for (const game of games) {
-      if (game.status !== "scheduled" || !game.win_probability) continue;
-
-      const { home, away, win_probability } = game;
-      const homePct = win_probability[home] ?? 50;
-      const awayPct = win_probability[away] ?? 50;
-      const skew = Math.abs(homePct - awayPct);
-
-      if (skew > bestSkew) {
-        bestSkew = skew;
-        best = { game, league, favPct: Math.max(homePct, awayPct) };
-      }
-    }
-  }
-
-  // Second pass: if no win_probability data, fall back to spread size
-  if (!best) {
-    let bestSpreadVal = 0;
-    for (const [league, games] of Object.entries(allGames)) {
-      for (const game of games) {
-        if (game.status !== "scheduled" || !game.spread?.favorite) continue;
-        const match = game.spread.favorite.match(/-?\d+\.?\d*/);
-        const spreadVal = match ? Math.abs(parseFloat(match[0])) : 0;
-        if (spreadVal > bestSpreadVal) {
-          bestSpreadVal = spreadVal;
-          best = { game, league, favPct: null };
-        }
-      }
-    }
-  }
-
-  // Third pass: no odds at all — just surface any upcoming game so the card isn't empty
-  if (!best) {
-    for (const slug of ALL_LEAGUE_IDS) {
-      const next = (allGames[slug] ?? []).find(g => g.status === "scheduled");
-      if (next) { best = { game: next, league: slug, favPct: null }; break; }
-    }
-  }
-
-  return best;
-}
-
-// ─── FEATURE 2: Upset Alert logic ─────────────────────────────────────────────
-// An upset alert means: the underdog is close enough to the favorite that
-// betting on them could pay off. We flag any scheduled game where the
-// probability gap is ≤ 15% (i.e. neither team is a heavy favorite).
-function isUpsetAlert(win_probability, home, away) {
-  if (!win_probability) return false;
-  const homePct = win_probability[home] ?? 50;
-  const awayPct = win_probability[away] ?? 50;
-  return Math.abs(homePct - awayPct) <= 15;
-}
 
-// ─── FEATURE 5: Momentum logic ────────────────────────────────────────────────
+// ─── FEATURE 5: Score history ─────────────────────────────────────────────────
 // We track score history in a ref (persists across renders without causing
-// re-renders). If one team scored in the last 2 consecutive score snapshots
-// and the other didn't, we call that "on a run".
+// re-renders); getMomentum and getScoreDelta (core/heuristics) read it.
 //
 // scoreHistory shape: { [gameId]: [{ home: N, away: N }, ...] }
-// We keep the last 3 snapshots per game.
-function getMomentum(scoreHistory, gameId, homeAbbr, awayAbbr) {
-  const history = scoreHistory[gameId];
-  if (!history || history.length < 2) return null;
-
-  const prev = history[history.length - 2];
-  const curr = history[history.length - 1];
-
-  const homeScored = curr[homeAbbr] > prev[homeAbbr];
-  const awayScored = curr[awayAbbr] > prev[awayAbbr];
-
-  if (homeScored && !awayScored) return homeAbbr;
-  if (awayScored && !homeScored) return awayAbbr;
-  return null; // both scored or neither scored
-}
-
-// ─── Advanced feature helpers ─────────────────────────────────────────────────
-
-// Feature: Entertainment rating (1–10) for finished games.
-// Based on margin of victory, lead changes (from score history), and OT.
-function calcEntertainmentRating(game, scoreHistory) {
-  if (game.status !== "final") return null;
-  const homeScore = game.score?.[game.home] ?? 0;
-  const awayScore = game.score?.[game.away] ?? 0;
-  const margin = Math.abs(homeScore - awayScore);
-  let rating = 5;
-  if (margin === 0)       rating += 2;
-  else if (margin <= 2)   rating += 2.5;
-  else if (margin <= 5)   rating += 1.5;
-  else if (margin <= 10)  rating += 0.5;
-  else if (margin > 20)   rating -= 1.5;
-  const history = scoreHistory?.[game.id] ?? [];
-  if (history.length >= 2) {
-    let changes = 0, prevLead = null;
-    for (const snap of history) {
-      const lead = snap[game.home] > snap[game.away] ? game.home
-                 : snap[game.away] > snap[game.home] ? game.away : null;
-      if (prevLead && lead && lead !== prevLead) changes++;
-      if (lead) prevLead = lead;
+// History covers the whole game and survives reloads (see lib/historyStore).
+
+// Feature 4+5: append the current score of every live game to its history.
+// Called for both polled scoreboards and streamed diffs. Only adds a snapshot
+// when the score actually changed. There is no cap, so lead changes and
+// ratings count the whole game; old games are pruned from IndexedDB by age.
+function appendScoreSnapshots(scoreHistory, games) {
+  for (const game of games) {
+    if (game.status !== "in_progress" || !game.score) continue;
+    const prev = scoreHistory[game.id] ?? [];
+    const lastSnap = prev[prev.length - 1];
+    const currentSnap = { [game.home]: game.score[game.home], [game.away]: game.score[game.away], clock: game.clock ?? null };
+
+    const scoreChanged =
+      !lastSnap ||
+      lastSnap[game.home] !== currentSnap[game.home] ||
+      lastSnap[game.away] !== currentSnap[game.away];
+
+    if (scoreChanged) {
+      scoreHistory[game.id] = [...prev, currentSnap];
     }
-    rating += Math.min(changes * 0.8, 2);
   }
-  if (game.clock && /OT|overtime|extra|pen/i.test(game.clock)) rating += 1.5;
-  return Math.max(1, Math.min(10, +rating.toFixed(1)));
 }
 
-// Feature: Is this live game currently tense? (close score, late in game)
-function isTenseMoment(game) {
-  if (game.status !== "in_progress" || !game.score) return false;
-  const margin = Math.abs((game.score[game.home] ?? 0) - (game.score[game.away] ?? 0));
-  const clock = (game.clock ?? "").toLowerCase();
-  const isLate =
-    clock.includes("4th") ||
-    (clock.includes("3rd") && game.sport === "nhl") ||
-    clock.includes("ot") || clock.includes("overtime") || clock.includes("extra") ||
-    /\b[7-9]\d'|\b1[0-9]\d'/.test(clock); // soccer 70'+
-  const threshold = SOCCER_SLUGS.has(game.sport) ? 1 : ({ nba: 5, nfl: 8, nhl: 1, ncaaf: 10, mlb: 2, wnba: 5 }[game.sport] ?? 5);
-  return isLate && margin <= threshold;
-}
-
-// Feature: Find the single most exciting live game across all leagues.
-function findBestLiveGame(allGames, scoreHistory) {
-  let best = null, bestScore = -1;
-  for (const [league, games] of Object.entries(allGames)) {
-    for (const game of games) {
-      if (game.status !== "in_progress") continue;
-      const margin = Math.abs((game.score?.[game.home] ?? 0) - (game.score?.[game.away] ?? 0));
-      let excitement = Math.max(0, 15 - margin * 1.5);
-      if (isTenseMoment(game)) excitement += 8;
-      excitement += Math.min((scoreHistory?.[game.id] ?? []).length, 5);
-      if (excitement > bestScore) { bestScore = excitement; best = { game, league }; }
+// Feature: win-probability history. Unlike scoreHistory this records every
+// poll where the odds, score or clock moved, with no cap, so the chart in
+// ExpandedSection covers the whole game. A final snapshot pins the outcome
+// (100/0, or 100% draw) so the line ends where the game did.
+function appendProbSnapshots(probHistory, games, now) {
+  for (const game of games) {
+    const prev = probHistory[game.id];
+    const last = prev?.[prev.length - 1];
+    const isFinal = game.status === "final";
+    if (game.status !== "in_progress" && !(isFinal && prev && !last.final)) continue;
+
+    const score = game.score ? { [game.home]: game.score[game.home], [game.away]: game.score[game.away] } : null;
+    let wp = game.win_probability ?? null;
+    if (isFinal && score) {
+      const h = score[game.home] ?? 0, a = score[game.away] ?? 0;
+      wp = h === a ? { [game.home]: 0, [game.away]: 0, draw: 100 }
+         : { [game.home]: h > a ? 100 : 0, [game.away]: a > h ? 100 : 0 };
     }
+    const snap = { t: now, clock: game.clock ?? null, score, wp, ...(isFinal && { final: true }) };
+
+    const unchanged = last &&
+      last.clock === snap.clock &&
+      JSON.stringify(last.score) === JSON.stringify(snap.score) &&
+      JSON.stringify(last.wp) === JSON.stringify(snap.wp);
+    if (!unchanged) probHistory[game.id] = [...(prev ?? []), snap];
   }
-  return best;
 }
 
-// Feature: Auto-generate a one-sentence recap for a finished game.
-function generateRecap(game) {
-  const { home, away, teams, score, events, clock, sport } = game;
-  if (game.status !== "final") return null;
-  const homeScore = score?.[home] ?? 0;
-  const awayScore = score?.[away] ?? 0;
-  if (homeScore === 0 && awayScore === 0) return null;
-  const winner = homeScore >= awayScore ? home : away;
-  const loser  = winner === home ? away : home;
-  const winScore  = score[winner];
-  const loseScore = score[loser];
-  const margin = winScore - loseScore;
-  const isOT   = clock && /OT|overtime|extra|pen/i.test(clock);
-  const winName  = teams[winner]?.name ?? winner;
-  const loseName = teams[loser]?.name  ?? loser;
-  let line = `${winName} `;
-  if (margin === 0) line += `drew ${winScore}–${loseScore} with ${loseName}`;
-  else line += `${margin <= 2 ? "edged" : margin <= 6 ? "beat" : "defeated"} ${loseName} ${winScore}–${loseScore}`;
-  if (isOT) line += " in extra time";
-  if (events?.length && SOCCER_SLUGS.has(sport)) {
-    const goals = events.filter(e => e.type?.toLowerCase().includes("goal") && !e.type?.toLowerCase().includes("own"));
-    const winGoals = goals.filter(e => (e.isHome && winner === home) || (!e.isHome && winner === away));
-    const last = winGoals[winGoals.length - 1];
-    if (last?.player && margin <= 2) {
-      line += ` — ${last.player} sealed it${last.clock ? ` (${last.clock}')` : ""}`;
-    }
+// Merges history restored from IndexedDB under whatever was recorded since
+// startup. Restored snapshots come first; a live snapshot repeating the last
+// restored one is dropped.
+function mergeRestoredHistory(current, restored, sameSnapshot) {
+  for (const [gameId, saved] of Object.entries(restored)) {
+    const fresh = current[gameId] ?? [];
+    const last = saved[saved.length - 1];
+    current[gameId] = [...saved, ...fresh.filter((snap, i) => i > 0 || !sameSnapshot(snap, last))];
   }
-  return line + ".";
 }
 
-// Feature: Score delta between last two snapshots — who's scoring right now.
-function getScoreDelta(history, homeAbbr, awayAbbr) {
-  if (!history || history.length < 2) return null;
-  const prev = history[history.length - 2];
-  const curr = history[history.length - 1];
-  const hd = (curr[homeAbbr] ?? 0) - (prev[homeAbbr] ?? 0);
-  const ad = (curr[awayAbbr] ?? 0) - (prev[awayAbbr] ?? 0);
-  return (hd === 0 && ad === 0) ? null : { [homeAbbr]: hd, [awayAbbr]: ad };
+// ─── Recap ────────────────────────────────────────────────────────────────────
+
+// The recap as rendered, with the scorer who sealed it linking to their profile
+function RecapText({ game }) {
+  const league = getLeagueInfo(game.sport);
+  const recap = generateRecap(game, league);
+  const sealer = sealingGoal(game, league);
+  if (!recap || !sealer) return recap;
+  const at = recap.lastIndexOf(` — ${sealer.player} sealed it`) + " — ".length;
+  return (
+    <>
+      {recap.slice(0, at)}
+      <PlayerLink sport={game.sport} id={sealer.playerId} name={sealer.player} />
+      {recap.slice(at + sealer.player.length)}
+    </>
+  );
 }
 
 // ─── FEATURE 4: Score Timeline ────────────────────────────────────────────────
 // scoreHistory also powers a mini timeline. We show the last few score
 // snapshots as a visual trail so you can see how the game has moved.
+// History itself is uncapped; the trail only shows the most recent entries.
+const TIMELINE_LENGTH = 10;
+
 function ScoreTimeline({ history, homeAbbr, awayAbbr }) {
   if (!history || history.length < 2) return null;
+  const offset = Math.max(0, history.length - TIMELINE_LENGTH);
 
   return (
     <div className="mt-3 pt-3 border-t border-gray-100">
       <div className="text-xs text-gray-400 mb-1.5 font-medium">Score timeline</div>
       <div className="flex gap-2 overflow-x-auto pb-1">
-        {history.map((snap, i) => (
-          <div key={i} className="flex flex-col items-center min-w-[40px]">
+        {history.slice(offset).map((snap, i) => (
+          <div key={offset + i} className="flex flex-col items-center min-w-[40px]">
             {/* Each snapshot shows away-home score at that moment */}
             <div className="text-xs font-mono font-bold text-gray-700">
               {snap[awayAbbr]}–{snap[homeAbbr]}
             </div>
             <div className="text-xs text-gray-300 mt-0.5">
-              {snap.clock ?? (i === 0 ? "start" : `…`)}
+              {snap.clock ?? (offset + i === 0 ? "start" : `…`)}
             </div>
           </div>
         ))}
@@ -365,7 +214,9 @@ function LiveBadge() {
   );
 }
 
-function ProbBar({ home, homeAbbr, away, awayAbbr, draw }) {
+// market: the books' implied probability ({ [abbr]: pct, draw? }), shown
+// alongside for comparison when there are odds for the game
+function ProbBar({ home, homeAbbr, away, awayAbbr, draw, source, market }) {
   const showDraw = draw != null;
   const total = (home ?? 50) + (away ?? 50) + (draw ?? 0);
   const homePct = (home / total) * 100;
@@ -391,65 +242,23 @@ function ProbBar({ home, homeAbbr, away, awayAbbr, draw }) {
         {" "}→ <strong>{favTeam}</strong>
         {favPct >= 70 && " — data strongly favors this team"}
         {favPct < 55 && " — stats are too close to call"}
+        {source === "model" && (
+          <span className="text-gray-300" title="No odds from the data source — estimated from ratings, spread and clock"> · model estimate</span>
+        )}
       </div>
-    </div>
-  );
-}
-
-function SpreadBadge({ spread }) {
-  if (!spread) return null;
-  return (
-    <div className="mt-2 text-xs text-gray-400">
-      📈 Spread: <span className="font-medium text-gray-600">{spread.favorite}</span>
-      {spread.overUnder && <> · O/U: <span className="font-medium text-gray-600">{spread.overUnder}</span></>}
+      {market && (
+        <div className="mt-0.5 text-xs text-gray-400 tabular-nums" title="Moneylines across books with the vig removed">
+          💵 Market: {homeAbbr} {market[homeAbbr]?.toFixed(0)}%
+          {market.draw != null && <> · Draw {market.draw.toFixed(0)}%</>}
+          {" "}· {awayAbbr} {market[awayAbbr]?.toFixed(0)}%
+        </div>
+      )}
     </div>
   );
 }
 
 // ─── Expanded card helpers ────────────────────────────────────────────────────
 
-// Which stats to surface per sport (ESPN stat name → shown in StatsComparison)
-const STAT_DISPLAY = {
-  nba:        ["fieldGoalPct", "threePointPct", "freeThrowPct", "rebounds", "assists", "turnovers"],
-  wnba:       ["fieldGoalPct", "threePointPct", "freeThrowPct", "rebounds", "assists", "turnovers"],
-  nfl:        ["totalYards", "passingYards", "rushingYards", "firstDowns", "turnovers", "sacks"],
-  ncaaf:      ["totalYards", "passingYards", "rushingYards", "firstDowns", "turnovers", "sacks"],
-  nhl:        ["shots", "hits", "blocks", "faceoffWinPct", "powerPlayGoals", "pims"],
-  mlb:        ["hits", "runs", "errors", "strikeouts", "walks", "homeRuns"],
-  // Soccer — same keys for all leagues
-  mls:        ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-  nwsl:       ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-  ucl:        ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-  uel:        ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-  epl:        ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-  laliga:     ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-  bundesliga: ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-  seriea:     ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-  ligue1:     ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-  ligamx:     ["possessionPct", "shots", "shotsOnTarget", "corners", "fouls"],
-};
-
-// Season-level stats to highlight in the team drawer (keyed by ESPN stat name)
-const SEASON_STAT_DISPLAY = {
-  nba:        ["points", "assists", "rebounds", "steals", "blocks", "fieldGoalPct", "threePointPct", "turnovers"],
-  wnba:       ["points", "assists", "rebounds", "steals", "blocks", "fieldGoalPct", "threePointPct", "turnovers"],
-  nfl:        ["pointsPerGame", "totalYards", "passingYards", "rushingYards", "sacks", "interceptions", "turnovers"],
-  ncaaf:      ["pointsPerGame", "totalYards", "passingYards", "rushingYards", "sacks", "interceptions", "turnovers"],
-  nhl:        ["goals", "assists", "points", "plusMinus", "savePct", "goalsAgainstAverage", "powerPlayPct"],
-  mlb:        ["battingAvg", "homeRuns", "rbi", "ops", "era", "strikeouts", "wins"],
-  // Soccer — same keys for all leagues
-  mls:        ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-  nwsl:       ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-  ucl:        ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-  uel:        ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-  epl:        ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-  laliga:     ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-  bundesliga: ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-  seriea:     ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-  ligue1:     ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-  ligamx:     ["goals", "assists", "shots", "shotsOnTarget", "possessionPct", "cleanSheets", "goalsAgainst"],
-};
-
 function eventIcon(type) {
   if (!type) return "·";
   const t = type.toLowerCase();
@@ -460,7 +269,7 @@ function eventIcon(type) {
   return "·";
 }
 
-function EventsGrid({ events, home, away, teams }) {
+function EventsGrid({ events, home, away, teams, sport }) {
   const homeEvents = events.filter(e => e.isHome);
   const awayEvents = events.filter(e => !e.isHome);
   return (
@@ -477,7 +286,7 @@ function EventsGrid({ events, home, away, teams }) {
       <div className="space-y-1.5">
         {homeEvents.length > 0 ? homeEvents.map((e, i) => (
           <div key={i} className="flex items-center justify-end gap-1.5 text-xs text-gray-600">
-            <span className="truncate">{e.player ?? e.type}</span>
+            {e.player ? <PlayerLink sport={sport} id={e.playerId} name={e.player} className="truncate" /> : <span className="truncate">{e.type}</span>}
             <span className="text-gray-400 tabular-nums shrink-0">{e.clock}</span>
             <span className="text-base leading-none shrink-0">{eventIcon(e.type)}</span>
           </div>
@@ -490,7 +299,7 @@ function EventsGrid({ events, home, away, teams }) {
           <div key={i} className="flex items-center gap-1.5 text-xs text-gray-600">
             <span className="text-base leading-none shrink-0">{eventIcon(e.type)}</span>
             <span className="text-gray-400 tabular-nums shrink-0">{e.clock}</span>
-            <span className="truncate">{e.player ?? e.type}</span>
+            {e.player ? <PlayerLink sport={sport} id={e.playerId} name={e.player} className="truncate" /> : <span className="truncate">{e.type}</span>}
           </div>
         )) : <span className="text-xs text-gray-300 italic">—</span>}
       </div>
@@ -499,7 +308,7 @@ function EventsGrid({ events, home, away, teams }) {
 }
 
 function StatsComparison({ homeStats, awayStats, homeAbbr, awayAbbr, sport }) {
-  const configuredKeys = STAT_DISPLAY[sport] ?? [];
+  const configuredKeys = getLeagueInfo(sport)?.statKeys ?? [];
   const availableKeys = Object.keys(homeStats ?? awayStats ?? {});
   // Use configured keys if at least one matches; otherwise fall back to whatever ESPN returned
   const keys = configuredKeys.some(k => availableKeys.includes(k))
@@ -532,15 +341,17 @@ function StatsComparison({ homeStats, awayStats, homeAbbr, awayAbbr, sport }) {
   );
 }
 
-function ExpandedSection({ game, scoreHistory }) {
+function ExpandedSection({ game, scoreHistory, probHistory, odds }) {
   const { home, away, teams, events, homeStats, awayStats, broadcasts, sport } = game;
   const hasEvents    = events?.length > 0;
   const hasStats     = !!(homeStats || awayStats);
   const hasBroadcasts = broadcasts?.length > 0;
-  const recap  = generateRecap(game);
-  const rating = calcEntertainmentRating(game, scoreHistory);
+  const hasProbChart = probHistory?.filter(s => s.wp).length > 1;
+  const league = getLeagueInfo(game.sport);
+  const recap  = generateRecap(game, league);
+  const rating = calcEntertainmentRating(game, scoreHistory, league);
 
-  if (!hasEvents && !hasStats && !hasBroadcasts && !recap) {
+  if (!hasEvents && !hasStats && !hasBroadcasts && !hasProbChart && !recap && !odds) {
     return (
       <div className="pt-3 border-t border-gray-100 text-xs text-gray-400 text-center italic py-2">
         No additional data available
@@ -552,7 +363,7 @@ function ExpandedSection({ game, scoreHistory }) {
     <div className="pt-3 border-t border-gray-100 space-y-4">
       {/* Auto-generated recap sentence */}
       {recap && (
-        <p className="text-xs text-gray-500 italic leading-relaxed">{recap}</p>
+        <p className="text-xs text-gray-500 italic leading-relaxed"><RecapText game={game} /></p>
       )}
       {/* Entertainment rating */}
       {rating !== null && <EntertainmentRating rating={rating} />}
@@ -563,13 +374,19 @@ function ExpandedSection({ game, scoreHistory }) {
           <span className="font-medium">{broadcasts.join(" · ")}</span>
         </div>
       )}
+      {/* Every book's lines, best prices highlighted, and how the line has moved */}
+      {odds && <OddsComparison odds={odds} />}
+      {/* Win probability over the whole game, with goals annotated */}
+      {hasProbChart && (
+        <WinProbChart history={probHistory} home={home} away={away} events={events} league={league} />
+      )}
       {/* Match events (soccer goals/cards) */}
       {hasEvents && (
         <div>
           <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-2">
             Match Events
           </div>
-          <EventsGrid events={events} home={home} away={away} teams={teams} />
+          <EventsGrid events={events} home={home} away={away} teams={teams} sport={sport} />
         </div>
       )}
       {/* Team stats comparison */}
@@ -608,7 +425,7 @@ function BestLiveCard({ bestLive, onTuneIn }) {
   if (!bestLive) return null;
   const { game, league } = bestLive;
   const { home, away, teams, score, clock } = game;
-  const tense = isTenseMoment(game);
+  const tense = isTenseMoment(game, getLeagueInfo(game.sport));
 
   function TeamLogo({ abbr, logo }) {
     return logo
@@ -625,7 +442,7 @@ function BestLiveCard({ bestLive, onTuneIn }) {
           <span className="w-2 h-2 rounded-full bg-white animate-pulse" />
           <span className="text-xs font-extrabold tracking-wider opacity-95">BEST LIVE GAME</span>
         </div>
-        <span className="text-xs font-semibold opacity-70 uppercase tracking-wide">{leagueDisplayName(league)}</span>
+        <span className="text-xs font-semibold opacity-70 uppercase tracking-wide">{leagueLabel(league)}</span>
       </div>
       <div className="flex items-center">
         <div className="flex items-center gap-2.5 flex-1 min-w-0">
@@ -706,7 +523,7 @@ function BestBetCard({ bestBet }) {
           <span className="bg-yellow-400 text-gray-900 text-xs font-extrabold px-2 py-0.5 rounded-full tracking-wide">
             🔥 BEST BET
           </span>
-          <span className="text-gray-400 text-xs">{leagueDisplayName(league)}</span>
+          <span className="text-gray-400 text-xs">{leagueLabel(league)}</span>
         </div>
         <span className="text-gray-400 text-xs">{formatTime(start_time)}</span>
       </div>
@@ -759,32 +576,14 @@ function BestBetCard({ bestBet }) {
 
 // ─── Featured (🔥 Today) tab ──────────────────────────────────────────────────
 // Cross-league dashboard: best live game, best bet, all live action, top upcoming.
-function FeaturedSection({ bestLive, bestBet, allGames, scoreHistory, onTuneIn, favoriteIds, onToggleFavorite, myTeams, onToggleMyTeam, onSelectTeam, focusedGameId }) {
-  // All live games grouped by league, in league order
-  const liveByLeague = ALL_LEAGUE_IDS
+function FeaturedSection({ leagues, bestLive, bestBet, allGames, scoreHistory, probHistory, onTuneIn, favoriteIds, onToggleFavorite, myTeams, onToggleMyTeam, onSelectTeam, focusedGameId, expandedGameId, onExpandGame }) {
+  // All live games grouped by league, in the user's league order
+  const liveByLeague = leagues
     .map(slug => ({ slug, games: (allGames[slug] ?? []).filter(g => g.status === "in_progress") }))
     .filter(({ games }) => games.length > 0);
 
-  // Upcoming games ranked by matchup quality:
-  // close probability gap (toss-up) → clear favourite → any with a spread → earliest tip-off
-  const upcomingNotable = ALL_LEAGUE_IDS
-    .flatMap(slug => (allGames[slug] ?? []).filter(g => g.status === "scheduled"))
-    .map(g => {
-      let score = 0;
-      if (g.win_probability) {
-        const home = g.win_probability[g.home] ?? 50;
-        const away = g.win_probability[g.away] ?? 50;
-        const gap = Math.abs(home - away);
-        // Closest matchups score highest; clear favourites still beat "no data"
-        score += gap <= 10 ? 5 : gap <= 20 ? 4 : gap <= 35 ? 3 : gap <= 55 ? 2 : 1;
-      }
-      if (g.spread?.favorite) score += 1;
-      return { g, score };
-    })
-    .filter(({ score }) => score > 0)
-    .sort((a, b) => b.score - a.score || new Date(a.g.start_time) - new Date(b.g.start_time))
-    .slice(0, 6)
-    .map(({ g }) => g);
+  // Coming up: scheduled games ranked by matchup quality (core/heuristics)
+  const upcomingNotable = findUpcomingNotable(allGames, leagues);
 
   const isEmpty = !bestLive && !bestBet && liveByLeague.length === 0 && upcomingNotable.length === 0;
 
@@ -808,7 +607,7 @@ function FeaturedSection({ bestLive, bestBet, allGames, scoreHistory, onTuneIn,
           <div className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-3 px-1">🔴 Live Now</div>
           {liveByLeague.map(({ slug, games }) => (
             <div key={slug}>
-              <div className="text-xs font-semibold text-gray-300 uppercase tracking-wider px-1 mb-1.5">{leagueDisplayName(slug)}</div>
+              <div className="text-xs font-semibold text-gray-300 uppercase tracking-wider px-1 mb-1.5">{leagueLabel(slug)}</div>
               {games.map(g => (
                 <GameCard
                   key={g.id}
@@ -816,11 +615,15 @@ function FeaturedSection({ bestLive, bestBet, allGames, scoreHistory, onTuneIn,
                   isFavorited={favoriteIds.has(g.id)}
                   onToggleFavorite={onToggleFavorite}
                   scoreHistory={scoreHistory}
+                  probHistory={probHistory}
                   defaultExpanded={false}
                   myTeams={myTeams}
+                  bestBet={bestBet}
                   onToggleMyTeam={onToggleMyTeam}
                   onSelectTeam={onSelectTeam}
                   focusedGameId={focusedGameId}
+                  expandedGameId={expandedGameId}
+                  onExpandGame={onExpandGame}
                 />
               ))}
             </div>
@@ -838,11 +641,15 @@ function FeaturedSection({ bestLive, bestBet, allGames, scoreHistory, onTuneIn,
               isFavorited={favoriteIds.has(g.id)}
               onToggleFavorite={onToggleFavorite}
               scoreHistory={scoreHistory}
+              probHistory={probHistory}
               defaultExpanded={false}
               myTeams={myTeams}
+              bestBet={bestBet}
               onToggleMyTeam={onToggleMyTeam}
               onSelectTeam={onSelectTeam}
               focusedGameId={focusedGameId}
+              expandedGameId={expandedGameId}
+              onExpandGame={onExpandGame}
             />
           ))}
         </div>
@@ -854,11 +661,21 @@ function FeaturedSection({ bestLive, bestBet, allGames, scoreHistory, onTuneIn,
 // ─── Team Stats Panel ─────────────────────────────────────────────────────────
 // Inline right-column card, same visual language as the game card "Details" section.
 // Appears beside the game list when a team crest is clicked.
-function TeamStatsPanel({ team, onClose }) {
+const TEAM_SECTIONS = [
+  { id: "overview", label: "Overview" },
+  { id: "schedule", label: "Schedule" },
+  { id: "roster",   label: "Roster" },
+  { id: "h2h",      label: "Head-to-head" },
+];
+
+// team.vs is the opponent's id when the panel was opened from a game
+function TeamStatsPanel({ team, onClose, myTeams, onToggleMyTeam }) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [section, setSection] = useState("overview");
 
   useEffect(() => {
+    setSection("overview");
     if (!team?.id) { setLoading(false); return; }
     setLoading(true);
     setData(null);
@@ -868,8 +685,11 @@ function TeamStatsPanel({ team, onClose }) {
       .catch(() => setLoading(false));
   }, [team?.sport, team?.id]);
 
+  const ratings = useLeagueRatings(team.sport);
+  const rating = teamRating(ratings, { id: team.id, abbr: data?.abbr ?? team.abbr });
+
   const logo = data?.logo ?? team.logo;
-  const statKeys = SEASON_STAT_DISPLAY[team.sport] ?? [];
+  const statKeys = getLeagueInfo(team.sport)?.seasonStatKeys ?? [];
   const statRows = data?.seasonStats
     ? (() => {
         const configured = statKeys.filter(k => data.seasonStats[k]).map(k => data.seasonStats[k]);
@@ -885,6 +705,17 @@ function TeamStatsPanel({ team, onClose }) {
   let bgColor = "#111827";
   if (rawColor) bgColor = rawColor.startsWith("#") ? rawColor : `#${rawColor}`;
 
+  const followRef = {
+    key: teamKey(team.sport, team.id),
+    league: team.sport,
+    id: team.id,
+    abbr: data?.abbr ?? team.abbr,
+    name: data?.name ?? team.name,
+    logo: logo ?? null,
+  };
+  const isFollowed = myTeams.has(followRef.key);
+  const sections = TEAM_SECTIONS.filter(s => s.id !== "h2h" || (team.vs && team.vs !== team.id));
+
   return (
     <div className="bg-white h-full flex flex-col overflow-hidden">
 
@@ -905,20 +736,71 @@ function TeamStatsPanel({ team, onClose }) {
             {loading ? "Loading…" : (data?.record?.summary ?? "—")}
           </div>
         </div>
+        <button
+          onClick={() => onToggleMyTeam(followRef)}
+          disabled={!followRef.name}
+          className={`shrink-0 px-2.5 py-1 rounded-full text-xs font-semibold transition-colors
+            ${isFollowed ? "bg-white text-gray-900" : "bg-white/20 text-white hover:bg-white/30"}`}
+        >
+          {isFollowed ? "♥ Following" : "♡ Follow"}
+        </button>
         <button
           onClick={onClose}
           className="text-white/60 hover:text-white text-2xl leading-none shrink-0 transition-colors ml-1"
         >×</button>
       </div>
 
+      {/* Section tabs */}
+      <div className="flex gap-1 px-3 py-2 border-b border-gray-100 shrink-0 overflow-x-auto">
+        {sections.map(s => (
+          <button
+            key={s.id}
+            onClick={() => setSection(s.id)}
+            className={`px-2.5 py-1 rounded-full text-xs font-semibold whitespace-nowrap transition-colors
+              ${section === s.id ? "bg-gray-900 text-white" : "text-gray-500 hover:bg-gray-100"}`}
+          >
+            {s.label}
+          </button>
+        ))}
+      </div>
+
       {/* Body — scrollable */}
       <div className="overflow-y-auto flex-1 divide-y divide-gray-100">
-        {loading ? (
+        {section === "h2h" ? (
+          <HeadToHead
+            sport={team.sport}
+            isSoccer={isSoccer(team.sport)}
+            teamId={team.id}
+            teamAbbr={followRef.abbr}
+            opponentId={team.vs}
+          />
+        ) : loading ? (
           <div className="px-4 py-10 text-center text-xs text-gray-400">Loading…</div>
         ) : !data || data.error ? (
           <div className="px-4 py-10 text-center text-xs text-gray-400">No data available</div>
+        ) : section === "schedule" ? (
+          <TeamSchedule schedule={data.schedule} sport={team.sport} isSoccer={isSoccer(team.sport)} />
+        ) : section === "roster" ? (
+          <TeamRoster roster={data.roster ?? data.topPlayers} sport={team.sport} />
         ) : (
           <>
+            {/* ── Power rating ── */}
+            {rating && (
+              <div className="px-4 py-3">
+                <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-1.5">Power Rating</div>
+                <div className="flex items-baseline gap-2">
+                  <span className="text-lg font-extrabold text-gray-900 tabular-nums leading-none">{rating.rating}</span>
+                  <span className="text-xs text-gray-500">#{rating.rank} of {ratings.teams.length} in {leagueLabel(team.sport)}</span>
+                  {rating.change !== 0 && (
+                    <span className={`text-xs font-semibold tabular-nums ${rating.change > 0 ? "text-green-600" : "text-red-500"}`}>
+                      {rating.change > 0 ? "▲" : "▼"} {Math.abs(rating.change)} last game
+                    </span>
+                  )}
+                </div>
+                <div className="text-[11px] text-gray-400 mt-1">Elo from {rating.games} recent results</div>
+              </div>
+            )}
+
             {/* ── Streak ── */}
             {data.streak && (
               <div className="px-4 py-3">
@@ -1012,32 +894,6 @@ function TeamStatsPanel({ team, onClose }) {
                 </div>
               </div>
             )}
-
-            {/* ── Roster ── */}
-            {data.topPlayers?.length > 0 && (
-              <div className="px-4 py-3 pb-5">
-                <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-2">Roster</div>
-                <div className="space-y-2.5">
-                  {data.topPlayers.map((p, i) => (
-                    <div key={i} className="flex items-center gap-2.5">
-                      {p.headshot
-                        ? <img src={p.headshot} alt="" className="w-8 h-8 rounded-full object-cover shrink-0 bg-gray-100" />
-                        : <div className="w-8 h-8 rounded-full bg-gray-100 flex items-center justify-center text-xs font-bold text-gray-500 shrink-0">
-                            {p.jersey ?? "?"}
-                          </div>
-                      }
-                      <div className="flex-1 min-w-0">
-                        <div className="font-semibold text-xs text-gray-900 truncate">{p.name}</div>
-                        <div className="text-xs text-gray-400 mt-0.5">
-                          {p.position && <span>{p.position}</span>}
-                          {p.jersey && <span className="ml-1.5">#{p.jersey}</span>}
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
           </>
         )}
       </div>
@@ -1047,27 +903,58 @@ function TeamStatsPanel({ team, onClose }) {
 
 // ─── GameCard (updated with features 2, 3, 4, 5) ─────────────────────────────
 
-function GameCard({ game, isFavorited, onToggleFavorite, scoreHistory, defaultExpanded, myTeams, onToggleMyTeam, onSelectTeam, focusedGameId }) {
-  const [expanded, setExpanded] = useState(defaultExpanded ?? false);
+// "#3 · 1587" — a team's Elo rank and rating in its league
+function RatingTag({ row }) {
+  return (
+    <span className="tabular-nums text-gray-300" title={`Power rating ${row.rating}, #${row.rank} in the league`}>
+      #{row.rank} · {row.rating}
+    </span>
+  );
+}
+
+function GameCard({ game, isFavorited, onToggleFavorite, scoreHistory, probHistory, defaultExpanded, myTeams, bestBet, onToggleMyTeam, onSelectTeam, focusedGameId, expandedGameId, onExpandGame }) {
+  const routed = expandedGameId === game.id;
+  const [expanded, setExpanded] = useState((defaultExpanded ?? false) || routed);
   const cardRef = useRef(null);
-  useEffect(() => { setExpanded(defaultExpanded ?? false); }, [defaultExpanded]);
+  useEffect(() => { setExpanded((defaultExpanded ?? false) || routed); }, [defaultExpanded]);
 
-  // Scroll into view and auto-expand when this card is focused via "Tune In"
+  // Follow the route: the game in the URL is expanded and scrolled into view
+  // (deep links, "Tune In", back/forward); navigating away collapses it again.
+  const wasRouted = useRef(routed);
+  const toggledHere = useRef(false);
   useEffect(() => {
-    if (focusedGameId === game.id && cardRef.current) {
-      cardRef.current.scrollIntoView({ behavior: "smooth", block: "center" });
+    if (routed) {
       setExpanded(true);
+      if (!toggledHere.current) cardRef.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+    } else if (wasRouted.current) {
+      setExpanded(defaultExpanded ?? false);
     }
-  }, [focusedGameId, game.id]);
+    wasRouted.current = routed;
+    toggledHere.current = false;
+  }, [routed]);
+
+  const toggleExpanded = () => {
+    const next = !expanded;
+    setExpanded(next);
+    toggledHere.current = true;
+    if (next) onExpandGame?.(game.id);
+    else if (routed) onExpandGame?.(null);
+  };
   const { home, away, teams, score, status, clock, start_time, win_probability, spread } = game;
   const homeTeam = teams[home];
   const awayTeam = teams[away];
+  const homeRef = teamRef(game, home);
+  const awayRef = teamRef(game, away);
   const isScheduled = status === "scheduled";
   const isLive = status === "in_progress";
-  const isFinal = status === "final" || status === "closed";
-  const showUpsetAlert = isScheduled && isUpsetAlert(win_probability, home, away);
+  const isFinal = status === "final";
+  const ratings = useLeagueRatings(game.sport);
+  const odds = gameOdds(useLeagueOdds(game.sport), game.id);
+  const homeRating = teamRating(ratings, { id: homeTeam?.id, abbr: home });
+  const awayRating = teamRating(ratings, { id: awayTeam?.id, abbr: away });
+  const showUpsetAlert = isScheduled && isUpsetAlert(game, ratings);
   const onARun = isLive ? getMomentum(scoreHistory, game.id, home, away) : null;
-  const tense = isLive && isTenseMoment(game);
+  const tense = isLive && isTenseMoment(game, getLeagueInfo(game.sport));
   const scoreDelta = isLive ? getScoreDelta(scoreHistory[game.id], home, away) : null;
   const scoreDeltaParts = scoreDelta
     ? [away, home].filter(a => (scoreDelta[a] ?? 0) > 0).map(a => `+${scoreDelta[a]} ${a}`)
@@ -1132,7 +1019,7 @@ function GameCard({ game, isFavorited, onToggleFavorite, scoreHistory, defaultEx
           {/* Away team */}
           <div className="flex-1 min-w-0 flex items-center gap-2 sm:gap-3">
             <button
-              onClick={(e) => { e.stopPropagation(); onSelectTeam?.({ abbr: away, id: awayTeam?.id, name: awayTeam?.name ?? away, logo: awayTeam?.logo ?? null, color: awayTeam?.color ?? null, sport: game.sport }); }}
+              onClick={(e) => { e.stopPropagation(); onSelectTeam?.({ abbr: away, id: awayTeam?.id, name: awayTeam?.name ?? away, logo: awayTeam?.logo ?? null, color: awayTeam?.color ?? null, sport: game.sport, opponentId: homeTeam?.id ?? home }); }}
               className="shrink-0 hover:scale-110 active:scale-95 transition-transform"
             >
               {awayTeam?.logo
@@ -1148,9 +1035,10 @@ function GameCard({ game, isFavorited, onToggleFavorite, scoreHistory, defaultEx
               </div>
               <div className="flex items-center gap-1 text-xs text-gray-400">
                 Away
+                {awayRating && <RatingTag row={awayRating} />}
                 <button
-                  onClick={(e) => { e.stopPropagation(); onToggleMyTeam?.(away); }}
-                  className={`leading-none transition-colors ${myTeams?.has(away) ? "text-indigo-400" : "text-gray-200 hover:text-indigo-300"}`}
+                  onClick={(e) => { e.stopPropagation(); onToggleMyTeam?.(awayRef); }}
+                  className={`leading-none transition-colors ${myTeams?.has(awayRef.key) ? "text-indigo-400" : "text-gray-200 hover:text-indigo-300"}`}
                 >♥</button>
               </div>
             </div>
@@ -1187,14 +1075,15 @@ function GameCard({ game, isFavorited, onToggleFavorite, scoreHistory, defaultEx
               </div>
               <div className="flex items-center justify-end gap-1 text-xs text-gray-400">
                 <button
-                  onClick={(e) => { e.stopPropagation(); onToggleMyTeam?.(home); }}
-                  className={`leading-none transition-colors ${myTeams?.has(home) ? "text-indigo-400" : "text-gray-200 hover:text-indigo-300"}`}
+                  onClick={(e) => { e.stopPropagation(); onToggleMyTeam?.(homeRef); }}
+                  className={`leading-none transition-colors ${myTeams?.has(homeRef.key) ? "text-indigo-400" : "text-gray-200 hover:text-indigo-300"}`}
                 >♥</button>
+                {homeRating && <RatingTag row={homeRating} />}
                 Home
               </div>
             </div>
             <button
-              onClick={(e) => { e.stopPropagation(); onSelectTeam?.({ abbr: home, id: homeTeam?.id, name: homeTeam?.name ?? home, logo: homeTeam?.logo ?? null, color: homeTeam?.color ?? null, sport: game.sport }); }}
+              onClick={(e) => { e.stopPropagation(); onSelectTeam?.({ abbr: home, id: homeTeam?.id, name: homeTeam?.name ?? home, logo: homeTeam?.logo ?? null, color: homeTeam?.color ?? null, sport: game.sport, opponentId: awayTeam?.id ?? away }); }}
               className="shrink-0 hover:scale-110 active:scale-95 transition-transform"
             >
               {homeTeam?.logo
@@ -1211,11 +1100,18 @@ function GameCard({ game, isFavorited, onToggleFavorite, scoreHistory, defaultEx
             home={win_probability[home]} homeAbbr={home}
             away={win_probability[away]} awayAbbr={away}
             draw={win_probability.draw}
+            source={game.win_probability_source}
+            market={odds?.implied}
           />
         )}
 
-        {/* Spread */}
-        {isScheduled && spread && (
+        {/* Odds — best lines across books, or the data source's single spread */}
+        {isScheduled && odds && (
+          <div className="mt-3 pt-3 border-t border-gray-50">
+            <OddsLine odds={odds} />
+          </div>
+        )}
+        {isScheduled && !odds && spread && (
           <div className="mt-3 pt-3 border-t border-gray-50 flex gap-4 text-xs text-gray-400">
             <span>📈 <span className="font-medium text-gray-600">{spread.favorite}</span></span>
             {spread.overUnder && <span>O/U <span className="font-medium text-gray-600">{spread.overUnder}</span></span>}
@@ -1232,13 +1128,23 @@ function GameCard({ game, isFavorited, onToggleFavorite, scoreHistory, defaultEx
       {/* Expanded stats/events — own padded section below the main content */}
       {expanded && (
         <div className="px-5 pb-4">
-          <ExpandedSection game={game} scoreHistory={scoreHistory} />
+          <ExpandedSection game={game} scoreHistory={scoreHistory} probHistory={probHistory[game.id]} odds={odds} />
+          <div className="mt-4 pt-3 border-t border-gray-100">
+            <BetSlip game={game} odds={odds} bestBet={bestBet} />
+          </div>
+          <a
+            href={pageUrl(game.sport, "game", game.id)}
+            onClick={followLink}
+            className="block mt-4 text-center text-xs font-semibold text-indigo-500 hover:text-indigo-700 transition-colors"
+          >
+            Play-by-play, box score &amp; lineups →
+          </a>
         </div>
       )}
 
       {/* Toggle button — fixed card footer, never moves relative to the teams area */}
       <button
-        onClick={() => setExpanded(e => !e)}
+        onClick={toggleExpanded}
         className="w-full flex items-center justify-center gap-1 text-xs text-gray-300 hover:text-gray-500 transition-colors py-2.5 border-t border-gray-100"
       >
         <span className={`inline-block transition-transform duration-200 ${expanded ? "rotate-180" : ""}`}>▾</span>
@@ -1250,7 +1156,7 @@ function GameCard({ game, isFavorited, onToggleFavorite, scoreHistory, defaultEx
 
 // ─── FEATURE 3: Favorites section ────────────────────────────────────────────
 // Shows favorited games pinned at the top of the current tab, before other games.
-function FavoritesSection({ games, favoriteIds, onToggleFavorite, scoreHistory, defaultExpanded, myTeams, onToggleMyTeam, onSelectTeam, focusedGameId }) {
+function FavoritesSection({ games, favoriteIds, onToggleFavorite, scoreHistory, probHistory, defaultExpanded, myTeams, bestBet, onToggleMyTeam, onSelectTeam, focusedGameId, expandedGameId, onExpandGame }) {
   const favGames = games.filter(g => favoriteIds.has(g.id));
   if (favGames.length === 0) return null;
 
@@ -1266,11 +1172,15 @@ function FavoritesSection({ games, favoriteIds, onToggleFavorite, scoreHistory,
           isFavorited={true}
           onToggleFavorite={onToggleFavorite}
           scoreHistory={scoreHistory}
+          probHistory={probHistory}
           defaultExpanded={defaultExpanded}
           myTeams={myTeams}
+          bestBet={bestBet}
           onToggleMyTeam={onToggleMyTeam}
           onSelectTeam={onSelectTeam}
           focusedGameId={focusedGameId}
+          expandedGameId={expandedGameId}
+          onExpandGame={onExpandGame}
         />
       ))}
       <div className="border-t border-gray-200 mb-4" />
@@ -1278,48 +1188,59 @@ function FavoritesSection({ games, favoriteIds, onToggleFavorite, scoreHistory,
   );
 }
 
-function LeagueSection({ games, favoriteIds, onToggleFavorite, scoreHistory, expandDefault, onToggleExpand, myTeams, onToggleMyTeam, onSelectTeam, focusedGameId }) {
-  const [selectedDay, setSelectedDay] = useState(null);
-
+// sport is the league slug, or null for the Following tab (which has no calendar)
+function LeagueSection({ sport, games, emptyMessage, favoriteIds, onToggleFavorite, scoreHistory, probHistory, expandDefault, onToggleExpand, myTeams, bestBet, onToggleMyTeam, onSelectTeam, focusedGameId, expandedGameId, onExpandGame, selectedDay, onSelectDay }) {
+  const [showCalendar, setShowCalendar] = useState(false);
   const live = games.filter(g => g.status === "in_progress");
   const upcoming = games.filter(g => g.status === "scheduled");
-  const finished = games.filter(g => g.status === "final" || g.status === "closed");
+  const finished = games.filter(g => g.status === "final");
   const sorted = [
     ...live,
     ...upcoming.sort((a, b) => new Date(a.start_time) - new Date(b.start_time)),
     ...finished.sort((a, b) => new Date(b.start_time) - new Date(a.start_time)),
   ];
 
+  // Days are keyed by calendar date (the ?day= in the URL) and labelled relative to today
   const today = new Date();
   const yesterday = new Date();
   const tomorrow = new Date();
   yesterday.setDate(today.getDate() - 1);
   tomorrow.setDate(today.getDate() + 1);
+  const todayKey = dayKey(today);
+  const relativeLabels = { [todayKey]: "Today", [dayKey(yesterday)]: "Yesterday", [dayKey(tomorrow)]: "Tomorrow" };
 
   const grouped = sorted.reduce((acc, game) => {
-    const gameDate = new Date(game.start_time);
-    let label;
-    if (gameDate.toDateString() === today.toDateString()) label = "Today";
-    else if (gameDate.toDateString() === yesterday.toDateString()) label = "Yesterday";
-    else if (gameDate.toDateString() === tomorrow.toDateString()) label = "Tomorrow";
-    else label = gameDate.toLocaleDateString("en-US", { month: "short", day: "numeric" });
-
-    if (!acc[label]) acc[label] = [];
-    acc[label].push(game);
+    const key = dayKey(game.start_time);
+    if (!acc[key]) acc[key] = [];
+    acc[key].push(game);
     return acc;
   }, {});
+  const dayLabel = key => relativeLabels[key]
+    ?? dateFromKey(key).toLocaleDateString("en-US", { month: "short", day: "numeric" });
 
-  const order = ["Today", "Tomorrow", "Yesterday"];
-  const sortedLabels = [
-    ...order.filter(l => grouped[l]),
-    ...Object.keys(grouped).filter(l => !order.includes(l)),
+  const order = Object.keys(relativeLabels);
+  const sortedDays = [
+    ...order.filter(k => grouped[k]),
+    ...Object.keys(grouped).filter(k => !order.includes(k)),
   ];
 
-  const activeDay = sortedLabels.includes(selectedDay)
+  // A day the scoreboard doesn't cover comes from the schedule, a week at a
+  // time so it shares the calendar's cache
+  const offScoreboard = sport && selectedDay && !grouped[selectedDay] ? selectedDay : null;
+  const schedule = useSchedule(sport, offScoreboard ? weekRange(offScoreboard) : null);
+  const scheduledGames = offScoreboard
+    ? (schedule.games ?? []).filter(g => dayKey(g.start_time) === offScoreboard)
+    : [];
+
+  // An explicit day wins; otherwise the day of the game in the URL, then today
+  const routedGame = games.find(g => g.id === expandedGameId);
+  const activeDay = offScoreboard ?? (sortedDays.includes(selectedDay)
     ? selectedDay
-    : (sortedLabels.includes("Today") ? "Today" : sortedLabels[0]);
+    : routedGame ? dayKey(routedGame.start_time)
+    : (sortedDays.includes(todayKey) ? todayKey : sortedDays[0]));
+  const dayPills = offScoreboard ? [...sortedDays, offScoreboard] : sortedDays;
 
-  const activeDayGames = activeDay ? (grouped[activeDay] ?? []) : [];
+  const activeDayGames = offScoreboard ? scheduledGames : activeDay ? (grouped[activeDay] ?? []) : [];
 
   return (
     <div>
@@ -1328,31 +1249,35 @@ function LeagueSection({ games, favoriteIds, onToggleFavorite, scoreHistory, exp
         favoriteIds={favoriteIds}
         onToggleFavorite={onToggleFavorite}
         scoreHistory={scoreHistory}
+        probHistory={probHistory}
         defaultExpanded={expandDefault}
         myTeams={myTeams}
+        bestBet={bestBet}
         onToggleMyTeam={onToggleMyTeam}
         onSelectTeam={onSelectTeam}
         focusedGameId={focusedGameId}
+        expandedGameId={expandedGameId}
+        onExpandGame={onExpandGame}
       />
 
-      {/* Day filter tabs + expand toggle */}
-      {sortedLabels.length > 0 && (
+      {/* Day filter tabs + calendar and expand toggles */}
+      {(dayPills.length > 0 || sport) && (
         <div className="flex items-center gap-2 mb-5">
           <div className="flex gap-2 overflow-x-auto pb-1 flex-1 min-w-0">
-            {sortedLabels.map(label => {
-              const liveCount  = (grouped[label] ?? []).filter(g => g.status === "in_progress").length;
-              const tenseCount = (grouped[label] ?? []).filter(g => isTenseMoment(g)).length;
-              const isActive = activeDay === label;
+            {dayPills.map(day => {
+              const liveCount  = (grouped[day] ?? []).filter(g => g.status === "in_progress").length;
+              const tenseCount = countTenseGames(grouped[day] ?? [], getLeagueInfo);
+              const isActive = activeDay === day;
               return (
                 <button
-                  key={label}
-                  onClick={() => setSelectedDay(label)}
+                  key={day}
+                  onClick={() => onSelectDay(day)}
                   className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs font-semibold whitespace-nowrap transition-colors
                     ${isActive
                       ? "bg-gray-900 text-white"
                       : "bg-white border border-gray-200 text-gray-500 hover:border-gray-400 hover:text-gray-700"}`}
                 >
-                  {label}
+                  {dayLabel(day)}
                   {tenseCount > 0 && <span className="text-orange-500 animate-pulse">⚡</span>}
                   {liveCount > 0 ? (
                     <span className={`text-xs font-bold px-1.5 py-px rounded-full leading-none
@@ -1360,12 +1285,22 @@ function LeagueSection({ games, favoriteIds, onToggleFavorite, scoreHistory, exp
                       {liveCount}
                     </span>
                   ) : (
-                    <span className="opacity-50">{grouped[label].length}</span>
+                    <span className="opacity-50">{(grouped[day] ?? scheduledGames).length}</span>
                   )}
                 </button>
               );
             })}
           </div>
+          {sport && (
+            <button
+              onClick={() => setShowCalendar(s => !s)}
+              title={showCalendar ? "Hide calendar" : "Browse the schedule"}
+              className={`shrink-0 text-xs border rounded-lg px-2.5 py-1.5 transition-colors
+                ${showCalendar ? "border-gray-900 bg-gray-900 text-white" : "border-gray-200 bg-white text-gray-400 hover:text-gray-700"}`}
+            >
+              📅
+            </button>
+          )}
           {/* Expand/collapse all toggle */}
           <button
             onClick={onToggleExpand}
@@ -1377,6 +1312,19 @@ function LeagueSection({ games, favoriteIds, onToggleFavorite, scoreHistory, exp
         </div>
       )}
 
+      {showCalendar && sport && (
+        <ScheduleCalendar sport={sport} activeDay={activeDay} onSelectDay={onSelectDay} myTeams={myTeams} />
+      )}
+
+      {offScoreboard && schedule.loading && !schedule.games && (
+        <div className="text-center py-10 text-sm text-gray-400">Loading schedule…</div>
+      )}
+      {activeDayGames.length === 0 && !(offScoreboard && schedule.loading && !schedule.games) && (
+        <div className="text-center py-16 text-gray-400">
+          {offScoreboard ? (schedule.error ? `Couldn't load the schedule — ${schedule.error}` : "No games on this day.") : emptyMessage}
+        </div>
+      )}
+
       {/* Games for active day */}
       {activeDayGames
         .filter(g => !favoriteIds.has(g.id))
@@ -1387,18 +1335,47 @@ function LeagueSection({ games, favoriteIds, onToggleFavorite, scoreHistory, exp
             isFavorited={false}
             onToggleFavorite={onToggleFavorite}
             scoreHistory={scoreHistory}
+            probHistory={probHistory}
             defaultExpanded={expandDefault}
             myTeams={myTeams}
+            bestBet={bestBet}
             onToggleMyTeam={onToggleMyTeam}
             onSelectTeam={onSelectTeam}
             focusedGameId={focusedGameId}
+            expandedGameId={expandedGameId}
+            onExpandGame={onExpandGame}
           />
         ))}
     </div>
   );
 }
+// ─── League view tabs ─────────────────────────────────────────────────────────
+// Games / Standings / Pick'em switch at the top of a league tab
+const LEAGUE_VIEWS = [
+  { id: null,        label: "Games" },
+  { id: "standings", label: "Standings" },
+  { id: "pickem",    label: "Pick'em" },
+];
+
+function LeagueViewTabs({ view, onChange }) {
+  return (
+    <div className="inline-flex bg-gray-100 rounded-xl p-0.5 mb-4">
+      {LEAGUE_VIEWS.map(v => (
+        <button
+          key={v.label}
+          onClick={() => onChange(v.id)}
+          className={`px-3.5 py-1 rounded-lg text-xs font-semibold transition-colors
+            ${(view ?? null) === v.id ? "bg-white text-gray-900 shadow-sm" : "text-gray-500 hover:text-gray-700"}`}
+        >
+          {v.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
 // ─── Mobile Tab Picker ────────────────────────────────────────────────────────
-function MobileTabPicker({ activeTab, onSetTab, myTeams, allGames, followingGames }) {
+function MobileTabPicker({ sportGroups, activeTab, onSetTab, myTeams, allGames, followingGames }) {
   const [open, setOpen] = useState(false);
 
   const totalLive = Object.values(allGames).flat().filter(g => g.status === "in_progress").length;
@@ -1408,7 +1385,7 @@ function MobileTabPicker({ activeTab, onSetTab, myTeams, allGames, followingGame
   const activeLabel =
     activeTab === "🔥" ? "🔥 Today"
     : activeTab === "★" ? "★ Following"
-    : leagueDisplayName(activeTab);
+    : leagueLabel(activeTab);
   const activeLiveBadge =
     activeTab === "🔥" ? (totalLive > 0 ? totalLive : null)
     : activeTab === "★" ? (followingLive > 0 ? followingLive : null)
@@ -1460,13 +1437,13 @@ function MobileTabPicker({ activeTab, onSetTab, myTeams, allGames, followingGame
               </button>
             )}
             {/* Sport groups + nested leagues */}
-            {SPORT_GROUPS.map(group => {
+            {sportGroups.map(group => {
               const groupLiveCount = group.leagues.reduce(
                 (sum, l) => sum + (allGames[l.slug] ?? []).filter(g => g.status === "in_progress").length, 0
               );
-              const c = SPORT_COLORS[group.id];
+              const c = SPORT_THEME;
               return (
-                <div key={group.id}>
+                <div key={group.id} style={sportColorVars(group.colors)}>
                   {/* Group header — not tappable, just a label */}
                   <div className={`flex items-center justify-between px-4 py-2 border-b ${c.headerBg} ${c.subBorder}`}>
                     <span className={`text-xs font-bold uppercase tracking-wider ${c.headerText}`}>{group.label}</span>
@@ -1503,23 +1480,105 @@ function MobileTabPicker({ activeTab, onSetTab, myTeams, allGames, followingGame
   );
 }
 
+// Team (as GameCard passes it to onSelectTeam) for a { sport, id } from the URL
+function findTeamInGames(allGames, { sport, id }) {
+  for (const game of allGames[sport] ?? []) {
+    for (const abbr of [game.home, game.away]) {
+      const team = game.teams?.[abbr];
+      if (String(team?.id ?? abbr) === id) {
+        return { abbr, id, name: team?.name ?? abbr, logo: team?.logo ?? null, color: team?.color ?? null, sport };
+      }
+    }
+  }
+  return null;
+}
+
 // ─── Main App ─────────────────────────────────────────────────────────────────
 
+// Navigation and sport logic come from the server's league registry, so nothing
+// renders until it has loaded (see lib/leagues)
 export default function App() {
-  const [activeTab, setActiveTab] = useState("🔥");
+  const { ready, error, retry } = useLeagueRegistry();
+  if (ready) return <ChalkBoard />;
+  return (
+    <div className="bg-gray-50 min-h-screen font-sans flex flex-col items-center justify-center gap-4 px-6 text-center">
+      <div className="flex items-center gap-2.5">
+        <ChalkboardIcon size={30} />
+        <span className="font-extrabold text-2xl tracking-tight">ChalkBoard</span>
+      </div>
+      {error ? (
+        <>
+          <div className="text-sm text-red-700">⚠️ {SERVER_DOWN_MESSAGE}</div>
+          <button onClick={retry} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800">Try again</button>
+        </>
+      ) : (
+        <div className="text-sm text-gray-400">Loading leagues…</div>
+      )}
+    </div>
+  );
+}
+
+function ChalkBoard() {
+  // Which leagues are switched on, in the user's order (see lib/leagueSettings).
+  // Only enabled leagues are fetched, streamed or shown in the navigation,
+  // and only they can be routed to.
+  const [leagueSettings, setLeagueSettings] = useState(loadLeagueSettings);
+  const updateLeagueSettings = useCallback(next => {
+    saveLeagueSettings(next);
+    setLeagueSettings(next);
+  }, []);
+  const sportGroups = useMemo(() => arrangeGroups(allSportGroups(), leagueSettings), [leagueSettings]);
+  const enabledLeagueIds = useMemo(() => sportGroups.flatMap(g => g.leagues.map(l => l.slug)), [sportGroups]);
+
+  // The current view — tab, expanded game, selected day and team drawer — lives in the URL (see lib/router)
+  const [route, navigate] = useRoute(enabledLeagueIds);
+  const activeTab = route.tab;
+  const setActiveTab = useCallback(tab => navigate({ tab, view: null, page: null, gameId: null, day: null }), [navigate]);
+  const setLeagueView = useCallback(view => navigate({ view, page: null, gameId: null }), [navigate]);
+  const expandGame = useCallback(gameId => navigate({ gameId }), [navigate]);
+  const selectDay = useCallback(day => navigate({ day, gameId: null }), [navigate]);
+  const setSelectedTeam = useCallback(
+    team => navigate({ team: team ? { sport: team.sport, id: team.id ?? team.abbr, vs: team.opponentId ?? null } : null }),
+    [navigate]
+  );
+  const closePlayer = useCallback(() => navigate({ player: null }), [navigate]);
+  // From the player panel, the team replaces the player rather than sitting under it
+  const openPlayerTeam = useCallback(
+    team => navigate({ player: null, team: { sport: team.sport, id: team.id ?? team.abbr, vs: null } }),
+    [navigate]
+  );
+
+  // A bare visit to "/" opens the landing tab; any other link opens as linked.
+  // Once, on load — picking Today later still goes to Today.
+  useEffect(() => {
+    const { pathname, search } = window.location;
+    if (pathname === "/" && !search && leagueSettings.landingTab !== "🔥") {
+      navigate({ tab: leagueSettings.landingTab }, { replace: true });
+    }
+  }, []);
+
   const [allGames, setAllGames] = useState({});
+  // Mirror of allGames for stream handlers and the scheduler, which update one league at a time
+  const allGamesRef = useRef({});
+  // When each league last got fresh data, from any source (poll, stream or manual refresh)
+  const [leagueUpdatedAt, setLeagueUpdatedAt] = useState({});
+  const leagueUpdatedAtRef = useRef({});
+  const markLeaguesUpdated = useCallback((slugs) => {
+    const now = Date.now();
+    leagueUpdatedAtRef.current = { ...leagueUpdatedAtRef.current, ...Object.fromEntries(slugs.map(s => [s, now])) };
+    setLeagueUpdatedAt(leagueUpdatedAtRef.current);
+  }, []);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastRefresh, setLastRefresh] = useState(null);
-  const [selectedTeam, setSelectedTeam] = useState(null);
   const [focusedGameId, setFocusedGameId] = useState(null);
 
-  // "Tune in now" — switch to the right league tab and highlight the game card
+  // "Tune in now" — open the game on its league tab and briefly highlight the card
   const handleTuneIn = useCallback((league, gameId) => {
-    setActiveTab(league);
+    navigate({ tab: league, view: null, page: null, gameId, day: null });
     setFocusedGameId(gameId);
     setTimeout(() => setFocusedGameId(null), 2000);
-  }, []);
+  }, [navigate]);
 
   // Feature 3: favoriteIds is a Set of game IDs the user has starred.
   // We store it in localStorage so it persists across page refreshes.
@@ -1541,20 +1600,41 @@ export default function App() {
     });
   };
 
-  // My Teams: follow specific teams across all leagues
-  const [myTeams, setMyTeams] = useState(() => {
-    const saved = localStorage.getItem("chalkboard_my_teams");
-    return new Set(saved ? JSON.parse(saved) : []);
-  });
-  const toggleMyTeam = useCallback((abbr) => {
+  // My Teams: follow specific teams, keyed by league + team id (see lib/myTeams)
+  const [myTeams, setMyTeams] = useState(loadFollowedTeams);
+  const toggleMyTeam = useCallback((team) => {
     setMyTeams(prev => {
-      const next = new Set(prev);
-      if (next.has(abbr)) next.delete(abbr); else next.add(abbr);
-      localStorage.setItem("chalkboard_my_teams", JSON.stringify(Array.from(next)));
+      const next = new Map(prev);
+      if (next.has(team.key)) next.delete(team.key); else next.set(team.key, team);
+      saveFollowedTeams(next);
       return next;
     });
   }, []);
 
+  // Abbreviation-only follows saved by older versions, waiting to be migrated.
+  // `teams` is what the abbreviation turned out to mean (possibly none).
+  const [legacyAbbrs, setLegacyAbbrs] = useState(loadLegacyAbbrs);
+  const resolveLegacyTeam = useCallback((abbr, teams) => {
+    setMyTeams(prev => {
+      const next = new Map(prev);
+      for (const team of teams) next.set(team.key, team);
+      saveFollowedTeams(next);
+      return next;
+    });
+    setLegacyAbbrs(prev => {
+      const next = prev.filter(a => a !== abbr);
+      saveLegacyAbbrs(next);
+      return next;
+    });
+  }, []);
+
+  // Notifications: opt-in, with per-team / per-game triggers (see lib/notifications)
+  const [notifySettings, setNotifySettings] = useState(loadNotificationSettings);
+  const updateNotifySettings = useCallback((next) => {
+    saveNotificationSettings(next);
+    setNotifySettings(next);
+  }, []);
+
   // Feature 4+5: scoreHistory tracks score snapshots for live games.
   // We use useRef instead of useState because we DON'T want React to
   // re-render every time we add a snapshot — it would cause an infinite loop
@@ -1563,6 +1643,9 @@ export default function App() {
   // But we DO need to trigger re-renders when we want to display it,
   // so we keep a separate "display" copy in state that we update less frequently.
   const [scoreHistory, setScoreHistory] = useState({});
+  // Full per-game win probability + score timeline for the chart (see appendProbSnapshots)
+  const probHistoryRef = useRef({});
+  const [probHistory, setProbHistory] = useState({});
 
   // Feature 3: toggle a game in/out of favorites and persist to localStorage
   const toggleFavorite = useCallback((gameId) => {
@@ -1579,7 +1662,87 @@ export default function App() {
     });
   }, []);
 
+  // Score and win probability history persist in IndexedDB. It is restored on
+  // startup (and after leaving replay mode); afterwards every game whose history
+  // grew is written back. Nothing is written until the restore has finished, so
+  // a half-empty in-memory history can never overwrite a saved one.
+  const persistedLengthsRef = useRef({});
+  const historyRestoredRef = useRef(false);
+  const restoreHistory = useCallback(() => {
+    historyRestoredRef.current = false;
+    loadHistory()
+      .then(({ scoreHistory: savedScores, probHistory: savedProbs }) => {
+        mergeRestoredHistory(scoreHistoryRef.current, savedScores,
+          (a, b) => Object.keys(b).every(k => k === "clock" || a[k] === b[k]));
+        mergeRestoredHistory(probHistoryRef.current, savedProbs, (a, b) => a.t <= b.t);
+        for (const id of Object.keys({ ...savedScores, ...savedProbs })) {
+          persistedLengthsRef.current[id] = `${savedScores[id]?.length ?? 0}/${savedProbs[id]?.length ?? 0}`;
+        }
+        historyRestoredRef.current = true;
+        setScoreHistory({ ...scoreHistoryRef.current });
+        setProbHistory({ ...probHistoryRef.current });
+      })
+      .catch(err => console.error("Could not restore score history:", err));
+  }, []);
+  useEffect(() => { restoreHistory(); }, [restoreHistory]);
+
+  const persistHistory = useCallback((games) => {
+    // Replayed games are not real history
+    if (!historyRestoredRef.current || replayRef.current) return;
+    const entries = [];
+    for (const game of games) {
+      const scores = scoreHistoryRef.current[game.id] ?? [];
+      const probs = probHistoryRef.current[game.id] ?? [];
+      const lengths = `${scores.length}/${probs.length}`;
+      if (scores.length + probs.length === 0 || persistedLengthsRef.current[game.id] === lengths) continue;
+      persistedLengthsRef.current[game.id] = lengths;
+      entries.push({ gameId: game.id, scores, probs });
+    }
+    if (entries.length > 0) {
+      saveHistory(entries).catch(err => console.error("Could not save score history:", err));
+    }
+  }, []);
+
+  // Replay mode: while a recorded session is loaded, fetchAll reads its
+  // snapshots at the replay clock's time instead of calling the server.
+  const [replaySource, setReplaySource] = useState(null);
+  const replayClock = useReplayClock(replaySource);
+  const replayRef = useRef(null);
+  const lastReplayTimeRef = useRef(null);
+  useEffect(() => {
+    replayRef.current = replaySource && replayClock.time != null
+      ? { source: replaySource, time: replayClock.time }
+      : null;
+    // Scrubbing backwards would leave "future" snapshots in the history
+    if (replayClock.time != null && replayClock.time < (lastReplayTimeRef.current ?? -Infinity)) {
+      scoreHistoryRef.current = {};
+      probHistoryRef.current = {};
+    }
+    lastReplayTimeRef.current = replayClock.time;
+  }, [replaySource, replayClock.time]);
+
+  const startReplay = useCallback((session) => {
+    scoreHistoryRef.current = {};
+    probHistoryRef.current = {};
+    setReplaySource(createReplaySource(session));
+  }, []);
+  const exitReplay = useCallback(() => {
+    scoreHistoryRef.current = {};
+    probHistoryRef.current = {};
+    // Replayed games say nothing about how fresh the live data is
+    allGamesRef.current = {};
+    leagueUpdatedAtRef.current = {};
+    setAllGames({});
+    setLeagueUpdatedAt({});
+    setReplaySource(null);
+    restoreHistory();
+  }, [restoreHistory]);
+
   const fetchLeague = useCallback(async (slug) => {
+    if (replayRef.current) {
+      const { source, time } = replayRef.current;
+      return { slug, games: source.gamesAt(slug, time) };
+    }
     const response = await fetch(`${API_BASE}/scores/${slug}`);
     if (!response.ok) throw new Error(`Server error for ${slug}: ${response.status}`);
     const data = await response.json();
@@ -1593,8 +1756,10 @@ export default function App() {
     try {
       // Promise.allSettled lets individual league failures be skipped without killing the whole refresh
       const results = await Promise.allSettled(
-        ALL_LEAGUE_IDS.map(slug => fetchLeague(slug))
+        enabledLeagueIds.map(slug => fetchLeague(slug))
       );
+      // Replayed snapshots are stamped with the recorded time, not the real one
+      const snapshotTime = replayRef.current?.time ?? Date.now();
 
       const gameMap = {};
       for (const result of results) {
@@ -1602,58 +1767,190 @@ export default function App() {
         const { slug, games } = result.value;
         gameMap[slug] = games;
 
-        // Feature 4+5: for every live game, append the current score to its history.
-        // We cap history at 10 snapshots to avoid unbounded memory growth.
-        for (const game of games) {
-          if (game.status === "in_progress" && game.score) {
-            const prev = scoreHistoryRef.current[game.id] ?? [];
-            const lastSnap = prev[prev.length - 1];
-            const currentSnap = { [game.home]: game.score[game.home], [game.away]: game.score[game.away], clock: game.clock ?? null };
-
-            // Only add a new snapshot if the score actually changed
-            const scoreChanged =
-              !lastSnap ||
-              lastSnap[game.home] !== currentSnap[game.home] ||
-              lastSnap[game.away] !== currentSnap[game.away];
-
-            if (scoreChanged) {
-              scoreHistoryRef.current[game.id] = [...prev, currentSnap].slice(-10);
-            }
-          }
-        }
+        // Feature 4+5: for every live game, append the current score to its history
+        // (and the full odds/score timeline for the win probability chart).
+        appendScoreSnapshots(scoreHistoryRef.current, games);
+        appendProbSnapshots(probHistoryRef.current, games, snapshotTime);
+        persistHistory(games);
       }
 
-      if (Object.keys(gameMap).length === 0) {
-        setError("Could not reach the ChalkBoard server. Is it running? (node server.js)");
+      if (Object.keys(gameMap).length === 0 && enabledLeagueIds.length > 0) {
+        setError(SERVER_DOWN_MESSAGE);
       }
 
+      allGamesRef.current = gameMap;
+      markLeaguesUpdated(Object.keys(gameMap));
       setAllGames(gameMap);
       setLastRefresh(new Date());
       // Sync the ref into state so components re-render with new history
       setScoreHistory({ ...scoreHistoryRef.current });
+      setProbHistory({ ...probHistoryRef.current });
     } catch (err) {
       console.error("Fetch failed:", err);
-      setError("Could not reach the ChalkBoard server. Is it running? (node server.js)");
+      setError(SERVER_DOWN_MESSAGE);
     } finally {
       setLoading(false);
     }
-  }, [fetchLeague]);
+  }, [enabledLeagueIds, fetchLeague, markLeaguesUpdated, persistHistory]);
+
+  // Live stream: the server pushes per-game diffs, which are merged into
+  // allGames and scoreHistory exactly like a polled scoreboard would be.
+  const [streamLive, setStreamLive] = useState(false);
+  const applyLeagueUpdate = useCallback((slug, update) => {
+    const games = update(allGamesRef.current[slug] ?? []);
+    allGamesRef.current = { ...allGamesRef.current, [slug]: games };
+    markLeaguesUpdated([slug]);
+    appendScoreSnapshots(scoreHistoryRef.current, games);
+    appendProbSnapshots(probHistoryRef.current, games, Date.now());
+    persistHistory(games);
+    setAllGames(allGamesRef.current);
+    setScoreHistory({ ...scoreHistoryRef.current });
+    setProbHistory({ ...probHistoryRef.current });
+    setLastRefresh(new Date());
+    setError(null);
+  }, [markLeaguesUpdated, persistHistory]);
 
   useEffect(() => {
-    fetchAll();
-    const interval = setInterval(fetchAll, REFRESH_INTERVAL);
-    return () => clearInterval(interval);
-  }, [fetchAll]);
+    if (replaySource || enabledLeagueIds.length === 0) return;
+    const close = openScoreStream(enabledLeagueIds, {
+      onOpen: () => setStreamLive(true),
+      onSnapshot: ({ slug, games }) => applyLeagueUpdate(slug, () => games),
+      onDiff: (diff) => applyLeagueUpdate(diff.slug, games => applyGameDiff(games, diff)),
+      onDrop: () => setStreamLive(false),
+    });
+    return () => { close(); setStreamLive(false); };
+  }, [replaySource, enabledLeagueIds, applyLeagueUpdate]);
+
+  // Leagues switched off leave the page at once; ones switched on arrive with
+  // the reopened stream's snapshot, or the scheduler's first poll
+  useEffect(() => {
+    const current = allGamesRef.current;
+    const kept = Object.fromEntries(Object.entries(current).filter(([slug]) => enabledLeagueIds.includes(slug)));
+    if (Object.keys(kept).length === Object.keys(current).length) return;
+    allGamesRef.current = kept;
+    setAllGames(kept);
+  }, [enabledLeagueIds]);
+
+  // Polling: the first load, and the fallback whenever the stream is down.
+  // Each league is polled on its own cadence by the refresh scheduler.
+  // In replay mode the replay clock drives refreshes instead (see below).
+  const refreshLeague = useCallback(async (slug) => {
+    try {
+      const { games } = await fetchLeague(slug);
+      applyLeagueUpdate(slug, () => games);
+    } catch (err) {
+      if (Object.keys(allGamesRef.current).length === 0) setError(SERVER_DOWN_MESSAGE);
+      throw err;
+    }
+  }, [fetchLeague, applyLeagueUpdate]);
+  const getLeagueGames = useCallback(slug => allGamesRef.current[slug], []);
+  const getLeagueUpdatedAt = useCallback(slug => leagueUpdatedAtRef.current[slug], []);
+  useRefreshScheduler({
+    enabled: !replaySource && !streamLive,
+    // Notifications are most useful when the tab is in the background
+    pollWhenHidden: notifySettings.enabled,
+    leagues: enabledLeagueIds,
+    refreshLeague,
+    getGames: getLeagueGames,
+    getUpdatedAt: getLeagueUpdatedAt,
+  });
+
+  // Replay: every tick of the virtual clock is a "poll" of the recorded session
+  useEffect(() => {
+    if (replaySource && replayClock.time != null) fetchAll();
+  }, [fetchAll, replaySource, replayClock.time]);
+
+  // Notifications: compare each update of allGames with the one before it.
+  // Leagues and games seen for the first time never notify, so neither does
+  // the initial load. Replayed sessions stay quiet.
+  const notifiedGamesRef = useRef(allGames);
+  useEffect(() => {
+    const prev = notifiedGamesRef.current;
+    notifiedGamesRef.current = allGames;
+    if (!notifySettings.enabled || replaySource || prev === allGames) return;
+    const notifications = collectNotifications(prev, allGames, {
+      settings: notifySettings,
+      myTeams,
+      favoriteIds,
+      leagueLabel,
+    });
+    notifications.forEach(showNotification);
+  }, [allGames, notifySettings, myTeams, favoriteIds, replaySource]);
+
+  // Legacy follows are matched against every league's teams, disabled leagues
+  // included. An abbreviation used by exactly one team migrates on its own, but
+  // only once every league has answered; the rest wait in TeamMigrationPrompt.
+  // Leagues that fail are asked again, backing off, until all of them answer.
+  const [legacyTeams, setLegacyTeams] = useState(null);
+  const legacyAttempts = useRef(0);
+  const hasLegacyAbbrs = legacyAbbrs.length > 0;
+  useEffect(() => {
+    if (!hasLegacyAbbrs || legacyTeams?.complete) return;
+    let cancelled = false;
+    const delay = legacyTeams ? Math.min(LEGACY_RETRY_MS * 2 ** (legacyAttempts.current - 1), LEGACY_RETRY_MAX_MS) : 0;
+    const timer = setTimeout(() => {
+      legacyAttempts.current += 1;
+      loadLeagueTeams(allLeagueIds(), legacyTeams?.teams).then(result => { if (!cancelled) setLegacyTeams(result); });
+    }, delay);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [hasLegacyAbbrs, legacyTeams]);
+  const legacyMatches = legacyTeams
+    ? legacyAbbrs.map(abbr => ({ abbr, candidates: findTeamsByAbbr(legacyTeams.teams, abbr) }))
+    : [];
+  const legacyComplete = legacyTeams?.complete ?? false;
+  useEffect(() => {
+    if (!legacyTeams?.complete) return;
+    for (const abbr of legacyAbbrs) {
+      const candidates = findTeamsByAbbr(legacyTeams.teams, abbr);
+      if (candidates.length === 1) resolveLegacyTeam(abbr, candidates);
+    }
+  }, [legacyTeams, legacyAbbrs, resolveLegacyTeam]);
 
   // Games for the "Following" tab — any game where a followed team is playing
   const followingGames = Object.values(allGames)
     .flat()
-    .filter(g => myTeams.size > 0 && (myTeams.has(g.home) || myTeams.has(g.away)));
+    .filter(g => myTeams.size > 0 && isFollowingGame(myTeams, g));
 
   // currentGames: activeTab is now always "🔥", "★", or a league slug
   const currentGames = activeTab === "★" ? followingGames : activeTab === "🔥" ? [] : (allGames[activeTab] ?? []);
-  const bestBet  = findBestBet(allGames);
-  const bestLive = findBestLiveGame(allGames, scoreHistory);
+  const isLeagueTab = activeTab !== "★" && activeTab !== "🔥";
+  const bestBet  = findBestBet(allGames, allLeagueIds());
+  const bestLive = findBestLiveGame(allGames, scoreHistory, getLeagueInfo);
+
+  // Settle recorded bets as their games go final — live data only, never a replay
+  useEffect(() => {
+    if (!replaySource) settleBets(allGames);
+  }, [allGames, replaySource]);
+  // A deep-linked team may not have been clicked this session; fill in its
+  // name and logo from the loaded games where possible.
+  const selectedTeam = route.team && { ...route.team, ...findTeamInGames(allGames, route.team) };
+
+  // App-level commands for the Ctrl/Cmd+K palette
+  const paletteActions = [
+    { id: "today", label: "Go to Today", hint: "🔥", run: () => setActiveTab("🔥") },
+    { id: "following", label: "Go to Following", hint: "★", run: () => setActiveTab("★") },
+    ...(isLeagueTab && !route.page ? [{
+      id: "view",
+      label: route.view === "standings" ? `${leagueLabel(activeTab)} games` : `${leagueLabel(activeTab)} standings`,
+      hint: "This league",
+      run: () => setLeagueView(route.view === "standings" ? null : "standings"),
+    }] : []),
+    ...(isLeagueTab && !route.page && route.view !== "pickem" ? [{
+      id: "pickem",
+      label: `${leagueLabel(activeTab)} pick'em`,
+      hint: "This league",
+      keywords: ["predictions", "leaderboard"],
+      run: () => setLeagueView("pickem"),
+    }] : []),
+    {
+      id: "expand",
+      label: expandDefault ? "Collapse all cards" : "Expand all cards",
+      hint: "Default for game cards",
+      keywords: ["toggle expand default"],
+      run: toggleExpandDefault,
+    },
+    ...(replaySource ? [] : [{ id: "refresh", label: "Refresh scores", hint: "Every league", keywords: ["reload"], run: fetchAll }]),
+  ];
 
   return (
     <div className="bg-gray-50 min-h-screen font-sans">
@@ -1666,19 +1963,62 @@ export default function App() {
           <ChalkboardIcon size={30} />
           <span className="font-extrabold text-2xl tracking-tight">ChalkBoard</span>
         </div>
-        {/* Refresh — small, pinned top-right */}
-        <button
-          onClick={fetchAll}
-          disabled={loading}
-          className="absolute right-5 top-1/2 -translate-y-1/2 flex flex-col items-center gap-0.5 disabled:opacity-40"
-        >
-          <span className={`text-lg text-gray-400 hover:text-gray-700 transition-colors leading-none ${loading ? "animate-spin" : ""}`}>↻</span>
-          {lastRefresh && (
-            <span className="text-[10px] text-gray-300 leading-none tabular-nums">
-              {lastRefresh.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
-            </span>
+        {/* Command palette + player search — pinned top-left */}
+        <div className="absolute left-5 top-1/2 -translate-y-1/2 flex items-center gap-3">
+          <CommandPalette
+            allGames={allGames}
+            myTeams={myTeams}
+            leagues={enabledLeagueIds}
+            leagueLabel={leagueLabel}
+            actions={paletteActions}
+            onSelectTeam={setSelectedTeam}
+            onToggleMyTeam={toggleMyTeam}
+            onJumpToGame={handleTuneIn}
+            onSelectLeague={setActiveTab}
+          />
+          {!replaySource && <PlayerSearch leagueLabel={leagueLabel} />}
+        </div>
+        {/* Replay controls + refresh — small, pinned top-right */}
+        <div className="absolute right-5 top-1/2 -translate-y-1/2 flex items-center gap-3">
+          <LeagueSettings groups={allSportGroups()} settings={leagueSettings} onChange={updateLeagueSettings} />
+          {!replaySource && <BetLedger leagueLabel={leagueLabel} />}
+          {!replaySource && (
+            <NotificationSettings
+              settings={notifySettings}
+              onChange={updateNotifySettings}
+              myTeams={myTeams}
+              favoriteGames={Object.values(allGames).flat().filter(g => favoriteIds.has(g.id))}
+              leagueLabel={leagueLabel}
+            />
           )}
-        </button>
+          <ReplayControls
+            source={replaySource}
+            clock={replayClock}
+            onLoadSession={startReplay}
+            onExit={exitReplay}
+          />
+          <button
+            onClick={fetchAll}
+            disabled={loading || !!replaySource}
+            className="flex flex-col items-center gap-0.5 disabled:opacity-40"
+          >
+            <span className={`text-lg text-gray-400 hover:text-gray-700 transition-colors leading-none ${loading && !replaySource ? "animate-spin" : ""}`}>↻</span>
+            {lastRefresh && (
+              <span className="text-[10px] text-gray-300 leading-none tabular-nums">
+                {lastRefresh.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+              </span>
+            )}
+          </button>
+          {!replaySource && lastRefresh && (
+            <LeagueFreshness
+              leagues={enabledLeagueIds}
+              leagueLabel={leagueLabel}
+              allGames={allGames}
+              updatedAt={leagueUpdatedAt}
+              streamLive={streamLive}
+            />
+          )}
+        </div>
       </div>
       </div>
 
@@ -1690,6 +2030,7 @@ export default function App() {
 
       {/* Mobile tab picker — shown only on small screens */}
       <MobileTabPicker
+        sportGroups={sportGroups}
         activeTab={activeTab}
         onSetTab={setActiveTab}
         myTeams={myTeams}
@@ -1699,7 +2040,7 @@ export default function App() {
 
       {/* Desktop tab bar — hidden on small screens, two-row sport group nav */}
       {(() => {
-        const activeSportGroup = getSportGroup(activeTab);
+        const activeSportGroup = sportGroups.find(g => g.leagues.some(l => l.slug === activeTab)) ?? null;
         const totalLive = Object.values(allGames).flat().filter(g => g.status === "in_progress").length;
         const followingLive = followingGames.filter(g => g.status === "in_progress").length;
         return (
@@ -1733,16 +2074,17 @@ export default function App() {
                     )}
                   </button>
                 )}
-                {SPORT_GROUPS.map(group => {
+                {sportGroups.map(group => {
                   const isGroupActive = group.leagues.some(l => l.slug === activeTab);
                   const groupLiveCount = group.leagues.reduce(
                     (sum, l) => sum + (allGames[l.slug] ?? []).filter(g => g.status === "in_progress").length, 0
                   );
                   const hasMultiple = group.leagues.length > 1;
-                  const c = SPORT_COLORS[group.id];
+                  const c = SPORT_THEME;
                   return (
                     <button
                       key={group.id}
+                      style={sportColorVars(group.colors)}
                       onClick={() => { if (!isGroupActive) setActiveTab(group.leagues[0].slug); }}
                       className={`flex items-center gap-1.5 px-4 py-3 text-sm whitespace-nowrap border-b-2 -mb-px transition-colors
                         ${isGroupActive
@@ -1764,13 +2106,16 @@ export default function App() {
             </div>
             {/* Row 2: sub-leagues (only when a sport group with multiple leagues is active) */}
             {activeSportGroup && activeSportGroup.leagues.length > 1 && (() => {
-              const c = SPORT_COLORS[activeSportGroup.id];
+              const c = SPORT_THEME;
               return (
-                <div className={`flex overflow-x-auto px-4 py-1.5 gap-1 border-t ${c.subBg} ${c.subBorder}`}>
+                <div
+                  style={sportColorVars(activeSportGroup.colors)}
+                  className={`flex overflow-x-auto px-4 py-1.5 gap-1 border-t ${c.subBg} ${c.subBorder}`}
+                >
                   {activeSportGroup.leagues.map(league => {
                     const isActive = activeTab === league.slug;
                     const liveCount = (allGames[league.slug] ?? []).filter(g => g.status === "in_progress").length;
-                    const tenseCount = (allGames[league.slug] ?? []).filter(g => isTenseMoment(g)).length;
+                    const tenseCount = countTenseGames(allGames[league.slug] ?? [], getLeagueInfo);
                     return (
                       <button
                         key={league.slug}
@@ -1797,18 +2142,28 @@ export default function App() {
       })()}
 
 
-      {/* Team stats panel — fixed right overlay, slides in with translateX */}
+      {/* Team stats / player panel — fixed right overlay, slides in with translateX.
+          A player opened from the team panel covers it; closing returns to the team. */}
       {/* Backdrop */}
       <div
-        className={`fixed inset-0 z-20 bg-black/25 transition-opacity duration-300 ${selectedTeam ? "opacity-100 pointer-events-auto" : "opacity-0 pointer-events-none"}`}
-        onClick={() => setSelectedTeam(null)}
+        className={`fixed inset-0 z-20 bg-black/25 transition-opacity duration-300 ${selectedTeam || route.player ? "opacity-100 pointer-events-auto" : "opacity-0 pointer-events-none"}`}
+        onClick={() => (route.player ? closePlayer() : setSelectedTeam(null))}
       />
       {/* Sliding panel */}
-      <div className={`fixed right-0 top-0 h-full w-[min(27rem,100vw)] bg-white shadow-2xl z-30 transition-transform duration-300 ease-out overflow-hidden ${selectedTeam ? "translate-x-0" : "translate-x-full"}`}>
-        {selectedTeam && (
+      <div className={`fixed right-0 top-0 h-full w-[min(27rem,100vw)] bg-white shadow-2xl z-30 transition-transform duration-300 ease-out overflow-hidden ${selectedTeam || route.player ? "translate-x-0" : "translate-x-full"}`}>
+        {route.player ? (
+          <PlayerPanel
+            player={route.player}
+            isSoccer={isSoccer(route.player.sport)}
+            onClose={closePlayer}
+            onSelectTeam={openPlayerTeam}
+          />
+        ) : selectedTeam && (
           <TeamStatsPanel
             team={selectedTeam}
             onClose={() => setSelectedTeam(null)}
+            myTeams={myTeams}
+            onToggleMyTeam={toggleMyTeam}
           />
         )}
       </div>
@@ -1817,7 +2172,39 @@ export default function App() {
       <div className="px-4 py-6">
         <div className="flex justify-center">
           <div className="w-full max-w-2xl min-w-0">
-            {!lastRefresh && loading ? (
+            {lastRefresh && !replaySource && (
+              <TeamMigrationPrompt
+                ambiguous={legacyMatches.filter(m => m.candidates.length > (legacyComplete ? 1 : 0))}
+                missing={legacyMatches.filter(m => m.candidates.length === 0).map(m => m.abbr)}
+                onResolve={resolveLegacyTeam}
+                onDrop={(abbr) => resolveLegacyTeam(abbr, [])}
+                complete={legacyComplete}
+                leagueLabel={leagueLabel}
+              />
+            )}
+            {isLeagueTab && !route.page && (
+              <LeagueViewTabs view={route.view} onChange={setLeagueView} />
+            )}
+            {route.page?.kind === "game" ? (
+              <GameDetailPage
+                sport={route.tab}
+                gameId={route.page.id}
+                leagueLabel={leagueLabel}
+                recapFor={game => generateRecap(game, getLeagueInfo(game.sport)) && <RecapText game={game} />}
+                probHistory={probHistory[route.page.id]}
+                onBack={() => navigate({ page: null, gameId: route.page.id })}
+                onSelectTeam={setSelectedTeam}
+              />
+            ) : route.view === "standings" && isLeagueTab ? (
+              <StandingsView
+                sport={activeTab}
+                leagueLabel={leagueLabel}
+                myTeams={myTeams}
+                onSelectTeam={setSelectedTeam}
+              />
+            ) : route.view === "pickem" && isLeagueTab ? (
+              <PickemView sport={activeTab} leagueLabel={leagueLabel} edgeLabel={edgeLabel} />
+            ) : !lastRefresh && !error ? (
               <div className="text-center py-16 text-gray-400">Connecting to ChalkBoard server...</div>
             ) : error && activeTab !== "🔥" && currentGames.length === 0 ? (
               <div className="bg-white border border-gray-200 rounded-xl px-5 py-8 text-center">
@@ -1825,14 +2212,19 @@ export default function App() {
                 <div className="font-semibold text-gray-700 mb-1">Server not connected</div>
                 <div className="text-sm text-gray-500">
                   Run <code className="bg-gray-100 px-1.5 py-0.5 rounded text-xs">node server.js</code> then click Refresh.
+                  <div className="mt-1 text-xs text-gray-400">
+                    Offline? <code className="bg-gray-100 px-1.5 py-0.5 rounded">node server.js --source=fixtures</code> serves recorded games.
+                  </div>
                 </div>
               </div>
             ) : activeTab === "🔥" ? (
               <FeaturedSection
+                leagues={enabledLeagueIds}
                 bestLive={bestLive}
                 bestBet={bestBet}
                 allGames={allGames}
                 scoreHistory={scoreHistory}
+                probHistory={probHistory}
                 onTuneIn={handleTuneIn}
                 favoriteIds={favoriteIds}
                 onToggleFavorite={toggleFavorite}
@@ -1840,25 +2232,35 @@ export default function App() {
                 onToggleMyTeam={toggleMyTeam}
                 onSelectTeam={setSelectedTeam}
                 focusedGameId={focusedGameId}
+                expandedGameId={route.gameId}
+                onExpandGame={expandGame}
               />
-            ) : currentGames.length === 0 ? (
+            ) : currentGames.length === 0 && activeTab === "★" ? (
               <div className="text-center py-16 text-gray-400">
-                {activeTab === "★"
-                  ? "Follow teams using the ♥ buttons on any game card."
-                  : `No games found for ${leagueDisplayName(activeTab)}.`}
+                Follow teams using the ♥ buttons on any game card.
               </div>
             ) : (
               <LeagueSection
+                sport={isLeagueTab ? activeTab : null}
                 games={currentGames}
+                emptyMessage={enabledLeagueIds.includes(activeTab)
+                  ? `No games found for ${leagueLabel(activeTab)}.`
+                  : `${leagueLabel(activeTab)} is switched off — turn it on under ⚙️ to see its games.`}
                 favoriteIds={favoriteIds}
                 onToggleFavorite={toggleFavorite}
                 scoreHistory={scoreHistory}
+                probHistory={probHistory}
                 expandDefault={expandDefault}
                 onToggleExpand={toggleExpandDefault}
+                selectedDay={route.day}
+                onSelectDay={selectDay}
                 myTeams={myTeams}
+                bestBet={bestBet}
                 onToggleMyTeam={toggleMyTeam}
                 onSelectTeam={setSelectedTeam}
                 focusedGameId={focusedGameId}
+                expandedGameId={route.gameId}
+                onExpandGame={expandGame}
               />
             )}
           </div>
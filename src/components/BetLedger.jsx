@@ -0,0 +1,334 @@
+import { useState } from "react";
+import { useBetLedger, addBet, removeBet, BET_TYPES } from "../lib/betLedger";
+import { ledgerSummary, ledgerCsv } from "../../core/betLedger.js";
+import { formatPrice, formatLine } from "../lib/odds";
+import { isSoccer } from "../lib/leagues";
+
+// ─── Bet ledger ───────────────────────────────────────────────────────────────
+// BetSlip sits in an expanded game card: the bets recorded on that game and a
+// form to add one, prefilled from the best available line. BetLedger is the
+// header 💰 panel with running profit/loss, ROI, the breakdowns and CSV export.
+
+const DEFAULT_PRICE = -110;
+const STATUS_STYLES = {
+  pending: "text-gray-400",
+  won: "text-green-600",
+  lost: "text-red-500",
+  push: "text-gray-500",
+};
+
+function money(n, { sign = false } = {}) {
+  const text = `$${Math.abs(n).toFixed(2)}`;
+  if (n < 0) return `−${text}`;
+  return sign && n > 0 ? `+${text}` : text;
+}
+
+function profitClass(n) {
+  return n > 0 ? "text-green-600" : n < 0 ? "text-red-500" : "text-gray-500";
+}
+
+function describeBet(bet) {
+  if (bet.type === "total") return `${bet.side === "over" ? "Over" : "Under"} ${bet.line}`;
+  const side = bet.side === "draw" ? "Draw" : bet.side;
+  return bet.type === "spread" ? `${side} ${formatLine(bet.line)}` : `${side} ML`;
+}
+
+function BetStatus({ bet }) {
+  return (
+    <span className={`font-semibold ${STATUS_STYLES[bet.status]}`}>
+      {bet.status === "pending" ? "pending" : `${bet.status} ${money(bet.profit, { sign: true })}`}
+    </span>
+  );
+}
+
+// Line and price to start the form from: the best line across books when
+// there are odds, otherwise the data source's spread and total
+function suggestion(game, odds, type, side) {
+  const best = odds?.best;
+  if (type === "moneyline") return { line: "", price: best?.moneyline?.[side]?.price ?? DEFAULT_PRICE };
+  if (type === "total") {
+    const offer = best?.total?.[side];
+    return { line: offer?.line ?? game.spread?.overUnder ?? "", price: offer?.price ?? DEFAULT_PRICE };
+  }
+  const offer = best?.spread?.[side];
+  if (offer) return { line: offer.line, price: offer.price };
+  // "PHX -3.5" — the named team gives the points, the other side gets them
+  const [team, points] = game.spread?.favorite?.split(" ") ?? [];
+  const line = parseFloat(points);
+  if (isNaN(line)) return { line: "", price: DEFAULT_PRICE };
+  return { line: team === side ? line : -line, price: DEFAULT_PRICE };
+}
+
+function BetForm({ game, odds, bestBet, onDone }) {
+  const { home, away } = game;
+  const [type, setType] = useState("moneyline");
+  const [side, setSide] = useState(away);
+  const [fields, setFields] = useState(() => ({ ...suggestion(game, odds, "moneyline", away), stake: "" }));
+
+  const choose = (nextType, nextSide) => {
+    setType(nextType);
+    setSide(nextSide);
+    setFields(f => ({ ...suggestion(game, odds, nextType, nextSide), stake: f.stake }));
+  };
+
+  const sides = type === "total"
+    ? [["over", "Over"], ["under", "Under"]]
+    : [[away, away], ...(type === "moneyline" && isSoccer(game.sport) ? [["draw", "Draw"]] : []), [home, home]];
+  const price = Number(fields.price), stake = Number(fields.stake), line = Number(fields.line);
+  const valid = stake > 0 && Number.isInteger(price) && Math.abs(price) >= 100
+    && (type === "moneyline" || (fields.line !== "" && !isNaN(line)));
+
+  const save = () => {
+    addBet({ game, type, side, line: type === "moneyline" ? null : line, price, stake }, bestBet);
+    onDone();
+  };
+
+  const input = "w-full text-xs px-2 py-1 rounded-md border border-gray-200 tabular-nums focus:outline-none focus:border-indigo-400";
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="flex gap-1">
+        {BET_TYPES.map(t => (
+          <button
+            key={t.id}
+            onClick={() => choose(t.id, t.id === "total" ? "over" : away)}
+            className={`flex-1 px-2 py-1 rounded-md text-[11px] font-semibold border transition-colors
+              ${type === t.id ? "border-indigo-300 bg-indigo-50 text-indigo-700" : "border-gray-200 text-gray-500 hover:border-gray-400"}`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-1">
+        {sides.map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => choose(type, id)}
+            className={`flex-1 px-2 py-1 rounded-md text-[11px] font-semibold border transition-colors
+              ${side === id ? "bg-indigo-500 border-indigo-500 text-white" : "border-gray-200 text-gray-600 hover:border-indigo-300"}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-3 gap-2 text-[10px] text-gray-400">
+        <label>
+          {type === "total" ? "Total" : "Spread"}
+          <input
+            className={`${input} disabled:bg-gray-50`}
+            type="number" step="0.5"
+            value={type === "moneyline" ? "" : fields.line}
+            disabled={type === "moneyline"}
+            onChange={e => setFields(f => ({ ...f, line: e.target.value }))}
+          />
+        </label>
+        <label>
+          Price
+          <input className={input} type="number" value={fields.price} onChange={e => setFields(f => ({ ...f, price: e.target.value }))} />
+        </label>
+        <label>
+          Stake ($)
+          <input className={input} type="number" min="0" step="any" value={fields.stake} onChange={e => setFields(f => ({ ...f, stake: e.target.value }))} />
+        </label>
+      </div>
+      <div className="flex justify-end gap-2">
+        <button onClick={onDone} className="px-2.5 py-1 text-xs text-gray-400 hover:text-gray-700">Cancel</button>
+        <button
+          onClick={save}
+          disabled={!valid}
+          className="px-3 py-1 rounded-lg text-xs font-semibold bg-indigo-500 text-white disabled:opacity-40"
+        >
+          Record bet
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function BetSlip({ game, odds, bestBet }) {
+  const bets = useBetLedger().filter(b => b.league === game.sport && b.gameId === game.id);
+  const [adding, setAdding] = useState(false);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide">My Bets</div>
+        {!adding && (
+          <button onClick={() => setAdding(true)} className="text-xs font-semibold text-indigo-500 hover:text-indigo-700">
+            ＋ Track a bet
+          </button>
+        )}
+      </div>
+      {bets.map(bet => (
+        <div key={bet.id} className="flex items-center justify-between py-1 text-xs text-gray-600 tabular-nums">
+          <span>
+            <strong>{describeBet(bet)}</strong> {formatPrice(bet.price)} · {money(bet.stake)}
+            {bet.bestBet && <span className="ml-1 text-amber-500" title="Backed the Best Bet">★</span>}
+          </span>
+          <span className="flex items-center gap-2">
+            <BetStatus bet={bet} />
+            <button onClick={() => removeBet(bet.id)} title="Delete bet" className="text-gray-300 hover:text-red-500">✕</button>
+          </span>
+        </div>
+      ))}
+      {adding && <BetForm game={game} odds={odds} bestBet={bestBet} onDone={() => setAdding(false)} />}
+    </div>
+  );
+}
+
+// Cumulative profit after each settled bet
+function RunningChart({ points }) {
+  if (points.length < 2) return null;
+  const W = 320, H = 56, PAD = 4;
+  const values = [0, ...points.map(p => p.profit)];
+  const min = Math.min(...values), max = Math.max(...values);
+  const span = max - min || 1;
+  const x = i => PAD + (i / (values.length - 1)) * (W - 2 * PAD);
+  const y = v => PAD + (1 - (v - min) / span) * (H - 2 * PAD);
+  const last = values[values.length - 1];
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-auto">
+      <line x1={PAD} x2={W - PAD} y1={y(0)} y2={y(0)} stroke="#e5e7eb" strokeDasharray="3 3" />
+      <polyline
+        points={values.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(" ")}
+        fill="none" stroke={last >= 0 ? "#16a34a" : "#ef4444"} strokeWidth="2" strokeLinejoin="round"
+      />
+    </svg>
+  );
+}
+
+const BREAKDOWNS = [
+  { id: "byLeague",  label: "League" },
+  { id: "byType",    label: "Bet type" },
+  { id: "byBestBet", label: "Best Bet" },
+];
+
+function BreakdownTable({ rows, labelFor }) {
+  return (
+    <table className="w-full text-xs tabular-nums">
+      <thead>
+        <tr className="text-gray-400 border-b border-gray-100">
+          <th className="text-left font-semibold py-1"></th>
+          <th className="text-right font-semibold py-1 px-1.5">W–L–P</th>
+          <th className="text-right font-semibold py-1 px-1.5">P&amp;L</th>
+          <th className="text-right font-semibold py-1 pl-1.5">ROI</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-50">
+        {rows.map(row => (
+          <tr key={row.key}>
+            <td className="py-1 font-semibold text-gray-700">
+              {labelFor(row.key)}
+              {row.pending > 0 && <span className="font-normal text-gray-400"> · {row.pending} open</span>}
+            </td>
+            <td className="text-right py-1 px-1.5 text-gray-600">{row.won}–{row.lost}–{row.push}</td>
+            <td className={`text-right py-1 px-1.5 font-semibold ${profitClass(row.profit)}`}>{money(row.profit, { sign: true })}</td>
+            <td className="text-right py-1 pl-1.5 text-gray-600">{row.roi == null ? "—" : `${row.roi.toFixed(1)}%`}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function downloadCsv(bets) {
+  const url = URL.createObjectURL(new Blob([ledgerCsv(bets)], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `chalkboard-bets-${new Date().toISOString().slice(0, 10)}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export function BetLedger({ leagueLabel }) {
+  const bets = useBetLedger();
+  const [open, setOpen] = useState(false);
+  const [view, setView] = useState("byLeague");
+  const summary = ledgerSummary(bets);
+  const { overall } = summary;
+  const typeLabel = id => BET_TYPES.find(t => t.id === id)?.label ?? id;
+  const recent = [...bets].sort((a, b) => new Date(b.start_time) - new Date(a.start_time)).slice(0, 20);
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        title="Bet ledger"
+        className={`text-base leading-none transition-colors ${overall.pending > 0 ? "text-indigo-500" : "text-gray-300 hover:text-gray-600"}`}
+      >
+        💰
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 top-full mt-2 w-96 max-h-[80vh] overflow-y-auto bg-white rounded-2xl shadow-2xl border border-gray-100 z-40 text-left">
+            <div className="flex items-center justify-between px-4 py-2.5 border-b border-gray-100">
+              <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Bet Ledger</span>
+              {bets.length > 0 && (
+                <button onClick={() => downloadCsv(bets)} className="text-xs text-gray-400 hover:text-gray-700">
+                  Export CSV
+                </button>
+              )}
+            </div>
+
+            {bets.length === 0 ? (
+              <div className="px-4 py-3 text-xs text-gray-500">
+                No bets yet. Expand any game card and use “＋ Track a bet” — bets settle on their own when the game goes final.
+              </div>
+            ) : (
+              <>
+                <div className="px-4 py-3 border-b border-gray-50">
+                  <div className="flex items-baseline justify-between">
+                    <span className={`text-2xl font-extrabold tabular-nums ${profitClass(overall.profit)}`}>
+                      {money(overall.profit, { sign: true })}
+                    </span>
+                    <span className="text-xs text-gray-500 tabular-nums">
+                      ROI <strong>{overall.roi == null ? "—" : `${overall.roi.toFixed(1)}%`}</strong>
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-400 tabular-nums">
+                    {overall.won}–{overall.lost}–{overall.push} on {money(overall.staked)} staked
+                    {overall.pending > 0 && ` · ${overall.pending} pending`}
+                  </div>
+                  <RunningChart points={summary.running} />
+                </div>
+
+                <div className="px-4 py-3 border-b border-gray-50">
+                  <div className="inline-flex bg-gray-100 rounded-lg p-0.5 mb-2">
+                    {BREAKDOWNS.map(b => (
+                      <button
+                        key={b.id}
+                        onClick={() => setView(b.id)}
+                        className={`px-2.5 py-0.5 rounded-md text-[11px] font-semibold
+                          ${view === b.id ? "bg-white text-gray-900 shadow-sm" : "text-gray-500 hover:text-gray-700"}`}
+                      >
+                        {b.label}
+                      </button>
+                    ))}
+                  </div>
+                  <BreakdownTable
+                    rows={summary[view]}
+                    labelFor={view === "byLeague" ? leagueLabel : view === "byType" ? typeLabel : key => key}
+                  />
+                </div>
+
+                <div className="px-4 py-2 divide-y divide-gray-50">
+                  {recent.map(bet => (
+                    <div key={bet.id} className="flex items-center justify-between py-1.5 text-xs tabular-nums">
+                      <span className="text-gray-600 min-w-0 truncate">
+                        <span className="text-gray-400">{bet.away} @ {bet.home} · </span>
+                        <strong>{describeBet(bet)}</strong> {formatPrice(bet.price)} · {money(bet.stake)}
+                        {bet.bestBet && <span className="ml-1 text-amber-500" title="Backed the Best Bet">★</span>}
+                      </span>
+                      <BetStatus bet={bet} />
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { useState, useEffect, useRef } from "react";
+import { paletteItems, searchPalette } from "../lib/palette";
+
+// ─── Command palette ──────────────────────────────────────────────────────────
+// Ctrl/Cmd+K (or the ⌘K button in the header) opens a search over loaded
+// teams, games and leagues plus a few app actions. ↑/↓ move, Enter picks,
+// Esc closes. A team opens TeamStatsPanel, a game jumps to its card, a league
+// opens its tab.
+//
+// actions: [{ id, label, hint, keywords?, run }]
+
+const KIND_ICONS = { team: "👥", follow: "♥", game: "🎯", league: "🏆", action: "⚡" };
+
+export function CommandPalette({ allGames, myTeams, leagues, leagueLabel, actions, onSelectTeam, onToggleMyTeam, onJumpToGame, onSelectLeague }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    const onKeyDown = e => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setOpen(o => !o);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+    setQuery("");
+    setActive(0);
+    inputRef.current?.focus();
+  }, [open]);
+
+  const close = () => setOpen(false);
+
+  const items = open
+    ? [
+        ...actions.map(a => ({ ...a, kind: "action", sublabel: a.hint ?? null, keywords: a.keywords ?? [], logo: null })),
+        ...paletteItems({ allGames, myTeams, leagues, leagueLabel }),
+      ]
+    : [];
+  const results = open ? searchPalette(items, query) : [];
+
+  const pick = item => {
+    close();
+    if (item.kind === "action") item.run();
+    else if (item.kind === "team") onSelectTeam(item.team);
+    else if (item.kind === "follow") onToggleMyTeam(item.ref);
+    else if (item.kind === "game") onJumpToGame(item.league, item.gameId);
+    else if (item.kind === "league") onSelectLeague(item.slug);
+  };
+
+  const onKeyDown = e => {
+    if (e.key === "Escape") close();
+    else if (e.key === "ArrowDown") { e.preventDefault(); setActive(i => Math.min(i + 1, results.length - 1)); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setActive(i => Math.max(i - 1, 0)); }
+    else if (e.key === "Enter" && results[active]) { e.preventDefault(); pick(results[active]); }
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        title="Search teams, games and leagues (Ctrl/⌘ K)"
+        className="text-[11px] font-semibold text-gray-300 hover:text-gray-600 border border-gray-200 rounded-md px-1.5 py-0.5 transition-colors"
+      >
+        ⌘K
+      </button>
+
+      {open && (
+        <div className="fixed inset-0 z-50 bg-black/25 flex items-start justify-center pt-[12vh] px-4" onClick={close}>
+          <div
+            className="w-full max-w-lg bg-white rounded-2xl shadow-2xl border border-gray-100 overflow-hidden text-left"
+            onClick={e => e.stopPropagation()}
+          >
+            <input
+              ref={inputRef}
+              value={query}
+              onChange={e => { setQuery(e.target.value); setActive(0); }}
+              onKeyDown={onKeyDown}
+              placeholder="Search teams, games, leagues or actions…"
+              className="w-full px-4 py-3.5 text-sm border-b border-gray-100 focus:outline-none"
+            />
+            {results.length === 0 ? (
+              <div className="px-4 py-6 text-center text-xs text-gray-400">Nothing matches "{query.trim()}".</div>
+            ) : (
+              <div className="max-h-[60vh] overflow-y-auto py-1">
+                {results.map((item, i) => (
+                  <button
+                    key={item.id}
+                    onClick={() => pick(item)}
+                    onMouseMove={() => setActive(i)}
+                    className={`w-full flex items-center gap-3 px-4 py-2 text-left transition-colors ${i === active ? "bg-gray-100" : ""}`}
+                  >
+                    {item.logo
+                      ? <img src={item.logo} alt="" className="w-5 h-5 object-contain shrink-0" />
+                      : <span className="w-5 text-center text-sm shrink-0">{KIND_ICONS[item.kind]}</span>
+                    }
+                    <span className="flex-1 min-w-0 text-sm font-medium text-gray-900 truncate">{item.label}</span>
+                    {item.sublabel && <span className="text-[11px] text-gray-400 shrink-0">{item.sublabel}</span>}
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="px-4 py-2 border-t border-gray-100 text-[10px] text-gray-400 flex gap-3">
+              <span>↑↓ move</span><span>↵ open</span><span>esc close</span>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
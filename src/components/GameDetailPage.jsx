@@ -0,0 +1,314 @@
+import { useState, useEffect } from "react";
+import { getJson } from "../lib/api";
+import { WinProbChart } from "./WinProbChart";
+import { PlayerLink } from "./PlayerLink";
+import { periodName, getLeagueInfo } from "../lib/leagues";
+
+// ─── Game detail page ─────────────────────────────────────────────────────────
+// Full page for one game, from /api/game/:sport/:id: header with venue and
+// broadcasts, then play-by-play, per-player box scores, every team stat the
+// source has, and lineups. Live games refresh on the scoreboard's cadence.
+
+const LIVE_REFRESH = 15_000;
+
+const SECTIONS = [
+  { id: "plays",  label: "Play-by-Play" },
+  { id: "box",    label: "Box Score" },
+  { id: "stats",  label: "Team Stats" },
+  { id: "lineups", label: "Lineups" },
+];
+
+function TeamCrest({ team, abbr, onClick }) {
+  return (
+    <button onClick={onClick} className="flex flex-col items-center gap-1.5 min-w-0 hover:scale-105 transition-transform">
+      {team?.logo
+        ? <img src={team.logo} alt={abbr} className="w-14 h-14 object-contain" />
+        : <div className="w-14 h-14 rounded-full bg-gray-100 flex items-center justify-center text-sm font-bold text-gray-500">{abbr}</div>
+      }
+      <span className="text-sm font-bold text-gray-900 truncate max-w-[9rem]">{team?.name ?? abbr}</span>
+    </button>
+  );
+}
+
+function GameHeader({ game, onSelectTeam, recap }) {
+  const { home, away, teams, score, status, clock, start_time, venue, attendance, broadcasts } = game;
+  const selectTeam = abbr => {
+    const opp = abbr === home ? away : home;
+    onSelectTeam({ abbr, id: teams[abbr]?.id, name: teams[abbr]?.name ?? abbr, logo: teams[abbr]?.logo ?? null, color: teams[abbr]?.color ?? null, sport: game.sport, opponentId: teams[opp]?.id ?? opp });
+  };
+  const when = new Date(start_time).toLocaleString("en-US", { weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 px-5 py-5 mb-4">
+      <div className="flex items-center justify-between gap-3">
+        <TeamCrest team={teams[away]} abbr={away} onClick={() => selectTeam(away)} />
+        <div className="text-center shrink-0">
+          {status === "scheduled" ? (
+            <div className="text-sm font-semibold text-gray-500">{when}</div>
+          ) : (
+            <div className="font-black text-4xl tracking-tight font-mono tabular-nums text-gray-900">
+              {score?.[away]} <span className="text-gray-300">–</span> {score?.[home]}
+            </div>
+          )}
+          <div className={`mt-1 text-xs font-semibold ${status === "in_progress" ? "text-red-500" : "text-gray-400"}`}>
+            {status === "in_progress" ? <>● {clock ?? "Live"}</> : status === "final" ? (clock ?? "Final") : "Scheduled"}
+          </div>
+        </div>
+        <TeamCrest team={teams[home]} abbr={home} onClick={() => selectTeam(home)} />
+      </div>
+
+      {recap && <p className="mt-4 text-sm text-gray-600 italic text-center">{recap}</p>}
+
+      <div className="mt-4 pt-3 border-t border-gray-100 flex flex-wrap justify-center gap-x-4 gap-y-1 text-xs text-gray-500">
+        {venue && (
+          <span>🏟️ <span className="font-medium text-gray-700">{venue.name}</span>{venue.city && ` · ${venue.city}`}</span>
+        )}
+        {attendance && <span>👥 {attendance.toLocaleString()}{venue?.capacity && ` / ${venue.capacity.toLocaleString()}`}</span>}
+        {broadcasts?.length > 0 && <span>📺 {broadcasts.join(" · ")}</span>}
+        {status !== "scheduled" && <span>🕒 {when}</span>}
+      </div>
+    </div>
+  );
+}
+
+function PlayByPlay({ game }) {
+  const [scoringOnly, setScoringOnly] = useState(false);
+  const plays = game.plays.filter(p => !scoringOnly || p.scoring);
+  if (game.plays.length === 0) return <Empty>No plays yet</Empty>;
+
+  // Group consecutive plays by period, keeping game order
+  const periods = [];
+  for (const play of plays) {
+    const last = periods[periods.length - 1];
+    if (last && last.period === play.period) last.plays.push(play);
+    else periods.push({ period: play.period, plays: [play] });
+  }
+
+  return (
+    <div>
+      <label className="flex items-center gap-2 text-xs text-gray-500 mb-3 cursor-pointer select-none">
+        <input type="checkbox" checked={scoringOnly} onChange={e => setScoringOnly(e.target.checked)} className="accent-gray-900" />
+        Scoring plays only
+      </label>
+      {periods.map(({ period, plays }, i) => (
+        <div key={i} className="mb-4">
+          <div className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-1.5">{periodName(game.sport, period)}</div>
+          <div className="divide-y divide-gray-50">
+            {plays.map(play => (
+              <div key={play.id} className={`flex items-start gap-3 py-2 text-sm ${play.scoring ? "font-semibold text-gray-900" : "text-gray-600"}`}>
+                <span className="w-12 shrink-0 text-xs text-gray-400 tabular-nums pt-0.5">{play.clock ?? ""}</span>
+                <span className="w-10 shrink-0 text-xs font-bold text-gray-400 pt-0.5">{play.team ?? ""}</span>
+                <span className="flex-1 min-w-0">{play.text}</span>
+                {play.scoring && play.score && (
+                  <span className="shrink-0 text-xs font-mono tabular-nums text-gray-700 pt-0.5">
+                    {play.score[game.away]}–{play.score[game.home]}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function BoxScore({ game }) {
+  const [side, setSide] = useState(game.away);
+  const groups = game.boxScore?.[side] ?? [];
+  if (!game.boxScore) return <Empty>No box score available</Empty>;
+
+  return (
+    <div>
+      <TeamToggle game={game} side={side} onChange={setSide} />
+      {groups.length === 0 && <Empty>No player stats for {side}</Empty>}
+      {groups.map((group, i) => (
+        <div key={i} className="mb-5 overflow-x-auto">
+          {group.name && <div className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-1.5">{group.name}</div>}
+          <table className="w-full text-xs tabular-nums">
+            <thead>
+              <tr className="text-gray-400 border-b border-gray-100">
+                <th className="text-left font-semibold py-1.5 pr-3">Player</th>
+                {group.columns.map(c => <th key={c.key} className="text-right font-semibold py-1.5 px-1.5 whitespace-nowrap">{c.label}</th>)}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-50">
+              {group.players.map(p => (
+                <tr key={p.id ?? p.name} className="text-gray-700">
+                  <td className="py-1.5 pr-3 whitespace-nowrap">
+                    <PlayerLink sport={game.sport} id={p.id} name={p.name} className="font-semibold text-gray-900" />
+                    {p.position && <span className="ml-1.5 text-gray-400">{p.position}</span>}
+                  </td>
+                  {group.columns.map(c => <td key={c.key} className="text-right py-1.5 px-1.5">{p.stats[c.key] ?? "—"}</td>)}
+                </tr>
+              ))}
+              {group.totals && (
+                <tr className="font-bold text-gray-900 border-t border-gray-200">
+                  <td className="py-1.5 pr-3">Team</td>
+                  {group.columns.map(c => <td key={c.key} className="text-right py-1.5 px-1.5">{group.totals[c.key] ?? ""}</td>)}
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Every stat either side reported, not just the card's STAT_DISPLAY keys
+function TeamStats({ game }) {
+  const { home, away, homeStats, awayStats } = game;
+  const keys = [...new Set([...Object.keys(awayStats ?? {}), ...Object.keys(homeStats ?? {})])];
+  if (keys.length === 0) return <Empty>No team stats available</Empty>;
+
+  return (
+    <div>
+      <div className="flex justify-between text-xs font-bold text-gray-400 mb-2">
+        <span>{away}</span><span>{home}</span>
+      </div>
+      <div className="divide-y divide-gray-50">
+        {keys.map(key => (
+          <div key={key} className="flex items-center justify-between py-2 text-sm tabular-nums">
+            <span className="w-20 font-semibold text-gray-900">{awayStats?.[key]?.value ?? "—"}</span>
+            <span className="flex-1 text-center text-xs text-gray-500">{(awayStats?.[key] ?? homeStats?.[key]).label}</span>
+            <span className="w-20 text-right font-semibold text-gray-900">{homeStats?.[key]?.value ?? "—"}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function Lineups({ game }) {
+  if (!game.lineups) return <Empty>Lineups aren't available for this game</Empty>;
+  return (
+    <div className="grid grid-cols-2 gap-5">
+      {[game.away, game.home].map(abbr => {
+        const lineup = game.lineups[abbr];
+        return (
+          <div key={abbr}>
+            <div className="flex items-baseline justify-between mb-2">
+              <span className="text-sm font-bold text-gray-900">{game.teams[abbr]?.name ?? abbr}</span>
+              {lineup?.formation && <span className="text-xs font-mono text-gray-400">{lineup.formation}</span>}
+            </div>
+            {!lineup ? <div className="text-xs text-gray-400">Not announced</div> : (
+              <>
+                <PlayerList title="Starters" players={lineup.starters} sport={game.sport} />
+                {lineup.bench.length > 0 && <PlayerList title="Bench" players={lineup.bench} sport={game.sport} />}
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function PlayerList({ title, players, sport }) {
+  return (
+    <div className="mb-3">
+      <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-1">{title}</div>
+      {players.map(p => (
+        <div key={p.id ?? p.name} className="flex items-center gap-2 py-1 text-sm">
+          <span className="w-6 text-right text-xs text-gray-400 tabular-nums">{p.jersey ?? ""}</span>
+          <PlayerLink sport={sport} id={p.id} name={p.name} className="text-gray-800 truncate" />
+          {p.position && <span className="text-xs text-gray-400">{p.position}</span>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function TeamToggle({ game, side, onChange }) {
+  return (
+    <div className="flex gap-2 mb-4">
+      {[game.away, game.home].map(abbr => (
+        <button
+          key={abbr}
+          onClick={() => onChange(abbr)}
+          className={`px-3 py-1.5 rounded-full text-xs font-semibold transition-colors
+            ${side === abbr ? "bg-gray-900 text-white" : "bg-white border border-gray-200 text-gray-500 hover:border-gray-400"}`}
+        >
+          {game.teams[abbr]?.name ?? abbr}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function Empty({ children }) {
+  return <div className="text-center py-10 text-sm text-gray-400">{children}</div>;
+}
+
+export function GameDetailPage({ sport, gameId, leagueLabel, recapFor, probHistory, onBack, onSelectTeam }) {
+  const [game, setGame] = useState(null);
+  const [error, setError] = useState(null);
+  const [section, setSection] = useState("plays");
+  const isLive = game?.status === "in_progress";
+
+  useEffect(() => {
+    let cancelled = false;
+    setGame(null);
+    setError(null);
+    getJson(`/game/${sport}/${encodeURIComponent(gameId)}`)
+      .then(g => { if (!cancelled) setGame(g); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [sport, gameId]);
+
+  // Live games keep refreshing; a failed refresh keeps the last good data
+  useEffect(() => {
+    if (!isLive) return;
+    const interval = setInterval(() => {
+      getJson(`/game/${sport}/${encodeURIComponent(gameId)}`).then(setGame).catch(() => {});
+    }, LIVE_REFRESH);
+    return () => clearInterval(interval);
+  }, [isLive, sport, gameId]);
+
+  const hasChart = probHistory?.filter(s => s.wp).length > 1;
+
+  return (
+    <div>
+      <button onClick={onBack} className="text-xs font-semibold text-gray-400 hover:text-gray-700 mb-3 transition-colors">
+        ← {leagueLabel(sport)}
+      </button>
+
+      {error ? (
+        <Empty>Couldn't load this game — {error}</Empty>
+      ) : !game ? (
+        <Empty>Loading game…</Empty>
+      ) : (
+        <>
+          <GameHeader game={game} onSelectTeam={onSelectTeam} recap={recapFor(game)} />
+
+          {hasChart && (
+            <div className="bg-white rounded-2xl shadow-sm border border-gray-100 px-5 py-4 mb-4">
+              <WinProbChart history={probHistory} home={game.home} away={game.away} events={game.events} league={getLeagueInfo(game.sport)} />
+            </div>
+          )}
+
+          <div className="flex gap-2 overflow-x-auto pb-1 mb-4">
+            {SECTIONS.map(s => (
+              <button
+                key={s.id}
+                onClick={() => setSection(s.id)}
+                className={`px-3 py-1.5 rounded-full text-xs font-semibold whitespace-nowrap transition-colors
+                  ${section === s.id ? "bg-gray-900 text-white" : "bg-white border border-gray-200 text-gray-500 hover:border-gray-400 hover:text-gray-700"}`}
+              >
+                {s.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 px-5 py-4">
+            {section === "plays" && <PlayByPlay game={game} />}
+            {section === "box" && <BoxScore game={game} />}
+            {section === "stats" && <TeamStats game={game} />}
+            {section === "lineups" && <Lineups game={game} />}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
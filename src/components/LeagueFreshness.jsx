@@ -0,0 +1,79 @@
+import { useState, useEffect } from "react";
+import { CADENCE, leagueMode, isStale } from "../lib/refreshScheduler";
+
+// ─── League freshness ─────────────────────────────────────────────────────────
+// Header indicator for how current each league's data is. The dot is green
+// while the live stream is connected, gray while polling, and amber (with a
+// count) when some league has missed its refreshes. Click for the per-league list.
+
+const MODE_LABEL = { live: "Live", upcoming: "Upcoming", paused: "Paused" };
+const MODE_CLASS = { live: "text-red-500", upcoming: "text-indigo-500", paused: "text-gray-400" };
+
+function formatAge(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s ago`;
+  const m = Math.round(s / 60);
+  return m < 60 ? `${m}m ago` : `${Math.round(m / 60)}h ago`;
+}
+
+function formatCadence(ms) {
+  return ms < 60_000 ? `${ms / 1000}s` : `${ms / 60_000}m`;
+}
+
+export function LeagueFreshness({ leagues, leagueLabel, allGames, updatedAt, streamLive }) {
+  const [open, setOpen] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), open ? 1000 : 10_000);
+    return () => clearInterval(interval);
+  }, [open]);
+
+  const staleCount = streamLive ? 0 : leagues.filter(slug => isStale(allGames[slug], updatedAt[slug], now)).length;
+  const dotClass = staleCount > 0 ? "bg-amber-400" : streamLive ? "bg-green-400" : "bg-gray-300";
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        title={streamLive ? "Streaming live updates" : "Polling each league on its own schedule"}
+        className="flex items-center gap-1 text-[10px] font-semibold text-amber-500 leading-none"
+      >
+        <span className={`w-1.5 h-1.5 rounded-full ${dotClass}`} />
+        {staleCount > 0 && <span>{staleCount} stale</span>}
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 top-full mt-2 w-64 bg-white rounded-2xl shadow-2xl border border-gray-100 overflow-hidden z-40 text-left">
+            <div className="px-4 py-2.5 text-xs font-bold text-gray-400 uppercase tracking-wider border-b border-gray-100">
+              {streamLive ? "Streaming · updates pushed" : "Polling · per-league schedule"}
+            </div>
+            <div className="max-h-80 overflow-y-auto divide-y divide-gray-50">
+              {leagues.map(slug => {
+                const mode = leagueMode(allGames[slug], now);
+                const stale = !streamLive && isStale(allGames[slug], updatedAt[slug], now);
+                return (
+                  <div key={slug} className="flex items-center justify-between px-4 py-2 text-xs">
+                    <span className="font-medium text-gray-700">{leagueLabel(slug)}</span>
+                    <span className="flex items-center gap-2 tabular-nums">
+                      {!streamLive && (
+                        <span className={MODE_CLASS[mode]}>
+                          {MODE_LABEL[mode]}{mode !== "paused" && ` · ${formatCadence(CADENCE[mode])}`}
+                        </span>
+                      )}
+                      <span className={stale ? "text-amber-500 font-semibold" : "text-gray-300"}>
+                        {updatedAt[slug] ? formatAge(now - updatedAt[slug]) : "—"}
+                      </span>
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { DEFAULT_LEAGUE_SETTINGS, orderGroups, moveItem, toggleLeague } from "../lib/leagueSettings";
+
+// ─── League settings ──────────────────────────────────────────────────────────
+// Header ⚙️. Switch leagues on and off, reorder sport groups and the leagues
+// within them, and pick the tab the app opens on. Switched-off leagues drop
+// out of the navigation and are never fetched.
+
+function MoveButtons({ index, count, onMove }) {
+  return (
+    <span className="flex gap-0.5 shrink-0">
+      {[[-1, "↑"], [1, "↓"]].map(([step, arrow]) => (
+        <button
+          key={step}
+          onClick={() => onMove(index, step)}
+          disabled={index + step < 0 || index + step >= count}
+          className="w-6 h-6 rounded-md text-xs text-gray-400 hover:bg-gray-100 hover:text-gray-700 disabled:opacity-30 disabled:hover:bg-transparent"
+        >
+          {arrow}
+        </button>
+      ))}
+    </span>
+  );
+}
+
+// groups: every sport group from the league registry, in its default order
+export function LeagueSettings({ groups, settings, onChange }) {
+  const [open, setOpen] = useState(false);
+  const ordered = orderGroups(groups, settings);
+  const disabled = new Set(settings.disabled);
+  const enabledLeagues = ordered.flatMap(g => g.leagues).filter(l => !disabled.has(l.slug));
+
+  const moveGroup = (index, step) =>
+    onChange({ ...settings, groupOrder: moveItem(ordered.map(g => g.id), index, step) });
+  const moveLeague = (group, index, step) => onChange({
+    ...settings,
+    leagueOrder: { ...settings.leagueOrder, [group.id]: moveItem(group.leagues.map(l => l.slug), index, step) },
+  });
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        title="Leagues and tabs"
+        className="text-base leading-none text-gray-300 hover:text-gray-600 transition-colors"
+      >
+        ⚙️
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 top-full mt-2 w-80 bg-white rounded-2xl shadow-2xl border border-gray-100 overflow-hidden z-40 text-left">
+            <div className="flex items-center justify-between px-4 py-2.5 border-b border-gray-100">
+              <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Leagues</span>
+              <button onClick={() => onChange(DEFAULT_LEAGUE_SETTINGS)} className="text-xs text-gray-400 hover:text-gray-700">
+                Reset
+              </button>
+            </div>
+
+            <label className="flex items-center justify-between gap-3 px-4 py-2.5 border-b border-gray-100 text-xs">
+              <span className="font-semibold text-gray-700">Open on</span>
+              <select
+                value={settings.landingTab}
+                onChange={e => onChange({ ...settings, landingTab: e.target.value })}
+                className="flex-1 min-w-0 text-xs text-gray-700 border border-gray-200 rounded-lg px-1.5 py-1"
+              >
+                <option value="🔥">🔥 Today</option>
+                <option value="★">★ Following</option>
+                {enabledLeagues.map(l => <option key={l.slug} value={l.slug}>{l.label}</option>)}
+              </select>
+            </label>
+
+            <div className="max-h-[28rem] overflow-y-auto divide-y divide-gray-50">
+              {ordered.map((group, gi) => (
+                <div key={group.id} className="px-4 py-2.5">
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-xs font-bold text-gray-700">{group.label}</span>
+                    <MoveButtons index={gi} count={ordered.length} onMove={moveGroup} />
+                  </div>
+                  {group.leagues.map((league, li) => (
+                    <div key={league.slug} className="flex items-center gap-2 pl-1 text-xs">
+                      <label className="flex-1 flex items-center gap-2 py-1 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={!disabled.has(league.slug)}
+                          onChange={() => onChange(toggleLeague(settings, league.slug))}
+                        />
+                        <span className={disabled.has(league.slug) ? "text-gray-400" : "text-gray-700"}>{league.label}</span>
+                      </label>
+                      {group.leagues.length > 1 && (
+                        <MoveButtons index={li} count={group.leagues.length} onMove={(i, step) => moveLeague(group, i, step)} />
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState } from "react";
+import { TRIGGERS, DEFAULT_TRIGGERS, toggleTrigger, notificationsSupported } from "../lib/notifications";
+
+// ─── Notification settings ────────────────────────────────────────────────────
+// Header bell. Turning notifications on asks the browser for permission; after
+// that each followed team and starred game gets a row of trigger toggles.
+
+function TriggerRow({ label, sublabel, logo, triggers, onToggle }) {
+  return (
+    <div className="px-4 py-2.5">
+      <div className="flex items-center gap-2 mb-1.5 text-xs">
+        {logo && <img src={logo} alt="" className="w-4 h-4 object-contain" />}
+        <span className="font-semibold text-gray-700">{label}</span>
+        {sublabel && <span className="text-gray-400">{sublabel}</span>}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {TRIGGERS.map(({ id, label }) => {
+          const on = triggers.includes(id);
+          return (
+            <button
+              key={id}
+              onClick={() => onToggle(id)}
+              className={`px-2 py-0.5 rounded-full text-[11px] font-medium border transition-colors
+                ${on ? "border-indigo-300 bg-indigo-50 text-indigo-700" : "border-gray-200 text-gray-400 hover:border-gray-400"}`}
+            >
+              {label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export function NotificationSettings({ settings, onChange, myTeams, favoriteGames, leagueLabel }) {
+  const [open, setOpen] = useState(false);
+  const [permission, setPermission] = useState(() => notificationsSupported() ? Notification.permission : "unsupported");
+  const active = settings.enabled && permission === "granted";
+
+  const enable = async () => {
+    const result = await Notification.requestPermission();
+    setPermission(result);
+    if (result === "granted") onChange({ ...settings, enabled: true });
+  };
+
+  const teams = Array.from(myTeams.values());
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        title={active ? "Notifications on" : "Notifications off"}
+        className={`text-base leading-none transition-colors ${active ? "text-indigo-500" : "text-gray-300 hover:text-gray-600"}`}
+      >
+        {active ? "🔔" : "🔕"}
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 top-full mt-2 w-80 bg-white rounded-2xl shadow-2xl border border-gray-100 overflow-hidden z-40 text-left">
+            <div className="flex items-center justify-between px-4 py-2.5 border-b border-gray-100">
+              <span className="text-xs font-bold text-gray-400 uppercase tracking-wider">Notifications</span>
+              {active && (
+                <button onClick={() => onChange({ ...settings, enabled: false })} className="text-xs text-gray-400 hover:text-gray-700">
+                  Turn off
+                </button>
+              )}
+            </div>
+
+            {permission === "unsupported" ? (
+              <div className="px-4 py-3 text-xs text-gray-500">This browser doesn't support notifications.</div>
+            ) : permission === "denied" ? (
+              <div className="px-4 py-3 text-xs text-gray-500">Notifications are blocked for this site. Allow them in your browser's site settings.</div>
+            ) : !active ? (
+              <div className="px-4 py-3 text-xs text-gray-500">
+                <p className="mb-2.5">Get an alert when a team you follow or a game you starred starts, scores, swaps the lead, gets tight, or finishes.</p>
+                <button
+                  onClick={enable}
+                  className="px-3 py-1.5 rounded-xl bg-gray-900 text-white font-semibold hover:bg-gray-700 transition-colors"
+                >
+                  Turn on notifications
+                </button>
+              </div>
+            ) : teams.length === 0 && favoriteGames.length === 0 ? (
+              <div className="px-4 py-3 text-xs text-gray-500">Follow a team (♥) or star a game (★) to choose what you hear about.</div>
+            ) : (
+              <div className="max-h-96 overflow-y-auto divide-y divide-gray-50">
+                {teams.map(team => (
+                  <TriggerRow
+                    key={team.key}
+                    label={team.name}
+                    sublabel={leagueLabel(team.league)}
+                    logo={team.logo}
+                    triggers={settings.teams[team.key] ?? DEFAULT_TRIGGERS}
+                    onToggle={trigger => onChange(toggleTrigger(settings, "teams", team.key, trigger))}
+                  />
+                ))}
+                {favoriteGames.map(game => (
+                  <TriggerRow
+                    key={game.id}
+                    label={`★ ${game.away} @ ${game.home}`}
+                    sublabel={leagueLabel(game.sport)}
+                    triggers={settings.games[game.id] ?? DEFAULT_TRIGGERS}
+                    onToggle={trigger => onChange(toggleTrigger(settings, "games", game.id, trigger))}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { formatPrice, formatLine } from "../lib/odds";
+
+// ─── Odds comparison ──────────────────────────────────────────────────────────
+// Lines from every book for one game (see lib/odds.js for the shape). OddsLine
+// is the one-row summary on a game card; OddsComparison is the full book-by-book
+// table and line movement shown when the card is expanded. The best price on
+// each side is highlighted — every book offering it, not just the first.
+
+const BEST_CLASS = "bg-green-50 text-green-700 font-semibold";
+
+function isBest(best, bookId) {
+  return !!best?.books.includes(bookId);
+}
+
+// Best spread, moneyline and total in a row — replaces the single spread string
+export function OddsLine({ odds }) {
+  const { home, away, best } = odds;
+  const favorite = best.spread && (best.spread[away]?.line < 0 ? away : home);
+  return (
+    <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-400 tabular-nums">
+      {best.spread?.[favorite] && (
+        <span>📈 <span className="font-medium text-gray-600">{favorite} {formatLine(best.spread[favorite].line)}</span></span>
+      )}
+      {best.moneyline && (
+        <span>
+          ML <span className="font-medium text-gray-600">{away} {formatPrice(best.moneyline[away]?.price)}</span>
+          {" / "}<span className="font-medium text-gray-600">{home} {formatPrice(best.moneyline[home]?.price)}</span>
+        </span>
+      )}
+      {best.total && (
+        <span>O/U <span className="font-medium text-gray-600">{best.total.under.line === best.total.over.line
+          ? best.total.over.line
+          : `${best.total.over.line}–${best.total.under.line}`}</span></span>
+      )}
+      <span className="text-gray-300">best of {odds.books.length} book{odds.books.length === 1 ? "" : "s"}</span>
+    </div>
+  );
+}
+
+function Cell({ lines }) {
+  return (
+    <td className="py-1 px-1.5 align-top">
+      {lines.map(({ text, best }, i) => (
+        <div key={i} className={`rounded px-1 whitespace-nowrap ${best ? BEST_CLASS : ""}`}>{text}</div>
+      ))}
+    </td>
+  );
+}
+
+function BookTable({ odds }) {
+  const { home, away, books, best } = odds;
+  const hasDraw = books.some(b => b.moneyline?.draw != null);
+  return (
+    <table className="w-full text-xs text-gray-600 tabular-nums">
+      <thead>
+        <tr className="text-left text-gray-400">
+          <th className="font-medium py-1 px-1.5">Book</th>
+          <th className="font-medium py-1 px-1.5">Moneyline</th>
+          <th className="font-medium py-1 px-1.5">Spread</th>
+          <th className="font-medium py-1 px-1.5">Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        {books.map(({ book, moneyline, spread, total }) => (
+          <tr key={book.id} className="border-t border-gray-50">
+            <td className="py-1 px-1.5 align-top font-medium text-gray-500">{book.name}</td>
+            <Cell lines={moneyline ? [
+              { text: `${away} ${formatPrice(moneyline[away])}`, best: isBest(best.moneyline?.[away], book.id) },
+              { text: `${home} ${formatPrice(moneyline[home])}`, best: isBest(best.moneyline?.[home], book.id) },
+              ...(hasDraw ? [{ text: `Draw ${formatPrice(moneyline.draw)}`, best: isBest(best.moneyline?.draw, book.id) }] : []),
+            ] : [{ text: "—" }]} />
+            <Cell lines={spread ? [
+              { text: `${formatLine(spread[away]?.line)} ${formatPrice(spread[away]?.price)}`, best: isBest(best.spread?.[away], book.id) },
+              { text: `${formatLine(spread[home]?.line)} ${formatPrice(spread[home]?.price)}`, best: isBest(best.spread?.[home], book.id) },
+            ] : [{ text: "—" }]} />
+            <Cell lines={total ? [
+              { text: `o${total.line} ${formatPrice(total.over)}`, best: isBest(best.total?.over, book.id) },
+              { text: `u${total.line} ${formatPrice(total.under)}`, best: isBest(best.total?.under, book.id) },
+            ] : [{ text: "—" }]} />
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function timeAgo(t, now) {
+  const hours = Math.round((now - new Date(t)) / 3_600_000);
+  if (hours < 1) return "Now";
+  return hours < 48 ? `${hours}h ago` : `${Math.round(hours / 24)}d ago`;
+}
+
+function Move({ from, to, format }) {
+  if (from == null || to == null || from === to) return null;
+  return <span className="text-gray-400"> ({to > from ? "▲" : "▼"} {format(Math.abs(to - from))})</span>;
+}
+
+// Consensus line over time, oldest first; each change is marked against the opener
+function LineMovement({ odds }) {
+  const { home, away, history } = odds;
+  if (!history || history.length < 2) return null;
+  const now = Date.now();
+  const open = history[0];
+  return (
+    <div>
+      <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-2">Line Movement</div>
+      <table className="w-full text-xs text-gray-600 tabular-nums">
+        <thead>
+          <tr className="text-left text-gray-400">
+            <th className="font-medium py-1 px-1.5"></th>
+            <th className="font-medium py-1 px-1.5">{home} spread</th>
+            <th className="font-medium py-1 px-1.5">Total</th>
+            <th className="font-medium py-1 px-1.5">Moneyline</th>
+          </tr>
+        </thead>
+        <tbody>
+          {history.map((point, i) => (
+            <tr key={point.t} className="border-t border-gray-50">
+              <td className="py-1 px-1.5 text-gray-400">{i === 0 ? "Open" : timeAgo(point.t, now)}</td>
+              <td className="py-1 px-1.5">
+                {formatLine(point.spread)}
+                {i > 0 && <Move from={open.spread} to={point.spread} format={v => v} />}
+              </td>
+              <td className="py-1 px-1.5">
+                {point.total ?? "—"}
+                {i > 0 && <Move from={open.total} to={point.total} format={v => v} />}
+              </td>
+              <td className="py-1 px-1.5 whitespace-nowrap">
+                {point.moneyline ? `${away} ${formatPrice(point.moneyline[away])} / ${home} ${formatPrice(point.moneyline[home])}` : "—"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export function OddsComparison({ odds }) {
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-2">Odds</div>
+        <BookTable odds={odds} />
+      </div>
+      <LineMovement odds={odds} />
+    </div>
+  );
+}
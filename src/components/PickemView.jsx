@@ -0,0 +1,306 @@
+import { useState, useMemo } from "react";
+import { useSchedule, addDays, dateFromKey } from "../lib/schedule";
+import { dayKey } from "../lib/router";
+import { isSoccer } from "../lib/leagues";
+import { loadPickemPlayer, savePickemPlayer, submitPick, usePickem } from "../lib/pickem";
+
+// ─── Pick'em ──────────────────────────────────────────────────────────────────
+// The Pick'em sub-view of a league tab: pick winners (and, for bonus points,
+// the score) for the next week's games until each one starts, see how past
+// picks were graded, and where everyone stands against each other and the
+// house — which always takes edgeLabel's lean.
+
+const DAYS_AHEAD = 7;
+
+function NameForm({ player, onSave }) {
+  const [name, setName] = useState(player?.name ?? "");
+  return (
+    <form
+      onSubmit={e => { e.preventDefault(); if (name.trim()) onSave(name); }}
+      className="flex items-center gap-2"
+    >
+      <input
+        value={name}
+        onChange={e => setName(e.target.value)}
+        maxLength={32}
+        placeholder="Your name on the leaderboard"
+        className="flex-1 min-w-0 text-sm px-3 py-1.5 rounded-lg border border-gray-200 focus:outline-none focus:border-indigo-400"
+      />
+      <button
+        type="submit"
+        disabled={!name.trim()}
+        className="px-3 py-1.5 rounded-lg text-xs font-semibold bg-indigo-500 text-white disabled:opacity-40"
+      >
+        {player ? "Rename" : "Join"}
+      </button>
+    </form>
+  );
+}
+
+function TeamChoice({ label, logo, selected, disabled, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={`flex-1 flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-lg text-xs font-semibold border transition-colors
+        ${selected ? "bg-indigo-500 border-indigo-500 text-white" : "border-gray-200 text-gray-700 hover:border-indigo-300"}
+        disabled:cursor-default ${disabled && !selected ? "opacity-50" : ""}`}
+    >
+      {logo && <img src={logo} alt="" className="w-4 h-4 object-contain" />}
+      {label}
+    </button>
+  );
+}
+
+function ScoreInput({ value, onChange, disabled, label }) {
+  return (
+    <input
+      type="number"
+      min="0"
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      disabled={disabled}
+      aria-label={`${label} score`}
+      placeholder={label}
+      className="w-16 text-xs text-center px-1.5 py-1 rounded-md border border-gray-200 tabular-nums focus:outline-none focus:border-indigo-400"
+    />
+  );
+}
+
+function ResultTag({ result }) {
+  if (!result) return <span className="text-gray-300">pending</span>;
+  return (
+    <span className={result.correct ? "text-green-600 font-semibold" : "text-red-500 font-semibold"}>
+      {result.correct ? "✓" : "✗"} {result.points} pts{result.exact && " · exact score"}
+    </span>
+  );
+}
+
+function PickRow({ game, sport, player, pick, house, edgeLabel, onPicked }) {
+  const { home, away, teams, start_time } = game;
+  const locked = game.status !== "scheduled" || Date.now() >= new Date(start_time).getTime();
+  const [winner, setWinner] = useState(pick?.winner ?? null);
+  const [score, setScore] = useState({ [away]: pick?.score?.[away] ?? "", [home]: pick?.score?.[home] ?? "" });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Before anyone has picked, the house's lean is read straight off the game
+  const wp = game.win_probability;
+  const lean = house ?? (wp?.[home] != null && wp?.[away] != null
+    ? (wp[home] >= wp[away] ? { winner: home, pct: wp[home] } : { winner: away, pct: wp[away] })
+    : null);
+
+  const hasScore = score[away] !== "" && score[home] !== "";
+  const changed = winner && (winner !== pick?.winner
+    || (hasScore ? pick?.score?.[away] !== Number(score[away]) || pick?.score?.[home] !== Number(score[home]) : !!pick?.score));
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await submitPick({
+        player, league: sport, gameId: game.id, winner,
+        score: hasScore ? { [away]: Number(score[away]), [home]: Number(score[home]) } : null,
+      });
+      onPicked();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sides = [
+    { id: away, label: away, logo: teams?.[away]?.logo },
+    ...(isSoccer(sport) ? [{ id: "draw", label: "Draw" }] : []),
+    { id: home, label: home, logo: teams?.[home]?.logo },
+  ];
+
+  return (
+    <div className="py-3">
+      <div className="flex items-center justify-between mb-2 text-xs text-gray-400">
+        <span>
+          {new Date(start_time).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" })}
+          {" · "}{away} @ {home}
+        </span>
+        {locked
+          ? <span className="font-semibold text-gray-500">🔒 Locked</span>
+          : pick && <span className="text-indigo-500 font-semibold">Picked</span>}
+      </div>
+      <div className="flex gap-2">
+        {sides.map(s => (
+          <TeamChoice
+            key={s.id}
+            label={s.label}
+            logo={s.logo}
+            selected={winner === s.id}
+            disabled={locked || !player}
+            onClick={() => setWinner(s.id)}
+          />
+        ))}
+      </div>
+      {!locked && player && (
+        <div className="flex items-center gap-2 mt-2">
+          <ScoreInput label={away} value={score[away]} disabled={saving} onChange={v => setScore(s => ({ ...s, [away]: v }))} />
+          <span className="text-xs text-gray-300">–</span>
+          <ScoreInput label={home} value={score[home]} disabled={saving} onChange={v => setScore(s => ({ ...s, [home]: v }))} />
+          <span className="text-[10px] text-gray-300 flex-1">score optional</span>
+          <button
+            onClick={save}
+            disabled={!changed || saving}
+            className="px-3 py-1 rounded-lg text-xs font-semibold bg-indigo-500 text-white disabled:opacity-40"
+          >
+            {saving ? "Saving…" : pick ? "Update" : "Lock in"}
+          </button>
+        </div>
+      )}
+      {locked && pick && (
+        <div className="mt-2 text-xs text-gray-500">
+          Your pick: <strong>{pick.winner === "draw" ? "Draw" : pick.winner}</strong>
+          {pick.score && <> ({away} {pick.score[away]}–{pick.score[home]} {home})</>}
+          {" · "}<ResultTag result={pick.result} />
+        </div>
+      )}
+      {lean && (
+        <div className="mt-1.5 text-xs text-gray-400">
+          🏠 The House: <strong className="text-gray-600">{lean.winner}</strong> · {edgeLabel(lean.pct)}
+          {house?.result && <> · <ResultTag result={house.result} /></>}
+        </div>
+      )}
+      {error && <div className="mt-1.5 text-xs text-red-500">{error}</div>}
+    </div>
+  );
+}
+
+function Leaderboard({ board, player }) {
+  if (!board) return <div className="text-xs text-gray-400 py-2">Loading…</div>;
+  if (board.entries.length === 0) return <div className="text-xs text-gray-400 py-2">No picks yet — be the first.</div>;
+  return (
+    <table className="w-full text-xs tabular-nums">
+      <thead>
+        <tr className="text-gray-400 border-b border-gray-100">
+          <th className="text-left font-semibold py-1.5 pr-2 w-6">#</th>
+          <th className="text-left font-semibold py-1.5 pr-3">Player</th>
+          <th className="text-right font-semibold py-1.5 px-1.5">Record</th>
+          <th className="text-right font-semibold py-1.5 px-1.5">Exact</th>
+          <th className="text-right font-semibold py-1.5 pl-1.5">Pts</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-50">
+        {board.entries.map(row => (
+          <tr
+            key={row.player.id}
+            className={row.house ? "bg-amber-50/70" : row.player.id === player?.id ? "bg-indigo-50/60" : ""}
+          >
+            <td className="py-1.5 pr-2 text-gray-400 font-semibold">{row.rank}</td>
+            <td className="py-1.5 pr-3 font-semibold text-gray-900">
+              {row.house && "🏠 "}{row.player.name}
+              {row.player.id === player?.id && <span className="text-indigo-400 font-normal"> (you)</span>}
+            </td>
+            <td className="text-right py-1.5 px-1.5 text-gray-600">{row.correct}–{row.graded - row.correct}</td>
+            <td className="text-right py-1.5 px-1.5 text-gray-600">{row.exact}</td>
+            <td className="text-right py-1.5 pl-1.5 font-bold text-gray-900">{row.points}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export function PickemView({ sport, leagueLabel, edgeLabel }) {
+  const [player, setPlayer] = useState(loadPickemPlayer);
+  const [board, setBoard] = useState("league");
+  const { registered, picks, house, league, overall, error, reload } = usePickem(sport, player);
+
+  const today = dayKey(new Date());
+  const range = useMemo(() => {
+    const from = dateFromKey(today);
+    return { from, to: addDays(from, DAYS_AHEAD) };
+  }, [today]);
+  const { games, loading } = useSchedule(sport, range);
+
+  const upcoming = (games ?? [])
+    .filter(g => g.status === "scheduled")
+    .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+  const pickFor = id => picks.find(p => p.gameId === id);
+  const houseFor = id => house.find(h => h.gameId === id);
+  // Picked games that have started, newest first, so results stay in view
+  const settled = picks.filter(p => !upcoming.some(g => g.id === p.gameId));
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 px-4 py-3">
+        <div className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-2">
+          {player ? `Playing as ${registered?.name ?? player.name}` : "Join the pick'em"}
+        </div>
+        {/* The name is set by the first pick; after that the server keeps it */}
+        {!registered && (
+          <NameForm key={player?.id ?? "new"} player={player} onSave={name => setPlayer(savePickemPlayer(name, player))} />
+        )}
+        <div className="mt-2 text-[11px] text-gray-400">
+          10 pts for the winner, +5 for the exact score or +2 for the right margin. Picks lock at start time.
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 px-4 py-2">
+        <div className="text-xs font-bold text-gray-400 uppercase tracking-widest pt-1.5">
+          {leagueLabel(sport)} · next {DAYS_AHEAD} days
+        </div>
+        {loading && !games && <div className="text-xs text-gray-400 py-3">Loading games…</div>}
+        {games && upcoming.length === 0 && <div className="text-xs text-gray-400 py-3">No games to pick this week.</div>}
+        <div className="divide-y divide-gray-50">
+          {upcoming.map(game => (
+            <PickRow
+              key={`${game.id}:${pickFor(game.id)?.madeAt ?? ""}`}
+              game={game}
+              sport={sport}
+              player={player}
+              pick={pickFor(game.id)}
+              house={houseFor(game.id)}
+              edgeLabel={edgeLabel}
+              onPicked={reload}
+            />
+          ))}
+        </div>
+      </div>
+
+      {settled.length > 0 && (
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-100 px-4 py-3">
+          <div className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-1.5">Your picks</div>
+          <div className="divide-y divide-gray-50 text-xs">
+            {settled.map(p => (
+              <div key={p.gameId} className="flex items-center justify-between py-1.5">
+                <span className="text-gray-500">
+                  {new Date(p.start_time).toLocaleDateString([], { month: "short", day: "numeric" })}
+                  {" · "}<strong className="text-gray-800">{p.winner === "draw" ? "Draw" : p.winner}</strong>
+                  {p.result && <span className="text-gray-400"> · final {Object.entries(p.result.score).map(([abbr, n]) => `${abbr} ${n}`).join(", ")}</span>}
+                </span>
+                <ResultTag result={p.result} />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-2xl shadow-sm border border-gray-100 px-4 py-3">
+        <div className="flex items-center justify-between mb-1.5">
+          <div className="text-xs font-bold text-gray-400 uppercase tracking-widest">Leaderboard</div>
+          <div className="inline-flex bg-gray-100 rounded-lg p-0.5">
+            {[["league", leagueLabel(sport)], ["overall", "Overall"]].map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setBoard(id)}
+                className={`px-2.5 py-0.5 rounded-md text-[11px] font-semibold
+                  ${board === id ? "bg-white text-gray-900 shadow-sm" : "text-gray-500 hover:text-gray-700"}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <Leaderboard board={board === "league" ? league : overall} player={player} />
+        {error && <div className="mt-2 text-xs text-red-500">Couldn't load pick'em: {error}</div>}
+      </div>
+    </div>
+  );
+}
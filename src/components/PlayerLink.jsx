@@ -0,0 +1,18 @@
+import { playerUrl, followLink } from "../lib/router";
+
+// ─── Player link ──────────────────────────────────────────────────────────────
+// A player's name that opens their PlayerPanel. Names we can't tie to a player
+// id (older events, some upstream feeds) stay plain text.
+
+export function PlayerLink({ sport, id, name, className = "" }) {
+  if (!id || !sport) return <span className={className}>{name}</span>;
+  return (
+    <a
+      href={playerUrl(sport, id)}
+      onClick={e => { e.stopPropagation(); followLink(e); }}
+      className={`hover:text-indigo-600 hover:underline underline-offset-2 transition-colors ${className}`}
+    >
+      {name}
+    </a>
+  );
+}
@@ -0,0 +1,167 @@
+import { useState, useEffect } from "react";
+import { getJson } from "../lib/api";
+import { pageUrl, followLink } from "../lib/router";
+
+// ─── Player panel ─────────────────────────────────────────────────────────────
+// Right-hand drawer for one player, from /api/player/:sport/:id: team, bio,
+// season stats and a game log per stat group. Opened by player-name links and
+// player search; it sits over TeamStatsPanel when both are in the URL.
+
+const RESULT_COLORS = { W: "text-green-600", L: "text-red-500", D: "text-gray-400" };
+
+function SectionTitle({ children }) {
+  return <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-2">{children}</div>;
+}
+
+function Empty({ children }) {
+  return <div className="px-4 py-10 text-center text-xs text-gray-400">{children}</div>;
+}
+
+function SeasonStats({ groups }) {
+  return groups.filter(g => g.stats).map(group => (
+    <div key={group.name ?? "season"} className="px-4 py-3">
+      <SectionTitle>{group.name ? `Season · ${group.name}` : "Season"}</SectionTitle>
+      <div className="grid grid-cols-4 gap-2">
+        {Object.entries(group.stats).map(([key, { label, value }]) => (
+          <div key={key} className="bg-gray-50 rounded-lg px-2 py-1.5 text-center">
+            <div className="text-sm font-bold text-gray-900 tabular-nums truncate">{value}</div>
+            <div className="text-[10px] text-gray-400 font-medium truncate">{label}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  ));
+}
+
+function GameLogTable({ log, sport, isSoccer }) {
+  return (
+    <div className="px-4 py-3">
+      <SectionTitle>{log.name ? `Game log · ${log.name}` : "Game log"}</SectionTitle>
+      <div className="overflow-x-auto -mx-1">
+        <table className="w-full text-xs tabular-nums">
+          <thead>
+            <tr className="text-gray-400 border-b border-gray-100">
+              <th className="text-left font-semibold py-1 px-1">Date</th>
+              <th className="text-left font-semibold py-1 px-1">Opp</th>
+              <th className="text-left font-semibold py-1 px-1">Result</th>
+              {log.columns.map(c => <th key={c.key} className="text-right font-semibold py-1 px-1 whitespace-nowrap">{c.label}</th>)}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-50">
+            {log.games.map(g => {
+              // Draws are "T" (tie) outside soccer, as in the team schedule
+              const letter = g.result === "D" && !isSoccer ? "T" : g.result;
+              return (
+                <tr key={g.id} className="text-gray-700">
+                  <td className="py-1 px-1 whitespace-nowrap text-gray-400">
+                    {g.date ? new Date(g.date).toLocaleDateString("en-US", { month: "numeric", day: "numeric" }) : "—"}
+                  </td>
+                  <td className="py-1 px-1 whitespace-nowrap">
+                    <span className="text-gray-400 mr-1">{g.isHome ? "vs" : "@"}</span>
+                    {g.opponent.abbr ?? g.opponent.name}
+                  </td>
+                  <td className="py-1 px-1 whitespace-nowrap">
+                    <a href={pageUrl(sport, "game", g.id)} onClick={followLink} className="hover:underline">
+                      {g.status === "in_progress"
+                        ? <span className="font-bold mr-1 text-red-500">●</span>
+                        : <span className={`font-bold mr-1 ${RESULT_COLORS[g.result] ?? "text-gray-400"}`}>{letter ?? "—"}</span>
+                      }
+                      {g.teamScore != null && <span className="text-gray-500">{g.teamScore}–{g.oppScore}</span>}
+                    </a>
+                  </td>
+                  {log.columns.map(c => <td key={c.key} className="text-right py-1 px-1">{g.stats[c.key] ?? "—"}</td>)}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// player: { sport, id } from the route
+export function PlayerPanel({ player, isSoccer, onClose, onSelectTeam }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    setError(null);
+    getJson(`/player/${player.sport}/${encodeURIComponent(player.id)}`)
+      .then(d => { if (!cancelled) setData(d); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [player.sport, player.id]);
+
+  const rawColor = data?.team?.color;
+  const bgColor = rawColor ? (rawColor.startsWith("#") ? rawColor : `#${rawColor}`) : "#111827";
+  const subtitle = [data?.position, data?.jersey && `#${data.jersey}`].filter(Boolean).join(" · ");
+
+  return (
+    <div className="bg-white h-full flex flex-col overflow-hidden">
+
+      {/* Header — team color band */}
+      <div
+        className="px-5 pt-5 pb-4 flex items-center gap-3.5 shrink-0 transition-colors duration-500"
+        style={{ backgroundColor: bgColor }}
+      >
+        <div className="w-12 h-12 rounded-full bg-white/20 flex items-center justify-center shrink-0 overflow-hidden">
+          {data?.headshot
+            ? <img src={data.headshot} alt="" className="w-12 h-12 object-cover" />
+            : <span className="text-sm font-bold text-white">{data?.jersey ?? "?"}</span>
+          }
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="font-bold text-base text-white truncate leading-tight">{data?.name ?? (error ? "Player" : "Loading…")}</div>
+          {subtitle && <div className="text-sm text-white/70 mt-0.5">{subtitle}</div>}
+        </div>
+        <button
+          onClick={onClose}
+          className="text-white/60 hover:text-white text-2xl leading-none shrink-0 transition-colors ml-1"
+        >×</button>
+      </div>
+
+      <div className="overflow-y-auto flex-1 divide-y divide-gray-100">
+        {error ? (
+          <Empty>Couldn't load this player — {error}</Empty>
+        ) : !data ? (
+          <Empty>Loading…</Empty>
+        ) : (
+          <>
+            {data.team && (
+              <div className="px-4 py-3">
+                <button
+                  onClick={() => onSelectTeam({ ...data.team, sport: data.league })}
+                  className="flex items-center gap-2 text-sm font-semibold text-gray-900 hover:text-indigo-600 transition-colors"
+                >
+                  {data.team.logo && <img src={data.team.logo} alt="" className="w-5 h-5 object-contain" />}
+                  {data.team.name}
+                  <span className="text-gray-300">›</span>
+                </button>
+              </div>
+            )}
+            {data.bio.length > 0 && (
+              <div className="px-4 py-3 flex flex-wrap gap-x-4 gap-y-1 text-xs">
+                {data.bio.map(({ label, value }) => (
+                  <span key={label}>
+                    <span className="text-gray-400">{label}</span>{" "}
+                    <span className="font-medium text-gray-700">{value}</span>
+                  </span>
+                ))}
+              </div>
+            )}
+            <SeasonStats groups={data.seasonStats} />
+            {data.gameLog.length > 0
+              ? data.gameLog.map(log => (
+                  <GameLogTable key={log.name ?? "log"} log={log} sport={data.league} isSoccer={isSoccer} />
+                ))
+              : <Empty>No games logged this season</Empty>
+            }
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { useState, useEffect, useRef } from "react";
+import { getJson } from "../lib/api";
+import { playerUrl, followLink } from "../lib/router";
+
+// ─── Player search ────────────────────────────────────────────────────────────
+// Header search box over every league's players, from /api/search?q=. Typing
+// waits for a pause before asking the server; picking a result opens the
+// player's PlayerPanel.
+
+const MIN_QUERY = 2;
+const DEBOUNCE_MS = 250;
+
+export function PlayerSearch({ leagueLabel }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => { if (open) inputRef.current?.focus(); }, [open]);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < MIN_QUERY) { setResults(null); setError(null); return; }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      getJson(`/search?q=${encodeURIComponent(q)}`)
+        .then(d => { if (!cancelled) { setResults(d.players); setError(null); } })
+        .catch(err => { if (!cancelled) setError(err.message); });
+    }, DEBOUNCE_MS);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [query]);
+
+  const close = () => { setOpen(false); setQuery(""); };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        title="Search players"
+        className="text-base leading-none text-gray-300 hover:text-gray-600 transition-colors"
+      >
+        🔍
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={close} />
+          <div className="absolute left-0 top-full mt-2 w-80 bg-white rounded-2xl shadow-2xl border border-gray-100 overflow-hidden z-40 text-left">
+            <div className="px-3 py-2.5 border-b border-gray-100">
+              <input
+                ref={inputRef}
+                value={query}
+                onChange={e => setQuery(e.target.value)}
+                onKeyDown={e => e.key === "Escape" && close()}
+                placeholder="Search players…"
+                className="w-full text-sm px-2.5 py-1.5 rounded-lg bg-gray-50 border border-gray-200 focus:outline-none focus:border-gray-400"
+              />
+            </div>
+
+            {error ? (
+              <div className="px-4 py-3 text-xs text-red-500">Search failed — {error}</div>
+            ) : query.trim().length < MIN_QUERY ? (
+              <div className="px-4 py-3 text-xs text-gray-400">Type a player's name.</div>
+            ) : results === null ? (
+              <div className="px-4 py-3 text-xs text-gray-400">Searching…</div>
+            ) : results.length === 0 ? (
+              <div className="px-4 py-3 text-xs text-gray-400">No players match "{query.trim()}".</div>
+            ) : (
+              <div className="max-h-96 overflow-y-auto divide-y divide-gray-50">
+                {results.map(p => (
+                  <a
+                    key={`${p.league}:${p.id}`}
+                    href={playerUrl(p.league, p.id)}
+                    onClick={e => { followLink(e); close(); }}
+                    className="flex items-center gap-2.5 px-4 py-2 hover:bg-gray-50 transition-colors"
+                  >
+                    {p.headshot
+                      ? <img src={p.headshot} alt="" className="w-7 h-7 rounded-full object-cover shrink-0 bg-gray-100" />
+                      : <div className="w-7 h-7 rounded-full bg-gray-100 flex items-center justify-center text-[10px] font-bold text-gray-500 shrink-0">
+                          {p.jersey ?? "?"}
+                        </div>
+                    }
+                    <div className="flex-1 min-w-0">
+                      <div className="text-xs font-semibold text-gray-900 truncate">{p.name}</div>
+                      <div className="text-[11px] text-gray-400 truncate">
+                        {[p.position, p.team?.name, leagueLabel(p.league)].filter(Boolean).join(" · ")}
+                      </div>
+                    </div>
+                    {p.team?.logo && <img src={p.team.logo} alt="" className="w-4 h-4 object-contain shrink-0" />}
+                  </a>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState, useEffect } from "react";
+import { getJson } from "../lib/api";
+import { REPLAY_SPEEDS } from "../lib/replay";
+
+// ─── Replay controls ──────────────────────────────────────────────────────────
+// Header widget next to the refresh button. Idle: a "Replay" button that lists
+// recorded sessions. Active: play/pause, speed pills and a scrubber over the
+// recorded time range.
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+}
+
+function SessionPicker({ onPick, onClose }) {
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+  const [loadingId, setLoadingId] = useState(null);
+
+  useEffect(() => {
+    getJson("/sessions")
+      .then(d => setSessions(d.sessions))
+      .catch(() => setError("Could not load sessions"));
+  }, []);
+
+  const pick = (id) => {
+    setLoadingId(id);
+    getJson(`/sessions/${id}`)
+      .then(session => { onPick(session); onClose(); })
+      .catch(() => { setError("Could not load that session"); setLoadingId(null); });
+  };
+
+  return (
+    <>
+      <div className="fixed inset-0 z-30" onClick={onClose} />
+      <div className="absolute right-0 top-full mt-2 w-72 bg-white rounded-2xl shadow-2xl border border-gray-100 overflow-hidden z-40 text-left">
+        <div className="px-4 py-2.5 text-xs font-bold text-gray-400 uppercase tracking-wider border-b border-gray-100">
+          Recorded sessions
+        </div>
+        {error ? (
+          <div className="px-4 py-4 text-xs text-red-500">{error}</div>
+        ) : sessions === null ? (
+          <div className="px-4 py-4 text-xs text-gray-400">Loading…</div>
+        ) : sessions.length === 0 ? (
+          <div className="px-4 py-4 text-xs text-gray-400 leading-relaxed">
+            No sessions yet. Start the server with{" "}
+            <code className="bg-gray-100 px-1 py-0.5 rounded">node server.js --record</code>{" "}
+            during a game day.
+          </div>
+        ) : (
+          <div className="max-h-80 overflow-y-auto">
+            {sessions.map(s => (
+              <button
+                key={s.id}
+                onClick={() => pick(s.id)}
+                disabled={loadingId !== null}
+                className="w-full px-4 py-2.5 text-left border-b border-gray-50 last:border-0 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+              >
+                <div className="text-sm font-semibold text-gray-800">
+                  {new Date(s.started_at).toLocaleDateString("en-US", { month: "short", day: "numeric" })}
+                  {" · "}{formatClock(Date.parse(s.started_at))}–{formatClock(Date.parse(s.ended_at))}
+                </div>
+                <div className="text-xs text-gray-400 mt-0.5 truncate">
+                  {loadingId === s.id ? "Loading…" : `${s.snapshots} snapshots · ${s.leagues.join(", ").toUpperCase()}`}
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
+export function ReplayControls({ source, clock, onLoadSession, onExit }) {
+  const [pickerOpen, setPickerOpen] = useState(false);
+
+  if (!source) {
+    return (
+      <div className="relative">
+        <button
+          onClick={() => setPickerOpen(o => !o)}
+          title="Replay a recorded game day"
+          className="text-xs font-semibold text-gray-400 hover:text-gray-700 border border-gray-200 rounded-lg px-2.5 py-1 transition-colors"
+        >
+          ⏵ Replay
+        </button>
+        {pickerOpen && <SessionPicker onPick={onLoadSession} onClose={() => setPickerOpen(false)} />}
+      </div>
+    );
+  }
+
+  const { time, playing, speed, setSpeed, seek, togglePlaying } = clock;
+  return (
+    <div className="flex items-center gap-2 bg-violet-50 border border-violet-100 rounded-xl px-2.5 py-1">
+      <button
+        onClick={togglePlaying}
+        title={playing ? "Pause" : "Play"}
+        className="text-violet-600 hover:text-violet-800 text-sm leading-none w-4"
+      >
+        {playing ? "❚❚" : "▶"}
+      </button>
+      <div className="flex gap-0.5">
+        {REPLAY_SPEEDS.map(s => (
+          <button
+            key={s}
+            onClick={() => setSpeed(s)}
+            className={`text-[10px] font-bold px-1.5 py-0.5 rounded-full transition-colors
+              ${speed === s ? "bg-violet-600 text-white" : "text-violet-500 hover:bg-violet-100"}`}
+          >
+            {s}x
+          </button>
+        ))}
+      </div>
+      <input
+        type="range"
+        min={source.start}
+        max={source.end}
+        step={1000}
+        value={time ?? source.start}
+        onChange={e => seek(Number(e.target.value))}
+        className="hidden sm:block w-32 md:w-44 accent-violet-600"
+      />
+      <span className="text-[10px] text-violet-500 tabular-nums whitespace-nowrap">
+        {time != null ? formatClock(time) : "—"}
+      </span>
+      <button
+        onClick={onExit}
+        title="Back to live scores"
+        className="text-violet-300 hover:text-violet-600 text-base leading-none"
+      >×</button>
+    </div>
+  );
+}
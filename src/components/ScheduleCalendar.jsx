@@ -0,0 +1,143 @@
+import { useState, useEffect } from "react";
+import { dayKey } from "../lib/router";
+import { isFollowingGame } from "../lib/myTeams";
+import { useSchedule, weekRange, monthRange, dateFromKey, addDays } from "../lib/schedule";
+
+// ─── Schedule calendar ────────────────────────────────────────────────────────
+// Week or month view of one league's schedule, opened from the day filter in a
+// league tab. Each day shows how many games it has, with a ♥ where a followed
+// team plays; picking a day (or a date from the picker) selects it in the URL.
+
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const WEEK_MATCHUPS = 4;
+
+function DayCell({ day, games, mode, isActive, isToday, inMonth, myTeams, onSelect }) {
+  const date = dateFromKey(day);
+  const followed = games.some(g => isFollowingGame(myTeams, g));
+  const live = games.some(g => g.status === "in_progress");
+
+  return (
+    <button
+      onClick={() => onSelect(day)}
+      className={`flex flex-col items-stretch text-left rounded-lg border px-1.5 py-1 transition-colors min-w-0
+        ${mode === "week" ? "min-h-[6.5rem]" : "min-h-[3.25rem]"}
+        ${isActive ? "border-gray-900 bg-gray-900 text-white" : "border-gray-100 bg-white hover:border-gray-300"}
+        ${!inMonth && !isActive ? "opacity-40" : ""}`}
+    >
+      <div className="flex items-center justify-between gap-1 text-[11px] font-semibold">
+        <span className={isToday && !isActive ? "text-indigo-600" : ""}>{date.getDate()}</span>
+        <span className="flex items-center gap-0.5">
+          {live && <span className="w-1.5 h-1.5 rounded-full bg-red-500" />}
+          {followed && <span className={isActive ? "text-red-300" : "text-red-400"}>♥</span>}
+        </span>
+      </div>
+      {mode === "week" ? (
+        <div className="mt-1 space-y-0.5 text-[10px] leading-tight">
+          {games.slice(0, WEEK_MATCHUPS).map(g => (
+            <div
+              key={g.id}
+              className={`truncate ${isFollowingGame(myTeams, g) ? "font-bold" : ""} ${isActive ? "text-white/80" : "text-gray-500"}`}
+            >
+              {g.away} @ {g.home}
+            </div>
+          ))}
+          {games.length > WEEK_MATCHUPS && (
+            <div className={isActive ? "text-white/50" : "text-gray-400"}>+{games.length - WEEK_MATCHUPS} more</div>
+          )}
+        </div>
+      ) : games.length > 0 && (
+        <div className={`mt-auto text-[10px] ${isActive ? "text-white/70" : "text-gray-400"}`}>
+          {games.length} {games.length === 1 ? "game" : "games"}
+        </div>
+      )}
+    </button>
+  );
+}
+
+export function ScheduleCalendar({ sport, activeDay, onSelectDay, myTeams }) {
+  const [mode, setMode] = useState("week");
+  // The day the view is built around; paging moves it without changing the selection
+  const [anchor, setAnchor] = useState(activeDay ?? dayKey(new Date()));
+  useEffect(() => { if (activeDay) setAnchor(activeDay); }, [activeDay]);
+
+  const range = mode === "week" ? weekRange(anchor) : monthRange(anchor);
+  const { games, loading, error } = useSchedule(sport, range);
+
+  const byDay = {};
+  for (const game of games ?? []) (byDay[dayKey(game.start_time)] ??= []).push(game);
+
+  const days = [];
+  for (let d = range.from; d < range.to; d = addDays(d, 1)) days.push(dayKey(d));
+
+  const anchorDate = dateFromKey(anchor);
+  const page = step => {
+    const next = mode === "week"
+      ? addDays(anchorDate, 7 * step)
+      : new Date(anchorDate.getFullYear(), anchorDate.getMonth() + step, 1);
+    setAnchor(dayKey(next));
+  };
+  const todayKey = dayKey(new Date());
+  const title = mode === "week"
+    ? `${range.from.toLocaleDateString("en-US", { month: "short", day: "numeric" })} – ${addDays(range.to, -1).toLocaleDateString("en-US", { month: "short", day: "numeric" })}`
+    : anchorDate.toLocaleDateString("en-US", { month: "long", year: "numeric" });
+
+  const select = day => { setAnchor(day); onSelectDay(day); };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-3 mb-5">
+      <div className="flex items-center gap-2 mb-3">
+        <button onClick={() => page(-1)} className="w-7 h-7 rounded-lg text-gray-500 hover:bg-gray-100" title="Previous">‹</button>
+        <span className="text-sm font-bold text-gray-900 min-w-0 truncate">{title}</span>
+        <button onClick={() => page(1)} className="w-7 h-7 rounded-lg text-gray-500 hover:bg-gray-100" title="Next">›</button>
+        {loading && <span className="text-[11px] text-gray-400">Loading…</span>}
+        <div className="ml-auto flex items-center gap-1.5">
+          <button
+            onClick={() => select(todayKey)}
+            className="text-xs font-semibold text-gray-500 hover:text-gray-900 px-2 py-1 rounded-lg hover:bg-gray-100"
+          >
+            Today
+          </button>
+          <input
+            type="date"
+            value={activeDay ?? ""}
+            onChange={e => e.target.value && select(e.target.value)}
+            className="text-xs text-gray-600 border border-gray-200 rounded-lg px-1.5 py-1"
+          />
+          <div className="inline-flex bg-gray-100 rounded-lg p-0.5">
+            {["week", "month"].map(m => (
+              <button
+                key={m}
+                onClick={() => setMode(m)}
+                className={`px-2 py-0.5 rounded-md text-[11px] font-semibold capitalize transition-colors
+                  ${mode === m ? "bg-white text-gray-900 shadow-sm" : "text-gray-500 hover:text-gray-700"}`}
+              >
+                {m}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && <div className="text-xs text-red-500 mb-2">Couldn't load the schedule — {error}</div>}
+
+      <div className="grid grid-cols-7 gap-1">
+        {WEEKDAYS.map(d => (
+          <div key={d} className="text-[10px] font-semibold text-gray-400 uppercase text-center">{d}</div>
+        ))}
+        {days.map(day => (
+          <DayCell
+            key={day}
+            day={day}
+            games={byDay[day] ?? []}
+            mode={mode}
+            isActive={day === activeDay}
+            isToday={day === todayKey}
+            inMonth={mode === "week" || dateFromKey(day).getMonth() === anchorDate.getMonth()}
+            myTeams={myTeams}
+            onSelect={select}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
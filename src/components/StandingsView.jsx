@@ -0,0 +1,160 @@
+import { useState, useEffect } from "react";
+import { getJson } from "../lib/api";
+import { teamKey } from "../lib/myTeams";
+
+// ─── Standings ────────────────────────────────────────────────────────────────
+// The Standings sub-view of a league tab, from /api/standings/:slug. US leagues
+// show a table per conference with a switch to divisions; soccer shows the
+// points table with form guides and a colour bar for each qualification or
+// relegation zone. Clicking a team opens TeamStatsPanel through onSelectTeam.
+
+const FORM_STYLES = {
+  W: "bg-green-500 text-white",
+  D: "bg-gray-300 text-gray-700",
+  L: "bg-red-500 text-white",
+};
+
+function FormGuide({ form }) {
+  // Oldest first, so the latest result sits at the right edge
+  return (
+    <div className="flex gap-0.5 justify-end">
+      {[...form].reverse().map((result, i) => (
+        <span key={i} className={`w-4 h-4 rounded-sm text-[9px] font-bold leading-4 text-center ${FORM_STYLES[result]}`}>
+          {result}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function StandingsTable({ title, rows, columns, zones, sport, myTeams, onSelectTeam }) {
+  const zoneColor = id => zones.find(z => z.id === id)?.color;
+  const showForm = rows.some(r => r.form?.length > 0);
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 px-4 py-3 mb-4 overflow-x-auto">
+      {title && <div className="text-xs font-bold text-gray-400 uppercase tracking-widest mb-1.5">{title}</div>}
+      <table className="w-full text-xs tabular-nums">
+        <thead>
+          <tr className="text-gray-400 border-b border-gray-100">
+            <th className="text-left font-semibold py-1.5 pr-2 w-6">#</th>
+            <th className="text-left font-semibold py-1.5 pr-3">Team</th>
+            {columns.map(c => <th key={c.key} className="text-right font-semibold py-1.5 px-1.5 whitespace-nowrap">{c.label}</th>)}
+            {showForm && <th className="text-right font-semibold py-1.5 pl-3">Form</th>}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-50">
+          {rows.map(row => {
+            const followed = myTeams.has(teamKey(sport, row.team.id ?? row.team.abbr));
+            const color = zoneColor(row.zone);
+            return (
+              <tr key={row.team.id ?? row.team.abbr} className={followed ? "bg-indigo-50/60" : ""}>
+                <td className="py-1.5 pr-2 text-gray-400 font-semibold">
+                  <span
+                    className="inline-block pl-1.5 border-l-[3px]"
+                    style={{ borderColor: color ?? "transparent" }}
+                  >
+                    {row.rank}
+                  </span>
+                </td>
+                <td className="py-1.5 pr-3 whitespace-nowrap">
+                  <button
+                    onClick={() => onSelectTeam({ ...row.team, sport })}
+                    className="flex items-center gap-2 font-semibold text-gray-900 hover:text-indigo-600 transition-colors"
+                  >
+                    {row.team.logo
+                      ? <img src={row.team.logo} alt="" className="w-4 h-4 object-contain" />
+                      : <span className="w-4 text-[9px] font-bold text-gray-400">{row.team.abbr}</span>
+                    }
+                    <span className="truncate max-w-[11rem]">{row.team.name}</span>
+                    {followed && <span className="text-red-400">♥</span>}
+                  </button>
+                </td>
+                {columns.map(c => (
+                  <td key={c.key} className={`text-right py-1.5 px-1.5 ${c.key === "points" ? "font-bold text-gray-900" : "text-gray-600"}`}>
+                    {row.stats[c.key] ?? "—"}
+                  </td>
+                ))}
+                {showForm && (
+                  <td className="py-1.5 pl-3">{row.form?.length > 0 && <FormGuide form={row.form} />}</td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export function StandingsView({ sport, leagueLabel, myTeams, onSelectTeam }) {
+  const [standings, setStandings] = useState(null);
+  const [error, setError] = useState(null);
+  const [byDivision, setByDivision] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStandings(null);
+    setError(null);
+    getJson(`/standings/${sport}`)
+      .then(s => { if (!cancelled) setStandings(s); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [sport]);
+
+  if (error) return <div className="text-center py-16 text-gray-400">Couldn't load standings — {error}</div>;
+  if (!standings) return <div className="text-center py-16 text-gray-400">Loading standings…</div>;
+
+  const { groups, columns, zones } = standings;
+  if (groups.every(g => g.rows.length === 0)) {
+    return <div className="text-center py-16 text-gray-400">No standings for {leagueLabel(sport)} yet.</div>;
+  }
+
+  const hasDivisions = groups.some(g => g.divisions.length > 0);
+  const tables = hasDivisions && byDivision
+    ? groups.flatMap(g => g.divisions.map(d => ({ title: d.name, rows: d.rows, zones: [] })))
+    : groups.map(g => ({ title: g.name, rows: g.rows, zones }));
+
+  return (
+    <div>
+      {hasDivisions && (
+        <div className="flex gap-2 mb-4">
+          {[["Conference", false], ["Division", true]].map(([label, value]) => (
+            <button
+              key={label}
+              onClick={() => setByDivision(value)}
+              className={`px-3 py-1.5 rounded-full text-xs font-semibold transition-colors
+                ${byDivision === value ? "bg-gray-900 text-white" : "bg-white border border-gray-200 text-gray-500 hover:border-gray-400 hover:text-gray-700"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {tables.map((table, i) => (
+        <StandingsTable
+          key={table.title ?? i}
+          title={table.title}
+          rows={table.rows}
+          columns={columns}
+          zones={table.zones}
+          sport={sport}
+          myTeams={myTeams}
+          onSelectTeam={onSelectTeam}
+        />
+      ))}
+
+      {zones.length > 0 && !byDivision && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 px-1 text-[11px] text-gray-500">
+          {zones.map(z => (
+            <span key={z.id} className="flex items-center gap-1.5">
+              <span className="w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: z.color }} />
+              {z.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { useState } from "react";
+
+// ─── Followed-team migration ──────────────────────────────────────────────────
+// Shown while old abbreviation-only follows are waiting on the user. Each
+// unresolved abbreviation lists every team that uses it; the user ticks the
+// ones they actually follow. While some leagues' team lists couldn't be
+// loaded (`complete` false) even a single match is the user's call, and an
+// abbreviation with no match may yet turn up in a league that didn't answer.
+
+function Candidate({ team, selected, onToggle, leagueLabel }) {
+  return (
+    <button
+      onClick={onToggle}
+      className={`flex items-center gap-2 px-2.5 py-1.5 rounded-xl border text-xs transition-colors
+        ${selected ? "border-indigo-400 bg-indigo-50 text-indigo-700" : "border-gray-200 bg-white text-gray-600 hover:border-gray-400"}`}
+    >
+      {team.logo
+        ? <img src={team.logo} alt="" className="w-5 h-5 object-contain" />
+        : <span className="w-5 h-5 rounded-full bg-gray-100 flex items-center justify-center text-[9px] font-bold text-gray-500">{team.abbr}</span>
+      }
+      <span className="font-semibold">{team.name}</span>
+      <span className="text-gray-400">{leagueLabel(team.league)}</span>
+    </button>
+  );
+}
+
+function AmbiguousTeam({ abbr, candidates, complete, onResolve, leagueLabel }) {
+  const [selected, setSelected] = useState(() => new Set());
+  const toggle = (key) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(key)) next.delete(key); else next.add(key);
+    return next;
+  });
+
+  return (
+    <div className="py-3 first:pt-0 last:pb-0">
+      <div className="text-xs text-gray-500 mb-2">
+        You followed <strong className="text-gray-800">{abbr}</strong>, which matches {candidates.length === 1 ? "one team" : `${candidates.length} teams`}
+        {complete ? "" : " in the leagues that loaded"}. Which do you follow?
+      </div>
+      <div className="flex flex-wrap gap-1.5">
+        {candidates.map(team => (
+          <Candidate
+            key={team.key}
+            team={team}
+            selected={selected.has(team.key)}
+            onToggle={() => toggle(team.key)}
+            leagueLabel={leagueLabel}
+          />
+        ))}
+        <button
+          onClick={() => onResolve(abbr, candidates.filter(t => selected.has(t.key)))}
+          className="px-3 py-1.5 rounded-xl bg-gray-900 text-white text-xs font-semibold hover:bg-gray-700 transition-colors"
+        >
+          {selected.size === 0 ? "None of these" : "Save"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export function TeamMigrationPrompt({ ambiguous, missing, complete, onResolve, onDrop, leagueLabel }) {
+  if (ambiguous.length === 0 && missing.length === 0) return null;
+
+  return (
+    <div className="bg-white border border-indigo-100 rounded-2xl px-5 py-4 mb-4 shadow-sm">
+      <div className="text-xs font-bold text-indigo-500 uppercase tracking-widest mb-3">♥ Update your teams</div>
+      <div className="divide-y divide-gray-100">
+        {ambiguous.map(({ abbr, candidates }) => (
+          <AmbiguousTeam key={abbr} abbr={abbr} candidates={candidates} complete={complete} onResolve={onResolve} leagueLabel={leagueLabel} />
+        ))}
+        {missing.length > 0 && (
+          <div className="py-3 first:pt-0 last:pb-0 text-xs text-gray-500">
+            {complete ? "No team in any league uses" : "Not found in the leagues that loaded"}:{" "}
+            {missing.map(abbr => (
+              <span key={abbr} className="inline-flex items-center gap-1 mr-2">
+                <strong className="text-gray-800">{abbr}</strong>
+                <button onClick={() => onDrop(abbr)} title="Stop following" className="text-gray-300 hover:text-red-500">×</button>
+              </span>
+            ))}
+            <span className="text-gray-400">
+              {complete ? "— nothing to move over." : "— the other leagues are being asked again."}
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
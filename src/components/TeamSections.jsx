@@ -0,0 +1,179 @@
+import { useState, useEffect } from "react";
+import { getJson } from "../lib/api";
+import { pageUrl, followLink } from "../lib/router";
+import { PlayerLink } from "./PlayerLink";
+
+// ─── Team sections ────────────────────────────────────────────────────────────
+// The Schedule, Roster and Head-to-head tabs of TeamStatsPanel. Schedule rows
+// link to the game page; head-to-head is fetched from
+// /api/team/:sport/:id/h2h/:opponentId when its tab is opened.
+
+const RESULT_COLORS = { W: "text-green-600", L: "text-red-500", D: "text-gray-400" };
+
+function SectionTitle({ children }) {
+  return <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-2">{children}</div>;
+}
+
+function Empty({ children }) {
+  return <div className="px-4 py-10 text-center text-xs text-gray-400">{children}</div>;
+}
+
+// isSoccer: draws are "D" there and ties ("T") elsewhere
+function ScheduleRow({ game, sport, isSoccer }) {
+  const date = new Date(game.date);
+  const dateStr = date.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+  const timeStr = date.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+  const drawLetter = game.result === "D" && !isSoccer ? "T" : game.result;
+
+  return (
+    <a
+      href={pageUrl(sport, "game", game.id)}
+      onClick={followLink}
+      className="flex items-center gap-2 text-xs py-1.5 -mx-2 px-2 rounded-lg hover:bg-gray-50 transition-colors"
+    >
+      <span className="text-gray-400 shrink-0 w-12">{dateStr}</span>
+      <span className="text-gray-400 shrink-0 w-4">{game.isHome ? "vs" : "@"}</span>
+      {game.opponent.logo && <img src={game.opponent.logo} alt="" className="w-4 h-4 object-contain shrink-0" />}
+      <span className="font-medium text-gray-800 flex-1 truncate">{game.opponent.name}</span>
+      {game.status === "scheduled" ? (
+        <span className="text-gray-400 shrink-0">{timeStr}</span>
+      ) : game.status === "in_progress" ? (
+        <span className="tabular-nums font-semibold text-red-500 shrink-0">● {game.teamScore}–{game.oppScore}</span>
+      ) : (
+        <span className="tabular-nums shrink-0">
+          <span className={`font-bold mr-1.5 ${RESULT_COLORS[game.result] ?? "text-gray-400"}`}>{drawLetter}</span>
+          <span className="text-gray-500">{game.teamScore}–{game.oppScore}</span>
+        </span>
+      )}
+    </a>
+  );
+}
+
+// Whole season: upcoming games first (soonest at the top), then results (latest first)
+export function TeamSchedule({ schedule, sport, isSoccer }) {
+  if (!schedule?.length) return <Empty>No schedule available</Empty>;
+  const upcoming = schedule.filter(g => g.status !== "final");
+  const results = schedule.filter(g => g.status === "final").reverse();
+
+  return (
+    <div className="divide-y divide-gray-100">
+      {upcoming.length > 0 && (
+        <div className="px-4 py-3">
+          <SectionTitle>
+            {upcoming.some(g => g.status === "in_progress") ? "Live & upcoming" : "Upcoming"} · {upcoming.length}
+          </SectionTitle>
+          {upcoming.map(g => <ScheduleRow key={g.id} game={g} sport={sport} isSoccer={isSoccer} />)}
+        </div>
+      )}
+      {results.length > 0 && (
+        <div className="px-4 py-3">
+          <SectionTitle>Results · {results.length}</SectionTitle>
+          {results.map(g => <ScheduleRow key={g.id} game={g} sport={sport} isSoccer={isSoccer} />)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Players grouped by position, in the order positions first appear
+export function TeamRoster({ roster, sport }) {
+  if (!roster?.length) return <Empty>No roster available</Empty>;
+  const groups = new Map();
+  for (const p of roster) {
+    const key = p.position ?? "—";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(p);
+  }
+
+  return (
+    <div className="divide-y divide-gray-100">
+      {[...groups.entries()].map(([position, players]) => (
+        <div key={position} className="px-4 py-3">
+          <SectionTitle>{position}</SectionTitle>
+          <div className="space-y-2">
+            {players.map(p => (
+              <div key={p.id ?? p.name} className="flex items-center gap-2.5">
+                {p.headshot
+                  ? <img src={p.headshot} alt="" className="w-8 h-8 rounded-full object-cover shrink-0 bg-gray-100" />
+                  : <div className="w-8 h-8 rounded-full bg-gray-100 flex items-center justify-center text-xs font-bold text-gray-500 shrink-0">
+                      {p.jersey ?? "?"}
+                    </div>
+                }
+                <div className="flex-1 min-w-0">
+                  <PlayerLink sport={sport} id={p.id} name={p.name} className="block font-semibold text-xs text-gray-900 truncate" />
+                  <div className="text-xs text-gray-400 mt-0.5">
+                    {p.position && <span>{p.position}</span>}
+                    {p.jersey && <span className="ml-1.5">#{p.jersey}</span>}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function HeadToHead({ sport, isSoccer, teamId, teamAbbr, opponentId }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setData(null);
+    setError(null);
+    getJson(`/team/${sport}/${encodeURIComponent(teamId)}/h2h/${encodeURIComponent(opponentId)}`)
+      .then(d => { if (!cancelled) setData(d); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [sport, teamId, opponentId]);
+
+  if (error) return <Empty>Couldn't load head-to-head — {error}</Empty>;
+  if (!data) return <Empty>Loading…</Empty>;
+  if (data.games.length === 0) return <Empty>These teams haven't met recently.</Empty>;
+
+  const { opponent, record, games } = data;
+  const played = games.filter(g => g.status === "final");
+  const upcoming = games.filter(g => g.status !== "final").reverse();
+  const scoreFor = played.reduce((sum, g) => sum + g.teamScore, 0);
+  const scoreAgainst = played.reduce((sum, g) => sum + g.oppScore, 0);
+
+  return (
+    <div className="divide-y divide-gray-100">
+      <div className="px-4 py-4 flex items-center justify-around text-center">
+        <div>
+          <div className="text-2xl font-black text-gray-900 tabular-nums">{record.wins}</div>
+          <div className="text-xs text-gray-400 font-medium">{teamAbbr ?? "Wins"}</div>
+        </div>
+        {record.draws > 0 && (
+          <div>
+            <div className="text-2xl font-black text-gray-400 tabular-nums">{record.draws}</div>
+            <div className="text-xs text-gray-400 font-medium">{isSoccer ? "Draws" : "Ties"}</div>
+          </div>
+        )}
+        <div>
+          <div className="text-2xl font-black text-gray-900 tabular-nums">{record.losses}</div>
+          <div className="text-xs text-gray-400 font-medium">{opponent?.abbr ?? "Losses"}</div>
+        </div>
+      </div>
+      {played.length > 0 && (
+        <div className="px-4 py-2 text-xs text-gray-500 text-center">
+          {played.length} {played.length === 1 ? "meeting" : "meetings"} · aggregate {scoreFor}–{scoreAgainst}
+        </div>
+      )}
+      {upcoming.length > 0 && (
+        <div className="px-4 py-3">
+          <SectionTitle>Next {upcoming.length === 1 ? "meeting" : "meetings"}</SectionTitle>
+          {upcoming.map(g => <ScheduleRow key={g.id} game={g} sport={sport} isSoccer={isSoccer} />)}
+        </div>
+      )}
+      {played.length > 0 && (
+        <div className="px-4 py-3">
+          <SectionTitle>Past meetings</SectionTitle>
+          {played.map(g => <ScheduleRow key={g.id} game={g} sport={sport} isSoccer={isSoccer} />)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import { useState } from "react";
+import { gamePhase, gameProgress } from "../../core/clock.js";
+
+// ─── Win probability chart ────────────────────────────────────────────────────
+// Line chart of home/away (and draw, for soccer) win probability across every
+// snapshot recorded for a game, over game time: each snapshot's clock is read
+// by core/clock.js, so halftime and stoppages take no room. When a clock can't
+// be read the chart falls back to when the snapshots were taken. Goals from
+// `events` are pinned to the snapshot where the scoring team's score first
+// reached that goal's count. Hovering moves a cursor and the readout below
+// follows it.
+//
+// history: [{ t, clock, score: { [abbr]: n }, wp: { [abbr]: pct, draw? } | null, final? }]
+// league: the game's League description
+
+const W = 320;
+const H = 120;
+const PAD = { top: 14, right: 6, bottom: 6, left: 6 };
+const COLORS = { away: "#f97316", home: "#6366f1", draw: "#9ca3af" };
+const GOAL_ICONS = { soccer: "⚽", hockey: "🏒" };
+
+function isGoal(event) {
+  const t = event.type?.toLowerCase() ?? "";
+  return t.includes("goal") && !t.includes("disallowed");
+}
+
+// Goal events pinned to snapshot indexes. Only goal-based scoring can be lined
+// up this way (one goal = one point), which covers soccer and hockey.
+function goalMarkers(history, events, home, away) {
+  const markers = [];
+  for (const [abbr, isHome] of [[home, true], [away, false]]) {
+    const goals = (events ?? []).filter(e => isGoal(e) && e.isHome === isHome);
+    goals.forEach((event, k) => {
+      const index = history.findIndex(s => (s.score?.[abbr] ?? 0) >= k + 1);
+      // index 0 means the goal came before we started watching — nothing to pin it to
+      if (index > 0) markers.push({ index, abbr, isHome, event });
+    });
+  }
+  return markers;
+}
+
+// Each snapshot's place on the x axis: game progress from kick-off (0) through
+// regulation (1) and on into extra periods, or failing that for any snapshot,
+// wall-clock time across the snapshots
+function timeline(points, league) {
+  const progress = points.map(s => gameProgress(
+    gamePhase({ status: s.final ? "final" : "in_progress", clock: s.clock }, league), league));
+  const ordered = progress.every((p, i) => p != null && (i === 0 || p >= progress[i - 1]));
+  if (ordered) return { at: progress, from: 0, to: Math.max(progress[progress.length - 1], 1) };
+  const at = points.map(s => s.t);
+  return { at, from: at[0], to: Math.max(at[at.length - 1], at[0] + 1) };
+}
+
+export function WinProbChart({ history, home, away, events, league }) {
+  const [hover, setHover] = useState(null);
+  const points = history.filter(s => s.wp);
+  if (points.length < 2) return null;
+
+  const axis = timeline(points, league);
+  const x = i => PAD.left + ((axis.at[i] - axis.from) / (axis.to - axis.from)) * (W - PAD.left - PAD.right);
+  const y = pct => PAD.top + (1 - (pct ?? 0) / 100) * (H - PAD.top - PAD.bottom);
+  const line = key => points.map((s, i) => `${x(i).toFixed(1)},${y(s.wp[key]).toFixed(1)}`).join(" ");
+  const hasDraw = points.some(s => s.wp.draw != null);
+  const markers = goalMarkers(points, events, home, away);
+
+  const onMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) / rect.width) * W;
+    let nearest = 0;
+    points.forEach((_, i) => { if (Math.abs(x(i) - px) < Math.abs(x(nearest) - px)) nearest = i; });
+    setHover(nearest);
+  };
+
+  const shownIndex = hover ?? points.length - 1;
+  const shown = points[shownIndex];
+  const shownGoals = markers.filter(m => m.index === (hover ?? -1));
+  const goalIcon = GOAL_ICONS[league?.sport] ?? "●";
+  const goalMinute = clock => (league?.periods?.clock === "running" ? `${clock}'` : clock);
+
+  return (
+    <div>
+      <div className="text-xs font-semibold text-gray-400 uppercase tracking-wide mb-2">Win Probability</div>
+      <svg
+        viewBox={`0 0 ${W} ${H}`}
+        className="w-full h-auto cursor-crosshair select-none"
+        onMouseMove={onMove}
+        onMouseLeave={() => setHover(null)}
+      >
+        {/* 50% reference line */}
+        <line x1={PAD.left} x2={W - PAD.right} y1={y(50)} y2={y(50)} stroke="#e5e7eb" strokeDasharray="3 3" />
+        {/* Goal annotations: faint rule + team-colored dot along the top */}
+        {markers.map((m, i) => (
+          <g key={i}>
+            <line x1={x(m.index)} x2={x(m.index)} y1={PAD.top - 6} y2={H - PAD.bottom} stroke="#f3f4f6" />
+            <circle cx={x(m.index)} cy={PAD.top - 8} r={3.5} fill={m.isHome ? COLORS.home : COLORS.away}>
+              <title>{`${m.event.player ?? m.abbr}${m.event.clock ? ` ${goalMinute(m.event.clock)}` : ""}`}</title>
+            </circle>
+          </g>
+        ))}
+        {hasDraw && <polyline points={line("draw")} fill="none" stroke={COLORS.draw} strokeWidth="1.5" strokeDasharray="4 3" />}
+        <polyline points={line(away)} fill="none" stroke={COLORS.away} strokeWidth="2" strokeLinejoin="round" />
+        <polyline points={line(home)} fill="none" stroke={COLORS.home} strokeWidth="2" strokeLinejoin="round" />
+        {hover !== null && (
+          <line x1={x(shownIndex)} x2={x(shownIndex)} y1={PAD.top} y2={H - PAD.bottom} stroke="#374151" strokeWidth="0.75" />
+        )}
+      </svg>
+
+      {/* Readout — latest snapshot, or the one under the cursor */}
+      <div className="flex items-center justify-between mt-1.5 text-xs text-gray-500 tabular-nums">
+        <span className="text-gray-400">
+          {shown.clock ?? new Date(shown.t).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+          {shown.score && <> · {away} {shown.score[away]}–{shown.score[home]} {home}</>}
+        </span>
+        <span className="flex gap-2.5">
+          <span style={{ color: COLORS.away }} className="font-semibold">{away} {Math.round(shown.wp[away] ?? 0)}%</span>
+          {hasDraw && <span style={{ color: COLORS.draw }} className="font-semibold">Draw {Math.round(shown.wp.draw ?? 0)}%</span>}
+          <span style={{ color: COLORS.home }} className="font-semibold">{home} {Math.round(shown.wp[home] ?? 0)}%</span>
+        </span>
+      </div>
+      {shownGoals.length > 0 && (
+        <div className="mt-1 text-xs text-gray-600">
+          {shownGoals.map((m, i) => (
+            <span key={i} className="mr-2">{goalIcon} {m.event.player ?? m.abbr}{m.event.clock && ` (${goalMinute(m.event.clock)})`}</span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+// ─── API client ───────────────────────────────────────────────────────────────
+
+export const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:3001/api";
+
+// GET a JSON endpoint relative to API_BASE; throws on non-2xx so callers can
+// treat "server down" and "server said no" the same way.
+export async function getJson(path) {
+  const response = await fetch(`${API_BASE}${path}`);
+  if (!response.ok) throw new Error(`Server error for ${path}: ${response.status}`);
+  return response.json();
+}
+
+// POST a JSON body; the server's error message, when it sends one, becomes the
+// thrown error's message so it can be shown as is (e.g. "Picks … locked")
+export async function postJson(path, body) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) throw new Error(data?.error ?? `Server error for ${path}: ${response.status}`);
+  return data;
+}
+
+// ─── Shared fetch cache ───────────────────────────────────────────────────────
+// For responses every caller in the session can share (ratings, odds, schedule
+// ranges). cached(key, ttl, load) returns the in-flight or stored promise for
+// `key` while it is under `ttl` ms old, else starts load(); concurrent callers
+// share one fetch. A failure is never kept, so the next caller retries.
+// peek(key) is the last value loaded for `key`, or null — for rendering
+// something while a refetch is under way.
+export function createFetchCache() {
+  const entries = new Map(); // key → { promise, fetchedAt, value }
+
+  function cached(key, ttl, load) {
+    const hit = entries.get(key);
+    if (hit && Date.now() - hit.fetchedAt < ttl) return hit.promise;
+    const promise = load();
+    const entry = { promise, fetchedAt: Date.now(), value: hit?.value ?? null };
+    entries.set(key, entry);
+    promise.then(
+      value => { entry.value = value; },
+      () => { if (entries.get(key) === entry) entries.delete(key); }
+    );
+    return promise;
+  }
+
+  const peek = key => entries.get(key)?.value ?? null;
+
+  return { cached, peek };
+}
@@ -0,0 +1,140 @@
+import { useState, useEffect } from "react";
+import { getJson } from "./api";
+import { settleBet } from "../../core/betLedger.js";
+
+// ─── Bet ledger ───────────────────────────────────────────────────────────────
+// A personal record of what was actually wagered, kept in this browser under
+// chalkboard_bet_ledger as { bets: Bet[] }:
+//   { id, placedAt, league, gameId, start_time, home, away,
+//     type: "moneyline" | "spread" | "total",
+//     side: abbr | "draw" | "over" | "under",
+//     line: number | null,        spread from the side's point of view, or the total
+//     price: american, stake,
+//     bestBet: bool,              the app's Best Bet game, on its favored side
+//     status: "pending" | "won" | "lost" | "push",
+//     profit: number | null, final: { [abbr]: n } | null, settledAt }
+// Bets settle on their own once their game is final — from the scoreboards the
+// app already has, or by fetching the game when it's no longer on them.
+// Every component reading the ledger shares one copy through useBetLedger.
+// Grading, P&L and the CSV export are core/betLedger.js.
+
+const STORAGE_KEY = "chalkboard_bet_ledger";
+// How long after start a game not on any loaded scoreboard is looked up, how
+// long to wait before the first retry (doubling each time), and when to give
+// up — a postponed or cancelled game may never go final
+const LOOKUP_AFTER_MS = 3 * 60 * 60_000;
+const LOOKUP_RETRY_MS = 10 * 60_000;
+const MAX_LOOKUPS = 6;
+
+export const BET_TYPES = [
+  { id: "moneyline", label: "Moneyline" },
+  { id: "spread",    label: "Spread" },
+  { id: "total",     label: "Total" },
+];
+
+// Runs at import, before React mounts — a corrupt saved ledger starts empty
+// rather than taking the whole app down with it
+function load() {
+  try {
+    const bets = JSON.parse(localStorage.getItem(STORAGE_KEY))?.bets;
+    return Array.isArray(bets) ? bets : [];
+  } catch {
+    return [];
+  }
+}
+
+let bets = load();
+const listeners = new Set();
+
+function update(next) {
+  bets = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ bets }));
+  listeners.forEach(listener => listener(bets));
+}
+
+export function useBetLedger() {
+  const [current, setCurrent] = useState(bets);
+  useEffect(() => {
+    listeners.add(setCurrent);
+    setCurrent(bets);
+    return () => { listeners.delete(setCurrent); };
+  }, []);
+  return current;
+}
+
+// ─── Recording ────────────────────────────────────────────────────────────────
+
+// The side findBestBet's pick favors — by win probability, else the team
+// named in the spread ("PHX -3.5")
+function bestBetSide(bestBet) {
+  if (!bestBet) return null;
+  const { home, away, win_probability: wp, spread } = bestBet.game;
+  if (wp) return (wp[home] ?? 50) >= (wp[away] ?? 50) ? home : away;
+  return spread?.favorite?.split(" ")[0] ?? null;
+}
+
+// `bestBet` is findBestBet's result; a bet matches it when it backs the Best
+// Bet game's favorite, straight up or on the spread
+export function addBet({ game, type, side, line, price, stake }, bestBet) {
+  const bet = {
+    id: crypto.randomUUID(),
+    placedAt: new Date().toISOString(),
+    league: game.sport,
+    gameId: game.id,
+    start_time: game.start_time,
+    home: game.home,
+    away: game.away,
+    type, side,
+    line: type === "moneyline" ? null : line,
+    price, stake,
+    bestBet: bestBet?.game.id === game.id && type !== "total" && side === bestBetSide(bestBet),
+    status: "pending", profit: null, final: null, settledAt: null,
+  };
+  update([...bets, bet]);
+  if (game.status === "final") settleBets({ [game.sport]: [game] });
+  return bet;
+}
+
+export function removeBet(id) {
+  update(bets.filter(b => b.id !== id));
+}
+
+// ─── Settlement ───────────────────────────────────────────────────────────────
+
+const lookups = new Map(); // bet id → { attempts, lastAt, inFlight }
+
+function lookupDue(bet) {
+  const lookup = lookups.get(bet.id);
+  if (!lookup) return true;
+  if (lookup.inFlight || lookup.attempts >= MAX_LOOKUPS) return false;
+  return Date.now() - lookup.lastAt >= LOOKUP_RETRY_MS * 2 ** (lookup.attempts - 1);
+}
+
+// Settles every pending bet whose game is final in `allGames` ({ [slug]: Game[] }).
+// Bets on games that started a while ago and aren't there are looked up one by
+// one, backing off between tries and giving up after MAX_LOOKUPS.
+export function settleBets(allGames) {
+  const finals = new Map();
+  for (const games of Object.values(allGames)) {
+    for (const g of games) if (g.status === "final" && g.score) finals.set(`${g.sport}:${g.id}`, g);
+  }
+  const pending = bets.filter(b => b.status === "pending");
+  const settled = new Map();
+  for (const bet of pending) {
+    const game = finals.get(`${bet.league}:${bet.gameId}`);
+    if (game) settled.set(bet.id, settleBet(bet, game.score));
+  }
+  if (settled.size > 0) update(bets.map(b => settled.get(b.id) ?? b));
+
+  const known = new Set(Object.values(allGames).flat().map(g => `${g.sport}:${g.id}`));
+  for (const bet of pending) {
+    if (settled.has(bet.id) || known.has(`${bet.league}:${bet.gameId}`) || !lookupDue(bet)) continue;
+    if (Date.now() - new Date(bet.start_time).getTime() < LOOKUP_AFTER_MS) continue;
+    const lookup = { attempts: (lookups.get(bet.id)?.attempts ?? 0) + 1, lastAt: Date.now(), inFlight: true };
+    lookups.set(bet.id, lookup);
+    getJson(`/game/${bet.league}/${encodeURIComponent(bet.gameId)}`)
+      .then(game => { if (game.status === "final") settleBets({ [bet.league]: [game] }); })
+      .catch(() => {})
+      .finally(() => { lookup.inFlight = false; });
+  }
+}
@@ -0,0 +1,72 @@
+// ─── Score history persistence ────────────────────────────────────────────────
+// Keeps each game's score snapshots (scoreHistory) and win probability
+// timeline (probHistory) in IndexedDB so a reload doesn't wipe momentum,
+// lead-change counts or the charts. One record per game:
+//   { gameId, scores: [...], probs: [...], updatedAt }
+// Records not written for HISTORY_MAX_AGE are pruned when history is loaded.
+
+const DB_NAME = "chalkboard";
+const DB_VERSION = 1;
+const STORE = "gameHistory";
+
+export const HISTORY_MAX_AGE = 3 * 24 * 60 * 60_000;
+
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: "gameId" });
+      store.createIndex("updatedAt", "updatedAt");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Returns { scoreHistory, probHistory } keyed by game id, after deleting
+// records older than maxAge.
+export async function loadHistory({ maxAge = HISTORY_MAX_AGE, now = Date.now() } = {}) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  const cutoff = now - maxAge;
+
+  store.index("updatedAt").openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (cursor) { cursor.delete(); cursor.continue(); }
+  };
+  const request = store.getAll();
+  await transactionDone(tx);
+
+  const scoreHistory = {};
+  const probHistory = {};
+  for (const record of request.result) {
+    if (record.updatedAt < cutoff) continue; // deleted above, but getAll may have run first
+    if (record.scores?.length) scoreHistory[record.gameId] = record.scores;
+    if (record.probs?.length) probHistory[record.gameId] = record.probs;
+  }
+  return { scoreHistory, probHistory };
+}
+
+// entries: [{ gameId, scores, probs }]
+export async function saveHistory(entries, now = Date.now()) {
+  const db = await openDb();
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  for (const entry of entries) store.put({ ...entry, updatedAt: now });
+  await transactionDone(tx);
+}
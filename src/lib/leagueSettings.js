@@ -0,0 +1,63 @@
+// ─── League settings ──────────────────────────────────────────────────────────
+// Which leagues someone wants, in what order, and which tab the app opens on.
+// Stored under chalkboard_league_settings:
+//   { groupOrder: [groupId], leagueOrder: { [groupId]: [slug] },
+//     disabled: [slug], landingTab: "🔥" | "★" | slug }
+// Orders only record what the user has arranged; groups and leagues added to
+// the app later slot in after them in their default order, enabled.
+
+const STORAGE_KEY = "chalkboard_league_settings";
+
+export const DEFAULT_LEAGUE_SETTINGS = { groupOrder: [], leagueOrder: {}, disabled: [], landingTab: "🔥" };
+
+export function loadLeagueSettings() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return saved ? { ...DEFAULT_LEAGUE_SETTINGS, ...JSON.parse(saved) } : DEFAULT_LEAGUE_SETTINGS;
+}
+
+export function saveLeagueSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+// `items` sorted by their position in `order`; anything not in it keeps its place after
+function byOrder(items, order, idOf) {
+  const rank = id => { const i = order.indexOf(id); return i < 0 ? order.length : i; };
+  return items
+    .map((item, i) => ({ item, i }))
+    .sort((a, b) => rank(idOf(a.item)) - rank(idOf(b.item)) || a.i - b.i)
+    .map(({ item }) => item);
+}
+
+// Every group and league in the user's order, disabled ones included (for the settings screen)
+export function orderGroups(groups, settings) {
+  return byOrder(groups, settings.groupOrder, g => g.id).map(group => ({
+    ...group,
+    leagues: byOrder(group.leagues, settings.leagueOrder[group.id] ?? [], l => l.slug),
+  }));
+}
+
+// The navigation: ordered groups with only their enabled leagues, empty groups dropped
+export function arrangeGroups(groups, settings) {
+  const disabled = new Set(settings.disabled);
+  return orderGroups(groups, settings)
+    .map(group => ({ ...group, leagues: group.leagues.filter(l => !disabled.has(l.slug)) }))
+    .filter(group => group.leagues.length > 0);
+}
+
+// Swaps the entry at `index` with its neighbour `step` away (−1 up, +1 down)
+export function moveItem(list, index, step) {
+  const target = index + step;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+export function toggleLeague(settings, slug) {
+  const disabled = settings.disabled.includes(slug)
+    ? settings.disabled.filter(s => s !== slug)
+    : [...settings.disabled, slug];
+  // The landing tab can't be a league that is switched off
+  const landingTab = disabled.includes(settings.landingTab) ? DEFAULT_LEAGUE_SETTINGS.landingTab : settings.landingTab;
+  return { ...settings, disabled, landingTab };
+}
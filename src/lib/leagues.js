@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from "react";
+import { getJson } from "./api";
+import { isSoccer as coreIsSoccer, periodName as corePeriodName } from "../../core/leagues.js";
+
+// ─── League registry ──────────────────────────────────────────────────────────
+// Every league the server knows, from /api/leagues (see server/leagues.js):
+//   { groups: [{ id, label, colors: { accent, text, tint, soft },
+//                leagues: [{ slug, label, sport, periods, tense, statKeys, seasonStatKeys }] }] }
+// Loaded once before the app renders; the lookups below read the loaded copy,
+// so navigation and sport logic never name a league or sport themselves.
+// The sport logic itself is core/leagues.js; the heuristics in core/ take
+// getLeagueInfo's descriptions.
+
+let registry = null;
+let groups = [];
+let slugs = [];
+const bySlug = new Map();
+
+function install(data) {
+  registry = data;
+  groups = data.groups;
+  slugs = groups.flatMap(g => g.leagues.map(l => l.slug));
+  bySlug.clear();
+  for (const league of groups.flatMap(g => g.leagues)) bySlug.set(league.slug, league);
+}
+
+// { ready, error, retry } — ready once the registry is in
+export function useLeagueRegistry() {
+  const [ready, setReady] = useState(registry != null);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (registry) return;
+    let cancelled = false;
+    setError(null);
+    getJson("/leagues")
+      .then(data => { if (!cancelled) { install(data); setReady(true); } })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [attempt]);
+
+  const retry = useCallback(() => setAttempt(a => a + 1), []);
+  return { ready, error, retry };
+}
+
+// Sport groups in the server's order, each with its leagues
+export function allSportGroups() {
+  return groups;
+}
+
+// Flat ordered list of every league slug (the same array on every call)
+export function allLeagueIds() {
+  return slugs;
+}
+
+export function getLeagueInfo(slug) {
+  return bySlug.get(slug) ?? null;
+}
+
+// Human-readable display name for a slug (e.g. "nba" → "NBA", "epl" → "Premier League")
+export function leagueLabel(slug) {
+  return bySlug.get(slug)?.label ?? slug.toUpperCase();
+}
+
+export function isSoccer(slug) {
+  return coreIsSoccer(bySlug.get(slug));
+}
+
+// "3rd Quarter", "OT2", "Extra Time", "11th Inning" — from the league's period structure
+export function periodName(slug, period) {
+  return corePeriodName(bySlug.get(slug), period);
+}
@@ -0,0 +1,33 @@
+import { API_BASE } from "./api";
+
+// ─── Live score stream ────────────────────────────────────────────────────────
+// Client side of /api/stream. The server sends one "snapshot" per league on
+// connect and then "diff" events ({ slug, added, updated, removed }) whenever
+// games change. EventSource reconnects on its own; `onDrop` fires on every
+// disconnect so the caller can poll until `onOpen` fires again.
+
+export function openScoreStream(leagues, { onOpen, onSnapshot, onDiff, onDrop }) {
+  if (typeof EventSource === "undefined") {
+    onDrop();
+    return () => {};
+  }
+  const source = new EventSource(`${API_BASE}/stream?leagues=${leagues.join(",")}`);
+  source.onopen = () => onOpen();
+  source.onerror = () => onDrop();
+  source.addEventListener("snapshot", e => onSnapshot(JSON.parse(e.data)));
+  source.addEventListener("diff", e => onDiff(JSON.parse(e.data)));
+  return () => source.close();
+}
+
+// Applies a server diff to one league's game list. `updated` entries are
+// partial games (id + changed fields) and are merged over the existing game.
+export function applyGameDiff(games, { added = [], updated = [], removed = [] }) {
+  const removedIds = new Set(removed);
+  const patches = new Map(updated.map(u => [u.id, u]));
+  return [
+    ...games
+      .filter(g => !removedIds.has(g.id))
+      .map(g => (patches.has(g.id) ? { ...g, ...patches.get(g.id) } : g)),
+    ...added,
+  ];
+}
@@ -0,0 +1,80 @@
+import { getJson } from "./api";
+
+// ─── My Teams ─────────────────────────────────────────────────────────────────
+// Followed teams are identified by league + team id, so following the Heat no
+// longer also follows the Dolphins, Marlins and Inter Miami. Each entry caches
+// the team's abbreviation, name and logo so it can be shown without a lookup:
+//   { key: "nba:14", league: "nba", id: "14", abbr: "MIA", name, logo }
+//
+// Older versions stored bare abbreviations under chalkboard_my_teams. Those are
+// migrated against every league's full team list (from its standings): once
+// every league has answered, an abbreviation that matches one team moves over
+// on its own. Anything else — several matches, or a lookup with leagues
+// missing — is left for the user to resolve.
+
+const STORAGE_KEY = "chalkboard_followed_teams";
+const LEGACY_KEY = "chalkboard_my_teams";
+
+export function teamKey(league, id) {
+  return `${league}:${id}`;
+}
+
+// Followable reference for one side of a game
+export function teamRef(game, abbr) {
+  const team = game.teams?.[abbr];
+  const id = team?.id ?? abbr;
+  return { key: teamKey(game.sport, id), league: game.sport, id, abbr, name: team?.name ?? abbr, logo: team?.logo ?? null };
+}
+
+export function isFollowingGame(myTeams, game) {
+  return myTeams.has(teamRef(game, game.home).key) || myTeams.has(teamRef(game, game.away).key);
+}
+
+export function loadFollowedTeams() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  const list = saved ? JSON.parse(saved) : [];
+  return new Map(list.map(t => [t.key, t]));
+}
+
+export function saveFollowedTeams(myTeams) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(myTeams.values())));
+}
+
+export function loadLegacyAbbrs() {
+  const saved = localStorage.getItem(LEGACY_KEY);
+  return saved ? JSON.parse(saved) : [];
+}
+
+export function saveLegacyAbbrs(abbrs) {
+  if (abbrs.length === 0) localStorage.removeItem(LEGACY_KEY);
+  else localStorage.setItem(LEGACY_KEY, JSON.stringify(abbrs));
+}
+
+// Every team in a league's Standings (see server/adapters/index.js), as followable references
+export function standingsTeams(league, standings) {
+  const teams = new Map();
+  for (const row of standings.groups.flatMap(g => g.rows)) {
+    const { id, abbr, name, logo } = row.team;
+    const key = teamKey(league, id ?? abbr);
+    teams.set(key, { key, league, id: id ?? abbr, abbr, name: name ?? abbr, logo: logo ?? null });
+  }
+  return Array.from(teams.values());
+}
+
+// Every league's teams: { teams: { [slug]: TeamRef[] }, complete } — complete
+// when every league answered, so a single match really is the only one.
+// Pass the teams from an incomplete load to fetch only the leagues it missed.
+export async function loadLeagueTeams(slugs, known = {}) {
+  const missing = slugs.filter(slug => !known[slug]);
+  const results = await Promise.allSettled(missing.map(slug => getJson(`/standings/${slug}`)));
+  const teams = { ...known };
+  results.forEach((result, i) => {
+    if (result.status === "fulfilled") teams[missing[i]] = standingsTeams(missing[i], result.value);
+  });
+  return { teams, complete: results.every(r => r.status === "fulfilled") };
+}
+
+// Every team in `leagueTeams` ({ [slug]: TeamRef[] }) that uses `abbr`
+export function findTeamsByAbbr(leagueTeams, abbr) {
+  return Object.values(leagueTeams).flat().filter(team => team.abbr === abbr);
+}
@@ -0,0 +1,123 @@
+import { teamRef } from "./myTeams";
+import { getLeagueInfo } from "./leagues";
+import { leader } from "../../core/game.js";
+import { isTenseMoment, generateRecap } from "../../core/heuristics.js";
+
+// ─── Notifications ────────────────────────────────────────────────────────────
+// Opt-in browser notifications for followed teams and starred games. Each
+// refresh is compared with the previous one; a game that changed in a way the
+// user subscribed to produces one notification per trigger.
+//
+// Settings live in localStorage under chalkboard_notifications:
+//   { enabled, teams: { [teamKey]: trigger[] }, games: { [gameId]: trigger[] } }
+// A team or game without an entry uses DEFAULT_TRIGGERS.
+
+const STORAGE_KEY = "chalkboard_notifications";
+
+export const TRIGGERS = [
+  { id: "start",      label: "Starts" },
+  { id: "score",      label: "Scores" },
+  { id: "leadChange", label: "Lead change" },
+  { id: "tense",      label: "Close finish" },
+  { id: "final",      label: "Final" },
+];
+
+// Every score is too noisy for high-scoring sports, so it starts off
+export const DEFAULT_TRIGGERS = ["start", "leadChange", "tense", "final"];
+
+export function loadNotificationSettings() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return { enabled: false, teams: {}, games: {}, ...(saved ? JSON.parse(saved) : {}) };
+}
+
+export function saveNotificationSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+// kind: "teams" | "games"; id: a teamKey or game id
+export function toggleTrigger(settings, kind, id, trigger) {
+  const current = settings[kind][id] ?? DEFAULT_TRIGGERS;
+  const next = current.includes(trigger) ? current.filter(t => t !== trigger) : [...current, trigger];
+  return { ...settings, [kind]: { ...settings[kind], [id]: next } };
+}
+
+export function notificationsSupported() {
+  return typeof Notification !== "undefined";
+}
+
+// Triggers the user wants for this game: the union of the game's own settings
+// (if starred) and those of each followed team playing in it.
+export function triggersForGame(settings, game, myTeams, favoriteIds) {
+  const triggers = new Set();
+  if (favoriteIds.has(game.id)) {
+    for (const t of settings.games[game.id] ?? DEFAULT_TRIGGERS) triggers.add(t);
+  }
+  for (const abbr of [game.home, game.away]) {
+    const { key } = teamRef(game, abbr);
+    if (!myTeams.has(key)) continue;
+    for (const t of settings.teams[key] ?? DEFAULT_TRIGGERS) triggers.add(t);
+  }
+  return triggers;
+}
+
+function scoreLine(game) {
+  return `${game.away} ${game.score?.[game.away] ?? 0}–${game.score?.[game.home] ?? 0} ${game.home}`;
+}
+
+// Which triggers fired between two refreshes of the same game
+export function detectGameEvents(prev, game) {
+  const events = [];
+  const league = getLeagueInfo(game.sport);
+  const name = abbr => game.teams?.[abbr]?.name ?? abbr;
+  const clock = game.clock ? ` (${game.clock})` : "";
+
+  if (prev.status === "scheduled" && game.status === "in_progress") {
+    events.push({ trigger: "start", body: `${name(game.away)} at ${name(game.home)} is under way.` });
+  }
+  if (game.status === "in_progress" && prev.score && game.score) {
+    const scored = [game.home, game.away].filter(a => (game.score[a] ?? 0) > (prev.score[a] ?? 0));
+    if (scored.length > 0) {
+      events.push({ trigger: "score", body: `${scored.map(name).join(" and ")} scored — ${scoreLine(game)}${clock}` });
+    }
+    const before = leader(prev.score, prev.home, prev.away), now = leader(game.score, game.home, game.away);
+    if (before && now && before !== now) {
+      events.push({ trigger: "leadChange", body: `${name(now)} take the lead — ${scoreLine(game)}${clock}` });
+    }
+    if (isTenseMoment(game, league) && !isTenseMoment(prev, league)) {
+      events.push({ trigger: "tense", body: `Getting close — ${scoreLine(game)}${clock}` });
+    }
+  }
+  if (prev.status !== "final" && game.status === "final") {
+    events.push({ trigger: "final", body: generateRecap(game, league) ?? `Final: ${scoreLine(game)}` });
+  }
+  return events;
+}
+
+// All notifications due between two consecutive allGames maps
+export function collectNotifications(prevGames, nextGames, { settings, myTeams, favoriteIds, leagueLabel }) {
+  const notifications = [];
+  for (const [slug, games] of Object.entries(nextGames)) {
+    const prevById = new Map((prevGames[slug] ?? []).map(g => [g.id, g]));
+    for (const game of games) {
+      const prev = prevById.get(game.id);
+      if (!prev || prev === game) continue;
+      const wanted = triggersForGame(settings, game, myTeams, favoriteIds);
+      if (wanted.size === 0) continue;
+      for (const event of detectGameEvents(prev, game)) {
+        if (!wanted.has(event.trigger)) continue;
+        notifications.push({
+          title: `${leagueLabel(slug)} · ${game.away} @ ${game.home}`,
+          body: event.body,
+          // One visible notification per game and trigger; newer ones replace older
+          tag: `${game.id}:${event.trigger}`,
+        });
+      }
+    }
+  }
+  return notifications;
+}
+
+export function showNotification({ title, body, tag }) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  new Notification(title, { body, tag });
+}
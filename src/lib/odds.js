@@ -0,0 +1,54 @@
+import { useState, useEffect } from "react";
+import { getJson, createFetchCache } from "./api";
+
+// ─── Sportsbook odds ──────────────────────────────────────────────────────────
+// Lines per league from /api/odds/:slug (see server/odds/ and server/oddsSummary.js):
+//   { league, games: [{ gameId, home, away,
+//       books: [{ book: { id, name }, moneyline, spread, total }],
+//       best: { moneyline, spread, total },       best price per side, with the books offering it
+//       implied: { [abbr]: pct, draw? } | null,   market win probability, vig removed
+//       history: [{ t, spread, total, moneyline }] }] }
+// Like ratings, one response serves every card in the league; lines move
+// faster, so it goes stale sooner.
+
+const FRESH_MS = 60_000;
+const { cached } = createFetchCache(); // by slug
+
+export function fetchOdds(slug) {
+  return cached(slug, FRESH_MS, () => getJson(`/odds/${slug}`));
+}
+
+// The league's odds, or null until they load (or if they can't)
+export function useLeagueOdds(slug) {
+  const [odds, setOdds] = useState(null);
+
+  useEffect(() => {
+    if (!slug) return;
+    let cancelled = false;
+    setOdds(null);
+    fetchOdds(slug)
+      .then(d => { if (!cancelled) setOdds(d); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  return odds;
+}
+
+export function gameOdds(odds, gameId) {
+  return odds?.games.find(g => g.gameId === gameId) ?? null;
+}
+
+// −150 → "−150", 130 → "+130", even money → "EVEN"
+export function formatPrice(american) {
+  if (american == null) return "—";
+  if (american === 100) return "EVEN";
+  return american > 0 ? `+${american}` : `−${-american}`;
+}
+
+// A spread line from one side's point of view: "+3.5", "−3", "PK"
+export function formatLine(line) {
+  if (line == null) return "—";
+  if (line === 0) return "PK";
+  return line > 0 ? `+${line}` : `−${-line}`;
+}
@@ -0,0 +1,95 @@
+import { teamRef } from "./myTeams";
+
+// ─── Command palette ──────────────────────────────────────────────────────────
+// What the Ctrl/Cmd+K palette searches, and how it ranks matches. Items are
+// plain data — the palette component decides what picking each kind does:
+//   { id, kind: "team" | "follow" | "game" | "league" | "action", label, sublabel,
+//     keywords: string[], logo, …kind-specific fields }
+// Teams and games come from whatever is loaded in allGames, so the palette only
+// knows about teams that have a game on the current scoreboards.
+
+const RESULT_LIMIT = 12;
+// Equal scores list in this order
+const KIND_ORDER = ["action", "league", "team", "game", "follow"];
+
+const isWordStart = (text, i) => i === 0 || /[\s@·\-/]/.test(text[i - 1]);
+
+// 0 when `query` isn't in `text` even as a subsequence; otherwise higher is a
+// better match: a prefix beats a word start beats a substring beats letters
+// scattered through the text (the tighter and more word-aligned, the better).
+export function fuzzyScore(text, query) {
+  const t = text.toLowerCase(), q = query.trim().toLowerCase();
+  if (!q || !t) return 0;
+  if (t === q) return 120;
+  const at = t.indexOf(q);
+  if (at === 0) return 100;
+  if (at > 0) return isWordStart(t, at) ? 85 : 70;
+
+  let points = 0, from = 0, prev = -2;
+  for (const ch of q) {
+    const found = t.indexOf(ch, from);
+    if (found < 0) return 0;
+    points += found === prev + 1 ? 3 : isWordStart(t, found) ? 2 : 0;
+    prev = found;
+    from = found + 1;
+  }
+  return 10 + Math.round((50 * points) / (3 * q.length));
+}
+
+function itemScore(item, query) {
+  return Math.max(fuzzyScore(item.label, query), ...item.keywords.map(k => fuzzyScore(k, query)));
+}
+
+// Every team and game in allGames, plus one entry per league
+export function paletteItems({ allGames, myTeams, leagues, leagueLabel }) {
+  const items = leagues.map(slug => ({
+    id: `league:${slug}`, kind: "league", slug,
+    label: leagueLabel(slug), sublabel: "League", keywords: [slug], logo: null,
+  }));
+
+  const teams = new Map();
+  for (const [league, games] of Object.entries(allGames)) {
+    for (const game of games) {
+      const away = game.teams[game.away]?.name ?? game.away;
+      const home = game.teams[game.home]?.name ?? game.home;
+      items.push({
+        id: `game:${league}:${game.id}`, kind: "game", league, gameId: game.id,
+        label: `${away} @ ${home}`,
+        sublabel: `${leagueLabel(league)} · ${game.status === "in_progress" ? game.clock ?? "Live" : game.status === "final" ? "Final" : "Upcoming"}`,
+        // Either order, so "lal bos" finds BOS @ LAL
+        keywords: [`${game.away} @ ${game.home}`, `${game.home} ${game.away}`, `${home} ${away}`],
+        logo: null,
+      });
+      for (const abbr of [game.home, game.away]) {
+        const ref = teamRef(game, abbr);
+        if (!teams.has(ref.key)) teams.set(ref.key, { ref, color: game.teams[abbr]?.color ?? null });
+      }
+    }
+  }
+
+  for (const { ref, color } of teams.values()) {
+    const team = { sport: ref.league, id: ref.id, abbr: ref.abbr, name: ref.name, logo: ref.logo, color };
+    items.push({
+      id: `team:${ref.key}`, kind: "team", team,
+      label: ref.name, sublabel: leagueLabel(ref.league), keywords: [ref.abbr], logo: ref.logo,
+    });
+    const followed = myTeams.has(ref.key);
+    items.push({
+      id: `follow:${ref.key}`, kind: "follow", ref,
+      label: `${followed ? "Unfollow" : "Follow"} ${ref.name}`, sublabel: followed ? "♥ Following" : leagueLabel(ref.league),
+      keywords: [`${followed ? "unfollow" : "follow"} ${ref.abbr}`], logo: ref.logo,
+    });
+  }
+  return items;
+}
+
+// Best matches first. With no query, just the actions.
+export function searchPalette(items, query, limit = RESULT_LIMIT) {
+  if (!query.trim()) return items.filter(i => i.kind === "action").slice(0, limit);
+  return items
+    .map(item => ({ item, score: itemScore(item, query) }))
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score || KIND_ORDER.indexOf(a.item.kind) - KIND_ORDER.indexOf(b.item.kind))
+    .slice(0, limit)
+    .map(m => m.item);
+}
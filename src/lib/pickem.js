@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback } from "react";
+import { getJson, postJson } from "./api";
+
+// ─── Pick'em ──────────────────────────────────────────────────────────────────
+// Client side of the prediction game (see server/pickem.js). There are no
+// accounts: this browser's player is a random id plus the name friends see,
+// stored under chalkboard_pickem_player as { id, name }. The name can change
+// until the first pick; from then on the server keeps the one it has.
+
+const PLAYER_KEY = "chalkboard_pickem_player";
+
+export function loadPickemPlayer() {
+  const saved = localStorage.getItem(PLAYER_KEY);
+  return saved ? JSON.parse(saved) : null;
+}
+
+export function savePickemPlayer(name, existing = null) {
+  const player = { id: existing?.id ?? crypto.randomUUID(), name: name.trim() };
+  localStorage.setItem(PLAYER_KEY, JSON.stringify(player));
+  return player;
+}
+
+// { player, league, gameId, winner, score? } → the saved pick; throws with the
+// server's reason (locked, bad score) when it's refused
+export function submitPick(pick) {
+  return postJson("/pickem/picks", pick);
+}
+
+// A league's picks for `player` (and the house), plus its leaderboard and the
+// overall one. `registered` is the player as the server knows them, null
+// before their first pick. Refetched on reload() — after a pick, or to pick up grading.
+export function usePickem(slug, player) {
+  const [state, setState] = useState({ registered: null, picks: [], house: [], league: null, overall: null, error: null });
+  const [version, setVersion] = useState(0);
+  const reload = useCallback(() => setVersion(v => v + 1), []);
+
+  useEffect(() => {
+    if (!slug) return;
+    let cancelled = false;
+    Promise.all([
+      player ? getJson(`/pickem/picks?player=${encodeURIComponent(player.id)}&league=${slug}`) : null,
+      getJson(`/pickem/leaderboard?league=${slug}`),
+      getJson("/pickem/leaderboard"),
+    ])
+      .then(([mine, league, overall]) => {
+        if (cancelled) return;
+        setState({ registered: mine?.player ?? null, picks: mine?.picks ?? [], house: mine?.house ?? [], league, overall, error: null });
+      })
+      .catch(err => { if (!cancelled) setState(s => ({ ...s, error: err.message })); });
+    return () => { cancelled = true; };
+  }, [slug, player?.id, version]);
+
+  return { ...state, reload };
+}
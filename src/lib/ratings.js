@@ -0,0 +1,34 @@
+import { useState, useEffect } from "react";
+import { getJson, createFetchCache } from "./api";
+
+// ─── Power ratings ────────────────────────────────────────────────────────────
+// Elo ratings per league from /api/ratings/:slug (see server/elo.js):
+//   { league, base, homeAdvantage,
+//     teams: [{ rank, team: { abbr, id, name, logo, color }, rating, change, games }] }
+// Every game card in a league reads the same table, so responses are cached
+// for the session and shared; a table older than FRESH_MS is refetched.
+// Lookups into a table (teamRating, ratingWinChance) are in core/ratings.js.
+
+const FRESH_MS = 10 * 60_000;
+const { cached } = createFetchCache(); // by slug
+
+export function fetchRatings(slug) {
+  return cached(slug, FRESH_MS, () => getJson(`/ratings/${slug}`));
+}
+
+// The league's ratings table, or null until it loads (or if it can't)
+export function useLeagueRatings(slug) {
+  const [ratings, setRatings] = useState(null);
+
+  useEffect(() => {
+    if (!slug) return;
+    let cancelled = false;
+    setRatings(null);
+    fetchRatings(slug)
+      .then(d => { if (!cancelled) setRatings(d); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  return ratings;
+}
@@ -0,0 +1,80 @@
+import { useEffect, useRef } from "react";
+
+// ─── Adaptive refresh scheduler ───────────────────────────────────────────────
+// Polls each league at its own cadence instead of refetching everything on one
+// timer. A league's cadence comes from its current games:
+//
+//   live      something is in progress (or about to start)  → every 15s
+//   upcoming  the next game starts within a day             → every 5 min
+//   paused    nothing within a day                          → hourly check,
+//             just often enough to notice tomorrow's slate appearing
+//
+// Nothing is polled while the tab is hidden (unless pollWhenHidden is set, as
+// it is while notifications are on); leagues that went overdue in the meantime
+// refresh as soon as it is visible again.
+
+export const CADENCE = {
+  live:     15_000,
+  upcoming: 5 * 60_000,
+  paused:   60 * 60_000,
+};
+
+const STARTING_SOON = 15 * 60_000;
+const WITHIN_A_DAY = 24 * 60 * 60_000;
+const TICK = 1000;
+
+export function leagueMode(games, now = Date.now()) {
+  if (!games) return "live"; // never loaded — fetch it promptly
+  let mode = "paused";
+  for (const game of games) {
+    if (game.status === "in_progress") return "live";
+    if (game.status !== "scheduled") continue;
+    const untilStart = new Date(game.start_time) - now;
+    if (untilStart <= STARTING_SOON) return "live";
+    if (untilStart <= WITHIN_A_DAY) mode = "upcoming";
+  }
+  return mode;
+}
+
+// A league is stale once it has missed two of its own refreshes
+export function isStale(games, updatedAt, now = Date.now()) {
+  if (!updatedAt) return false;
+  return now - updatedAt > 2 * CADENCE[leagueMode(games, now)];
+}
+
+// refreshLeague(slug) → Promise, resolves once the league's data is applied.
+// getGames(slug) / getUpdatedAt(slug) read the app's current state, so a
+// manual refresh or a stream update also pushes a league's next poll back.
+export function useRefreshScheduler({ enabled, pollWhenHidden = false, leagues, refreshLeague, getGames, getUpdatedAt }) {
+  const inflight = useRef(new Set());
+  const failedAt = useRef({});
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    function tick() {
+      if (document.hidden && !pollWhenHidden) return;
+      const now = Date.now();
+      for (const slug of leagues) {
+        if (inflight.current.has(slug)) continue;
+        const games = getGames(slug);
+        const last = Math.max(getUpdatedAt(slug) ?? 0, failedAt.current[slug] ?? 0);
+        if (now - last < CADENCE[leagueMode(games, now)]) continue;
+
+        inflight.current.add(slug);
+        refreshLeague(slug)
+          .then(() => { delete failedAt.current[slug]; })
+          .catch(() => { failedAt.current[slug] = Date.now(); })
+          .finally(() => inflight.current.delete(slug));
+      }
+    }
+
+    tick();
+    const interval = setInterval(tick, TICK);
+    document.addEventListener("visibilitychange", tick);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", tick);
+    };
+  }, [enabled, pollWhenHidden, leagues, refreshLeague, getGames, getUpdatedAt]);
+}
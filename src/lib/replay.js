@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from "react";
+
+// ─── Replay mode ──────────────────────────────────────────────────────────────
+// Plays back a session recorded by `node server.js --record`. The replay
+// source answers "what did /api/scores/:slug return at time T?", and the
+// replay clock moves T forward at 1x/10x/60x so fetchAll sees a game day
+// unfold exactly as it was recorded.
+
+export const REPLAY_SPEEDS = [1, 10, 60];
+const CLOCK_TICK = 250;
+
+// session: { id, started_at, ended_at, snapshots: [{ t, slug, games }] }
+export function createReplaySource(session) {
+  const bySlug = {};
+  for (const snap of session.snapshots) {
+    (bySlug[snap.slug] ??= []).push({ time: Date.parse(snap.t), games: snap.games });
+  }
+  for (const list of Object.values(bySlug)) list.sort((a, b) => a.time - b.time);
+
+  return {
+    id: session.id,
+    start: Date.parse(session.started_at),
+    end: Date.parse(session.ended_at),
+    // Latest snapshot at or before `time`; leagues not yet recorded have no games
+    gamesAt(slug, time) {
+      const list = bySlug[slug];
+      if (!list || list[0].time > time) return [];
+      let lo = 0, hi = list.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (list[mid].time <= time) lo = mid; else hi = mid - 1;
+      }
+      return list[lo].games;
+    },
+  };
+}
+
+// Virtual clock for a replay source. `time` is the recorded wall-clock moment
+// currently being shown; it stops by itself at the end of the session.
+export function useReplayClock(source) {
+  const [time, setTime] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(REPLAY_SPEEDS[1]);
+
+  useEffect(() => {
+    setTime(source ? source.start : null);
+    setPlaying(!!source);
+  }, [source]);
+
+  useEffect(() => {
+    if (!source || !playing) return;
+    const interval = setInterval(() => {
+      setTime(t => Math.min(t + CLOCK_TICK * speed, source.end));
+    }, CLOCK_TICK);
+    return () => clearInterval(interval);
+  }, [source, playing, speed]);
+
+  useEffect(() => {
+    if (source && time >= source.end) setPlaying(false);
+  }, [source, time]);
+
+  const seek = useCallback((t) => {
+    if (source) setTime(Math.max(source.start, Math.min(t, source.end)));
+  }, [source]);
+
+  const togglePlaying = useCallback(() => {
+    // Pressing play at the end starts the session over
+    if (!playing && source && time >= source.end) setTime(source.start);
+    setPlaying(!playing);
+  }, [source, time, playing]);
+
+  return { time, playing, speed, setSpeed, seek, togglePlaying };
+}
@@ -0,0 +1,132 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+
+// ─── Routing ──────────────────────────────────────────────────────────────────
+// The view lives in the URL so it can be shared and the back button works.
+// Plain History API, no router dependency:
+//
+//   /                       🔥 Today
+//   /following              ★ Following
+//   /nhl                    a league tab
+//   /nhl/standings          that league's Standings view
+//   /nhl/pickem             that league's Pick'em view
+//   /nhl/game/401772        full game page (opened from the NHL tab)
+//   ?game=401772            that game's card expanded and scrolled to
+//   ?day=2026-10-19         selected day in a league or Following tab
+//   ?team=nhl:21            TeamStatsPanel drawer open on that team
+//   &vs=14                  …opened from a game against team 14 (for head-to-head)
+//   ?player=nhl:3114        PlayerPanel drawer open on that player (over any team drawer)
+//
+// route: { tab, view: "standings" | "pickem" | null, page: { kind: "game", id } | null, gameId, day,
+//          team: { sport, id, vs } | null, player: { sport, id } | null }
+
+const TODAY = "🔥";
+const FOLLOWING = "★";
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LEAGUE_VIEWS = ["standings", "pickem"];
+
+// Local calendar day of a date, as used in ?day=
+export function dayKey(date) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Path segments with their %-escapes decoded, or null if an escape is malformed
+function decodeSegments(pathname) {
+  try {
+    return pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (err) {
+    if (err instanceof URIError) return null;
+    throw err;
+  }
+}
+
+// `leagues` are the enabled league slugs: a link to a switched-off league opens Today
+export function parseRoute({ pathname, search }, leagues) {
+  const segments = decodeSegments(pathname);
+  // A mangled link opens the home route rather than failing to render
+  if (!segments) return parseRoute({ pathname: "/", search: "" }, leagues);
+  let tab = TODAY;
+  if (segments[0] === "following") { tab = FOLLOWING; segments.shift(); }
+  else if (leagues.includes(segments[0])) tab = segments.shift();
+  // Views and pages belong to a league, so they only exist under a league tab
+  const isLeague = tab !== TODAY && tab !== FOLLOWING;
+  const view = isLeague && LEAGUE_VIEWS.includes(segments[0]) ? segments.shift() : null;
+  const page = isLeague && segments[0] === "game" && segments[1]
+    ? { kind: "game", id: segments[1] }
+    : null;
+
+  const params = new URLSearchParams(search);
+  const gameId = params.get("game");
+  const day = DAY_PATTERN.test(params.get("day") ?? "") ? params.get("day") : null;
+  const [sport, id] = (params.get("team") ?? "").split(":");
+  const team = leagues.includes(sport) && id ? { sport, id, vs: params.get("vs") } : null;
+  const [playerSport, playerId] = (params.get("player") ?? "").split(":");
+  const player = leagues.includes(playerSport) && playerId ? { sport: playerSport, id: playerId } : null;
+
+  return { tab, view, page, gameId, day, team, player };
+}
+
+export function formatRoute({ tab, view, page, gameId, day, team, player }) {
+  let path = tab === TODAY ? "" : tab === FOLLOWING ? "/following" : `/${tab}`;
+  if (page) path += `/${page.kind}/${encodeURIComponent(page.id)}`;
+  else if (view) path += `/${view}`;
+  const params = [];
+  if (gameId) params.push(`game=${encodeURIComponent(gameId)}`);
+  if (day && tab !== TODAY) params.push(`day=${day}`);
+  if (team) params.push(`team=${team.sport}:${encodeURIComponent(team.id)}`);
+  if (team?.vs) params.push(`vs=${encodeURIComponent(team.vs)}`);
+  if (player) params.push(`player=${player.sport}:${encodeURIComponent(player.id)}`);
+  return `${path || "/"}${params.length ? `?${params.join("&")}` : ""}`;
+}
+
+// Path for a page, for plain <a href>s (see followLink)
+export function pageUrl(sport, kind, id) {
+  return formatRoute({ tab: sport, page: { kind, id } });
+}
+
+// The current URL with the player drawer opened on top, for player-name links
+// anywhere on the page. Everything else in the route stays as it is.
+export function playerUrl(sport, id) {
+  const { pathname, search } = window.location;
+  const params = search.slice(1).split("&").filter(p => p && !p.startsWith("player="));
+  params.push(`player=${sport}:${encodeURIComponent(id)}`);
+  return `${pathname}?${params.join("&")}`;
+}
+
+// onClick for an <a href> to one of our routes: navigates in place, but leaves
+// ctrl/cmd/middle-clicks to the browser so links still open in new tabs.
+export function followLink(e) {
+  if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+  e.preventDefault();
+  window.history.pushState(null, "", e.currentTarget.getAttribute("href"));
+  window.dispatchEvent(new PopStateEvent("popstate"));
+}
+
+// Returns [route, navigate]. navigate(patch) merges into the current route and
+// pushes a history entry; pass { replace: true } to rewrite the current one.
+export function useRoute(leagues) {
+  const [route, setRoute] = useState(() => parseRoute(window.location, leagues));
+  const routeRef = useRef(route);
+
+  useEffect(() => {
+    const onPopState = () => {
+      routeRef.current = parseRoute(window.location, leagues);
+      setRoute(routeRef.current);
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [leagues]);
+
+  const navigate = useCallback((patch, { replace = false } = {}) => {
+    const next = { ...routeRef.current, ...patch };
+    const url = formatRoute(next);
+    routeRef.current = next;
+    if (url !== window.location.pathname + window.location.search) {
+      window.history[replace ? "replaceState" : "pushState"](null, "", url);
+    }
+    setRoute(next);
+  }, []);
+
+  return [route, navigate];
+}
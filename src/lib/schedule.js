@@ -0,0 +1,85 @@
+import { useState, useEffect } from "react";
+import { getJson, createFetchCache } from "./api";
+import { dayKey } from "./router";
+
+// ─── Schedule ─────────────────────────────────────────────────────────────────
+// Games for any stretch of a league's season, from /api/scores/:slug?from=&to=,
+// for the league calendar. Ranges are whole local days, half-open: [from, to).
+//
+// Responses are cached for the session. A range that ended before today can't
+// change, so it is kept for good; one that reaches today or later is refetched
+// once it is a minute old. Concurrent requests for a range share one fetch.
+
+const FRESH_MS = 60_000;
+const { cached, peek } = createFetchCache(); // by rangeKey()
+
+// Local midnight of a ?day= key ("2026-10-19")
+export function dateFromKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Local midnight, `days` after the day of `date`
+export function addDays(date, days) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// Monday-to-Sunday week containing `day`
+export function weekRange(day) {
+  const date = dateFromKey(day);
+  const from = addDays(date, -((date.getDay() + 6) % 7));
+  return { from, to: addDays(from, 7) };
+}
+
+// Whole weeks covering the month of `day`, as a month grid shows them
+export function monthRange(day) {
+  const date = dateFromKey(day);
+  const first = new Date(date.getFullYear(), date.getMonth(), 1);
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+  return { from: weekRange(dayKey(first)).from, to: weekRange(dayKey(last)).to };
+}
+
+function isSettled(to) {
+  return to <= addDays(new Date(), 0);
+}
+
+const rangeKey = (slug, { from, to }) => `${slug}:${dayKey(from)}:${dayKey(to)}`;
+
+export function fetchSchedule(slug, { from, to }) {
+  const params = `from=${encodeURIComponent(from.toISOString())}&to=${encodeURIComponent(to.toISOString())}`;
+  return cached(rangeKey(slug, { from, to }), isSettled(to) ? Infinity : FRESH_MS, () =>
+    getJson(`/scores/${slug}?${params}`).then(data => data.games ?? [])
+  );
+}
+
+// Already-fetched games for a range, so a revisited week renders without a flash
+function cachedGames(slug, range) {
+  return peek(rangeKey(slug, range));
+}
+
+// { games, loading, error } for a range; pass a null range to fetch nothing
+export function useSchedule(slug, range) {
+  const fromKey = range ? dayKey(range.from) : null;
+  const toKey = range ? dayKey(range.to) : null;
+  const [state, setState] = useState(() => ({
+    games: range && slug ? cachedGames(slug, range) : null,
+    loading: false,
+    error: null,
+  }));
+
+  useEffect(() => {
+    if (!slug || !fromKey) { setState({ games: null, loading: false, error: null }); return; }
+    const bounds = { from: dateFromKey(fromKey), to: dateFromKey(toKey) };
+    let cancelled = false;
+    setState({ games: cachedGames(slug, bounds), loading: true, error: null });
+    fetchSchedule(slug, bounds)
+      .then(games => { if (!cancelled) setState({ games, loading: false, error: null }); })
+      .catch(err => { if (!cancelled) setState(s => ({ ...s, loading: false, error: err.message })); });
+    return () => { cancelled = true; };
+  }, [slug, fromKey, toKey]);
+
+  return state;
+}
@@ -0,0 +1,114 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { winProfit, gradeBet, settleBet, ledgerSummary, ledgerCsv } from "../core/betLedger.js";
+
+// A pending bet on BOS (home) v LAL (away)
+const bet = fields => ({
+  id: "b1", placedAt: "2026-10-18T22:00:00.000Z", league: "nba", gameId: "401802",
+  start_time: "2026-10-18T23:30:00.000Z", home: "BOS", away: "LAL",
+  type: "moneyline", side: "BOS", line: null, price: -110, stake: 10,
+  bestBet: false, status: "pending", profit: null, final: null, settledAt: null,
+  ...fields,
+});
+
+describe("winProfit", () => {
+  test("pays favorites stake × 100/price and underdogs stake × price/100", () => {
+    assert.equal(winProfit(110, -110), 100);
+    assert.equal(winProfit(10, -200), 5);
+    assert.equal(winProfit(10, 150), 15);
+    assert.equal(winProfit(10, 100), 10);
+  });
+});
+
+describe("gradeBet", () => {
+  test("moneylines go to the winner", () => {
+    assert.equal(gradeBet(bet({ side: "BOS" }), { BOS: 110, LAL: 104 }), "won");
+    assert.equal(gradeBet(bet({ side: "LAL" }), { BOS: 110, LAL: 104 }), "lost");
+  });
+
+  test("a soccer draw loses both sides and wins the draw", () => {
+    const level = { BOS: 1, LAL: 1 };
+    assert.equal(gradeBet(bet({ league: "epl", side: "BOS" }), level), "lost");
+    assert.equal(gradeBet(bet({ league: "epl", side: "LAL" }), level), "lost");
+    assert.equal(gradeBet(bet({ league: "epl", side: "draw" }), level), "won");
+  });
+
+  test("spreads cover, miss or push from the side's line", () => {
+    const score = { BOS: 110, LAL: 104 };
+    assert.equal(gradeBet(bet({ type: "spread", side: "BOS", line: -5.5 }), score), "won");
+    assert.equal(gradeBet(bet({ type: "spread", side: "BOS", line: -6.5 }), score), "lost");
+    assert.equal(gradeBet(bet({ type: "spread", side: "BOS", line: -6 }), score), "push");
+    assert.equal(gradeBet(bet({ type: "spread", side: "LAL", line: 6 }), score), "push");
+    assert.equal(gradeBet(bet({ type: "spread", side: "LAL", line: 6.5 }), score), "won");
+  });
+
+  test("totals go over, under or push", () => {
+    const score = { BOS: 110, LAL: 104 };
+    assert.equal(gradeBet(bet({ type: "total", side: "over", line: 213.5 }), score), "won");
+    assert.equal(gradeBet(bet({ type: "total", side: "under", line: 213.5 }), score), "lost");
+    assert.equal(gradeBet(bet({ type: "total", side: "under", line: 220.5 }), score), "won");
+    assert.equal(gradeBet(bet({ type: "total", side: "over", line: 214 }), score), "push");
+    assert.equal(gradeBet(bet({ type: "total", side: "under", line: 214 }), score), "push");
+  });
+});
+
+describe("settleBet", () => {
+  test("records the status, profit to the cent and final score", () => {
+    const won = settleBet(bet({ price: -115 }), { BOS: 3, LAL: 1 });
+    assert.equal(won.status, "won");
+    assert.equal(won.profit, 8.7);
+    assert.deepEqual(won.final, { BOS: 3, LAL: 1 });
+    assert.ok(won.settledAt);
+    assert.equal(settleBet(bet({ side: "LAL", price: 240 }), { BOS: 3, LAL: 1 }).profit, -10);
+    assert.equal(settleBet(bet({ type: "spread", line: -2 }), { BOS: 3, LAL: 1 }).profit, 0);
+  });
+});
+
+describe("ledgerSummary", () => {
+  const bets = [
+    bet({ id: "a", start_time: "2026-10-02T00:00:00Z", status: "won", profit: 9.09, bestBet: true }),
+    bet({ id: "b", start_time: "2026-10-01T00:00:00Z", league: "epl", type: "spread", status: "lost", profit: -10 }),
+    bet({ id: "c", start_time: "2026-10-03T00:00:00Z", type: "total", status: "push", profit: 0 }),
+    bet({ id: "d", start_time: "2026-10-04T00:00:00Z" }),
+  ];
+
+  test("totals settled bets and leaves pending ones out of P&L", () => {
+    const { roi, ...overall } = ledgerSummary(bets).overall;
+    assert.deepEqual(overall, { bets: 4, pending: 1, won: 1, lost: 1, push: 1, staked: 30, profit: -0.91 });
+    assert.equal(roi.toFixed(2), "-3.03");
+  });
+
+  test("breaks down by league, type and Best Bet", () => {
+    const summary = ledgerSummary(bets);
+    assert.deepEqual(summary.byLeague.map(g => [g.key, g.bets, g.profit]), [["nba", 3, 9.09], ["epl", 1, -10]]);
+    assert.deepEqual(summary.byType.map(g => g.key), ["moneyline", "spread", "total"]);
+    assert.deepEqual(summary.byBestBet.map(g => [g.key, g.won]), [["Best Bet", 1], ["Other", 0]]);
+  });
+
+  test("runs profit in game order", () => {
+    assert.deepEqual(ledgerSummary(bets).running.map(r => r.profit), [-10, -0.91, -0.91]);
+  });
+
+  test("has no ROI without settled stakes", () => {
+    assert.equal(ledgerSummary([bet({})]).overall.roi, null);
+  });
+});
+
+describe("ledgerCsv", () => {
+  test("writes a header and one row per bet with the final score", () => {
+    const [header, row] = ledgerCsv([bet({ status: "won", profit: 9.09, final: { BOS: 110, LAL: 104 } })]).split("\n");
+    assert.ok(header.startsWith("placedAt,league,gameId,start_time,away,home,type,side"));
+    assert.ok(row.includes(",LAL 104-110 BOS,"));
+  });
+
+  test("quotes cells with commas and doubles their quotes", () => {
+    const [, row] = ledgerCsv([bet({ gameId: 'a,"b"', home: "Say \"Hi\"" })]).split("\n");
+    assert.ok(row.includes(',"a,""b""",'));
+    assert.ok(row.includes(',"Say ""Hi""",'));
+  });
+
+  test("leaves empty values blank", () => {
+    const [, row] = ledgerCsv([bet({})]).split("\n");
+    assert.ok(row.endsWith(",pending,,,"));
+  });
+});
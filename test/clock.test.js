@@ -0,0 +1,201 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { gamePhase, gameProgress, isExtraPeriod, isLate } from "../core/clock.js";
+import { FIXTURE_LEAGUES, leagueOf, loadAllGames } from "./fixtureGames.js";
+
+const live = (slug, clock) => gamePhase({ status: "in_progress", clock }, leagueOf(slug));
+const final = (slug, clock) => gamePhase({ status: "final", clock }, leagueOf(slug));
+
+// The fields of a phase worth comparing, with elapsed to 3 places
+function pick(phase, ...keys) {
+  return Object.fromEntries(keys.map(k => [k, k === "elapsed" && phase[k] != null ? +phase[k].toFixed(3) : phase[k]]));
+}
+
+describe("gamePhase", () => {
+  test("is null before the game and for clocks it can't read", () => {
+    assert.equal(gamePhase({ status: "scheduled", clock: null }, leagueOf("nba")), null);
+    assert.equal(live("nba", null), null);
+    assert.equal(live("mlb", "Rain Delay"), null);
+    assert.equal(live("epl", "Suspended"), null);
+  });
+
+  test("reads every fixture game's clock", async () => {
+    const allGames = await loadAllGames();
+    for (const slug of FIXTURE_LEAGUES) {
+      for (const g of allGames[slug].filter(g => g.status !== "scheduled")) {
+        const phase = gamePhase(g, leagueOf(slug));
+        assert.ok(phase && phase.period != null && phase.elapsed != null, `${g.id} ${g.clock}`);
+        assert.equal(phase.final, g.status === "final", g.id);
+      }
+    }
+  });
+
+  describe("countdown clocks", () => {
+    test("count down through regulation", () => {
+      assert.deepEqual(pick(live("nba", "5:32 - 4th"), "period", "periodType", "remaining", "elapsed", "break"),
+        { period: 4, periodType: "regulation", remaining: 332, elapsed: 0.885, break: false });
+      assert.deepEqual(pick(live("nfl", "11:02 - 2nd"), "period", "remaining", "elapsed"),
+        { period: 2, remaining: 662, elapsed: 0.316 });
+      assert.deepEqual(pick(live("nhl", "12:10 - 3rd"), "period", "remaining", "elapsed"),
+        { period: 3, remaining: 730, elapsed: 0.797 });
+    });
+
+    test("use each league's period length", () => {
+      assert.equal(live("nba", "6:00 - 1st").elapsed, 0.125);
+      assert.equal(live("wnba", "5:00 - 1st").elapsed, 0.125);
+    });
+
+    test("read tenths in a period's last minute", () => {
+      assert.equal(live("nba", "45.2 - 4th").remaining, 45.2);
+    });
+
+    test("know the breaks", () => {
+      assert.deepEqual(pick(live("nba", "End of 3rd"), "period", "remaining", "elapsed", "break"),
+        { period: 3, remaining: 0, elapsed: 0.75, break: true });
+      assert.deepEqual(pick(live("nfl", "Halftime"), "period", "elapsed", "break"),
+        { period: 2, elapsed: 0.5, break: true });
+      assert.deepEqual(pick(live("nhl", "1st Intermission"), "period", "elapsed", "break"),
+        { period: 1, elapsed: 0.333, break: true });
+    });
+
+    test("number overtimes after regulation", () => {
+      assert.deepEqual(pick(live("nba", "2:10 - OT"), "period", "periodType", "remaining", "elapsed"),
+        { period: 5, periodType: "overtime", remaining: 130, elapsed: 1 });
+      assert.equal(live("nba", "3:00 - 2OT").period, 6);
+      assert.equal(live("nfl", "OT2").period, 6);
+      assert.equal(live("nhl", "4:12 - OT").period, 4);
+    });
+
+    test("put a shootout after overtime", () => {
+      assert.deepEqual(pick(live("nhl", "SO"), "period", "periodType", "remaining"),
+        { period: 5, periodType: "shootout", remaining: null });
+    });
+  });
+
+  describe("innings", () => {
+    test("count half-innings", () => {
+      assert.deepEqual(pick(live("mlb", "Top 7th"), "period", "remaining", "elapsed", "break"),
+        { period: 7, remaining: null, elapsed: 0.694, break: false });
+      assert.deepEqual(pick(live("mlb", "Bot 3rd"), "elapsed"), { elapsed: 0.306 });
+      assert.deepEqual(pick(live("mlb", "Mid 5th"), "elapsed", "break"), { elapsed: 0.5, break: true });
+      assert.deepEqual(pick(live("mlb", "End 9th"), "elapsed", "break"), { elapsed: 1, break: true });
+    });
+
+    test("treat extra innings as overtime", () => {
+      assert.deepEqual(pick(live("mlb", "Bot 10th"), "period", "periodType", "elapsed"),
+        { period: 10, periodType: "overtime", elapsed: 1 });
+    });
+  });
+
+  describe("running match clocks", () => {
+    test("place the minute in its half", () => {
+      assert.deepEqual(pick(live("epl", "78'"), "period", "remaining", "elapsed"),
+        { period: 2, remaining: 720, elapsed: 0.867 });
+      assert.deepEqual(pick(live("mls", "34'"), "period", "remaining", "elapsed"),
+        { period: 1, remaining: 660, elapsed: 0.378 });
+    });
+
+    test("keep stoppage time in the half it belongs to", () => {
+      assert.deepEqual(pick(live("epl", "45'+2'"), "period", "remaining", "elapsed"),
+        { period: 1, remaining: 0, elapsed: 0.5 });
+      assert.deepEqual(pick(live("mls", "45+2"), "period", "remaining", "elapsed"),
+        { period: 1, remaining: 0, elapsed: 0.5 });
+      assert.deepEqual(pick(live("epl", "90'+3'"), "period", "periodType", "remaining", "elapsed"),
+        { period: 2, periodType: "regulation", remaining: 0, elapsed: 1 });
+    });
+
+    test("know halftime", () => {
+      assert.deepEqual(pick(live("epl", "HT"), "period", "elapsed", "break"), { period: 1, elapsed: 0.5, break: true });
+    });
+
+    test("play extra time and penalties after regulation", () => {
+      assert.deepEqual(pick(live("ucl", "98'"), "period", "periodType", "remaining"),
+        { period: 3, periodType: "overtime", remaining: 420 });
+      assert.deepEqual(pick(live("ucl", "120'+1'"), "period", "remaining"), { period: 4, remaining: 0 });
+      assert.deepEqual(pick(live("ucl", "Pens"), "period", "periodType"), { period: 5, periodType: "shootout" });
+    });
+  });
+
+  describe("finished games", () => {
+    const cases = [
+      ["nba", "Final", 4, "regulation"],
+      ["nba", "Final/OT", 5, "overtime"],
+      ["nba", "Final/2OT", 6, "overtime"],
+      ["nhl", "Final/SO", 5, "shootout"],
+      ["mlb", "Final", 9, "regulation"],
+      ["mlb", "Final/12", 12, "overtime"],
+      ["mlb", "Final/7", 7, "regulation"],
+      ["epl", "FT", 2, "regulation"],
+      ["ucl", "AET", 4, "overtime"],
+      ["ucl", "FT-Pens", 5, "shootout"],
+      ["nfl", null, 4, "regulation"],
+    ];
+    for (const [slug, clock, period, periodType] of cases) {
+      test(`${slug} ${clock}`, () => {
+        assert.deepEqual(pick(final(slug, clock), "period", "periodType", "elapsed", "break", "final"),
+          { period, periodType, elapsed: 1, break: false, final: true });
+      });
+    }
+  });
+});
+
+describe("gameProgress", () => {
+  const progress = (slug, clock, read = live) => +gameProgress(read(slug, clock), leagueOf(slug)).toFixed(3);
+
+  test("is the regulation share played in regulation", () => {
+    assert.equal(progress("nba", "5:32 - 4th"), 0.885);
+    assert.equal(progress("epl", "HT"), 0.5);
+  });
+
+  test("keeps counting through extra periods", () => {
+    assert.equal(progress("nba", "2:30 - OT"), 1.052);
+    assert.equal(progress("nba", "5:00 - 2OT"), 1.104);
+    assert.equal(progress("nba", "Final/OT", final), 1.104);
+    assert.equal(progress("ucl", "105'"), 1.167);
+    assert.equal(progress("mlb", "Top 10th"), 1.056);
+  });
+
+  test("puts a shootout where overtime ended", () => {
+    assert.equal(progress("nhl", "SO"), progress("nhl", "0:00 - OT"));
+    assert.equal(progress("ucl", "Pens"), progress("ucl", "120'+2'"));
+  });
+
+  test("is null for an unread clock", () => {
+    assert.equal(gameProgress(live("mlb", "Rain Delay"), leagueOf("mlb")), null);
+  });
+});
+
+describe("isExtraPeriod", () => {
+  test("is true past regulation only", () => {
+    assert.equal(isExtraPeriod(final("nba", "Final/OT")), true);
+    assert.equal(isExtraPeriod(final("ucl", "FT-Pens")), true);
+    assert.equal(isExtraPeriod(final("mlb", "Final/10")), true);
+    assert.equal(isExtraPeriod(final("mlb", "Final")), false);
+    assert.equal(isExtraPeriod(null), false);
+  });
+});
+
+describe("isLate", () => {
+  const cases = [
+    ["nba", "5:32 - 4th", true], ["nba", "End of 3rd", false], ["nba", "2:14 - 2nd", false],
+    ["nfl", "8:45 - 4th", true], ["nfl", "11:02 - 3rd", false],
+    ["ncaaf", "14:10 - 4th", true], ["ncaaf", "Halftime", false],
+    ["nhl", "12:10 - 3rd", true], ["nhl", "2nd Intermission", false],
+    ["mlb", "Top 7th", true], ["mlb", "Mid 6th", false], ["mlb", "Bot 10th", true],
+    ["epl", "70'", true], ["epl", "69'", false], ["epl", "90'+3'", true], ["mls", "45+2", false],
+    ["ucl", "105'", true], ["ucl", "Pens", true],
+  ];
+  for (const [slug, clock, late] of cases) {
+    test(`${slug} at ${clock}`, () => assert.equal(isLate(live(slug, clock), leagueOf(slug)), late));
+  }
+
+  test("overtime is late in every sport", () => {
+    for (const [slug, clock] of [["nba", "OT"], ["nfl", "OT"], ["nhl", "OT"], ["mlb", "Top 10th"], ["epl", "95'"]]) {
+      assert.equal(isLate(live(slug, clock), leagueOf(slug)), true, slug);
+    }
+  });
+
+  test("an unread clock is never late", () => {
+    assert.equal(isLate(null, leagueOf("nba")), false);
+  });
+});
@@ -0,0 +1,29 @@
+// Scoreboards for the tests: every league with a fixture file, normalized by
+// the fixture adapter exactly as the API serves them (dates unshifted).
+
+import { readFile } from "node:fs/promises";
+import { createFixtureAdapter } from "../server/adapters/fixtures.js";
+import { allLeagues, describeLeague } from "../server/leagues.js";
+
+// One league per sport, plus a second soccer league
+export const FIXTURE_LEAGUES = ["nba", "nfl", "nhl", "mlb", "mls", "epl"];
+
+const FIXTURE_DIR = new URL("../server/fixtures/", import.meta.url);
+const { captured_at } = JSON.parse(await readFile(new URL("nba.json", FIXTURE_DIR), "utf8"));
+const adapter = createFixtureAdapter({ now: () => Date.parse(captured_at) });
+
+const descriptions = new Map(allLeagues().map(l => [l.slug, describeLeague(l)]));
+
+// The League description for a slug, as the client's registry holds it
+export const leagueOf = slug => descriptions.get(slug) ?? null;
+
+// { [slug]: Game[] } for every fixture league
+export async function loadAllGames() {
+  const entries = await Promise.all(FIXTURE_LEAGUES.map(async slug =>
+    [slug, await adapter.getScoreboard(allLeagues().find(l => l.slug === slug))]));
+  return Object.fromEntries(entries);
+}
+
+export function findGame(allGames, id) {
+  return Object.values(allGames).flat().find(g => g.id === id);
+}
@@ -0,0 +1,316 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  edgeLabel, findBestBet, isUpsetAlert, findUpcomingNotable, getMomentum, getScoreDelta,
+  isTenseMoment, countTenseGames, findBestLiveGame, calcEntertainmentRating, sealingGoal, generateRecap,
+} from "../core/heuristics.js";
+import { FIXTURE_LEAGUES, leagueOf, loadAllGames, findGame } from "./fixtureGames.js";
+
+const allGames = await loadAllGames();
+const game = id => findGame(allGames, id);
+const leagueFor = g => leagueOf(g.sport);
+
+// A copy of allGames with `change` applied to every game
+const mapGames = change => Object.fromEntries(Object.entries(allGames).map(([slug, games]) => [slug, games.map(change)]));
+
+// A ratings table rating each of `rows` ([game, abbr, rating]) and no one else
+function ratingsFor(rows, homeAdvantage = 0) {
+  return {
+    base: 1500, homeAdvantage,
+    teams: rows.map(([g, abbr, rating]) => ({ team: { abbr, id: g.teams[abbr].id }, rating })),
+  };
+}
+
+test("every fixture league has a final, a live and a scheduled game", () => {
+  for (const slug of FIXTURE_LEAGUES) {
+    const statuses = new Set(allGames[slug].map(g => g.status));
+    assert.deepEqual([...statuses].sort(), ["final", "in_progress", "scheduled"], slug);
+  }
+});
+
+describe("edgeLabel", () => {
+  test("tiers start at 75, 62 and 52", () => {
+    assert.equal(edgeLabel(90), "Strong Lean");
+    assert.equal(edgeLabel(75), "Strong Lean");
+    assert.equal(edgeLabel(74.9), "Moderate Lean");
+    assert.equal(edgeLabel(62), "Moderate Lean");
+    assert.equal(edgeLabel(52), "Slight Lean");
+    assert.equal(edgeLabel(51.9), "Toss-Up");
+  });
+});
+
+describe("findBestBet", () => {
+  test("picks the widest win-probability gap across every league", () => {
+    const best = findBestBet(allGames);
+    assert.equal(best.game.id, "nhl-401805");
+    assert.equal(best.league, "nhl");
+    assert.equal(best.favPct, 71);
+  });
+
+  test("falls back to the biggest spread without probabilities", () => {
+    const best = findBestBet(mapGames(g => ({ ...g, win_probability: null })));
+    assert.equal(best.game.id, "nba-401806"); // LAL -7.5
+    assert.equal(best.favPct, null);
+  });
+
+  test("falls back to the first scheduled game in league order without odds", () => {
+    const bare = mapGames(g => ({ ...g, win_probability: null, spread: null }));
+    assert.equal(findBestBet(bare, ["epl", "nba"]).game.id, "epl-401804");
+    assert.equal(findBestBet(bare).game.id, "nba-401804");
+  });
+
+  test("ignores games that have started", () => {
+    assert.equal(findBestBet(mapGames(g => ({ ...g, status: "final" }))), null);
+  });
+});
+
+describe("isUpsetAlert", () => {
+  test("flags upstream gaps of 15 points or less", () => {
+    assert.equal(isUpsetAlert(game("nba-401804"), null), true);  // 51–49
+    assert.equal(isUpsetAlert(game("nba-401805"), null), false); // 62–38
+    const edge = game("nba-401805");
+    assert.equal(isUpsetAlert({ ...edge, win_probability: { MIA: 57.5, NYK: 42.5 } }, null), true);
+  });
+
+  test("counts a soccer draw as neither side", () => {
+    assert.equal(isUpsetAlert(game("epl-401805"), null), true);  // 36–36–28
+    assert.equal(isUpsetAlert(game("epl-401804"), null), false); // 26–46–28
+  });
+
+  test("prefers Elo ratings to the server's model estimate", () => {
+    const g = { ...game("nba-401805"), win_probability_source: "model" }; // model says 62–38
+    assert.equal(isUpsetAlert(g, ratingsFor([[g, "MIA", 1500], [g, "NYK", 1500]])), true);
+    assert.equal(isUpsetAlert(g, ratingsFor([[g, "MIA", 1700], [g, "NYK", 1500]])), false);
+    // Unrated teams leave it to the model
+    assert.equal(isUpsetAlert(g, ratingsFor([])), false);
+  });
+
+  test("uses ratings alone when there is no probability", () => {
+    const g = game("nba-401806");
+    assert.equal(isUpsetAlert(g, null), false);
+    assert.equal(isUpsetAlert(g, ratingsFor([[g, g.home, 1520], [g, g.away, 1500]])), true);
+  });
+});
+
+describe("findUpcomingNotable", () => {
+  test("ranks toss-ups first, then clear favorites, then spread-only games", () => {
+    assert.deepEqual(findUpcomingNotable(allGames, FIXTURE_LEAGUES).map(g => g.id), [
+      "nba-401804", "mlb-401804", "mls-401805", "epl-401805", "mls-401804", "epl-401804",
+    ]);
+    const nfl = findUpcomingNotable(allGames, ["nfl"]);
+    assert.deepEqual(nfl.map(g => g.id).sort(), ["nfl-401804", "nfl-401805", "nfl-401806"]);
+    assert.equal(nfl[2].id, "nfl-401806"); // spread but no probability
+  });
+
+  test("only lists scheduled games with some odds, from the given leagues", () => {
+    const picked = findUpcomingNotable(allGames, ["nhl", "mlb"]);
+    assert.ok(picked.every(g => g.status === "scheduled" && ["nhl", "mlb"].includes(g.sport)));
+    const bare = mapGames(g => ({ ...g, win_probability: null, spread: null }));
+    assert.deepEqual(findUpcomingNotable(bare, FIXTURE_LEAGUES), []);
+  });
+});
+
+describe("getMomentum and getScoreDelta", () => {
+  const history = {
+    run:   [{ LAL: 95, BOS: 96 }, { LAL: 98, BOS: 96 }, { LAL: 101, BOS: 96 }],
+    trade: [{ LAL: 95, BOS: 96 }, { LAL: 97, BOS: 98 }],
+    still: [{ LAL: 95, BOS: 96 }, { LAL: 95, BOS: 96 }],
+    one:   [{ LAL: 95, BOS: 96 }],
+  };
+
+  test("a team is on a run when only it scored last", () => {
+    assert.equal(getMomentum(history, "run", "LAL", "BOS"), "LAL");
+    assert.equal(getMomentum(history, "trade", "LAL", "BOS"), null);
+    assert.equal(getMomentum(history, "one", "LAL", "BOS"), null);
+    assert.equal(getMomentum(history, "missing", "LAL", "BOS"), null);
+  });
+
+  test("the delta is each side's points since the last snapshot", () => {
+    assert.deepEqual(getScoreDelta(history.run, "LAL", "BOS"), { LAL: 3, BOS: 0 });
+    assert.deepEqual(getScoreDelta(history.trade, "LAL", "BOS"), { LAL: 2, BOS: 2 });
+    assert.equal(getScoreDelta(history.still, "LAL", "BOS"), null);
+    assert.equal(getScoreDelta(history.one, "LAL", "BOS"), null);
+    assert.equal(getScoreDelta(undefined, "LAL", "BOS"), null);
+  });
+});
+
+describe("isTenseMoment", () => {
+  const cases = [
+    ["nba-401802", true,  "one point, 4th quarter"],
+    ["nba-401803", false, "2nd quarter"],
+    ["nfl-401802", true,  "one point, 4th quarter"],
+    ["nfl-401803", false, "2nd quarter"],
+    ["nhl-401802", true,  "one goal, 3rd period"],
+    ["nhl-401803", false, "level in the 1st period"],
+    ["mlb-401802", true,  "one run, 7th inning"],
+    ["mlb-401803", false, "3rd inning"],
+    ["epl-401802", true,  "level at 78'"],
+    ["epl-401803", false, "four goals in it"],
+    ["mls-401802", false, "level at 34'"],
+  ];
+  for (const [id, tense, why] of cases) {
+    test(`${id}: ${why}`, () => assert.equal(isTenseMoment(game(id), leagueFor(game(id))), tense));
+  }
+
+  test("overtime always counts as late", () => {
+    const g = { ...game("nba-401803"), clock: "3:00 - OT", score: { DEN: 110, GS: 108 } };
+    assert.equal(isTenseMoment(g, leagueFor(g)), true);
+  });
+
+  test("stoppage time and extra innings are late", () => {
+    const stoppage = { ...game("mls-401802"), clock: "90'+3'" };
+    assert.equal(isTenseMoment(stoppage, leagueFor(stoppage)), true);
+    const firstHalf = { ...game("mls-401802"), clock: "45'+2'" };
+    assert.equal(isTenseMoment(firstHalf, leagueFor(firstHalf)), false);
+    const extras = { ...game("mlb-401803"), clock: "Top 10th", score: { ATL: 3, LAD: 3 } };
+    assert.equal(isTenseMoment(extras, leagueFor(extras)), true);
+  });
+
+  test("an unreadable clock is never tense", () => {
+    const delayed = { ...game("mlb-401802"), clock: "Rain Delay" };
+    assert.equal(isTenseMoment(delayed, leagueFor(delayed)), false);
+  });
+
+  test("only live games are tense", () => {
+    for (const slug of FIXTURE_LEAGUES) {
+      for (const g of allGames[slug].filter(g => g.status !== "in_progress")) {
+        assert.equal(isTenseMoment(g, leagueFor(g)), false, g.id);
+      }
+    }
+  });
+});
+
+describe("countTenseGames", () => {
+  test("reads each game's own league in a mixed list", () => {
+    const mixed = Object.values(allGames).flat();
+    const perLeague = FIXTURE_LEAGUES.map(slug => countTenseGames(allGames[slug], leagueOf));
+    assert.equal(countTenseGames(mixed, leagueOf), perLeague.reduce((a, b) => a + b, 0));
+    assert.equal(countTenseGames(mixed, leagueOf), 5);
+  });
+
+  test("is 0 for an empty list or games from unknown leagues", () => {
+    assert.equal(countTenseGames([], leagueOf), 0);
+    assert.equal(countTenseGames([game("nba-401802")], () => null), 0);
+  });
+});
+
+describe("findBestLiveGame", () => {
+  test("prefers the closest tense game", () => {
+    const best = findBestLiveGame(allGames, {}, leagueOf);
+    assert.equal(best.game.id, "epl-401802");
+    assert.equal(best.league, "epl");
+  });
+
+  test("counts recent scoring", () => {
+    const busy = { "nba-401802": [1, 2, 3, 4, 5].map(n => ({ LAL: 95 + n, BOS: 100 })) };
+    assert.equal(findBestLiveGame(allGames, busy, leagueOf).game.id, "nba-401802");
+  });
+
+  test("is null with nothing live", () => {
+    assert.equal(findBestLiveGame(mapGames(g => ({ ...g, status: "final" })), {}, leagueOf), null);
+  });
+});
+
+describe("calcEntertainmentRating", () => {
+  test("rates finals by margin in every sport", () => {
+    const expected = {
+      "nba-401800": 5.5, "nba-401801": 5,   // 6 and 12 points
+      "nfl-401800": 5.5, "nfl-401801": 5.5, // 7 each
+      "nhl-401800": 6.5, "nhl-401801": 6.5, // 5 and 4 goals
+      "mlb-401800": 5.5, "mlb-401801": 6.5, // 7 and 3 runs
+      "mls-401800": 7.5, "mls-401801": 6.5, // 2 and 4 goals
+      "epl-401800": 7.5, "epl-401801": 7.5, // 1 each
+    };
+    for (const [id, rating] of Object.entries(expected)) {
+      assert.equal(calcEntertainmentRating(game(id), {}, leagueFor(game(id))), rating, id);
+    }
+  });
+
+  test("adds lead changes, capped at two points", () => {
+    const g = game("nba-401800"); // MIL 101–95 PHX
+    const swings = [{ MIL: 2, PHX: 0 }, { MIL: 2, PHX: 4 }, { MIL: 6, PHX: 4 }];
+    assert.equal(calcEntertainmentRating(g, { [g.id]: swings }, leagueFor(g)), 7.1);
+    const more = [...swings, { MIL: 6, PHX: 8 }, { MIL: 9, PHX: 8 }];
+    assert.equal(calcEntertainmentRating(g, { [g.id]: more }, leagueFor(g)), 7.5);
+  });
+
+  test("adds going past regulation and stays within 1–10", () => {
+    const g = { ...game("epl-401800"), clock: "FT-Pens", score: { AVL: 1, MAN: 1 } };
+    assert.equal(calcEntertainmentRating(g, {}, leagueFor(g)), 8.5);
+    const swings = [{ AVL: 1, MAN: 0 }, { AVL: 1, MAN: 2 }, { AVL: 3, MAN: 2 }, { AVL: 3, MAN: 4 }];
+    assert.equal(calcEntertainmentRating(g, { [g.id]: swings }, leagueFor(g)), 10);
+    const rout = { ...game("nba-401800"), score: { MIL: 140, PHX: 90 } };
+    assert.equal(calcEntertainmentRating(rout, {}, leagueFor(rout)), 3.5);
+  });
+
+  test("counts every sport's way past regulation", () => {
+    const extra = {
+      "nba-401800": "Final/2OT",    // 5.5 + 1.5
+      "nfl-401800": "Final/OT",
+      "nhl-401800": "Final/SO",     // 6.5 + 1.5
+      "mlb-401800": "Final/11",     // extra innings
+      "mls-401801": "AET",          // 6.5 + 1.5
+    };
+    const expected = { "nba-401800": 7, "nfl-401800": 7, "nhl-401800": 8, "mlb-401800": 7, "mls-401801": 8 };
+    for (const [id, clock] of Object.entries(extra)) {
+      const g = { ...game(id), clock };
+      assert.equal(calcEntertainmentRating(g, {}, leagueFor(g)), expected[id], `${id} ${clock}`);
+    }
+    // A shortened game and a regulation final don't count
+    const rained = { ...game("mlb-401800"), clock: "Final/7" };
+    assert.equal(calcEntertainmentRating(rained, {}, leagueFor(rained)), 5.5);
+  });
+
+  test("only rates finished games", () => {
+    assert.equal(calcEntertainmentRating(game("nba-401802"), {}, leagueOf("nba")), null);
+    assert.equal(calcEntertainmentRating(game("nba-401804"), {}, leagueOf("nba")), null);
+  });
+});
+
+describe("generateRecap", () => {
+  test("describes every sport's finals", () => {
+    const expected = {
+      "nba-401800": "Milwaukee Bucks beat Phoenix Suns 101–95.",
+      "nba-401801": "New York Knicks defeated Miami Heat 126–114.",
+      "nfl-401801": "Buffalo Bills defeated Baltimore Ravens 37–30.",
+      "nhl-401801": "Colorado Avalanche beat New York Rangers 5–1.",
+      "mlb-401800": "New York Yankees defeated San Diego Padres 9–2.",
+      "mls-401801": "LA Galaxy beat Inter Miami CF 4–0.",
+    };
+    for (const [id, recap] of Object.entries(expected)) {
+      assert.equal(generateRecap(game(id), leagueFor(game(id))), recap, id);
+    }
+  });
+
+  test("names the goal that sealed a close soccer win", () => {
+    assert.equal(generateRecap(game("epl-401800"), leagueOf("epl")),
+      "Aston Villa edged Manchester United 2–1 — Ollie Watkins sealed it (18').");
+    assert.equal(generateRecap(game("epl-401801"), leagueOf("epl")),
+      "Chelsea edged Tottenham Hotspur 3–2 — Cole Palmer sealed it (73').");
+    assert.equal(sealingGoal(game("mls-401801"), leagueOf("mls")), null); // won by four
+  });
+
+  test("skips own goals when finding the sealer", () => {
+    const g = game("epl-401800");
+    const events = [...g.events, { type: "Own Goal", player: "Harry Maguire", clock: "90", isHome: true }];
+    assert.equal(sealingGoal({ ...g, events }, leagueOf("epl")).player, "Ollie Watkins");
+  });
+
+  test("never names a scorer outside soccer", () => {
+    const g = { ...game("nhl-401801"), events: [{ type: "Goal", player: "Nathan MacKinnon", clock: "55", isHome: false }] };
+    assert.equal(sealingGoal(g, leagueOf("nhl")), null);
+  });
+
+  test("handles draws and extra time", () => {
+    const draw = { ...game("epl-401800"), score: { AVL: 1, MAN: 1 }, events: [] };
+    assert.equal(generateRecap(draw, leagueOf("epl")), "Aston Villa drew 1–1 with Manchester United.");
+    const ot = { ...game("nhl-401800"), clock: "Final/OT", score: { DAL: 3, BOS: 2 } };
+    assert.equal(generateRecap(ot, leagueOf("nhl")), "Dallas Stars edged Boston Bruins 3–2 in extra time.");
+  });
+
+  test("is null for unfinished and scoreless games", () => {
+    assert.equal(generateRecap(game("nba-401802"), leagueOf("nba")), null);
+    const goalless = { ...game("epl-401800"), score: { AVL: 0, MAN: 0 }, events: [] };
+    assert.equal(generateRecap(goalless, leagueOf("epl")), null);
+  });
+});
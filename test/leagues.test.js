@@ -0,0 +1,49 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { ordinal, isSoccer, periodName, tenseMargin } from "../core/leagues.js";
+import { FIXTURE_LEAGUES, leagueOf } from "./fixtureGames.js";
+
+describe("ordinal", () => {
+  test("handles the teens", () => {
+    assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 22, 112].map(ordinal),
+      ["1st", "2nd", "3rd", "4th", "11th", "12th", "13th", "21st", "22nd", "112th"]);
+  });
+});
+
+describe("isSoccer", () => {
+  test("goes by the league's sport", () => {
+    assert.deepEqual(FIXTURE_LEAGUES.filter(slug => isSoccer(leagueOf(slug))), ["mls", "epl"]);
+    assert.equal(isSoccer(null), false);
+  });
+});
+
+describe("periodName", () => {
+  test("names regulation periods", () => {
+    assert.equal(periodName(leagueOf("nba"), 4), "4th Quarter");
+    assert.equal(periodName(leagueOf("nfl"), 1), "1st Quarter");
+    assert.equal(periodName(leagueOf("nhl"), 3), "3rd Period");
+    assert.equal(periodName(leagueOf("epl"), 2), "2nd Half");
+  });
+
+  test("names overtime by the league's scheme", () => {
+    assert.equal(periodName(leagueOf("nba"), 5), "OT");
+    assert.equal(periodName(leagueOf("nba"), 7), "OT3");
+    assert.equal(periodName(leagueOf("nhl"), 4), "Overtime");
+    assert.equal(periodName(leagueOf("nhl"), 5), "Shootout");
+    assert.equal(periodName(leagueOf("mls"), 4), "Extra Time");
+    assert.equal(periodName(leagueOf("mls"), 5), "Penalties");
+    assert.equal(periodName(leagueOf("mlb"), 11), "11th Inning");
+  });
+
+  test("copes with no period or no league", () => {
+    assert.equal(periodName(leagueOf("nba"), null), "Game");
+    assert.equal(periodName(null, 2), "Period 2");
+  });
+});
+
+describe("tenseMargin", () => {
+  test("comes from the league, defaulting to 5", () => {
+    assert.deepEqual(FIXTURE_LEAGUES.map(slug => tenseMargin(leagueOf(slug))), [5, 8, 1, 2, 1, 1]);
+    assert.equal(tenseMargin(null), 5);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { teamRating, ratingWinChance } from "../core/ratings.js";
+
+describe("ratings lookups", () => {
+  const ratings = {
+    homeAdvantage: 0,
+    teams: [
+      { team: { abbr: "BOS", id: "1" }, rating: 1600 },
+      { team: { abbr: "LAL", id: "13" }, rating: 1500 },
+      { team: { abbr: "NYK", id: null }, rating: 1200 },
+    ],
+  };
+
+  test("teamRating matches by id, else by abbreviation", () => {
+    assert.equal(teamRating(ratings, { id: 1, abbr: "XXX" }).rating, 1600);
+    assert.equal(teamRating(ratings, { id: "99", abbr: "BOS" }), null);
+    assert.equal(teamRating(ratings, { id: "5", abbr: "NYK" }).rating, 1200);
+    assert.equal(teamRating(null, { id: "1", abbr: "BOS" }), null);
+  });
+
+  test("ratingWinChance follows the Elo curve plus home advantage", () => {
+    const bos = { id: "1", abbr: "BOS" }, lal = { id: "13", abbr: "LAL" }, nyk = { abbr: "NYK" };
+    assert.equal(ratingWinChance(ratings, lal, lal), 50);
+    assert.equal(ratingWinChance(ratings, bos, nyk).toFixed(1), "90.9"); // 400 points
+    assert.equal(ratingWinChance({ ...ratings, homeAdvantage: 100 }, lal, bos), 50);
+    assert.equal(ratingWinChance(ratings, bos, { abbr: "MIA" }), null);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { createFixtureAdapter } from "../server/adapters/fixtures.js";
+import { tallyRecords } from "../server/standings.js";
+import { getLeague } from "../server/leagues.js";
+
+const final = (id, home, away, score, clock) => ({
+  id, status: "final", start_time: "2026-10-18T23:00:00Z", clock, home, away, score,
+});
+
+describe("tallyRecords", () => {
+  test("counts hockey overtime losses apart, other sports' as losses", () => {
+    const results = [{ date: "2026-10-18", home: "BOS", away: "NYR", score: { BOS: 3, NYR: 2 }, overtime: true }];
+    assert.equal(tallyRecords(results, "hockey").get("NYR").otLosses, 1);
+    assert.equal(tallyRecords(results, "hockey").get("NYR").losses, 0);
+    assert.equal(tallyRecords(results, "basketball").get("NYR").losses, 1);
+  });
+});
+
+describe("fixture standings", () => {
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), "chalkboard-standings-"));
+    const team = (id, name) => ({ id, name });
+    await writeFile(path.join(dir, "nhl.json"), JSON.stringify({
+      captured_at: "2026-10-19T00:00:00Z",
+      teams: { BOS: team("1", "Boston"), NYR: team("2", "New York"), TOR: team("3", "Toronto") },
+      games: [
+        final("g1", "BOS", "NYR", { BOS: 3, NYR: 2 }, "Final/OT"),
+        final("g2", "NYR", "TOR", { NYR: 2, TOR: 1 }, "Final/SO"),
+        final("g3", "BOS", "TOR", { BOS: 4, TOR: 1 }, "Final"),
+      ],
+      results: [],
+      upcoming: [],
+    }));
+  });
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test("scoreboard finals that went to overtime or a shootout are OT losses", async () => {
+    const standings = await createFixtureAdapter({ fixtureDir: dir }).getStandings(getLeague("nhl"));
+    const row = abbr => standings.groups.flatMap(g => g.rows).find(r => r.team.abbr === abbr);
+    assert.deepEqual([row("NYR").stats.losses, row("NYR").stats.otLosses], ["0", "1"]);
+    assert.deepEqual([row("TOR").stats.losses, row("TOR").stats.otLosses], ["1", "1"]);
+    assert.equal(row("BOS").stats.points, "4");
+  });
+});